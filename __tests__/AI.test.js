@@ -1,5 +1,6 @@
 const AI = require('../src/AI');
 const Board = require('../src/Board');
+const Random = require('../src/Random');
 
 describe('AI Class', () => {
   let ai;
@@ -15,19 +16,29 @@ describe('AI Class', () => {
     expect(ai.marker).toBe('X');
     expect(ai.opponentMarker).toBe('O');
     expect(ai.difficulty).toBe('medium');
-    expect(ai.maxDepth).toBe(2); // mediumの難易度は深さ2
+    expect(ai.timeBudget).toBe(250); // mediumの難易度は250ミリ秒
+    expect(ai.maxDepth).toBeNull();
   });
 
-  test('異なる難易度での最大深さが正しく設定される', () => {
+  test('異なる難易度での探索の制限時間が正しく設定される', () => {
     const easyAI = new AI('X', 'easy');
     const mediumAI = new AI('X', 'medium');
     const hardAI = new AI('X', 'hard');
     const masterAI = new AI('X', 'master');
     
-    expect(easyAI.maxDepth).toBe(1);
-    expect(mediumAI.maxDepth).toBe(2);
-    expect(hardAI.maxDepth).toBe(3);
-    expect(masterAI.maxDepth).toBe(4);
+    expect(easyAI.timeBudget).toBe(100);
+    expect(mediumAI.timeBudget).toBe(250);
+    expect(hardAI.timeBudget).toBe(1000);
+    expect(masterAI.timeBudget).toBe(3000);
+    expect(new AI('X', 'mcts').timeBudget).toBe(2000);
+    expect(new AI('X', 'unbeatable').timeBudget).toBe(3000);
+  });
+
+  test('探索の設定をオプションで上書きできる', () => {
+    const customAI = new AI('X', 'hard', { timeBudget: 50, maxDepth: 3 });
+    
+    expect(customAI.timeBudget).toBe(50);
+    expect(customAI.maxDepth).toBe(3);
   });
 
   test('ランダムな手が有効な位置に選ばれる', () => {
@@ -109,6 +120,141 @@ describe('AI Class', () => {
     expect(aiMove).toEqual({ row: 0, col: 2 });
   });
 
+  test('反復深化の探索結果として深さとノード数が記録される', () => {
+    const hardAI = new AI('X', 'hard', { maxDepth: 3 });
+    board.placeMarker(2, 2, 'O');
+    board.placeMarker(1, 1, 'X');
+    board.placeMarker(2, 1, 'O');
+    
+    hardAI.makeMinimaxMove(board);
+    const info = hardAI.getLastSearchInfo();
+    
+    expect(info.depth).toBe(3);
+    expect(info.nodes).toBeGreaterThan(0);
+    expect(info.time).toBeGreaterThanOrEqual(0);
+  });
+
+  test('制限時間内に探索を打ち切って手を返す', () => {
+    const largeBoard = new Board(7, 5);
+    largeBoard.placeMarker(3, 3, 'O');
+    largeBoard.placeMarker(2, 2, 'X');
+    largeBoard.placeMarker(3, 4, 'O');
+    
+    const masterAI = new AI('X', 'master');
+    const start = Date.now();
+    const move = masterAI.makeMinimaxMove(largeBoard, 50);
+    
+    // 時間の確認は一定のノード数ごとなので、多少の超過は許容する
+    expect(Date.now() - start).toBeLessThan(1000);
+    expect(largeBoard.board[move.row][move.col]).toBe(' ');
+    expect(masterAI.getLastSearchInfo().depth).toBeLessThan(largeBoard.getEmptyCells().length);
+  });
+
+  test('読み切れた局面ではそれ以上深く探索しない', () => {
+    const hardAI = new AI('X', 'hard');
+    board.placeMarker(0, 0, 'X');
+    board.placeMarker(4, 4, 'O');
+    board.placeMarker(0, 1, 'X');
+    board.placeMarker(4, 3, 'O');
+    board.placeMarker(0, 2, 'X');
+    board.placeMarker(3, 3, 'O');
+    
+    const move = hardAI.makeMinimaxMove(board);
+    
+    // (0,3)に打てばすぐに勝てる
+    expect(move).toEqual({ row: 0, col: 3 });
+    expect(hardAI.getLastSearchInfo().depth).toBe(1);
+  });
+
+  test('置換表を使っても探索の結果は変わらず、探索するノードが減る', () => {
+    const setup = (target) => {
+      target.placeMarker(2, 2, 'O');
+      target.placeMarker(1, 1, 'X');
+      target.placeMarker(2, 1, 'O');
+    };
+    setup(board);
+    
+    const withTable = new AI('X', 'hard', { maxDepth: 4, timeBudget: Infinity });
+    const withoutTable = new AI('X', 'hard', { maxDepth: 4, timeBudget: Infinity, transpositionTable: false });
+    
+    const moveWithTable = withTable.makeMinimaxMove(board);
+    const moveWithoutTable = withoutTable.makeMinimaxMove(board);
+    const infoWithTable = withTable.getLastSearchInfo();
+    const infoWithoutTable = withoutTable.getLastSearchInfo();
+    
+    expect(moveWithTable).toEqual(moveWithoutTable);
+    expect(infoWithTable.score).toBe(infoWithoutTable.score);
+    expect(infoWithTable.nodes).toBeLessThan(infoWithoutTable.nodes);
+    expect(infoWithTable.tableHits).toBeGreaterThan(0);
+    expect(infoWithoutTable.tableHits).toBe(0);
+  });
+
+  test('候補手は既存の駒の近くのマスだけになる', () => {
+    const largeBoard = new Board(7, 5);
+    largeBoard.placeMarker(0, 0, 'O');
+    largeBoard.placeMarker(1, 1, 'X');
+    
+    const candidates = ai.generateCandidates(largeBoard, 'O', 1);
+    
+    expect(candidates.length).toBe(14); // (0,0)〜(3,3)の16マスから駒のある2マスを除く
+    for (const cell of candidates) {
+      expect(Math.max(cell.row, cell.col)).toBeLessThanOrEqual(3);
+    }
+    
+    // 駒がない場合は中央だけ
+    expect(ai.generateCandidates(new Board(7, 5), 'O', 1)).toEqual([{ row: 3, col: 3 }]);
+  });
+
+  test('勝てる手や防ぐ必要がある手があれば、その手だけを候補にする', () => {
+    // X X X . .
+    // O O O . .
+    board.placeMarker(1, 0, 'O');
+    board.placeMarker(0, 0, 'X');
+    board.placeMarker(1, 1, 'O');
+    board.placeMarker(0, 1, 'X');
+    board.placeMarker(1, 2, 'O');
+    board.placeMarker(0, 2, 'X');
+    
+    expect(ai.generateCandidates(board, 'X', 1)).toEqual([{ row: 0, col: 3 }]);
+    
+    board.undoMove();
+    board.placeMarker(4, 4, 'X');
+    expect(ai.generateCandidates(board, 'X', 1)).toEqual([{ row: 1, col: 3 }]);
+  });
+
+  test('枝刈りを起こした手は同じ深さで最初に試される', () => {
+    board.placeMarker(2, 2, 'O');
+    board.placeMarker(1, 1, 'X');
+    
+    ai.recordCutoff(board, { row: 3, col: 4 }, 'O', 2, 1);
+    
+    expect(ai.generateCandidates(board, 'O', 2)[0]).toEqual({ row: 3, col: 4 });
+    expect(ai.generateCandidates(board, 'O', 3)[0]).not.toEqual({ row: 3, col: 4 });
+  });
+
+  test('ヒント用に候補手を評価の高い順に並べ、勝敗を読み切った手には手数を付ける', () => {
+    board.placeMarker(2, 1, 'O');
+    board.placeMarker(0, 0, 'X');
+    board.placeMarker(2, 2, 'O');
+    board.placeMarker(1, 1, 'X');
+    board.placeMarker(2, 3, 'O');
+    
+    const moves = new AI('O', 'hard', { timeBudget: 200 }).analyzeMoves(board, 3);
+    expect(moves).toHaveLength(3);
+    expect(moves[0]).toMatchObject({ outcome: 'win', plies: 1 });
+    expect([{ row: 2, col: 0 }, { row: 2, col: 4 }]).toContainEqual({ row: moves[0].row, col: moves[0].col });
+    for (let i = 1; i < moves.length; i++) {
+      expect(moves[i].score).toBeLessThanOrEqual(moves[i - 1].score);
+    }
+    
+    // 相手から見ると、どの手でも負けを読み切れる（両端のどちらかで勝たれる）
+    const losing = new AI('X', 'hard', { timeBudget: 200 }).analyzeMoves(board, 3);
+    expect(losing.every(move => move.outcome === 'loss')).toBe(true);
+    expect(new AI('O', 'hard').analyzeMoves(new Board(3, 3), 3)).toEqual([
+      expect.objectContaining({ row: 1, col: 1, outcome: null, plies: null })
+    ]);
+  });
+
   test('AIがボードを評価できる', () => {
     // 空のボードの評価
     const emptyScore = ai.evaluateBoard(board);
@@ -133,6 +279,17 @@ describe('AI Class', () => {
     expect(unfavorableScore).toBeLessThan(emptyScore);
   });
 
+  test('評価プロファイルは難易度から決まり、profile で指定できる', () => {
+    expect(new AI('O', 'hard').evaluator.name).toBe('standard');
+    expect(new AI('O', 'master').evaluator.name).toBe('classic');
+    
+    const defensiveAI = new AI('X', 'hard', { profile: 'defensive' });
+    board.placeMarker(2, 2, 'O');
+    expect(defensiveAI.evaluator.name).toBe('defensive');
+    expect(defensiveAI.evaluateBoard(board)).toBe(defensiveAI.evaluator.evaluate(board, 'X'));
+    expect(() => new AI('X', 'hard', { profile: 'unknown' })).toThrow('評価プロファイルが見つかりません');
+  });
+
   test('AIがdifficultyに応じた手を選ぶ', () => {
     // easyはrandom
     const easyAI = new AI('X', 'easy');
@@ -151,5 +308,103 @@ describe('AI Class', () => {
     const minimaxMoveSpy = jest.spyOn(hardAI, 'makeMinimaxMove');
     hardAI.makeMove(board);
     expect(minimaxMoveSpy).toHaveBeenCalled();
+    
+    // mctsはモンテカルロ木探索
+    const mctsAI = new AI('X', 'mcts', { iterations: 100 });
+    const mctsMoveSpy = jest.spyOn(mctsAI, 'makeMctsMove');
+    mctsAI.makeMove(board);
+    expect(mctsMoveSpy).toHaveBeenCalled();
+    expect(mctsAI.getLastSearchInfo().iterations).toBeLessThanOrEqual(100);
+    
+    // learningは学習した評価関数
+    const learningAI = new AI('X', 'learning');
+    const learnedMoveSpy = jest.spyOn(learningAI, 'makeLearnedMove');
+    learningAI.makeMove(board);
+    expect(learnedMoveSpy).toHaveBeenCalled();
+  });
+
+  test('学習AIは学習した評価が最も高い手を選ぶ', () => {
+    const Learner = require('../src/Learner');
+    // 自分の駒だけが2個あるラインを増やす手を好む重み
+    const learner = new Learner({ profiles: { '5x5/4': { weights: [0, 10, 0, 0, 0, 0, 0], games: 0 } } });
+    board.placeMarker(0, 0, 'X');
+    board.placeMarker(4, 4, 'O');
+    
+    const move = new AI('X', 'learning', { learner }).makeMove(board);
+    board.placeMarker(move.row, move.col, 'X');
+    const bestFeatures = learner.getFeatures(board, 'X');
+    board.undoMove();
+    
+    for (const cell of board.getEmptyCells()) {
+      board.placeMarker(cell.row, cell.col, 'X');
+      expect(learner.getFeatures(board, 'X')[1]).toBeLessThanOrEqual(bestFeatures[1]);
+      board.undoMove();
+    }
+  });
+
+  test('シード値が同じなら同じランダムな手を選ぶ', () => {
+    const first = new AI('X', 'easy', { seed: 99 });
+    const second = new AI('X', 'easy', { seed: 99 });
+    
+    for (let i = 0; i < 5; i++) {
+      expect(first.makeMove(board)).toEqual(second.makeMove(board));
+    }
+  });
+
+  test('同じシード値の乱数を共有すると、AI同士の対局が同じ手順になる', () => {
+    const Random = require('../src/Random');
+    const playGame = (seed) => {
+      const random = new Random(seed);
+      const players = { O: new AI('O', 'medium', { random }), X: new AI('X', 'easy', { random }) };
+      const gameBoard = new Board(5, 4);
+      let player = 'O';
+      
+      while (!gameBoard.checkDraw() && !gameBoard.getLastMoveWinner()) {
+        const move = players[player].makeMove(gameBoard);
+        gameBoard.placeMarker(move.row, move.col, player);
+        player = player === 'O' ? 'X' : 'O';
+      }
+      return gameBoard.moveHistory;
+    };
+    
+    expect(playGame(7)).toEqual(playGame(7));
+    expect(playGame(7)).not.toEqual(playGame(8));
+  });
+
+  test('完全読みのAIは3×3でランダムな相手に負けない', () => {
+    const random = new Random(2024);
+    
+    for (let game = 0; game < 10; game++) {
+      const smallBoard = new Board(3, 3);
+      const unbeatableAI = new AI(game % 2 === 0 ? 'O' : 'X', 'unbeatable');
+      let player = 'O';
+      
+      while (!smallBoard.checkDraw()) {
+        const move = player === unbeatableAI.marker
+          ? unbeatableAI.makeMove(smallBoard)
+          : random.pick(smallBoard.getEmptyCells());
+        smallBoard.placeMarker(move.row, move.col, player);
+        if (smallBoard.isWinningMove(move.row, move.col)) break;
+        player = player === 'O' ? 'X' : 'O';
+      }
+      
+      expect(smallBoard.getLastMoveWinner()).not.toBe(unbeatableAI.opponentMarker);
+    }
+  });
+
+  test('完全読みのAIはすぐに勝てる手を選び、読み切れないボードではミニマックスを使う', () => {
+    const smallBoard = new Board(4, 4);
+    [[0, 0], [1, 0], [0, 1], [1, 1], [0, 2], [3, 3]].forEach(([row, col], index) => {
+      smallBoard.placeMarker(row, col, index % 2 === 0 ? 'O' : 'X');
+    });
+    
+    const unbeatableAI = new AI('O', 'unbeatable');
+    expect(unbeatableAI.makeMove(smallBoard)).toEqual({ row: 0, col: 3 });
+    expect(unbeatableAI.getLastSearchInfo().value).toBe(1);
+    
+    const largeBoardAI = new AI('X', 'unbeatable', { timeBudget: 50 });
+    const minimaxMoveSpy = jest.spyOn(largeBoardAI, 'makeMinimaxMove');
+    largeBoardAI.makeMove(board);
+    expect(minimaxMoveSpy).toHaveBeenCalled();
   });
 });
@@ -0,0 +1,101 @@
+const Arena = require('../src/Arena');
+const Board = require('../src/Board');
+const Random = require('../src/Random');
+
+describe('Arena Class', () => {
+  test('AI設定の文字列を解析する', () => {
+    expect(Arena.parseConfig('hard')).toEqual({
+      name: 'hard',
+      difficulty: 'hard',
+      options: { maxDepth: 3, timeBudget: Infinity }
+    });
+    expect(Arena.parseConfig('master:depth=5,profile=aggressive,time=200').options).toEqual({
+      maxDepth: 5,
+      profile: 'aggressive',
+      timeBudget: 200
+    });
+    expect(Arena.parseConfig('mcts:iterations=100').options).toEqual({ iterations: 100, timeBudget: Infinity });
+  });
+
+  test('不明な難易度やオプションはエラーになる', () => {
+    expect(() => Arena.parseConfig('expert')).toThrow('不明な難易度です: expert');
+    expect(() => Arena.parseConfig('hard:speed=1')).toThrow('不明なAI設定のオプションです: speed=1');
+    expect(() => new Arena(['hard'])).toThrow('対戦させるAI設定を2つ指定してください');
+  });
+
+  test('探索の上限が正の値でない場合はエラーになる', () => {
+    expect(() => Arena.parseConfig('hard:depth=abc')).toThrow('depth には正の整数を指定してください: depth=abc');
+    expect(() => Arena.parseConfig('hard:depth=0')).toThrow('depth には正の整数');
+    expect(() => Arena.parseConfig('mcts:iterations=2.5')).toThrow('iterations には正の整数');
+    expect(() => Arena.parseConfig('master:time=Infinity')).toThrow('time には正の数（ミリ秒）');
+    expect(() => Arena.parseConfig('master:time=')).toThrow('time には正の数（ミリ秒）');
+    expect(Arena.parseConfig('master:time=0.5').options.timeBudget).toBe(0.5);
+  });
+
+  test('得点率からレーティング差を推定する', () => {
+    expect(Arena.estimateElo(5, 10)).toBeCloseTo(0);
+    expect(Arena.estimateElo(7.5, 10)).toBeCloseTo(190.8, 1);
+    expect(Arena.estimateElo(2.5, 10)).toBeCloseTo(-190.8, 1);
+    // 全勝でも有限の値になる
+    expect(Arena.estimateElo(10, 10)).toBeCloseTo(511.5, 1);
+    expect(Arena.estimateElo(0, 0)).toBe(0);
+  });
+
+  test('序盤の手を打ったボードから対局を続ける', () => {
+    const arena = new Arena(['medium', 'easy']);
+    const board = arena.createBoard(5, 4, [{ row: 2, col: 2 }, { row: 0, col: 0 }]);
+    const players = {
+      O: arena.createAI(arena.configs[0], 'O'),
+      X: arena.createAI(arena.configs[1], 'X')
+    };
+
+    const game = arena.playGame(players, board);
+    expect(board.moveHistory[2].player).toBe('O');
+    expect(game.moves.O + game.moves.X).toBe(board.moveHistory.length - 2);
+    if (game.winner) {
+      expect(board.getLastMoveWinner()).toBe(game.winner);
+    } else {
+      expect(board.checkDraw()).toBe(true);
+    }
+  });
+
+  test('ボードサイズごとに先手・後手を入れ替えて対局し、結果を集計する', () => {
+    const progress = jest.fn();
+    const arena = new Arena(['hard:depth=2', 'easy'], { seed: 1 });
+    const results = arena.run(3, [{ size: 3, winLength: 3 }, { size: 5, winLength: 4 }], progress);
+
+    expect(results.map(result => [result.size, result.winLength, result.games])).toEqual([[3, 3, 4], [5, 4, 4]]);
+    for (const result of results) {
+      expect(result.wins + result.draws + result.losses).toBe(result.games);
+      expect(result.score).toBe(result.wins + result.draws / 2);
+      expect(result.elo).toBe(Arena.estimateElo(result.score, result.games));
+      expect(result.moveTime).toHaveLength(2);
+    }
+    expect(results[1].wins).toBeGreaterThan(results[1].losses);
+    expect(progress).toHaveBeenCalledTimes(8);
+    expect(progress).toHaveBeenLastCalledWith(8, 8);
+  });
+
+  test('同じシード値なら同じ結果になる', () => {
+    const run = seed => new Arena(['mcts:iterations=200', 'medium'], { seed })
+      .run(4, [{ size: 4, winLength: 3 }])
+      .map(({ wins, draws, losses }) => ({ wins, draws, losses }));
+
+    expect(run(5)).toEqual(run(5));
+  });
+
+  test('序盤の手では勝負が決まらず、最後の1マスは残す', () => {
+    const arena = new Arena(['easy', 'easy'], { openingMoves: 20 });
+    const random = new Random(2);
+    for (let i = 0; i < 10; i++) {
+      const opening = arena.createOpening(3, 3, random);
+      const board = arena.createBoard(3, 3, opening);
+
+      expect(opening.length).toBeLessThanOrEqual(8);
+      expect(board.checkWin('O') || board.checkWin('X')).toBe(false);
+    }
+    
+    const [result] = arena.run(2, [{ size: 3, winLength: 3 }]);
+    expect(result.wins + result.draws + result.losses).toBe(2);
+  });
+});
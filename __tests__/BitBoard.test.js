@@ -0,0 +1,151 @@
+const Board = require('../src/Board');
+const BitBoard = require('../src/BitBoard');
+const AI = require('../src/AI');
+
+/**
+ * 固定の初期値から疑似乱数を生成する関数を作成する（テストを再現できるようにする）
+ * @param {number} seed - 乱数の初期値
+ * @returns {Function} 0以上max未満の整数を返す関数
+ */
+const createRandom = (seed) => {
+  let state = seed;
+  return (max) => {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    return (state >>> 16) % max;
+  };
+};
+
+/**
+ * 2つのボードの状態を比べ、一致しない項目を返す
+ * @param {Board} bitBoard - ビットボード
+ * @param {Board} arrayBoard - 配列のボード
+ * @returns {Array} 一致しない項目の名前
+ */
+const findDifferences = (bitBoard, arrayBoard) => {
+  const checks = {
+    checkWinO: board => board.checkWin('O'),
+    checkWinX: board => board.checkWin('X'),
+    checkDraw: board => board.checkDraw(),
+    getEmptyCells: board => JSON.stringify(board.getEmptyCells()),
+    serialize: board => JSON.stringify(board.serialize()),
+    getZobristKey: board => board.getZobristKey(),
+    forEachLineCount: (board) => {
+      const counts = [];
+      board.forEachLineCount((oCount, xCount) => counts.push(`${oCount}/${xCount}`));
+      return counts.join(',');
+    }
+  };
+
+  return Object.keys(checks).filter(name => checks[name](bitBoard) !== checks[name](arrayBoard));
+};
+
+/**
+ * 2つのボードの状態が一致することを確認する
+ * @param {Board} bitBoard - ビットボード
+ * @param {Board} arrayBoard - 配列のボード
+ */
+const expectSameState = (bitBoard, arrayBoard) => {
+  expect(findDifferences(bitBoard, arrayBoard)).toEqual([]);
+};
+
+describe('BitBoard Class', () => {
+  test('ランダムな対局で配列のボードと同じ結果になる', () => {
+    const random = createRandom(2024);
+    const settings = [[3, 3], [4, 3], [5, 4], [6, 4], [7, 5], [8, 5]];
+    const mismatches = [];
+
+    // 手ごとに expect を呼ぶと遅いため、一致しなかった手を集めて最後に確認する
+    const compare = (bitBoard, arrayBoard, action) => {
+      const differences = findDifferences(bitBoard, arrayBoard);
+      if (differences.length > 0) {
+        mismatches.push({ action, differences, moves: JSON.stringify(arrayBoard.moveHistory) });
+      }
+    };
+
+    for (const [size, winLength] of settings) {
+      for (let game = 0; game < 20; game++) {
+        const bitBoard = new BitBoard(size, winLength);
+        const arrayBoard = new Board(size, winLength);
+        let player = 'O';
+
+        while (!arrayBoard.checkDraw()) {
+          const cells = arrayBoard.getEmptyCells();
+          const { row, col } = cells[random(cells.length)];
+
+          bitBoard.placeMarker(row, col, player);
+          arrayBoard.placeMarker(row, col, player);
+          if (bitBoard.isWinningMove(row, col) !== arrayBoard.isWinningMove(row, col)) {
+            mismatches.push({ action: 'isWinningMove', moves: JSON.stringify(arrayBoard.moveHistory) });
+          }
+          const countsAt = (board) => {
+            const counts = [];
+            board.forEachLineCountAt(row, col, (oCount, xCount) => counts.push(`${oCount}/${xCount}`));
+            return counts.join(',');
+          };
+          if (countsAt(bitBoard) !== countsAt(arrayBoard)) {
+            mismatches.push({ action: 'forEachLineCountAt', moves: JSON.stringify(arrayBoard.moveHistory) });
+          }
+          compare(bitBoard, arrayBoard, 'placeMarker');
+
+          // ときどき手を取り消して、取り消し後の状態も比べる
+          if (random(4) === 0) {
+            bitBoard.undoMove();
+            arrayBoard.undoMove();
+            compare(bitBoard, arrayBoard, 'undoMove');
+            continue;
+          }
+
+          if (arrayBoard.checkWin(player)) break;
+          player = player === 'O' ? 'X' : 'O';
+        }
+      }
+    }
+
+    expect(mismatches).toEqual([]);
+  });
+
+  test('すでに駒がある場所や範囲外には配置できない', () => {
+    const bitBoard = new BitBoard(5, 4);
+
+    expect(bitBoard.placeMarker(1, 1, 'O')).toBe(true);
+    expect(bitBoard.placeMarker(1, 1, 'X')).toBe(false);
+    expect(bitBoard.placeMarker(5, 0, 'X')).toBe(false);
+    expect(bitBoard.getEmptyCells().length).toBe(24);
+    expect(bitBoard.checkWin('X')).toBe(false);
+  });
+
+  test('クローンと既存のボードからの作成で状態が引き継がれる', () => {
+    const arrayBoard = new Board(6, 4);
+    arrayBoard.placeMarker(0, 0, 'O');
+    arrayBoard.placeMarker(3, 3, 'X');
+    arrayBoard.placeMarker(0, 1, 'O');
+
+    const bitBoard = BitBoard.fromBoard(arrayBoard);
+    expectSameState(bitBoard, arrayBoard);
+
+    // クローンは独立しているので、一方を変更しても他方に影響しない
+    const cloned = bitBoard.clone();
+    cloned.placeMarker(0, 2, 'O');
+    cloned.placeMarker(0, 3, 'O');
+
+    expect(cloned.checkWin('O')).toBe(true);
+    expect(bitBoard.checkWin('O')).toBe(false);
+    expect(arrayBoard.board[0][2]).toBe(' ');
+    expectSameState(bitBoard, arrayBoard);
+  });
+
+  test('AIは配列のボードと同じ手を選ぶ', () => {
+    const arrayBoard = new Board(5, 4);
+    [[2, 2, 'O'], [1, 1, 'X'], [2, 1, 'O'], [2, 3, 'X']].forEach(([row, col, player]) => {
+      arrayBoard.placeMarker(row, col, player);
+    });
+    const bitBoard = BitBoard.fromBoard(arrayBoard);
+
+    const options = { maxDepth: 3, timeBudget: Infinity };
+    const arrayMove = new AI('O', 'hard', options).makeMinimaxMove(arrayBoard);
+    const bitMove = new AI('O', 'hard', options).makeMinimaxMove(bitBoard);
+
+    expect(bitMove).toEqual(arrayMove);
+    expect(new AI('O', 'medium').makeMediumMove(bitBoard)).toEqual(new AI('O', 'medium').makeMediumMove(arrayBoard));
+  });
+});
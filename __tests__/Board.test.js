@@ -133,6 +133,75 @@ describe('Board Class', () => {
     expect(board.checkWin('X')).toBe(false);
   });
 
+  test('最後に置いた駒を通るラインだけで勝利を判定できる', () => {
+    // . . . O
+    // . . O .
+    // . X . .
+    // O . . .
+    board.placeMarker(0, 3, 'O');
+    board.placeMarker(1, 2, 'O');
+    board.placeMarker(3, 0, 'O');
+    board.placeMarker(2, 1, 'X');
+    
+    expect(board.isWinningMove(2, 1)).toBe(false);
+    expect(board.getLastMoveWinner()).toBe(null);
+    
+    board.undoMove();
+    board.placeMarker(2, 1, 'O');
+    
+    expect(board.isWinningMove(2, 1)).toBe(true);
+    expect(board.isWinningMove(4, 4)).toBe(false); // 空のマス
+    expect(board.getLastMoveWinner()).toBe('O');
+  });
+
+  test('勝利ラインの座標を端から順に取得できる', () => {
+    // X O O O O
+    board.placeMarker(0, 0, 'X');
+    board.placeMarker(0, 3, 'O');
+    board.placeMarker(0, 1, 'O');
+    board.placeMarker(0, 4, 'O');
+    
+    expect(board.getWinningLine(0, 4)).toBe(null);
+    
+    board.placeMarker(0, 2, 'O');
+    
+    const line = [
+      { row: 0, col: 1 },
+      { row: 0, col: 2 },
+      { row: 0, col: 3 },
+      { row: 0, col: 4 }
+    ];
+    expect(board.getWinningLine(0, 2)).toEqual(line);
+    expect(board.getWinningLine(0, 4)).toEqual(line);
+    expect(board.getLastMove()).toEqual({ row: 0, col: 2, player: 'O' });
+  });
+
+  test('最後の手による勝利判定は盤面全体の判定と一致する', () => {
+    // 固定の手順でランダムに近い対局を繰り返し、毎手ごとに結果を比べる
+    let seed = 12345;
+    const next = (max) => {
+      seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+      return (seed >>> 16) % max;
+    };
+    
+    for (let game = 0; game < 50; game++) {
+      const testBoard = new Board(6, 4);
+      let player = 'O';
+      
+      while (!testBoard.checkDraw()) {
+        const cells = testBoard.getEmptyCells();
+        const cell = cells[next(cells.length)];
+        testBoard.placeMarker(cell.row, cell.col, player);
+        
+        const won = testBoard.checkWin(player);
+        expect(testBoard.isWinningMove(cell.row, cell.col)).toBe(won);
+        if (won) break;
+        
+        player = player === 'O' ? 'X' : 'O';
+      }
+    }
+  });
+
   test('引き分け状態を正しくチェックできる', () => {
     // OXO
     // XOX
@@ -176,6 +245,58 @@ describe('Board Class', () => {
     expect(newBoard.currentPlayer).toBe(board.currentPlayer);
   });
 
+  test('盤面のハッシュ値は駒の配置によって決まる', () => {
+    const otherBoard = new Board(5, 4);
+    expect(board.getHash()).toBe(otherBoard.getHash());
+    
+    board.placeMarker(0, 0, 'O');
+    expect(board.getHash()).not.toBe(otherBoard.getHash());
+    
+    // 同じ配置であれば手順が異なっても同じハッシュ値になる
+    board.placeMarker(1, 1, 'X');
+    otherBoard.placeMarker(1, 1, 'X');
+    otherBoard.placeMarker(0, 0, 'O');
+    expect(board.getHash()).toBe(otherBoard.getHash());
+    expect(board.getHash()).toMatch(/^[0-9a-f]{8}$/);
+  });
+
+  test('ゾブリストハッシュは手順によらず駒の配置によって決まる', () => {
+    const emptyKey = board.getZobristKey();
+    
+    board.placeMarker(0, 0, 'O');
+    board.placeMarker(1, 1, 'X');
+    board.placeMarker(2, 2, 'O');
+    
+    const otherBoard = new Board(5, 4);
+    otherBoard.placeMarker(2, 2, 'O');
+    otherBoard.placeMarker(1, 1, 'X');
+    otherBoard.placeMarker(0, 0, 'O');
+    
+    expect(board.getZobristKey()).toBe(otherBoard.getZobristKey());
+    expect(board.clone().getZobristKey()).toBe(board.getZobristKey());
+    
+    // 駒の種類が違えば別の値になる
+    otherBoard.undoMove();
+    otherBoard.placeMarker(0, 0, 'X');
+    expect(otherBoard.getZobristKey()).not.toBe(board.getZobristKey());
+    
+    // 手を取り消すと元の値に戻る
+    board.undoMove();
+    board.undoMove();
+    board.undoMove();
+    expect(board.getZobristKey()).toBe(emptyKey);
+  });
+
+  test('復元したボードのゾブリストハッシュは計算し直される', () => {
+    board.placeMarker(1, 2, 'O');
+    board.placeMarker(3, 3, 'X');
+    
+    const restoredBoard = new Board();
+    restoredBoard.deserialize(JSON.parse(JSON.stringify(board.serialize())));
+    
+    expect(restoredBoard.getZobristKey()).toBe(board.getZobristKey());
+  });
+
   test('空のセルのリストを取得できる', () => {
     // 一部のセルに駒を配置
     board.placeMarker(0, 0, 'O');
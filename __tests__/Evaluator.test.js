@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Evaluator = require('../src/Evaluator');
+const Board = require('../src/Board');
+const BitBoard = require('../src/BitBoard');
+
+describe('Evaluator Class', () => {
+  let board;
+
+  beforeEach(() => {
+    board = new Board(5, 4);
+  });
+
+  /**
+   * 従来の評価関数（ラインごとに、相手の駒を含まなければ 10^駒の数 を加減する）
+   */
+  const evaluateClassic = (target, player) => {
+    let score = 0;
+    target.forEachLineCount((oCount, xCount) => {
+      const own = player === 'O' ? oCount : xCount;
+      const opponent = player === 'O' ? xCount : oCount;
+      if (opponent === 0 && own > 0) score += Math.pow(10, own);
+      if (own === 0 && opponent > 0) score -= Math.pow(10, opponent);
+    });
+    return score;
+  };
+
+  test('同梱のプロファイルを名前で読み込み、一覧を取得できる', () => {
+    const names = Evaluator.listProfiles().map(profile => profile.name);
+    expect(names).toEqual(expect.arrayContaining(['aggressive', 'classic', 'defensive', 'standard']));
+    expect(Evaluator.load('standard').name).toBe('standard');
+  });
+
+  test('存在しないプロファイルを読み込むとエラーになる', () => {
+    expect(() => Evaluator.load('unknown')).toThrow('評価プロファイルが見つかりません: unknown');
+  });
+
+  test('重みが足りないプロファイルはエラーになる', () => {
+    expect(() => new Evaluator({ name: 'empty' })).toThrow('weights.lines');
+    expect(() => new Evaluator({
+      name: 'no-center',
+      weights: { lines: { open: [], halfOpen: [], closed: [] }, doubleThreat: 0, defense: 1 }
+    })).toThrow('weights.center');
+  });
+
+  test('JSONファイルのパスを指定して読み込める', () => {
+    const filePath = path.join(os.tmpdir(), `evaluator-test-${process.pid}.json`);
+    fs.writeFileSync(filePath, JSON.stringify({
+      name: 'center-only',
+      weights: { lines: { open: [0], halfOpen: [0], closed: [0] }, doubleThreat: 0, center: 1, defense: 1 }
+    }));
+
+    try {
+      const evaluator = Evaluator.load(filePath);
+      board.placeMarker(2, 2, 'O');
+      expect(evaluator.evaluate(board, 'O')).toBe(1);
+      expect(evaluator.evaluate(board, 'X')).toBe(-1);
+    } finally {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  test('classic プロファイルは従来の評価関数と同じ値になる', () => {
+    const evaluator = Evaluator.load('classic');
+    [[2, 2, 'O'], [1, 1, 'X'], [2, 3, 'O'], [3, 3, 'X'], [2, 1, 'O']].forEach(([row, col, player]) => {
+      board.placeMarker(row, col, player);
+      expect(evaluator.evaluate(board, 'O')).toBe(evaluateClassic(board, 'O'));
+      expect(evaluator.evaluate(board, 'X')).toBe(evaluateClassic(board, 'X'));
+    });
+  });
+
+  test('両端が空いたラインは、片側がふさがれたラインより高く評価する', () => {
+    const evaluator = Evaluator.load('standard');
+    const wideBoard = new Board(6, 4);
+    const line = { cells: [[2, 1], [2, 2], [2, 3], [2, 4]], ends: [[2, 0], [2, 5]] };
+    wideBoard.placeMarker(2, 1, 'O');
+    wideBoard.placeMarker(2, 2, 'O');
+
+    const open = evaluator.scoreLine(line, 2, 'X', wideBoard.board);
+    wideBoard.placeMarker(2, 5, 'X');
+    const halfOpen = evaluator.scoreLine(line, 2, 'X', wideBoard.board);
+    wideBoard.placeMarker(2, 0, 'X');
+    const closed = evaluator.scoreLine(line, 2, 'X', wideBoard.board);
+
+    expect(open).toBeGreaterThan(halfOpen);
+    expect(halfOpen).toBeGreaterThan(closed);
+  });
+
+  test('勝ちにつながるマスが2か所以上あると二重の脅威を加える', () => {
+    const evaluator = new Evaluator({
+      name: 'threat-only',
+      weights: { lines: { open: [0], halfOpen: [0], closed: [0] }, doubleThreat: 100, center: 0, defense: 1 }
+    });
+    [[1, 1], [1, 2], [1, 3]].forEach(([row, col]) => board.placeMarker(row, col, 'O'));
+
+    // 横の (1, 0) と (1, 4) の2か所
+    expect(evaluator.evaluate(board, 'O')).toBe(100);
+    board.placeMarker(1, 0, 'X');
+    expect(evaluator.evaluate(board, 'O')).toBe(0);
+    expect(evaluator.evaluate(board, 'X')).toBe(0);
+  });
+
+  test('相手の評価には defense を掛けて差し引く', () => {
+    board.placeMarker(2, 2, 'X');
+    const aggressive = Evaluator.load('aggressive');
+    const defensive = Evaluator.load('defensive');
+
+    expect(aggressive.evaluate(board, 'O')).toBeLessThan(0);
+    expect(defensive.evaluate(board, 'O')).toBeLessThan(aggressive.evaluate(board, 'O'));
+  });
+
+  test('BitBoard でも Board と同じ値になる', () => {
+    const evaluator = Evaluator.load('standard');
+    [[2, 2, 'O'], [1, 1, 'X'], [2, 3, 'O'], [0, 4, 'X']].forEach(([row, col, player]) => {
+      board.placeMarker(row, col, player);
+    });
+
+    expect(evaluator.evaluate(BitBoard.fromBoard(board), 'O')).toBe(evaluator.evaluate(board, 'O'));
+  });
+});
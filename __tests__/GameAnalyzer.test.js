@@ -0,0 +1,67 @@
+const GameAnalyzer = require('../src/GameAnalyzer');
+const Board = require('../src/Board');
+const Random = require('../src/Random');
+
+describe('GameAnalyzer Class', () => {
+  /**
+   * 手順どおりに駒を置いたボードを作成する
+   * @param {number} size - ボードのサイズ
+   * @param {number} winLength - 勝利条件の長さ
+   * @param {Array} moves - [row, col] のリスト（O から交互に打つ）
+   * @returns {Board} 駒を置いたボード
+   */
+  const createBoard = (size, winLength, moves) => {
+    const board = new Board(size, winLength);
+    moves.forEach(([row, col], index) => board.placeMarker(row, col, index % 2 === 0 ? 'O' : 'X'));
+    return board;
+  };
+
+  test('3×3では完全読みで悪手・勝ち逃し・敗着を見つける', () => {
+    // X の2手目 (0, 1) は負けになる悪手。O は5手目で勝ちを逃し、7手目で負けになる手を打ち、X が勝つ
+    const board = createBoard(3, 3, [[1, 1], [0, 1], [0, 0], [2, 2], [0, 2], [2, 0], [1, 0], [2, 1]]);
+    const analysis = new GameAnalyzer().analyze(board);
+
+    expect(analysis.exact).toBe(true);
+    expect(analysis.winner).toBe('X');
+    expect(analysis.moves).toHaveLength(8);
+    expect(analysis.moves[1]).toMatchObject({ ply: 2, player: 'X', before: 0, after: -1, classification: 'blunder' });
+    expect(analysis.moves[4]).toMatchObject({ ply: 5, player: 'O', before: 1, after: 0, classification: 'missedWin' });
+    expect(analysis.blunders).toEqual([2, 7]);
+    expect(analysis.missedWins).toEqual([5]);
+    expect(analysis.decisiveMistake).toBe(7);
+    // 勝った最後の手の後は勝ち
+    expect(analysis.moves[7]).toMatchObject({ before: 1, after: 1, classification: null });
+  });
+
+  test('引き分けの対局には敗着がない', () => {
+    const board = createBoard(3, 3, [[1, 1], [0, 0], [0, 1], [2, 1], [1, 0], [1, 2], [2, 0], [0, 2], [2, 2]]);
+    const analysis = new GameAnalyzer().analyze(board);
+
+    expect(analysis.winner).toBeNull();
+    expect(analysis.blunders).toEqual([]);
+    expect(analysis.decisiveMistake).toBeNull();
+    expect(analysis.moves.every(move => move.before === 0 && move.after === 0)).toBe(true);
+  });
+
+  test('5×5以上では探索で読み切れた勝敗から悪手を見つけ、評価値を記録する', () => {
+    // O の横の3連 (2, 1)〜(2, 3) を X が4手目で止めなかったため、両端のどちらかで勝たれる
+    const board = createBoard(5, 4, [[2, 2], [0, 0], [2, 1], [0, 4], [2, 3], [4, 4], [2, 0]]);
+    const progress = jest.fn();
+    const analysis = new GameAnalyzer({ timeBudget: Infinity, maxDepth: 3, random: new Random(1) }).analyze(board, progress);
+
+    expect(analysis.exact).toBe(false);
+    expect(analysis.winner).toBe('O');
+    expect(analysis.decisiveMistake).toBe(4);
+    expect(analysis.moves[3]).toMatchObject({ player: 'X', after: -1, classification: 'blunder' });
+    expect(typeof analysis.moves[0].score).toBe('number');
+    expect(analysis.moves[6].score).toBeNull();
+    expect(progress).toHaveBeenLastCalledWith(8, 8);
+  });
+
+  test('手のない対局も分析できる', () => {
+    const analysis = new GameAnalyzer().analyze(new Board(3, 3));
+
+    expect(analysis.moves).toEqual([]);
+    expect(analysis.decisiveMistake).toBeNull();
+  });
+});
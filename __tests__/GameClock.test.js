@@ -0,0 +1,87 @@
+const GameClock = require('../src/GameClock');
+
+describe('GameClock Class', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('手番のプレイヤーの時計だけが進む', () => {
+    const clock = new GameClock({ mode: 'total', initial: 60, increment: 0 });
+    clock.start('O');
+    jest.advanceTimersByTime(5000);
+
+    expect(clock.getRemaining('O')).toBe(55000);
+    expect(clock.getRemaining('X')).toBe(60000);
+
+    clock.start('X');
+    jest.advanceTimersByTime(2000);
+
+    expect(clock.getRemainingTimes()).toEqual({ O: 55000, X: 58000 });
+  });
+
+  test('持ち時間の方式では1手ごとに加算時間が足される', () => {
+    const clock = new GameClock({ mode: 'total', initial: 60, increment: 3 });
+    clock.start('O');
+    jest.advanceTimersByTime(10000);
+
+    expect(clock.stop()).toBe(53000);
+    expect(clock.isRunning()).toBe(false);
+  });
+
+  test('1手ごとの制限時間は手番ごとに元に戻る', () => {
+    const clock = new GameClock({ mode: 'move', perMove: 10 });
+    clock.start('O');
+    jest.advanceTimersByTime(7000);
+    expect(clock.getRemaining('O')).toBe(3000);
+
+    clock.stop();
+    expect(clock.getRemaining('O')).toBe(10000);
+  });
+
+  test('通信相手が手元で計った時間より多い残り時間を送っても反映しない', () => {
+    const clock = new GameClock({ mode: 'total', initial: 60, increment: 0 });
+    clock.start('X');
+    jest.advanceTimersByTime(10000);
+    clock.stop();
+
+    // 相手が時間を使っていないと申告しても、手元で計った50秒のまま
+    expect(clock.applyReportedRemaining('X', 60000)).toBe(50000);
+    expect(clock.applyReportedRemaining('X', 'much')).toBe(50000);
+    // 通信の遅れなどで手元より少ない値は反映する
+    expect(clock.applyReportedRemaining('X', 48000)).toBe(48000);
+  });
+
+  test('持ち時間を使い切ると時間切れになる', () => {
+    const clock = new GameClock({ mode: 'move', perMove: 10 });
+    clock.start('X');
+    jest.advanceTimersByTime(10001);
+
+    expect(clock.isFlagged('X')).toBe(true);
+    expect(clock.isFlagged('O')).toBe(false);
+    expect(clock.stop()).toBe(0);
+  });
+
+  test('シリアライズと復元で残り時間が引き継がれる', () => {
+    const clock = new GameClock({ mode: 'total', initial: 120, increment: 1 });
+    clock.start('O');
+    jest.advanceTimersByTime(30000);
+
+    const data = JSON.parse(JSON.stringify(clock.serialize()));
+    const restored = new GameClock(data.timeControl);
+    restored.deserialize(data);
+
+    expect(restored.getRemainingTimes()).toEqual({ O: 90000, X: 120000 });
+    expect(restored.isRunning()).toBe(false);
+  });
+
+  test('不正な持ち時間の設定はエラーになる', () => {
+    expect(() => new GameClock({ mode: 'move', perMove: 0 })).toThrow('1手ごとの制限時間は');
+    expect(() => new GameClock({ mode: 'total', initial: 60, increment: -1 })).toThrow('加算時間は');
+    expect(() => new GameClock({ mode: 'hourglass' })).toThrow('不明な持ち時間の方式です');
+  });
+});
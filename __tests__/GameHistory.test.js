@@ -0,0 +1,142 @@
+const GameHistory = require('../src/GameHistory');
+const Board = require('../src/Board');
+
+describe('GameHistory Class', () => {
+  /**
+   * 対局の記録を作成する
+   * @param {Object} options - 記録の内容（省略した項目は1人プレイ・上級・自分の勝ち）
+   * @returns {Object} 対局の記録
+   */
+  const createRecord = (options = {}) => ({
+    version: 1,
+    date: '2026-10-19T12:00:00.000Z',
+    mode: 'single',
+    difficulty: 'hard',
+    playerMarker: 'O',
+    winner: 'O',
+    moves: [],
+    ...options
+  });
+
+  test('終局したボードから対局の記録を作成できる', () => {
+    const board = new Board(3, 3);
+    [[0, 0, 'O'], [1, 1, 'X'], [0, 1, 'O'], [2, 2, 'X'], [0, 2, 'O']]
+      .forEach(([row, col, player]) => board.placeMarker(row, col, player));
+
+    const record = GameHistory.createRecord({
+      board,
+      mode: 'single',
+      difficulty: 'master',
+      aiProfile: 'aggressive',
+      playerMarker: 'X',
+      winner: 'O',
+      reason: null,
+      startedAt: Date.parse('2026-10-19T12:00:00Z'),
+      endedAt: Date.parse('2026-10-19T12:01:30Z'),
+      seed: 42
+    });
+
+    expect(record).toEqual({
+      version: 1,
+      date: '2026-10-19T12:01:30.000Z',
+      mode: 'single',
+      difficulty: 'master',
+      aiProfile: 'aggressive',
+      size: 3,
+      winLength: 3,
+      players: { O: 'ai', X: 'human' },
+      playerMarker: 'X',
+      winner: 'O',
+      reason: null,
+      moves: board.moveHistory,
+      duration: 90000,
+      seed: 42
+    });
+    // 記録の手順はボードの手順と別の配列
+    expect(record.moves).not.toBe(board.moveHistory);
+  });
+
+  test('2人プレイの記録には、自分の駒・難易度・シード値を含めない', () => {
+    const record = GameHistory.createRecord({
+      board: new Board(3, 3),
+      mode: 'multi',
+      difficulty: null,
+      playerMarker: 'O',
+      winner: null,
+      startedAt: 0,
+      endedAt: 1000,
+      seed: 42
+    });
+
+    expect(record.players).toEqual({ O: 'human', X: 'human' });
+    expect(record.playerMarker).toBeNull();
+    expect(record.difficulty).toBeNull();
+    expect(record.seed).toBeNull();
+  });
+
+  test('セーブデータと決着していない対局の記録を相互に変換できる', () => {
+    const board = new Board(5, 4);
+    [[2, 2, 'O'], [1, 1, 'X'], [2, 3, 'O']].forEach(([row, col, player]) => board.placeMarker(row, col, player));
+    board.currentPlayer = 'X';
+    const gameState = {
+      board: board.serialize(),
+      gameMode: 'single',
+      difficulty: 'master',
+      playerMarker: 'X',
+      aiMarker: 'O',
+      currentPlayer: 'X',
+      boardSize: 5,
+      winLength: 4,
+      aiProfile: null,
+      random: null,
+      clock: null,
+      elapsed: 30000
+    };
+
+    const record = GameHistory.fromSave(JSON.parse(JSON.stringify(gameState)));
+    expect(record.winner).toBeUndefined();
+    expect(record.date).toBeNull();
+    expect(record.players).toEqual({ O: 'ai', X: 'human' });
+    expect(record.duration).toBe(30000);
+
+    expect(GameHistory.toSave(record)).toEqual(gameState);
+  });
+
+  test('人間のプレイヤーから見た結果を判定できる', () => {
+    expect(GameHistory.getOutcome(createRecord())).toBe('win');
+    expect(GameHistory.getOutcome(createRecord({ winner: 'X' }))).toBe('loss');
+    expect(GameHistory.getOutcome(createRecord({ winner: null }))).toBe('draw');
+    // 2人プレイで勝負がついた対局は、どちらから見た結果ともいえない
+    expect(GameHistory.getOutcome(createRecord({ mode: 'multi', playerMarker: null }))).toBeNull();
+  });
+
+  test('結果・難易度・日付で絞り込める', () => {
+    const records = [
+      createRecord({ date: '2026-10-21T12:00:00.000Z' }),
+      createRecord({ date: '2026-10-20T12:00:00.000Z', winner: 'X', difficulty: 'master' }),
+      createRecord({ date: '2026-10-19T12:00:00.000Z', winner: null, difficulty: 'easy' }),
+      createRecord({ date: '2026-10-18T12:00:00.000Z', mode: 'multi', playerMarker: null, difficulty: null })
+    ];
+    const history = new GameHistory(records);
+
+    expect(history.filter()).toEqual(records);
+    expect(history.filter({ result: 'win' })).toEqual([records[0]]);
+    expect(history.filter({ result: 'loss' })).toEqual([records[1]]);
+    expect(history.filter({ result: 'draw' })).toEqual([records[2]]);
+    expect(history.filter({ difficulty: 'master' })).toEqual([records[1]]);
+    expect(history.filter({ from: '2026-10-19', to: '2026-10-20' })).toEqual([records[1], records[2]]);
+    expect(history.filter({ to: '2026-10-18' })).toEqual([records[3]]);
+    expect(history.filter({ result: 'loss', difficulty: 'easy' })).toEqual([]);
+  });
+
+  test('不明な結果で絞り込むとエラーになる', () => {
+    expect(() => new GameHistory([]).filter({ result: 'resign' })).toThrow('不明な結果です: resign');
+  });
+
+  test('日付の形式を確認できる', () => {
+    expect(GameHistory.isValidDate('2026-10-19')).toBe(true);
+    expect(GameHistory.isValidDate('2026-02-30')).toBe(false);
+    expect(GameHistory.isValidDate('2026/10/19')).toBe(false);
+    expect(GameHistory.isValidDate('')).toBe(false);
+  });
+});
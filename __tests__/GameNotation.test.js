@@ -0,0 +1,132 @@
+const GameNotation = require('../src/GameNotation');
+const GameHistory = require('../src/GameHistory');
+const Board = require('../src/Board');
+
+describe('GameNotation Class', () => {
+  /**
+   * O が左の列をそろえて勝つ5×5の棋譜
+   */
+  const text = [
+    '[Date "2026.10.19"]',
+    '[Time "12:34:56"]',
+    '[Size "5"]',
+    '[WinLength "4"]',
+    '[Mode "single"]',
+    '[O "human"]',
+    '[X "ai:hard"]',
+    '[Result "1-0"]',
+    '',
+    '1. a1 b1 2. a2 b2 3. a3 b3 4. a4 1-0',
+    ''
+  ].join('\n');
+
+  /**
+   * 手順を書き換えた棋譜を作成する
+   * @param {string} moves - 手順
+   * @param {string} result - Result タグの値
+   * @returns {string} 棋譜
+   */
+  const withMoves = (moves, result = '*') =>
+    text.replace('[Result "1-0"]', `[Result "${result}"]`).replace('1. a1 b1 2. a2 b2 3. a3 b3 4. a4 1-0', moves);
+
+  test('座標と手を相互に変換できる', () => {
+    expect(GameNotation.formatCoordinate(2, 2)).toBe('c3');
+    expect(GameNotation.formatCoordinate(9, 0)).toBe('a10');
+    expect(GameNotation.parseCoordinate('c3')).toEqual({ row: 2, col: 2 });
+    expect(GameNotation.parseCoordinate('a10')).toEqual({ row: 9, col: 0 });
+    expect(GameNotation.parseCoordinate('c0')).toBeNull();
+    expect(GameNotation.parseCoordinate('3c')).toBeNull();
+  });
+
+  test('棋譜を読み込み、手順を打ったボードと対局の記録を作成できる', () => {
+    const { tags, board, record } = GameNotation.parse(text);
+
+    expect(tags.Size).toBe('5');
+    expect(board.moveHistory).toHaveLength(7);
+    expect(board.board[3][0]).toBe('O');
+    expect(board.getLastMoveWinner()).toBe('O');
+    expect(record).toMatchObject({
+      date: '2026-10-19T12:34:56.000Z',
+      mode: 'single',
+      difficulty: 'hard',
+      size: 5,
+      winLength: 4,
+      players: { O: 'human', X: 'ai' },
+      playerMarker: 'O',
+      winner: 'O'
+    });
+  });
+
+  test('読み込んで書き出すと同じ棋譜になる', () => {
+    const { record } = GameNotation.parse(text);
+
+    expect(GameNotation.stringify(record)).toBe(text);
+  });
+
+  test('ボードの手順から書き出した棋譜を読み込むと、同じボードになる', () => {
+    const board = new Board(6, 4);
+    [[2, 2, 'O'], [3, 3, 'X'], [2, 3, 'O'], [0, 5, 'X'], [5, 0, 'O']]
+      .forEach(([row, col, player]) => board.placeMarker(row, col, player));
+    const record = GameHistory.fromSave({ board: board.serialize(), gameMode: 'multi', playerMarker: 'O' });
+
+    const result = GameNotation.parse(GameNotation.stringify(record));
+    expect(result.board.board).toEqual(board.board);
+    expect(result.board.moveHistory).toEqual(board.moveHistory);
+    expect(result.board.currentPlayer).toBe('X');
+    // 決着していない対局
+    expect(result.tags.Result).toBe('*');
+    expect(result.record.winner).toBeUndefined();
+  });
+
+  test('長い手順は行を折り返し、タグの値の引用符はエスケープする', () => {
+    const moves = [];
+    for (let index = 0; index < 40; index++) {
+      moves.push({ row: Math.floor(index / 7), col: index % 7, player: index % 2 === 0 ? 'O' : 'X' });
+    }
+    const record = { size: 7, winLength: 7, moves, winner: undefined, reason: 'O の "投了"' };
+
+    const output = GameNotation.stringify(record);
+    expect(output).toContain('[Termination "O の \\"投了\\""]');
+    output.split('\n').forEach(line => expect(line.length).toBeLessThanOrEqual(80));
+    expect(GameNotation.parse(output).record.reason).toBe('O の "投了"');
+  });
+
+  test('ラインがそろっていない勝ちは、時間切れや投了として読み込める', () => {
+    const { record } = GameNotation.parse(withMoves('1. a1 b1 2. c3 0-1', '0-1'));
+
+    expect(record.winner).toBe('X');
+  });
+
+  test('正しくない手は何手目のどの手かを示してエラーになる', () => {
+    expect(() => GameNotation.parse(withMoves('1. a1 b1 2. f1 *'))).toThrow('3手目 "f1" はボードの外です');
+    expect(() => GameNotation.parse(withMoves('1. a1 a1 *'))).toThrow('2手目 "a1" のマスにはすでに駒があります');
+    expect(() => GameNotation.parse(withMoves('1. a1 b1 2. zz *'))).toThrow('3手目 "zz" は座標として読めません');
+    expect(() => GameNotation.parse(withMoves('1. a1 b1 2. a2 b2 3. a3 b3 4. a4 b4 1-0', '1-0')))
+      .toThrow('8手目 "b4" は O の勝ちが決まった後の手です');
+    expect(() => GameNotation.parse(withMoves('1. a1 b1 3. a2 *'))).toThrow('3手目の前の番号 "3." が正しくありません');
+  });
+
+  test('結果が手順と一致しない場合はエラーになる', () => {
+    expect(() => GameNotation.parse(text.replace('[Result "1-0"]', '[Result "0-1"]')))
+      .toThrow('Result タグ "0-1" と手順の最後の結果 "1-0" が一致しません');
+    expect(() => GameNotation.parse(withMoves('1. a1 b1 2. a2 b2 3. a3 b3 4. a4 0-1', '0-1')))
+      .toThrow('O の勝ちで終わっています');
+    expect(() => GameNotation.parse(withMoves('1. a1 b1 1/2-1/2', '1/2-1/2'))).toThrow('ボードにまだ空きマスがあります');
+    // Object のプロパティ名は結果として扱わない
+    expect(() => GameNotation.parse(withMoves('1. a1 b1 *', 'toString'))).toThrow('結果 "toString" が読めません');
+    expect(() => GameNotation.parse(withMoves('1. a1 b1 constructor'))).toThrow('3手目 "constructor" は座標として読めません');
+  });
+
+  test('タグが正しくない場合はエラーになる', () => {
+    expect(() => GameNotation.parse(text.replace('[Size "5"]\n', ''))).toThrow('Size タグがありません');
+    expect(() => GameNotation.parse(text.replace('[WinLength "4"]', '[WinLength "6"]'))).toThrow('WinLength タグの値 "6"');
+    expect(() => GameNotation.parse(text.replace('[X "ai:hard"]', '[X "robot"]'))).toThrow('対局者 X "robot" が読めません');
+    expect(() => GameNotation.parse(text.replace('[Size "5"]', '[Size 5]'))).toThrow('3行目のタグが読めません');
+    expect(() => GameNotation.parse(text.replace('[Date "2026.10.19"]', '[Date "2026.13.45"]')))
+      .toThrow('Date タグの値 "2026.13.45" が日付として読めません');
+    expect(() => GameNotation.parse(text.replace('[Date "2026.10.19"]', '[Date "2026.02.30"]'))).toThrow('Date タグの値');
+    expect(() => GameNotation.parse(text.replace('[Time "12:34:56"]', '[Time "25:00:00"]')))
+      .toThrow('Time タグの値 "25:00:00" が時刻として読めません');
+    expect(() => GameNotation.parse(text.replace('[Time "12:34:56"]', '[Time "24:00:00"]'))).toThrow('Time タグの値');
+  });
+});
@@ -0,0 +1,324 @@
+const net = require('net');
+const GameServer = require('../src/GameServer');
+const LobbyClient = require('../src/LobbyClient');
+const NetworkGame = require('../src/NetworkGame');
+const { PROTOCOL_VERSION, MessageParser, encodeMessage } = require('../src/Protocol');
+
+/**
+ * サーバーと直接メッセージをやり取りするスクリプト用クライアントを作成する
+ * @param {number} port - サーバーのポート番号
+ * @returns {Promise<Object>} クライアント {send, write, next, close}
+ */
+const connectScriptedClient = port => new Promise((resolve) => {
+  const socket = net.createConnection({ port });
+  const parser = new MessageParser();
+  const received = [];
+  const waiters = [];
+
+  const flush = () => {
+    for (let i = 0; i < waiters.length; i++) {
+      const index = received.findIndex(message => message.type === waiters[i].type);
+      if (index !== -1) {
+        waiters[i].resolve(received.splice(index, 1)[0]);
+        waiters.splice(i, 1);
+        i--;
+      }
+    }
+  };
+
+  socket.on('data', (chunk) => {
+    received.push(...parser.push(chunk));
+    flush();
+  });
+
+  socket.on('connect', () => resolve({
+    send: (type, payload) => socket.write(encodeMessage(type, payload)),
+    write: data => socket.write(data),
+    next: type => new Promise((done) => {
+      waiters.push({ type, resolve: done });
+      flush();
+    }),
+    close: () => socket.destroy()
+  }));
+});
+
+/**
+ * 指定したイベントが発生するまで待つ
+ * @param {NetworkGame} game - 対象のネットワークゲーム
+ * @param {string} event - イベント名
+ * @returns {Promise} イベントの引数
+ */
+const waitFor = (game, event) => new Promise(resolve => game.on(event, resolve));
+
+describe('GameServer Class', () => {
+  let server;
+  let lobby;
+  let clients;
+
+  beforeEach(async () => {
+    server = new GameServer({ port: 0, reconnectGrace: 200 });
+    const { port } = await server.start();
+    lobby = new LobbyClient('localhost', port);
+    clients = [];
+  });
+
+  afterEach(async () => {
+    for (const client of clients) {
+      client.disconnect();
+    }
+    await server.stop();
+  });
+
+  /**
+   * ゲームを作成し、2人のクライアントを参加させる
+   * @param {Object} options - ゲームの設定 {boardSize, winLength}
+   * @returns {Promise<Object>} {gameId, first（先攻）, second（後攻）}
+   */
+  const startMatch = async (options = { boardSize: 5, winLength: 4 }) => {
+    const { gameId } = await lobby.createGame(options);
+    const players = [new NetworkGame(), new NetworkGame()];
+    clients.push(...players);
+
+    await Promise.all(players.map(player => player.joinGame(lobby.getGameAddress(gameId))));
+
+    // 席は到着順に決まるため、先攻（O）を first にする
+    const [first, second] = players.sort((a, b) => a.marker.localeCompare(b.marker));
+    return { gameId, first, second };
+  };
+
+  test('ロビーでゲームを作成し、一覧に表示される', async () => {
+    const created = await lobby.createGame({ boardSize: 6, winLength: 4 });
+    expect(created.gameId).toMatch(/^[0-9a-f]{6}$/);
+
+    const games = await lobby.listGames();
+    expect(games).toEqual([{
+      gameId: created.gameId,
+      boardSize: 6,
+      winLength: 4,
+      players: 0,
+      spectators: 0,
+      timeControl: null,
+      status: 'waiting'
+    }]);
+  });
+
+  test('不正な設定のゲームは作成できない', async () => {
+    await expect(lobby.createGame({ boardSize: 12, winLength: 4 })).rejects.toThrow('ボードサイズは');
+    await expect(lobby.createGame({ boardSize: 4, winLength: 5 })).rejects.toThrow('勝利条件は');
+    expect(await lobby.listGames()).toEqual([]);
+  });
+
+  test('1つの接続で作成できる、誰も参加していないゲームの数には上限がある', async () => {
+    const client = await connectScriptedClient(server.port);
+
+    for (let i = 0; i < 3; i++) {
+      client.send('create', { boardSize: 3, winLength: 3 });
+      await client.next('created');
+    }
+    client.send('create', { boardSize: 3, winLength: 3 });
+    expect((await client.next('error')).message).toContain('3つまで');
+    expect(await lobby.listGames()).toHaveLength(3);
+
+    client.close();
+  });
+
+  test('誰も参加しないゲームは期限が切れるか、作成した接続が閉じられると削除される', async () => {
+    const expiringServer = new GameServer({ port: 0, matchExpiry: 200, abandonedExpiry: 50 });
+    const { port } = await expiringServer.start();
+    const expiringLobby = new LobbyClient('localhost', port);
+
+    try {
+      const creator = await connectScriptedClient(port);
+      creator.send('create', { boardSize: 3, winLength: 3 });
+      const { gameId } = await creator.next('created');
+      // 作成した接続が開いたままでも、期限が切れると削除される
+      await new Promise(resolve => setTimeout(resolve, 300));
+      expect(expiringServer.matches.has(gameId)).toBe(false);
+
+      // ロビーの作成要求の接続は応答の後に閉じられるため、少し待ってから削除される
+      const created = await expiringLobby.createGame({ boardSize: 3, winLength: 3 });
+      await new Promise(resolve => setTimeout(resolve, 150));
+      expect(expiringServer.matches.has(created.gameId)).toBe(false);
+
+      // 誰かが参加したゲームは削除されない
+      const joined = await expiringLobby.createGame({ boardSize: 3, winLength: 3 });
+      const player = await connectScriptedClient(port);
+      player.send('hello', { version: PROTOCOL_VERSION, gameId: joined.gameId });
+      await new Promise(resolve => setTimeout(resolve, 300));
+      expect(await expiringLobby.listGames()).toMatchObject([{ gameId: joined.gameId, players: 1 }]);
+
+      creator.close();
+      player.close();
+    } finally {
+      await expiringServer.stop();
+    }
+  });
+
+  test('2人がそろうと対局が始まり、手が相手に転送される', async () => {
+    const { gameId, first, second } = await startMatch({ boardSize: 3, winLength: 3 });
+
+    expect(first.marker).toBe('O');
+    expect(second.marker).toBe('X');
+    expect(second.board.size).toBe(3);
+    expect((await lobby.listGames())[0]).toMatchObject({ gameId, players: 2, status: 'playing' });
+
+    const received = waitFor(second, 'move');
+    await first.sendMove({ row: 1, col: 1 });
+    expect(await received).toEqual({ row: 1, col: 1 });
+
+    const reply = waitFor(first, 'move');
+    await second.sendMove({ row: 0, col: 0 });
+    expect(await reply).toEqual({ row: 0, col: 0 });
+    expect(first.board.getHash()).toBe(second.board.getHash());
+  });
+
+  test('複数の対局を同時に進行できる', async () => {
+    const matchA = await startMatch({ boardSize: 5, winLength: 4 });
+    const matchB = await startMatch({ boardSize: 7, winLength: 5 });
+
+    const receivedA = waitFor(matchA.second, 'move');
+    const receivedB = waitFor(matchB.second, 'move');
+    await Promise.all([
+      matchA.first.sendMove({ row: 0, col: 0 }),
+      matchB.first.sendMove({ row: 6, col: 6 })
+    ]);
+
+    expect(await receivedA).toEqual({ row: 0, col: 0 });
+    expect(await receivedB).toEqual({ row: 6, col: 6 });
+    expect(server.matches.get(matchA.gameId).board.board[6]).toBeUndefined();
+    expect(server.matches.get(matchB.gameId).board.board[6][6]).toBe('O');
+    expect((await lobby.listGames()).length).toBe(2);
+  });
+
+  test('不正な手はサーバーで拒否される', async () => {
+    const { gameId } = await lobby.createGame({ boardSize: 5, winLength: 4 });
+    const playerO = await connectScriptedClient(server.port);
+    const playerX = await connectScriptedClient(server.port);
+
+    playerO.send('hello', { version: PROTOCOL_VERSION, gameId });
+    playerX.send('hello', { version: PROTOCOL_VERSION, gameId });
+    await Promise.all([playerO.next('hello'), playerX.next('hello')]);
+
+    playerX.send('move', { row: 0, col: 0 });
+    expect(await playerX.next('error')).toMatchObject({ code: 'out-of-turn' });
+    expect((await playerX.next('sync')).board.moveHistory).toEqual([]);
+
+    playerO.send('move', { row: 0, col: 0 });
+    await playerX.next('move');
+    playerX.send('move', { row: 0, col: 0 });
+    expect(await playerX.next('error')).toMatchObject({ code: 'occupied' });
+
+    playerO.close();
+    playerX.close();
+  });
+
+  test('不正な行にはエラーを返し、接続を切らずに続きのメッセージを処理する', async () => {
+    const { gameId } = await lobby.createGame({ boardSize: 5, winLength: 4 });
+    const client = await connectScriptedClient(server.port);
+
+    client.write('not json\n' + encodeMessage('list'));
+    expect(await client.next('error')).toMatchObject({ code: 'invalid-request' });
+    expect((await client.next('games')).games.map(game => game.gameId)).toEqual([gameId]);
+
+    client.close();
+  });
+
+  test('観戦者は現在の盤面とその後の手を受け取る', async () => {
+    const { gameId, first, second } = await startMatch();
+    const received = waitFor(second, 'move');
+    await first.sendMove({ row: 2, col: 2 });
+    await received;
+
+    const spectator = await connectScriptedClient(server.port);
+    spectator.send('hello', { version: PROTOCOL_VERSION, gameId, role: 'spectator' });
+
+    expect(await spectator.next('hello')).toMatchObject({ role: 'spectator', boardSize: 5 });
+    expect((await spectator.next('sync')).board.board[2][2]).toBe('O');
+
+    await second.sendMove({ row: 3, col: 3 });
+    expect(await spectator.next('move')).toMatchObject({ row: 3, col: 3, player: 'X' });
+    expect((await lobby.listGames())[0].spectators).toBe(1);
+
+    spectator.close();
+  });
+
+  test('観戦者数の変化が対局者に通知される', async () => {
+    const { gameId, first, second } = await startMatch();
+
+    const firstCount = waitFor(first, 'spectators');
+    const spectator = new NetworkGame();
+    clients.push(spectator);
+    await spectator.spectateGame(lobby.getGameAddress(gameId));
+    expect(await firstCount).toEqual({ count: 1 });
+
+    const spectated = waitFor(spectator, 'move');
+    await first.sendMove({ row: 0, col: 0 });
+    expect(await spectated).toEqual({ row: 0, col: 0, player: 'O' });
+
+    const secondCount = waitFor(second, 'spectators');
+    spectator.disconnect();
+    expect(await secondCount).toEqual({ count: 0 });
+    expect(second.getStatus().spectators).toBe(0);
+  });
+
+  test('チャットはサーバーが送信者を付けて転送する', async () => {
+    const { gameId, first, second } = await startMatch();
+    const spectator = new NetworkGame();
+    clients.push(spectator);
+    await spectator.spectateGame(lobby.getGameAddress(gameId));
+
+    const secondReceived = waitFor(second, 'chat');
+    const spectatorReceived = waitFor(spectator, 'chat');
+    await first.sendChat({ emote: 'hello' });
+    expect(await secondReceived).toEqual({ from: 'O', emote: 'hello' });
+    expect(await spectatorReceived).toEqual({ from: 'O', emote: 'hello' });
+
+    const firstReceived = waitFor(first, 'chat');
+    await spectator.sendChat({ text: 'がんばれ' });
+    expect(await firstReceived).toEqual({ from: 'spectator', text: 'がんばれ' });
+  });
+
+  test('存在しないゲームや満員のゲームには参加できない', async () => {
+    const client = new NetworkGame();
+    await expect(client.joinGame(lobby.getGameAddress('nothere')))
+      .rejects.toThrow('指定されたゲームが見つかりませんでした');
+
+    const { gameId } = await startMatch();
+    await expect(client.joinGame(lobby.getGameAddress(gameId)))
+      .rejects.toThrow('このゲームにはすでに対戦相手がいます');
+  });
+
+  test('持ち時間を使い切った対局者は時間切れで負けになる', async () => {
+    const timeControl = { mode: 'move', perMove: 0.2 };
+    const { gameId, first, second } = await startMatch({ boardSize: 5, winLength: 4, timeControl });
+    expect(first.timeControl).toEqual(timeControl);
+
+    // 持ち時間が残っている間は相手の時間切れを申告できない
+    const rejected = waitFor(second, 'error');
+    second.claimTimeout();
+    expect((await rejected).message).toContain('相手の持ち時間はまだ残っています');
+
+    await new Promise(resolve => setTimeout(resolve, 250));
+    const resigned = waitFor(first, 'resign');
+    await first.sendMove({ row: 0, col: 0 }).catch(() => {});
+
+    expect(await resigned).toEqual({ gameId, marker: 'O', reason: '時間切れ' });
+    expect(server.matches.get(gameId).status).toBe('finished');
+  });
+
+  test('猶予時間内に再接続しない対局者は負けになる', async () => {
+    const { gameId } = await lobby.createGame({ boardSize: 5, winLength: 4 });
+    const absent = await connectScriptedClient(server.port);
+    const remaining = new NetworkGame();
+    clients.push(remaining);
+
+    absent.send('hello', { version: PROTOCOL_VERSION, gameId });
+    await remaining.joinGame(lobby.getGameAddress(gameId));
+
+    const resigned = waitFor(remaining, 'resign');
+    absent.close();
+
+    expect(await resigned).toEqual({ gameId, marker: 'O', reason: '相手が時間内に再接続しませんでした' });
+    expect(await lobby.listGames()).toEqual([]);
+  });
+});
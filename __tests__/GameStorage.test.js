@@ -170,6 +170,46 @@ describe('GameStorage Class', () => {
     });
   });
 
+  test('学習データを保存・読み込みできる', () => {
+    // 学習データがない場合は未学習（空のオブジェクト）
+    expect(storage.loadLearning()).toEqual({});
+    expect(storage.learningFilePath).toBe(path.join(process.cwd(), 'learning.json'));
+    
+    const learning = { version: 1, profiles: { '5x5/4': { weights: [0.5, 1, 2, -0.5, -1, -2, 0], games: 3 } } };
+    expect(storage.saveLearning(learning)).toBe(true);
+    expect(storage.loadLearning()).toEqual(learning);
+  });
+
+  test('分析結果をJSONファイルに書き出せる', () => {
+    const analysis = { version: 1, size: 3, winLength: 3, moves: [], blunders: [], missedWins: [], decisiveMistake: null };
+    const filePath = storage.saveAnalysis(analysis, new Date('2026-10-19T12:34:56Z'));
+    
+    expect(filePath).toBe(path.join(process.cwd(), 'analysis', 'analysis-20261019-123456.json'));
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual(analysis);
+  });
+
+  test('対局の記録をアーカイブに保存し、新しい順に読み込める', () => {
+    // アーカイブがない場合は空の一覧
+    expect(storage.getArchivedGames()).toEqual([]);
+    
+    const record = { version: 1, date: '2026-10-19T12:34:56.789Z', mode: 'single', moves: [] };
+    const later = { ...record, date: '2026-10-20T08:00:00.000Z' };
+    
+    expect(storage.archiveGame(record)).toBe('game-20261019-123456-789');
+    // 同じ時刻の記録は番号を付けて別のファイルにする
+    expect(storage.archiveGame(record)).toBe('game-20261019-123456-789-2');
+    expect(storage.archiveGame(later)).toBe('game-20261020-080000-000');
+    
+    const records = storage.getArchivedGames();
+    expect(records.map(entry => entry.id)).toEqual([
+      'game-20261020-080000-000',
+      'game-20261019-123456-789-2',
+      'game-20261019-123456-789'
+    ]);
+    expect(storage.loadArchivedGame('game-20261019-123456-789')).toEqual({ ...record, id: 'game-20261019-123456-789' });
+    expect(storage.loadArchivedGame('missing')).toBeNull();
+  });
+
   test('セーブディレクトリが存在しない場合、作成される', () => {
     // セーブディレクトリを削除
     fs.rmdirSync(storage.saveDirPath);
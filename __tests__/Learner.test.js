@@ -0,0 +1,65 @@
+const Learner = require('../src/Learner');
+const Board = require('../src/Board');
+const Random = require('../src/Random');
+
+describe('Learner Class', () => {
+  let learner;
+  let board;
+
+  beforeEach(() => {
+    learner = new Learner();
+    board = new Board(5, 4);
+  });
+
+  test('未学習の重みはすべて0で、ボードサイズと勝利条件ごとに作られる', () => {
+    expect(learner.getProfile(board).weights).toEqual([0, 0, 0, 0, 0, 0, 0]);
+    expect(learner.getProfile(new Board(3, 3)).weights.length).toBe(5);
+    expect(Object.keys(learner.profiles)).toEqual(['5x5/4', '3x3/3']);
+    expect(learner.evaluate(board, 'O')).toBe(0);
+  });
+
+  test('局面の特徴を数える', () => {
+    board.placeMarker(2, 2, 'O');
+    board.placeMarker(0, 0, 'X');
+
+    const features = learner.getFeatures(board, 'O');
+    const lineCount = 28; // 5×5で4連続の場合のラインの数
+
+    // (2, 2) を通る8本のうち、(0, 0) から (3, 3) の斜めのラインは両方の駒を含む
+    expect(features[0] * lineCount).toBe(7);
+    expect(features[3] * lineCount).toBe(2);
+    expect(features[6]).toBe(0); // 最後に打ったのは X なので、O の手番
+    expect(learner.getFeatures(board, 'X')[6]).toBe(1);
+  });
+
+  test('勝った揺らぎの向きに重みを動かし、負けた場合は逆に動かす', () => {
+    const noise = learner.createNoise(board, new Random(1));
+    const variant = learner.createVariant(board, noise, -1);
+
+    expect(variant.getProfile(board).weights).toEqual(noise.map(value => -value));
+    // 揺らぎを加えても元の重みは変わらない
+    expect(learner.getProfile(board).weights).toEqual([0, 0, 0, 0, 0, 0, 0]);
+
+    learner.learnFromResult(board, noise, 1);
+    const afterWin = [...learner.getProfile(board).weights];
+    expect(afterWin).toEqual(noise.map(value => learner.learningRate * 0.5 * value));
+
+    learner.learnFromResult(board, noise, 0.5);
+    expect(learner.getProfile(board).weights).toEqual(afterWin);
+
+    learner.learnFromResult(board, noise, 0);
+    learner.getProfile(board).weights.forEach(weight => expect(weight).toBeCloseTo(0));
+    expect(learner.getGamesLearned(board)).toBe(3);
+  });
+
+  test('学習データをシリアライズして復元できる', () => {
+    learner.learnFromResult(board, learner.createNoise(board, new Random(2)), 1);
+
+    const restored = new Learner(JSON.parse(JSON.stringify(learner.serialize())));
+    board.placeMarker(1, 1, 'O');
+
+    expect(restored.evaluate(board, 'O')).toBe(learner.evaluate(board, 'O'));
+    expect(restored.getGamesLearned(board)).toBe(1);
+    expect(() => new Learner({ version: 99 })).toThrow('対応していない学習データのバージョンです: 99');
+  });
+});
@@ -0,0 +1,81 @@
+const MCTS = require('../src/MCTS');
+const Board = require('../src/Board');
+const Random = require('../src/Random');
+
+describe('MCTS Class', () => {
+  let board;
+
+  beforeEach(() => {
+    board = new Board(5, 4);
+  });
+
+  test('すぐに勝てる手があれば選ぶ', () => {
+    // X X X . .
+    // O O . . .
+    // O . . . .
+    board.placeMarker(1, 0, 'O');
+    board.placeMarker(0, 0, 'X');
+    board.placeMarker(1, 1, 'O');
+    board.placeMarker(0, 1, 'X');
+    board.placeMarker(2, 0, 'O');
+    board.placeMarker(0, 2, 'X');
+
+    const mcts = new MCTS({ iterations: 200, random: new Random(1) });
+    expect(mcts.search(board, 'X')).toEqual({ row: 0, col: 3 });
+  });
+
+  test('相手の勝ちを防ぐ手を選ぶ', () => {
+    // O O O . .
+    board.placeMarker(0, 0, 'O');
+    board.placeMarker(2, 2, 'X');
+    board.placeMarker(0, 1, 'O');
+    board.placeMarker(3, 3, 'X');
+    board.placeMarker(0, 2, 'O');
+
+    const mcts = new MCTS({ iterations: 200, random: new Random(1) });
+    expect(mcts.search(board, 'X')).toEqual({ row: 0, col: 3 });
+  });
+
+  test('同じシード値では同じ手と同じ結果になる', () => {
+    const largeBoard = new Board(7, 5);
+    largeBoard.placeMarker(3, 3, 'O');
+    largeBoard.placeMarker(2, 2, 'X');
+    largeBoard.placeMarker(3, 4, 'O');
+
+    const first = new MCTS({ iterations: 500, random: new Random(7) });
+    const second = new MCTS({ iterations: 500, random: new Random(7) });
+
+    expect(first.search(largeBoard, 'X')).toEqual(second.search(largeBoard, 'X'));
+    expect(first.getLastSearchInfo().iterations).toBe(500);
+    expect(first.getLastSearchInfo().winRate).toBe(second.getLastSearchInfo().winRate);
+    // 探索に使ったボードは元のボードとは別
+    expect(largeBoard.moveHistory.length).toBe(3);
+  });
+
+  test('制限時間で探索を終える', () => {
+    const largeBoard = new Board(8, 5);
+    largeBoard.placeMarker(4, 4, 'O');
+
+    const mcts = new MCTS({ timeBudget: 50, random: new Random(3) });
+    const start = Date.now();
+    const move = mcts.search(largeBoard, 'X');
+
+    expect(Date.now() - start).toBeLessThan(1000);
+    expect(largeBoard.board[move.row][move.col]).toBe(' ');
+    expect(mcts.getLastSearchInfo().iterations).toBeGreaterThan(0);
+  });
+
+  test('3×3のボードでは負けない手を選び続ける', () => {
+    const smallBoard = new Board(3, 3);
+    const random = new Random(11);
+    let player = 'O';
+
+    // MCTS同士で対局すると引き分けになる
+    while (!smallBoard.checkDraw()) {
+      const move = new MCTS({ iterations: 2000, random }).search(smallBoard, player);
+      smallBoard.placeMarker(move.row, move.col, player);
+      expect(smallBoard.isWinningMove(move.row, move.col)).toBe(false);
+      player = player === 'O' ? 'X' : 'O';
+    }
+  });
+});
@@ -0,0 +1,58 @@
+const MoveExplainer = require('../src/MoveExplainer');
+const Board = require('../src/Board');
+
+describe('MoveExplainer Class', () => {
+  let explainer;
+  let board;
+
+  /**
+   * 駒を順に置く
+   * @param {Array} moves - [row, col, player] のリスト
+   */
+  const place = (moves) => {
+    moves.forEach(([row, col, player]) => board.placeMarker(row, col, player));
+  };
+
+  beforeEach(() => {
+    explainer = new MoveExplainer();
+    board = new Board(5, 4);
+  });
+
+  test('すぐに勝てる手は、他の理由を挙げない', () => {
+    place([[2, 0, 'O'], [2, 1, 'O'], [2, 2, 'O']]);
+
+    expect(explainer.explain(board, { row: 2, col: 3 }, 'O')).toEqual([{ type: 'win' }]);
+  });
+
+  test('相手の勝ちを防ぐ手', () => {
+    place([[2, 0, 'O'], [2, 1, 'O'], [2, 2, 'O']]);
+
+    const reasons = explainer.explain(board, { row: 2, col: 3 }, 'X');
+    expect(reasons[0]).toEqual({ type: 'block', player: 'O', length: 3 });
+    // ふさいだラインは obstruct として重ねて挙げない
+    expect(reasons.map(reason => reason.type)).not.toContain('obstruct');
+  });
+
+  test('二重の脅威を作る手と、相手の二重の脅威を防ぐ手', () => {
+    // (1, 1) に打つと横の (1, 3) と縦の (3, 1) の2か所で勝てる
+    place([[1, 0, 'O'], [1, 2, 'O'], [0, 1, 'O'], [2, 1, 'O'], [4, 4, 'X']]);
+
+    expect(explainer.explain(board, { row: 1, col: 1 }, 'O').map(reason => reason.type)).toContain('doubleThreat');
+    expect(explainer.explain(board, { row: 1, col: 1 }, 'X')).toContainEqual({ type: 'preventDoubleThreat', player: 'O' });
+  });
+
+  test('勝ちにつながるマスを1か所作る手と、ラインを伸ばす手', () => {
+    place([[0, 0, 'O'], [0, 1, 'O'], [4, 4, 'X']]);
+
+    expect(explainer.explain(board, { row: 0, col: 2 }, 'O')).toContainEqual({ type: 'threat', length: 3 });
+    expect(explainer.explain(board, { row: 3, col: 4 }, 'X')).toContainEqual({ type: 'extend', length: 2 });
+    expect(explainer.explain(board, { row: 0, col: 2 }, 'X')).toContainEqual({ type: 'obstruct', player: 'O', length: 2 });
+  });
+
+  test('理由が見つからない手と、ボードを変更しないこと', () => {
+    const before = board.serialize();
+
+    expect(explainer.explain(board, { row: 2, col: 2 }, 'O')).toEqual([{ type: 'position' }]);
+    expect(board.serialize()).toEqual(before);
+  });
+});
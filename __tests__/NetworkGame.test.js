@@ -0,0 +1,345 @@
+const net = require('net');
+const NetworkGame = require('../src/NetworkGame');
+const {
+  PROTOCOL_VERSION,
+  parseAddress,
+  validateChat,
+  MessageParser,
+  encodeMessage
+} = require('../src/Protocol');
+
+/**
+ * 指定したイベントが発生するまで待つ
+ * @param {NetworkGame} game - 対象のネットワークゲーム
+ * @param {string} event - イベント名
+ * @returns {Promise} イベントの引数
+ */
+const waitFor = (game, event) => new Promise(resolve => game.on(event, resolve));
+
+describe('Protocol', () => {
+  test('接続先の文字列を解析できる', () => {
+    expect(parseAddress('192.168.0.2:6000/room1')).toEqual({
+      host: '192.168.0.2',
+      port: 6000,
+      gameId: 'room1'
+    });
+    expect(parseAddress('room2')).toEqual({ host: 'localhost', port: 5050, gameId: 'room2' });
+    expect(() => parseAddress('localhost:6000/')).toThrow();
+  });
+
+  test('分割して届いたデータを行単位のメッセージに復元できる', () => {
+    const parser = new MessageParser();
+    const data = encodeMessage('move', { row: 1, col: 2 }) + encodeMessage('bye');
+
+    expect(parser.push(data.slice(0, 10))).toEqual([]);
+    expect(parser.push(data.slice(10))).toEqual([
+      { row: 1, col: 2, type: 'move' },
+      { type: 'bye' }
+    ]);
+  });
+
+  test('区切りをまたいだ複数バイトの文字を復元できる', () => {
+    const parser = new MessageParser();
+    const data = Buffer.from(encodeMessage('chat', { text: 'よろしく' }));
+    // 「よ」の途中で区切る
+    const index = data.indexOf(Buffer.from('よ')) + 1;
+
+    expect(parser.push(data.subarray(0, index))).toEqual([]);
+    expect(parser.push(data.subarray(index))).toEqual([{ text: 'よろしく', type: 'chat' }]);
+  });
+
+  test('チャットの内容を検証できる', () => {
+    expect(validateChat({ text: 'よろしく' })).toBeNull();
+    expect(validateChat({ emote: 'gg' })).toBeNull();
+    expect(validateChat({ text: '   ' }).message).toBe('メッセージが空です');
+    expect(validateChat({ text: 'a'.repeat(101) }).message).toContain('100文字以内');
+    expect(validateChat({ emote: 'unknown' }).message).toContain('不明なエモート');
+  });
+
+  test('不正な行はエラーとして通知し、残りの行の解析を続ける', () => {
+    const errors = [];
+    const parser = new MessageParser({ onError: error => errors.push(error.message) });
+
+    expect(parser.push('{"type":"unknown"}\nnot json\n' + encodeMessage('bye'))).toEqual([{ type: 'bye' }]);
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toContain('不明な種類のメッセージ');
+    expect(errors[1]).toContain('不正なメッセージ');
+  });
+
+  test('最大文字数を超えるメッセージは受け付けない', () => {
+    const errors = [];
+    const parser = new MessageParser({ maxLength: 20, onError: error => errors.push(error.message) });
+
+    // 改行で終わる長い行は通知して読み飛ばす
+    expect(parser.push(encodeMessage('chat', { text: 'a'.repeat(20) }) + encodeMessage('bye'))).toEqual([{ type: 'bye' }]);
+    expect(errors[0]).toContain('20文字まで');
+    // 改行のないまま最大文字数を超えた場合は続きを解析できない
+    expect(() => parser.push('{"type":"chat","text":"')).toThrow('受信したメッセージが長すぎます');
+  });
+});
+
+describe('NetworkGame Class', () => {
+  let host;
+  let guest;
+
+  beforeEach(() => {
+    host = new NetworkGame();
+    guest = new NetworkGame();
+  });
+
+  afterEach(() => {
+    guest.disconnect();
+    host.disconnect();
+  });
+
+  test('ループバックでホストと参加者が接続できる', async () => {
+    const hosted = await host.hostGame('game1', { port: 0, boardSize: 6, winLength: 4 });
+    expect(hosted.success).toBe(true);
+    expect(hosted.port).toBeGreaterThan(0);
+
+    const hostConnected = waitFor(host, 'connect');
+    const joined = await guest.joinGame(`localhost:${hosted.port}/game1`);
+
+    expect(joined).toMatchObject({ success: true, isHost: false, marker: 'X', boardSize: 6, winLength: 4 });
+    expect(await hostConnected).toEqual({ isHost: true, gameId: 'game1' });
+    expect(host.getStatus().isConnected).toBe(true);
+    expect(guest.getStatus().isConnected).toBe(true);
+  });
+
+  test('手が相手に届く', async () => {
+    const { port } = await host.hostGame('game1', { port: 0 });
+    await guest.joinGame(`localhost:${port}/game1`);
+
+    const received = waitFor(guest, 'move');
+    await host.sendMove({ row: 2, col: 3 });
+    expect(await received).toEqual({ row: 2, col: 3 });
+
+    const reply = waitFor(host, 'move');
+    await guest.sendMove({ row: 0, col: 1 });
+    expect(await reply).toEqual({ row: 0, col: 1 });
+  });
+
+  test('投了と盤面の同期が相手に届く', async () => {
+    const { port } = await host.hostGame('game1', { port: 0 });
+    await guest.joinGame(`localhost:${port}/game1`);
+
+    await host.sendMove({ row: 1, col: 1 });
+    const synced = waitFor(guest, 'sync');
+    await host.sendSync();
+    expect(await synced).toEqual(host.board.serialize());
+
+    const resigned = waitFor(host, 'resign');
+    await guest.resign();
+    expect(await resigned).toEqual({ gameId: 'game1', marker: 'X' });
+  });
+
+  test('受信した手は盤面のハッシュ値とともに検証して反映される', async () => {
+    const { port } = await host.hostGame('game1', { port: 0 });
+    await guest.joinGame(`localhost:${port}/game1`);
+
+    const received = waitFor(guest, 'move');
+    await host.sendMove({ row: 2, col: 2 });
+    await received;
+
+    expect(guest.board.board[2][2]).toBe('O');
+    expect(guest.board.getHash()).toBe(host.board.getHash());
+  });
+
+  test('手番ではない手は拒否され、盤面に反映されない', async () => {
+    const { port } = await host.hostGame('game1', { port: 0 });
+    await guest.joinGame(`localhost:${port}/game1`);
+
+    // 先攻はホストなので、参加者の手は手番違反になる
+    await expect(guest.sendMove({ row: 0, col: 0 })).rejects.toThrow('X の手番ではありません');
+
+    const onMove = jest.fn();
+    host.on('move', onMove);
+    const hostError = waitFor(host, 'error');
+    const guestError = waitFor(guest, 'error');
+    guest.peer.write(encodeMessage('move', { row: 0, col: 0 }));
+
+    expect((await hostError).message).toContain('X の手番ではありません');
+    expect((await guestError).message).toContain('相手に拒否されました');
+    expect(onMove).not.toHaveBeenCalled();
+    expect(host.board.board[0][0]).toBe(' ');
+  });
+
+  test('すでに駒がある位置や範囲外の手は拒否される', async () => {
+    const { port } = await host.hostGame('game1', { port: 0 });
+    await guest.joinGame(`localhost:${port}/game1`);
+
+    const received = waitFor(guest, 'move');
+    await host.sendMove({ row: 1, col: 1 });
+    await received;
+
+    const occupied = waitFor(host, 'error');
+    guest.peer.write(encodeMessage('move', { row: 1, col: 1 }));
+    expect((await occupied).message).toContain('すでに駒が置かれています');
+
+    const outOfRange = waitFor(host, 'error');
+    guest.peer.write(encodeMessage('move', { row: 9, col: 0 }));
+    expect((await outOfRange).message).toContain('範囲外の位置です');
+
+    expect(host.board.moveHistory.length).toBe(1);
+  });
+
+  test('盤面が一致しない場合はホストの盤面に同期される', async () => {
+    const { port } = await host.hostGame('game1', { port: 0 });
+    await guest.joinGame(`localhost:${port}/game1`);
+
+    // 参加者の盤面だけを壊して不一致を起こす
+    guest.board.board[4][4] = 'X';
+
+    const synced = waitFor(guest, 'sync');
+    await host.sendMove({ row: 0, col: 0 });
+    const snapshot = await synced;
+
+    expect(snapshot).toEqual(host.board.serialize());
+    expect(guest.board.board[4][4]).toBe(' ');
+    expect(guest.board.getHash()).toBe(host.board.getHash());
+  });
+
+  test('切断された参加者が再接続し、見逃した手を再生して再開できる', async () => {
+    const { port } = await host.hostGame('game1', { port: 0 });
+    await guest.joinGame(`localhost:${port}/game1`);
+
+    const received = waitFor(guest, 'move');
+    await host.sendMove({ row: 0, col: 0 });
+    await received;
+
+    const hostReceived = waitFor(host, 'move');
+    await guest.sendMove({ row: 1, col: 0 });
+    await hostReceived;
+
+    // 送信したが相手に届かなかった手として、ホストの盤面にだけ反映する
+    host.applyMove({ row: 2, col: 2 }, 'O');
+
+    const replayed = [];
+    guest.on('move', move => replayed.push(move));
+    const hostWaiting = waitFor(host, 'reconnecting');
+    const resumed = waitFor(guest, 'reconnect');
+    guest.peer.destroy();
+
+    expect(await hostWaiting).toMatchObject({ isHost: true });
+    expect(await resumed).toEqual({ missedMoves: [{ row: 2, col: 2 }], isHost: false });
+    expect(replayed).toEqual([{ row: 2, col: 2 }]);
+    expect(guest.board.getHash()).toBe(host.board.getHash());
+    expect(guest.getStatus().isConnected).toBe(true);
+
+    // 再開後も通常どおり手を送受信できる
+    const reply = waitFor(host, 'move');
+    await guest.sendMove({ row: 3, col: 3 });
+    expect(await reply).toEqual({ row: 3, col: 3 });
+  });
+
+  test('猶予時間内に再接続されない場合は不戦敗になる', async () => {
+    const { port } = await host.hostGame('game1', { port: 0, reconnectGrace: 200 });
+
+    // 再接続を行わない参加者として、あいさつだけを送って切断する
+    const socket = net.createConnection({ port });
+    socket.write(encodeMessage('hello', { version: PROTOCOL_VERSION, gameId: 'game1' }));
+    await waitFor(host, 'connect');
+
+    const countdown = waitFor(host, 'reconnecting');
+    const forfeited = waitFor(host, 'forfeit');
+    socket.destroy();
+
+    expect((await countdown).remaining).toBeLessThanOrEqual(1);
+    expect(await forfeited).toMatchObject({ winner: 'O' });
+    expect(host.getStatus().isReconnecting).toBe(false);
+  });
+
+  test('観戦者は現在の盤面と両者の手を受け取り、観戦者数が対局者に通知される', async () => {
+    const { port } = await host.hostGame('game1', { port: 0 });
+    await guest.joinGame(`localhost:${port}/game1`);
+
+    const received = waitFor(guest, 'move');
+    await host.sendMove({ row: 1, col: 1 });
+    await received;
+
+    const spectator = new NetworkGame();
+    const hostCount = waitFor(host, 'spectators');
+    const guestCount = waitFor(guest, 'spectators');
+    const synced = waitFor(spectator, 'sync');
+    const watched = await spectator.spectateGame(`localhost:${port}/game1`);
+
+    expect(watched).toMatchObject({ success: true, isSpectator: true, boardSize: 5, winLength: 4 });
+    expect((await synced).board[1][1]).toBe('O');
+    expect(await hostCount).toEqual({ count: 1 });
+    expect(await guestCount).toEqual({ count: 1 });
+
+    const spectated = waitFor(spectator, 'move');
+    await guest.sendMove({ row: 2, col: 2 });
+    expect(await spectated).toEqual({ row: 2, col: 2, player: 'X' });
+    expect(spectator.board.getHash()).toBe(host.board.getHash());
+    await expect(spectator.sendMove({ row: 0, col: 0 })).rejects.toThrow('観戦中は手を打てません');
+
+    const left = waitFor(guest, 'spectators');
+    spectator.disconnect();
+    expect(await left).toEqual({ count: 0 });
+  });
+
+  test('チャットは送信者を付けて対局者と観戦者に届く', async () => {
+    const { port } = await host.hostGame('game1', { port: 0 });
+    await guest.joinGame(`localhost:${port}/game1`);
+
+    const spectator = new NetworkGame();
+    await spectator.spectateGame(`localhost:${port}/game1`);
+
+    const hostReceived = waitFor(host, 'chat');
+    const spectatorReceived = waitFor(spectator, 'chat');
+    expect(await guest.sendChat({ text: ' よろしく ' })).toEqual({ from: 'X', text: 'よろしく' });
+    expect(await hostReceived).toEqual({ from: 'X', text: 'よろしく' });
+    expect(await spectatorReceived).toEqual({ from: 'X', text: 'よろしく' });
+
+    const guestReceived = waitFor(guest, 'chat');
+    await spectator.sendChat({ emote: 'wow' });
+    expect(await guestReceived).toEqual({ from: 'spectator', emote: 'wow' });
+
+    await expect(host.sendChat({ emote: 'unknown' })).rejects.toThrow('不明なエモートです');
+    spectator.disconnect();
+  });
+
+  test('対局中のゲームにはトークンなしで参加できない', async () => {
+    const { port } = await host.hostGame('game1', { port: 0 });
+    await guest.joinGame(`localhost:${port}/game1`);
+
+    const intruder = new NetworkGame();
+    await expect(intruder.joinGame(`localhost:${port}/game1`))
+      .rejects.toThrow('このゲームにはすでに対戦相手がいます');
+  });
+
+  test('存在しないゲームIDでは参加できない', async () => {
+    const { port } = await host.hostGame('game1', { port: 0 });
+
+    await expect(guest.joinGame(`localhost:${port}/other`))
+      .rejects.toThrow('指定されたゲームが見つかりませんでした');
+    expect(guest.getStatus().isConnected).toBe(false);
+  });
+
+  test('待ち受けていないポートには接続できない', async () => {
+    const errors = [];
+    guest.on('error', error => errors.push(error));
+
+    const { port } = await host.hostGame('game1', { port: 0 });
+    host.disconnect();
+
+    await expect(guest.joinGame(`localhost:${port}/game1`)).rejects.toThrow('ホストに接続できませんでした');
+    expect(errors.length).toBe(1);
+  });
+
+  test('切断すると相手に通知される', async () => {
+    const { port } = await host.hostGame('game1', { port: 0 });
+    await guest.joinGame(`localhost:${port}/game1`);
+
+    const disconnected = waitFor(host, 'disconnect');
+    guest.disconnect();
+
+    expect(await disconnected).toMatchObject({ gameId: 'game1', isHost: true });
+    expect(host.getStatus().isConnected).toBe(false);
+  });
+
+  test('接続していない状態では手を送信できない', async () => {
+    await expect(guest.sendMove({ row: 0, col: 0 })).rejects.toThrow('接続されていません');
+  });
+});
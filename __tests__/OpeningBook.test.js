@@ -0,0 +1,58 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OpeningBook = require('../src/OpeningBook');
+const Solver = require('../src/Solver');
+const Board = require('../src/Board');
+
+describe('OpeningBook Class', () => {
+  test('回転・反転した局面は同じキーになる', () => {
+    const corners = [[0, 0], [0, 3], [3, 0], [3, 3]].map(([row, col]) => {
+      const board = new Board(4, 4);
+      board.placeMarker(row, col, 'O');
+      return OpeningBook.getPositionKey(board, 'X');
+    });
+
+    expect(new Set(corners).size).toBe(1);
+
+    const center = new Board(4, 4);
+    center.placeMarker(1, 1, 'O');
+    expect(OpeningBook.getPositionKey(center, 'X')).not.toBe(corners[0]);
+    expect(OpeningBook.getPositionKey(center, 'O')).not.toBe(OpeningBook.getPositionKey(center, 'X'));
+  });
+
+  test('記録した局面の値を保存・読み込みできる', () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'book-')), 'book.json');
+    const board = new Board(3, 3);
+    board.placeMarker(0, 0, 'O');
+
+    const book = new OpeningBook();
+    book.set(board, 'X', Solver.DRAW);
+    book.save(filePath);
+
+    const loaded = OpeningBook.load(filePath);
+    const mirrored = new Board(3, 3);
+    mirrored.placeMarker(2, 0, 'O');
+
+    expect(loaded.size).toBe(1);
+    expect(loaded.get(mirrored, 'X')).toBe(Solver.DRAW);
+    // 記録した駒の数より多い局面や、別の勝利条件の局面は引けない
+    mirrored.placeMarker(1, 1, 'X');
+    expect(loaded.get(mirrored, 'O')).toBeUndefined();
+    expect(loaded.get(new Board(4, 3), 'O')).toBeUndefined();
+
+    fs.rmSync(path.dirname(filePath), { recursive: true });
+  });
+
+  test('同梱の定石ファイルの値はソルバーの結果と一致する', () => {
+    const book = OpeningBook.load();
+    const solver = new Solver();
+
+    for (const [size, winLength] of [[3, 3], [4, 3], [4, 4]]) {
+      const board = new Board(size, winLength);
+      board.placeMarker(0, 1, 'O');
+      expect(book.get(board, 'X')).toBe(solver.solve(board, 'X'));
+    }
+    expect(OpeningBook.load(path.join(os.tmpdir(), 'missing-book.json')).size).toBe(0);
+  });
+});
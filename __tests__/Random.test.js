@@ -0,0 +1,50 @@
+const Random = require('../src/Random');
+
+describe('Random Class', () => {
+  test('同じシード値からは同じ乱数列が得られる', () => {
+    const first = new Random(1234);
+    const second = new Random(1234);
+    const other = new Random(5678);
+
+    const sequence = Array.from({ length: 10 }, () => first.nextUint32());
+    expect(Array.from({ length: 10 }, () => second.nextUint32())).toEqual(sequence);
+    expect(Array.from({ length: 10 }, () => other.nextUint32())).not.toEqual(sequence);
+  });
+
+  test('指定した範囲の乱数を生成できる', () => {
+    const random = new Random(42);
+
+    for (let i = 0; i < 1000; i++) {
+      const value = random.next();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+
+      const integer = random.nextInt(7);
+      expect(Number.isInteger(integer)).toBe(true);
+      expect(integer).toBeGreaterThanOrEqual(0);
+      expect(integer).toBeLessThan(7);
+    }
+
+    expect(['a', 'b', 'c']).toContain(random.pick(['a', 'b', 'c']));
+    expect(random.pick([])).toBeUndefined();
+  });
+
+  test('シード値を省略した場合も記録される', () => {
+    const random = new Random();
+
+    expect(Number.isInteger(random.seed)).toBe(true);
+    expect(new Random(random.seed).nextUint32()).toBe(random.nextUint32());
+  });
+
+  test('状態を保存して復元すると、続きの乱数列が得られる', () => {
+    const random = new Random(5);
+    random.next();
+    const saved = JSON.parse(JSON.stringify(random.serialize()));
+    const expected = [random.nextUint32(), random.nextUint32()];
+
+    const restored = new Random(1);
+    restored.deserialize(saved);
+    expect(restored.seed).toBe(5);
+    expect([restored.nextUint32(), restored.nextUint32()]).toEqual(expected);
+  });
+});
@@ -0,0 +1,85 @@
+const Replay = require('../src/Replay');
+const Board = require('../src/Board');
+
+describe('Replay Class', () => {
+  let board;
+  let replay;
+
+  beforeEach(() => {
+    // O が上の行をそろえて勝つ手順
+    board = new Board(3, 3);
+    [[0, 0, 'O'], [1, 1, 'X'], [0, 1, 'O'], [2, 2, 'X'], [0, 2, 'O']]
+      .forEach(([row, col, player]) => board.placeMarker(row, col, player));
+    replay = Replay.fromBoard(board);
+  });
+
+  test('初期局面から再生を始める', () => {
+    expect(replay.ply).toBe(0);
+    expect(replay.length).toBe(5);
+    expect(replay.isAtStart()).toBe(true);
+    expect(replay.getLastMove()).toBeNull();
+    expect(replay.getBoard().getEmptyCells()).toHaveLength(9);
+    expect(replay.getNextPlayer()).toBe('O');
+  });
+
+  test('1手ずつ進めたり戻したりできる', () => {
+    expect(replay.next()).toBe(true);
+    expect(replay.next()).toBe(true);
+    expect(replay.getLastMove()).toEqual({ row: 1, col: 1, player: 'X' });
+    expect(replay.getBoard().board[1][1]).toBe('X');
+    expect(replay.getBoard().currentPlayer).toBe('O');
+
+    expect(replay.prev()).toBe(true);
+    expect(replay.getBoard().board[1][1]).toBe(' ');
+    expect(replay.getBoard().currentPlayer).toBe('X');
+  });
+
+  test('最初と最後の局面からは、それ以上動かない', () => {
+    expect(replay.prev()).toBe(false);
+
+    replay.jumpTo(replay.length);
+    expect(replay.isAtEnd()).toBe(true);
+    expect(replay.next()).toBe(false);
+    expect(replay.ply).toBe(5);
+  });
+
+  test('指定した手数に移動でき、範囲外は最初か最後になる', () => {
+    replay.jumpTo(3);
+    expect(replay.getBoard().moveHistory).toHaveLength(3);
+
+    replay.jumpTo(100);
+    expect(replay.ply).toBe(5);
+    expect(replay.getBoard().getLastMoveWinner()).toBe('O');
+
+    replay.jumpTo(-1);
+    expect(replay.ply).toBe(0);
+  });
+
+  test('元のボードを変更しない', () => {
+    replay.jumpTo(2);
+    replay.getBoard().placeMarker(2, 0, 'O');
+
+    expect(board.moveHistory).toHaveLength(5);
+    expect(replay.getBoard().board[2][0]).toBe(' ');
+  });
+
+  test('自動再生の速さを変えられる', () => {
+    const delay = replay.getDelay();
+
+    expect(replay.faster()).toBe(true);
+    expect(replay.getDelay()).toBeLessThan(delay);
+
+    while (replay.faster());
+    expect(replay.getDelay()).toBe(Replay.SPEEDS[Replay.SPEEDS.length - 1]);
+
+    while (replay.slower());
+    expect(replay.getDelay()).toBe(Replay.SPEEDS[0]);
+    expect(replay.slower()).toBe(false);
+  });
+
+  test('打てない手を含む手順はエラーになる', () => {
+    const moves = [{ row: 0, col: 0, player: 'O' }, { row: 0, col: 0, player: 'X' }];
+
+    expect(() => new Replay(3, 3, moves)).toThrow('2手目 (0,0) に打てません');
+  });
+});
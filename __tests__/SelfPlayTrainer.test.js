@@ -0,0 +1,54 @@
+const SelfPlayTrainer = require('../src/SelfPlayTrainer');
+const Learner = require('../src/Learner');
+const Random = require('../src/Random');
+const AI = require('../src/AI');
+const Board = require('../src/Board');
+
+describe('SelfPlayTrainer Class', () => {
+  test('対局を最後まで進めて勝者を返す', () => {
+    const random = new Random(1);
+    const trainer = new SelfPlayTrainer(new Learner(), { size: 5, winLength: 4, random });
+    const { winner, board } = trainer.playGame({
+      O: new AI('O', 'medium', { random }),
+      X: new AI('X', 'easy', { random })
+    });
+
+    if (winner) {
+      expect(board.getLastMoveWinner()).toBe(winner);
+    } else {
+      expect(board.checkDraw()).toBe(true);
+    }
+  });
+
+  test('勝率の測定では学習しない', () => {
+    const learner = new Learner();
+    const trainer = new SelfPlayTrainer(learner, { size: 5, winLength: 4, random: new Random(2) });
+    const result = trainer.evaluate(10);
+
+    expect(result.wins + result.draws + result.losses).toBe(10);
+    expect(result.winRate).toBe((result.wins + result.draws / 2) / 10);
+    expect(learner.getGamesLearned(new Board(5, 4))).toBe(0);
+  });
+
+  test('同じシード値では同じように学習する', () => {
+    const train = () => {
+      const learner = new Learner();
+      new SelfPlayTrainer(learner, { size: 5, winLength: 4, random: new Random(3) }).train(20);
+      return learner.serialize();
+    };
+
+    const learned = train();
+    expect(learned.profiles['5x5/4'].games).toBe(20);
+    expect(train()).toEqual(learned);
+  });
+
+  test('自己対局で学習すると中級AIとの勝率が上がる', () => {
+    const trainer = new SelfPlayTrainer(new Learner(), { size: 6, winLength: 4, random: new Random(3) });
+
+    const before = trainer.evaluate(40);
+    trainer.train(200);
+    const after = trainer.evaluate(40);
+
+    expect(after.winRate).toBeGreaterThan(before.winRate);
+  });
+});
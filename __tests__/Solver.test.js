@@ -0,0 +1,70 @@
+const Solver = require('../src/Solver');
+const Board = require('../src/Board');
+const OpeningBook = require('../src/OpeningBook');
+
+/**
+ * 手を順に打ったボードを作成する（O から交互に打つ）
+ * @param {number} size - ボードのサイズ
+ * @param {number} winLength - 勝利条件の長さ
+ * @param {Array} moves - 手のリスト [[row, col]]
+ * @returns {Board} ボード
+ */
+const createBoard = (size, winLength, moves) => {
+  const board = new Board(size, winLength);
+  moves.forEach(([row, col], index) => {
+    board.placeMarker(row, col, index % 2 === 0 ? 'O' : 'X');
+  });
+  return board;
+};
+
+describe('Solver Class', () => {
+  test('3×3の初期局面は引き分け', () => {
+    const solver = new Solver();
+
+    expect(solver.solve(new Board(3, 3), 'O')).toBe(Solver.DRAW);
+    expect(solver.solveMoves(new Board(3, 3), 'O').every(move => move.value === Solver.DRAW)).toBe(true);
+  });
+
+  test('4×4で3連続の場合は先手の勝ち、4連続の場合は引き分け', () => {
+    expect(new Solver().solve(new Board(4, 3), 'O')).toBe(Solver.WIN);
+    expect(new Solver().solve(new Board(4, 4), 'O')).toBe(Solver.DRAW);
+  });
+
+  test('負ける手と負けない手を区別する', () => {
+    // 角に打たれた後、辺に打つと負ける
+    const board = createBoard(3, 3, [[0, 0]]);
+    const values = {};
+    for (const move of new Solver().solveMoves(board, 'X')) {
+      values[`${move.row},${move.col}`] = move.value;
+    }
+
+    expect(values['1,1']).toBe(Solver.DRAW);
+    expect(values['0,1']).toBe(Solver.LOSS);
+    expect(values['1,0']).toBe(Solver.LOSS);
+  });
+
+  test('勝敗が決まった局面の値', () => {
+    const board = createBoard(3, 3, [[0, 0], [1, 0], [0, 1], [1, 1], [0, 2]]);
+    const solver = new Solver();
+
+    expect(solver.solve(board, 'X')).toBe(Solver.LOSS);
+    expect(solver.solve(createBoard(3, 3, [[0, 0], [1, 1], [0, 1]]), 'X')).toBe(Solver.DRAW);
+    expect(solver.solve(createBoard(3, 3, [[0, 0], [0, 1], [1, 1]]), 'X')).toBe(Solver.LOSS);
+  });
+
+  test('定石に記録された局面は探索しない', () => {
+    const board = createBoard(4, 4, [[1, 1]]);
+    const book = new OpeningBook();
+    book.set(board, 'X', Solver.LOSS);
+
+    const solver = new Solver({ book });
+    expect(solver.solve(board, 'X')).toBe(Solver.LOSS);
+    expect(solver.nodes).toBe(0);
+  });
+
+  test('大きなボードは読み切れない', () => {
+    expect(Solver.canSolve(new Board(4, 4))).toBe(true);
+    expect(Solver.canSolve(new Board(5, 4))).toBe(false);
+    expect(() => new Solver().solve(new Board(5, 4), 'O')).toThrow('5×5のボードは読み切れません');
+  });
+});
@@ -0,0 +1,115 @@
+const Statistics = require('../src/Statistics');
+
+describe('Statistics Class', () => {
+  let stats;
+
+  /**
+   * 1人プレイの対局を記録する
+   * @param {string|null} winner - 勝者（引き分けはnull）
+   * @param {Object} options - 対局の情報（省略した項目は達人・6×6・4連続・人間が先手・10手）
+   */
+  const recordSingle = (winner, options = {}) => {
+    stats.record({
+      mode: 'single',
+      difficulty: 'master',
+      size: 6,
+      winLength: 4,
+      playerMarker: 'O',
+      winner,
+      moves: 10,
+      ...options
+    });
+  };
+
+  beforeEach(() => {
+    stats = new Statistics();
+  });
+
+  test('統計情報がない場合は空の集計になる', () => {
+    const overall = stats.getOverall();
+
+    expect(overall.games).toBe(0);
+    expect(overall.winRate).toBeNull();
+    expect(overall.averageMoves).toBeNull();
+    expect(stats.getGroups()).toEqual([]);
+    // 引き継ぐ対局がなければ保存し直さない
+    expect(stats.migrated).toBe(false);
+  });
+
+  test('以前の形式の統計情報を変換し、全体の数を引き継ぐ', () => {
+    stats = new Statistics({ oWins: 5, xWins: 3, draws: 2, totalGames: 10 });
+
+    expect(stats.migrated).toBe(true);
+    expect(stats.serialize().version).toBe(2);
+
+    recordSingle('O', { moves: 7 });
+    const overall = stats.getOverall();
+    expect(overall).toMatchObject({ games: 11, oWins: 6, xWins: 3, draws: 2, migratedGames: 10 });
+    // 引き継いだ対局は手数がわからないため、平均手数に含めない
+    expect(overall.averageMoves).toBe(7);
+    expect(overall.firstMoveWinRate).toBeCloseTo(6 / 11);
+
+    // 変換した統計情報を読み込み直しても変わらない
+    const reloaded = new Statistics(JSON.parse(JSON.stringify(stats.serialize())));
+    expect(reloaded.migrated).toBe(false);
+    expect(reloaded.getOverall()).toEqual(overall);
+  });
+
+  test('モード・難易度・ボード・先手後手ごとに集計する', () => {
+    recordSingle('O');
+    recordSingle('X', { playerMarker: 'X', moves: 12 });
+    recordSingle('X', { difficulty: 'easy', size: 3, winLength: 3, moves: 5 });
+    stats.record({ mode: 'multi', difficulty: null, size: 5, winLength: 4, playerMarker: 'O', winner: 'X', moves: 8 });
+
+    const groups = stats.getGroups();
+    expect(groups.map(group => [group.mode, group.difficulty, group.size, group.humanFirst])).toEqual([
+      ['single', 'easy', 3, true],
+      ['single', 'master', 6, true],
+      ['single', 'master', 6, false],
+      ['multi', null, 5, null]
+    ]);
+
+    expect(groups[0]).toMatchObject({ games: 1, wins: 0, losses: 1, winRate: 0, firstMoveWinRate: 0 });
+    expect(groups[1]).toMatchObject({ games: 1, wins: 1, losses: 0, winRate: 1, firstMoveWinRate: 1 });
+    // 人間が後手（X）で勝った対局
+    expect(groups[2]).toMatchObject({ games: 1, wins: 1, firstMoveWinRate: 0, averageMoves: 12 });
+    // 2人プレイは人間から見た勝ち負けを数えない
+    expect(groups[3]).toMatchObject({ games: 1, xWins: 1, humanGames: 0, wins: 0, losses: 0, winRate: null });
+
+    const overall = stats.getOverall();
+    expect(overall).toMatchObject({ games: 4, oWins: 1, xWins: 3, humanGames: 3, wins: 2, losses: 1 });
+    expect(overall.averageMoves).toBe(35 / 4);
+  });
+
+  test('引き分けを0.5勝として勝率を求める', () => {
+    recordSingle('O');
+    recordSingle(null);
+    recordSingle('X');
+    recordSingle(null);
+
+    const [group] = stats.getGroups();
+    expect(group.draws).toBe(2);
+    expect(group.winRate).toBe(0.5);
+  });
+
+  test('連勝・連敗を記録する', () => {
+    ['O', 'O', 'O', 'X', 'X', null, 'O'].forEach(winner => recordSingle(winner));
+
+    const overall = stats.getOverall();
+    expect(overall.streak).toEqual({ result: 'win', count: 1 });
+    expect(overall.longestWinStreak).toBe(3);
+    expect(overall.longestLossStreak).toBe(2);
+
+    recordSingle(null);
+    recordSingle(null);
+    expect(stats.getOverall().streak).toEqual({ result: 'draw', count: 2 });
+  });
+
+  test('2人プレイの対局は連続記録を変えない', () => {
+    recordSingle('O');
+    recordSingle('O');
+    stats.record({ mode: 'multi', difficulty: null, size: 5, winLength: 4, playerMarker: 'O', winner: 'X', moves: 8 });
+
+    expect(stats.getOverall().streak).toEqual({ result: 'win', count: 2 });
+  });
+});
@@ -78,15 +78,22 @@ const mockAI = () => {
     marker: 'X',
     opponentMarker: 'O',
     difficulty: 'medium',
-    maxDepth: 2,
+    timeBudget: 250,
+    maxDepth: null,
     makeMove: jest.fn().mockReturnValue({ row: 1, col: 1 }),
     makeRandomMove: jest.fn().mockReturnValue({ row: 1, col: 1 }),
     makeMediumMove: jest.fn().mockReturnValue({ row: 1, col: 1 }),
     makeMinimaxMove: jest.fn().mockReturnValue({ row: 1, col: 1 }),
     minimax: jest.fn().mockReturnValue(0),
+    // 評価関数のプロファイル（Evaluator）
+    evaluator: {
+      name: 'classic',
+      evaluate: jest.fn().mockReturnValue(0)
+    },
     evaluateBoard: jest.fn().mockReturnValue(0),
-    evaluateLines: jest.fn().mockReturnValue(0),
-    getMaxDepthForDifficulty: jest.fn().mockReturnValue(2)
+    getTimeBudgetForDifficulty: jest.fn().mockReturnValue(250),
+    getProfileForDifficulty: jest.fn().mockReturnValue('classic'),
+    getLastSearchInfo: jest.fn().mockReturnValue(null)
   };
 };
 
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * 評価プロファイルの対戦
+ * 2つの評価プロファイルを同じ深さのミニマックスで対局させ、先手・後手を入れ替えながら勝敗を数える（Arena を使う）
+ *
+ * 使い方:
+ *   npm run bench:profiles -- standard classic [--games 20] [--size 5] [--win 4] [--depth 3] [--seed 1]
+ *   （プロファイルは同梱のプロファイルの名前、またはJSONファイルのパス）
+ */
+
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const Arena = require('../src/Arena');
+const Evaluator = require('../src/Evaluator');
+
+/**
+ * コマンドライン引数を解析する
+ * @param {Array} args - コマンドライン引数
+ * @returns {Object} プロファイルの名前と設定 {profiles, games, size, winLength, depth, seed}
+ */
+const parseArgs = (args) => {
+  const options = { profiles: [] };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = parseInt(args[i + 1], 10);
+      i++;
+    } else {
+      options.profiles.push(args[i]);
+    }
+  }
+
+  const size = options.size || 5;
+  return {
+    profiles: options.profiles.length >= 2 ? options.profiles.slice(0, 2) : ['standard', 'classic'],
+    games: options.games || 20,
+    size,
+    winLength: options.win || Math.min(4, size),
+    depth: options.depth || 3,
+    seed: options.seed !== undefined ? options.seed : 1
+  };
+};
+
+const settings = parseArgs(process.argv.slice(2));
+const [first, second] = settings.profiles;
+
+// 同じ深さのミニマックスで、評価プロファイルだけを変えて対局させる
+const arena = new Arena(settings.profiles.map(profile => ({
+  name: profile,
+  difficulty: 'hard',
+  options: { profile, maxDepth: settings.depth, timeBudget: Infinity }
+})), { seed: settings.seed });
+const [result] = arena.run(settings.games, [{ size: settings.size, winLength: settings.winLength }]);
+
+const table = new Table({
+  head: ['プロファイル', '説明', '勝ち', '引き分け', '負け', '得点率'].map(title => chalk.white(title))
+});
+[[first, result.wins, result.losses], [second, result.losses, result.wins]].forEach(([profile, wins, losses]) => {
+  table.push([
+    profile,
+    Evaluator.load(profile).description,
+    chalk.green(wins),
+    result.draws,
+    chalk.red(losses),
+    `${(((wins + result.draws / 2) / result.games) * 100).toFixed(1)}%`
+  ]);
+});
+
+console.log(chalk.cyanBright(
+  `【評価プロファイルの対戦】${settings.size}×${settings.size}（${settings.winLength}連続）、深さ${settings.depth}、${result.games}局`
+));
+console.log(table.toString());
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * 探索の深さのベンチマーク
+ * 難易度ごとの制限時間で、各局面をどの深さまで読めるかを表示する
+ *
+ * 使い方:
+ *   npm run bench
+ */
+
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const AI = require('../src/AI');
+const Board = require('../src/Board');
+
+/**
+ * 比較に使う局面（最初の数手はAIが探索せずに打つため、駒を3つ以上置いておく）
+ */
+const POSITIONS = [
+  { name: '5×5 序盤', size: 5, winLength: 4, moves: [[2, 2], [1, 1], [2, 1]] },
+  { name: '6×6 序盤', size: 6, winLength: 4, moves: [[2, 2], [3, 3], [2, 3], [2, 4]] },
+  { name: '7×7 序盤', size: 7, winLength: 5, moves: [[3, 3], [2, 2], [3, 4], [4, 4]] },
+  { name: '7×7 中盤', size: 7, winLength: 5, moves: [[3, 3], [2, 3], [3, 2], [3, 4], [2, 2], [4, 4]] }
+];
+
+/**
+ * 比較する難易度
+ */
+const DIFFICULTIES = ['hard', 'master'];
+
+/**
+ * 局面のボードを作成する（O から交互に打つ）
+ * @param {Object} position - 局面の設定
+ * @returns {Board} ボード
+ */
+const createBoard = (position) => {
+  const board = new Board(position.size, position.winLength);
+  position.moves.forEach(([row, col], index) => {
+    board.placeMarker(row, col, index % 2 === 0 ? 'O' : 'X');
+  });
+  return board;
+};
+
+const table = new Table({
+  head: ['局面', '難易度', '制限時間', '深さ', 'ノード数', '選んだ手'].map(title => chalk.white(title))
+});
+
+for (const position of POSITIONS) {
+  for (const difficulty of DIFFICULTIES) {
+    const ai = new AI(position.moves.length % 2 === 0 ? 'O' : 'X', difficulty);
+    const move = ai.makeMinimaxMove(createBoard(position));
+    const info = ai.getLastSearchInfo();
+
+    table.push([
+      position.name,
+      difficulty,
+      `${ai.timeBudget}ms`,
+      chalk.green(info.depth),
+      info.nodes.toLocaleString(),
+      `(${move.row}, ${move.col})`
+    ]);
+  }
+}
+
+console.log(chalk.cyanBright('【探索の深さのベンチマーク】'));
+console.log(table.toString());
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * 置換表のベンチマーク
+ * 同じ局面を同じ深さで探索し、置換表の有無で探索ノード数と時間を比較する
+ *
+ * 使い方:
+ *   npm run bench
+ */
+
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const AI = require('../src/AI');
+const Board = require('../src/Board');
+
+/**
+ * 比較に使う局面（最初の数手はAIが探索せずに打つため、駒を3つ以上置いておく）
+ */
+const POSITIONS = [
+  {
+    name: '5×5 序盤',
+    size: 5,
+    winLength: 4,
+    depth: 8,
+    moves: [[2, 2], [1, 1], [2, 1]]
+  },
+  {
+    name: '5×5 中盤',
+    size: 5,
+    winLength: 4,
+    depth: 8,
+    moves: [[2, 2], [1, 1], [2, 1], [2, 3], [1, 2], [3, 2]]
+  },
+  {
+    name: '6×6 序盤',
+    size: 6,
+    winLength: 4,
+    depth: 7,
+    moves: [[2, 2], [3, 3], [2, 3]]
+  },
+  {
+    name: '6×6 中盤',
+    size: 6,
+    winLength: 4,
+    depth: 7,
+    moves: [[2, 2], [3, 3], [2, 3], [2, 4], [4, 2], [3, 2]]
+  }
+];
+
+/**
+ * 局面のボードを作成する（O から交互に打つ）
+ * @param {Object} position - 局面の設定
+ * @returns {Board} ボード
+ */
+const createBoard = (position) => {
+  const board = new Board(position.size, position.winLength);
+  position.moves.forEach(([row, col], index) => {
+    board.placeMarker(row, col, index % 2 === 0 ? 'O' : 'X');
+  });
+  return board;
+};
+
+/**
+ * 制限時間なしで指定の深さまで探索する
+ * @param {Object} position - 局面の設定
+ * @param {boolean} useTable - 置換表を使うかどうか
+ * @returns {Object} 探索の結果 {move, depth, nodes, tableHits, time, score}
+ */
+const search = (position, useTable) => {
+  const marker = position.moves.length % 2 === 0 ? 'O' : 'X';
+  const ai = new AI(marker, 'master', {
+    maxDepth: position.depth,
+    timeBudget: Infinity,
+    transpositionTable: useTable
+  });
+  const move = ai.makeMinimaxMove(createBoard(position));
+  return { move, ...ai.getLastSearchInfo() };
+};
+
+const table = new Table({
+  head: ['局面', '深さ', '置換表なし', '置換表あり', 'ノード削減', '時間（なし → あり）'].map(title => chalk.white(title))
+});
+
+for (const position of POSITIONS) {
+  const without = search(position, false);
+  const withTable = search(position, true);
+
+  // 置換表は探索の結果を変えないはずなので、スコアが一致しない場合は知らせる
+  const sameResult = without.score === withTable.score;
+  const reduction = 1 - withTable.nodes / without.nodes;
+
+  table.push([
+    position.name,
+    position.depth,
+    without.nodes.toLocaleString(),
+    withTable.nodes.toLocaleString(),
+    chalk.green(`${(reduction * 100).toFixed(1)}%`),
+    `${without.time}ms → ${withTable.time}ms`
+  ]);
+
+  if (!sameResult) {
+    console.error(chalk.red(`${position.name}: 評価スコアが一致しません（${without.score} / ${withTable.score}）`));
+    process.exitCode = 1;
+  }
+}
+
+console.log(chalk.cyanBright('【置換表のベンチマーク】'));
+console.log(table.toString());
@@ -3,15 +3,292 @@
 /**
  * 高度な〇×ゲーム（五目並べ）エントリーポイント
  * 5×5ボードと難しいAI対戦を備えたコマンドラインゲーム
+ *
+ * 使い方:
+ *   tictactoe [--seed 42]          ゲームを起動（シード値を指定すると、同じ手順でAIが同じ手を打つ）
+ *   tictactoe serve [--port 5050]  ロビー付きのゲームサーバーを起動
+ *   tictactoe train [--games 200] [--eval 100] [--size 5] [--win 4] [--seed 1]
+ *                                  学習AIを自己対局で学習させ、学習前後の中級AIとの勝率を表示
+ *   tictactoe arena <AI設定> <AI設定> [--games 20] [--sizes 3,5,7] [--win 4] [--opening 2] [--seed 1]
+ *                                  2つのAI設定を対局させ、勝敗・1手あたりの平均時間・レーティング差を表示
+ *                                  （AI設定の例: hard、master:depth=5,profile=aggressive、mcts:iterations=500）
+ *   tictactoe export <記録ID|セーブ名> [--out game.txt]
+ *                                  記録した対局かセーブデータを棋譜の形式で書き出す（--out がなければ画面に表示）
+ *   tictactoe import <game.txt> [--name セーブ名]
+ *                                  棋譜を読み込み、決着した対局は対局履歴に、決着していない対局はセーブデータに加える
  */
 
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const Arena = require('./src/Arena');
+const Board = require('./src/Board');
 const Game = require('./src/Game');
+const GameHistory = require('./src/GameHistory');
+const GameNotation = require('./src/GameNotation');
+const GameServer = require('./src/GameServer');
+const GameStorage = require('./src/GameStorage');
+const Learner = require('./src/Learner');
+const Random = require('./src/Random');
+const SelfPlayTrainer = require('./src/SelfPlayTrainer');
 
-try {
-  // ゲームインスタンスを作成して開始
-  const game = new Game();
-  game.start();
-} catch (error) {
+/**
+ * エラーを表示して終了する
+ * @param {Error} error - 発生したエラー
+ */
+const handleFatalError = (error) => {
   console.error('エラーが発生しました:', error);
   process.exit(1);
+};
+
+/**
+ * コマンドライン引数のオプション（--name value の形式）を解析する
+ * @param {Array} args - コマンドライン引数
+ * @returns {Object} オプション名と値の組
+ */
+const parseOptions = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) continue;
+
+    const name = args[i].slice(2);
+    const next = args[i + 1];
+    if (next !== undefined && !next.startsWith('--')) {
+      options[name] = next;
+      i++;
+    } else {
+      options[name] = true;
+    }
+  }
+  return options;
+};
+
+/**
+ * 整数のオプションの値を解析する
+ * @param {string|boolean} value - オプションの値（値のない --name では true）
+ * @param {string} name - オプション名（エラーの表示に使う）
+ * @param {number} min - 受け付ける最小値（省略時は制限なし）
+ * @returns {number} 整数の値
+ * @throws {Error} 整数でない、または最小値より小さい場合
+ */
+const parseIntegerOption = (value, name, min = -Infinity) => {
+  const number = typeof value === 'string' && /^\s*-?\d+\s*$/.test(value) ? Number(value) : NaN;
+  if (!Number.isSafeInteger(number) || number < min) {
+    const range = Number.isFinite(min) ? `${min}以上の整数` : '整数';
+    throw new Error(`--${name} には${range}を指定してください: ${value === true ? '（値がありません）' : value}`);
+  }
+  return number;
+};
+
+/**
+ * ゲームサーバーを起動する
+ * @param {Object} options - コマンドラインのオプション {port, host}
+ */
+const startServer = (options) => {
+  const server = new GameServer({
+    port: options.port ? parseInt(options.port, 10) : undefined,
+    host: options.host
+  });
+
+  server.start().then(({ port }) => {
+    console.log(`ゲームサーバーを起動しました（ポート: ${port}）。Ctrl+Cで終了します。`);
+  }).catch(handleFatalError);
+
+  process.on('SIGINT', () => {
+    server.stop().then(() => {
+      console.log('ゲームサーバーを終了しました。');
+      process.exit(0);
+    });
+  });
+};
+
+/**
+ * 学習AIを自己対局で学習させ、学習データを保存する
+ * @param {Object} options - コマンドラインのオプション {games, eval, size, win, seed}
+ */
+const trainLearner = (options) => {
+  const games = options.games ? parseInt(options.games, 10) : 200;
+  const evalGames = options.eval ? parseInt(options.eval, 10) : 100;
+  const size = options.size ? parseInt(options.size, 10) : 5;
+  const winLength = options.win ? parseInt(options.win, 10) : Math.min(4, size);
+
+  const storage = new GameStorage();
+  const learner = new Learner(storage.loadLearning());
+  const trainer = new SelfPlayTrainer(learner, {
+    size,
+    winLength,
+    random: new Random(options.seed !== undefined ? parseIntegerOption(options.seed, 'seed') : undefined)
+  });
+
+  /**
+   * 勝率の測定結果を表示用の文字列にする
+   * @param {Object} result - 測定結果 {wins, draws, losses, winRate}
+   * @returns {string} 表示用の文字列
+   */
+  const formatResult = result =>
+    `${(result.winRate * 100).toFixed(1)}%（${result.wins}勝 ${result.draws}分 ${result.losses}敗）`;
+
+  const board = new Board(size, winLength);
+  console.log(chalk.cyanBright(`【学習AIの自己対局】${size}×${size}（${winLength}連続）、学習済み ${learner.getGamesLearned(board)}局`));
+
+  const before = trainer.evaluate(evalGames);
+  console.log(`学習前の中級AIとの勝率: ${formatResult(before)}`);
+
+  const startTime = Date.now();
+  trainer.train(games);
+  console.log(`${games}局の自己対局で学習しました（${Date.now() - startTime}ms）`);
+
+  const after = trainer.evaluate(evalGames);
+  console.log(`学習後の中級AIとの勝率: ${formatResult(after)}`);
+
+  if (storage.saveLearning(learner.serialize())) {
+    console.log(chalk.green(`学習データを ${storage.learningFilePath} に保存しました。`));
+  }
+};
+
+/**
+ * 2つのAI設定を対局させ、結果の表を表示する
+ * @param {Array} configs - AI設定の文字列（2つ）
+ * @param {Object} options - コマンドラインのオプション {games, sizes, win, opening, seed}
+ */
+const runArena = (configs, options) => {
+  const games = options.games !== undefined ? parseIntegerOption(options.games, 'games', 1) : 20;
+  const sizes = options.sizes !== undefined
+    ? (typeof options.sizes === 'string' ? options.sizes.split(',') : [options.sizes])
+      .map(size => parseIntegerOption(size, 'sizes', 3))
+    : [5];
+  const win = options.win !== undefined ? parseIntegerOption(options.win, 'win', 3) : 4;
+  const boards = sizes.map(size => ({
+    size,
+    winLength: Math.min(win, size)
+  }));
+
+  const storage = new GameStorage();
+  const arena = new Arena(configs, {
+    openingMoves: options.opening !== undefined ? parseIntegerOption(options.opening, 'opening', 0) : undefined,
+    seed: options.seed !== undefined ? parseIntegerOption(options.seed, 'seed') : undefined,
+    learner: new Learner(storage.loadLearning())
+  });
+  const [first, second] = arena.configs.map(config => config.name);
+
+  console.log(chalk.cyanBright(`【AI対戦】${first} 対 ${second}（シード値: ${arena.seed}）`));
+  const startTime = Date.now();
+  const results = arena.run(games, boards, (played, total) => {
+    if (process.stdout.isTTY) {
+      process.stdout.write(`\r対局中... ${played}/${total}`);
+    }
+  });
+  if (process.stdout.isTTY) {
+    process.stdout.write('\n');
+  }
+
+  const table = new Table({
+    head: ['ボード', '対局数', `${first} の勝ち`, '引き分け', `${second} の勝ち`, '平均時間/手', '得点率', 'レーティング差']
+      .map(title => chalk.white(title))
+  });
+  for (const result of results) {
+    const elo = Math.round(result.elo);
+    table.push([
+      `${result.size}×${result.size}（${result.winLength}連続）`,
+      result.games,
+      chalk.green(result.wins),
+      result.draws,
+      chalk.red(result.losses),
+      result.moveTime.map(time => `${time.toFixed(1)}ms`).join(' / '),
+      `${((result.score / result.games) * 100).toFixed(1)}%`,
+      elo > 0 ? `+${elo}` : `${elo}`
+    ]);
+  }
+
+  console.log(table.toString());
+  console.log(`レーティング差は ${first} から見た値です（${Date.now() - startTime}ms）`);
+};
+
+/**
+ * 記録した対局かセーブデータを棋譜の形式で書き出す
+ * @param {string} name - 記録のID（対局履歴のファイル名）またはセーブ名
+ * @param {Object} options - コマンドラインのオプション {out}
+ */
+const exportGame = (name, options) => {
+  if (!name) {
+    throw new Error('書き出す記録のIDまたはセーブ名を指定してください');
+  }
+
+  const storage = new GameStorage();
+  let record = storage.loadArchivedGame(name);
+  if (!record) {
+    const gameState = storage.loadGame(name);
+    if (!gameState) {
+      throw new Error(`記録またはセーブデータが見つかりません: ${name}`);
+    }
+    record = GameHistory.fromSave(gameState);
+  }
+
+  const text = GameNotation.stringify(record);
+  if (options.out) {
+    fs.writeFileSync(options.out, text);
+    console.log(chalk.green(`棋譜を ${options.out} に書き出しました（${record.moves.length}手）。`));
+  } else {
+    process.stdout.write(text);
+  }
+};
+
+/**
+ * 棋譜を読み込み、対局履歴またはセーブデータに加える
+ * @param {string} file - 棋譜のファイル
+ * @param {Object} options - コマンドラインのオプション {name}（決着していない対局のセーブ名、省略時はファイル名）
+ */
+const importGame = (file, options) => {
+  if (!file) {
+    throw new Error('読み込む棋譜のファイルを指定してください');
+  }
+
+  let notation;
+  try {
+    notation = GameNotation.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(chalk.red(`棋譜を読み込めません: ${error.message}`));
+    process.exit(1);
+  }
+
+  const { board, record } = notation;
+  const storage = new GameStorage();
+  const summary = `${board.size}×${board.size}（${board.winLength}連続）、${record.moves.length}手`;
+
+  if (record.winner === undefined) {
+    const saveName = typeof options.name === 'string' ? options.name : path.basename(file, path.extname(file));
+    if (storage.saveGame(saveName, GameHistory.toSave(record))) {
+      console.log(chalk.green(`決着していない対局を "${saveName}" として保存しました（${summary}）。ゲームのロードで続きを遊べます。`));
+    }
+  } else {
+    const id = storage.archiveGame(record);
+    if (id) {
+      console.log(chalk.green(`対局を対局履歴に ${id} として加えました（${summary}）。`));
+    }
+  }
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+try {
+  if (command === 'serve') {
+    startServer(parseOptions(args));
+  } else if (command === 'train') {
+    trainLearner(parseOptions(args));
+  } else if (command === 'arena') {
+    runArena(args.filter((arg, index) => !arg.startsWith('--') && (index === 0 || !args[index - 1].startsWith('--'))),
+      parseOptions(args));
+  } else if (command === 'export') {
+    exportGame(args[0], parseOptions(args));
+  } else if (command === 'import') {
+    importGame(args[0], parseOptions(args));
+  } else {
+    // ゲームインスタンスを作成して開始
+    const options = parseOptions(process.argv.slice(2));
+    const game = new Game({ seed: options.seed !== undefined ? parseIntegerOption(options.seed, 'seed') : undefined });
+    game.start().catch(handleFatalError);
+  }
+} catch (error) {
+  handleFatalError(error);
 }
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * 定石ファイルの作成
+ * 小さなボードで、序盤のすべての局面を読み切って値を data/opening-book.json に書き出す
+ *
+ * 使い方:
+ *   npm run build:book
+ */
+
+const Board = require('../src/Board');
+const OpeningBook = require('../src/OpeningBook');
+const Solver = require('../src/Solver');
+
+/**
+ * 定石を作成するボードサイズ・勝利条件と、記録する局面の駒の数の上限
+ * （3×3はすべての局面を、4×4は探索に時間のかかる序盤だけを記録する）
+ */
+const TARGETS = [
+  { size: 3, winLength: 3, maxStones: 8 },
+  { size: 4, winLength: 3, maxStones: 4 },
+  { size: 4, winLength: 4, maxStones: 4 }
+];
+
+/**
+ * 局面を書き出す
+ * @param {OpeningBook} book - 書き出す定石
+ * @param {Solver} solver - 局面を読み切るソルバー
+ * @param {Object} target - ボードサイズ・勝利条件・駒の数の上限
+ */
+const buildBook = (book, solver, target) => {
+  // O から交互に打った局面を、駒の数ごとに対称な局面を除いて列挙する
+  let positions = [new Board(target.size, target.winLength)];
+
+  for (let stones = 0; stones <= target.maxStones; stones++) {
+    const player = stones % 2 === 0 ? 'O' : 'X';
+    const next = new Map();
+
+    for (const board of positions) {
+      book.set(board, player, solver.solve(board, player));
+      if (stones === target.maxStones) continue;
+
+      for (const { row, col } of board.getEmptyCells()) {
+        const child = board.clone();
+        child.placeMarker(row, col, player);
+        if (child.isWinningMove(row, col) || child.checkDraw()) continue;
+
+        const key = OpeningBook.getPositionKey(child, player === 'O' ? 'X' : 'O');
+        if (!next.has(key)) {
+          next.set(key, child);
+        }
+      }
+    }
+
+    positions = [...next.values()];
+  }
+};
+
+const book = new OpeningBook();
+for (const target of TARGETS) {
+  const start = Date.now();
+  const solver = new Solver();
+  const before = book.size;
+  buildBook(book, solver, target);
+  console.log(`${target.size}×${target.size}（${target.winLength}連続）: ${book.size - before}局面（${Date.now() - start}ms）`);
+}
+
+book.save();
+console.log('定石ファイルを書き出しました。');
@@ -1,3 +1,48 @@
+const BitBoard = require('./BitBoard');
+const Evaluator = require('./Evaluator');
+const Learner = require('./Learner');
+const MCTS = require('./MCTS');
+const OpeningBook = require('./OpeningBook');
+const Random = require('./Random');
+const Solver = require('./Solver');
+const TranspositionTable = require('./TranspositionTable');
+
+/**
+ * 勝敗が決まった局面のスコア（評価関数の値より十分大きくする）
+ */
+const WIN_SCORE = 1000000000;
+
+/**
+ * 勝敗が決まった局面とみなすスコアの下限（勝敗までの手数を差し引いても評価関数の値より大きい）
+ */
+const WIN_THRESHOLD = WIN_SCORE - 1000;
+
+/**
+ * 探索の制限時間を確認する間隔（ノード数）
+ */
+const TIME_CHECK_INTERVAL = 256;
+
+/**
+ * 制限時間に達したときに探索を打ち切るための値
+ */
+const SEARCH_TIMEOUT = Symbol('SEARCH_TIMEOUT');
+
+/**
+ * 候補手とする空きマスの、既存の駒からの距離（これより離れたマスは探索しない）
+ */
+const CANDIDATE_RANGE = 2;
+
+/**
+ * 候補手の並べ替えで、キラームーブ（同じ深さで枝刈りを起こした手）に与える優先度
+ * （脅威の評価と履歴の値より十分大きくする）
+ */
+const KILLER_PRIORITY = 1e12;
+
+/**
+ * 勝敗が決まった局面の残りの深さ（どれだけ深く探索しても結果が変わらない）
+ */
+const TERMINAL_DEPTH = Infinity;
+
 /**
  * AIプレイヤークラス
  */
@@ -5,41 +50,81 @@ class AI {
   /**
    * AIプレイヤーを初期化
    * @param {string} marker - AIの駒 ('O' または 'X')
-   * @param {string} difficulty - 難易度 ('easy', 'medium', 'hard', 'master')
+   * @param {string} difficulty - 難易度 ('easy', 'medium', 'hard', 'master', 'mcts', 'unbeatable', 'learning')
+   * @param {Object} options - 探索の設定 {timeBudget, maxDepth, transpositionTable, iterations, seed, random, book, learner, profile}
+   *   （省略時は難易度から決定、maxDepthは制限なし、transpositionTable に false を指定すると置換表を使わない。
+   *   iterations はモンテカルロ木探索の反復回数の上限、seed と random は手の選択に使う乱数、
+   *   book は完全読みで使う定石（省略時は同梱の定石ファイル）、learner は学習モードの評価に使う学習結果（省略時は未学習）、
+   *   profile は評価関数のプロファイルの名前またはJSONファイルのパス（省略時は難易度から決定））
    */
-  constructor(marker, difficulty = 'medium') {
+  constructor(marker, difficulty = 'medium', options = {}) {
     this.marker = marker;
     this.opponentMarker = marker === 'O' ? 'X' : 'O';
     this.difficulty = difficulty;
-    this.maxDepth = this.getMaxDepthForDifficulty();
+    this.timeBudget = options.timeBudget !== undefined ? options.timeBudget : this.getTimeBudgetForDifficulty();
+    this.maxDepth = options.maxDepth || null;
+    this.searchDepth = 0;
+    this.deadline = Infinity;
+    this.nodes = 0;
+    this.lastSearchInfo = null;
+    this.transpositionTable = options.transpositionTable === false ? null : new TranspositionTable();
+    this.killerMoves = [];
+    this.history = null;
+    this.iterations = options.iterations || null;
+    this.random = options.random || new Random(options.seed);
+    this.book = options.book || null;
+    this.solver = null;
+    this.learner = options.learner || (difficulty === 'learning' ? new Learner() : null);
+    this.evaluator = Evaluator.load(options.profile || this.getProfileForDifficulty());
   }
 
   /**
-   * 難易度に基づいて探索の最大深さを決定
-   * @returns {number} 探索の最大深さ
+   * 難易度に基づいて1手あたりの探索の制限時間を決定
+   * @returns {number} 探索の制限時間（ミリ秒）
    */
-  getMaxDepthForDifficulty() {
+  getTimeBudgetForDifficulty() {
     switch (this.difficulty) {
-      case 'easy': return 1;
-      case 'medium': return 2;
-      case 'hard': return 3;
-      case 'master': return 4;
-      default: return 2;
+      case 'easy': return 100;
+      case 'medium': return 250;
+      case 'hard': return 1000;
+      case 'master': return 3000;
+      case 'mcts': return 2000;
+      case 'unbeatable': return 3000;
+      default: return 250;
+    }
+  }
+
+  /**
+   * 難易度に基づいて評価関数のプロファイルを決定
+   * （初級・中級は評価関数を使わない。達人以上は、プロファイル同士の対戦で最も安定して強かった classic を使う）
+   * @returns {string} プロファイルの名前
+   */
+  getProfileForDifficulty() {
+    switch (this.difficulty) {
+      case 'hard': return 'standard';
+      default: return 'classic';
     }
   }
 
   /**
    * 次の一手を決定する
    * @param {Board} board - 現在のボード状態
+   * @param {number} timeBudget - 探索の制限時間（ミリ秒、省略時は難易度の設定）
    * @returns {Object} 選択された手 {row, col}
    */
-  makeMove(board) {
+  makeMove(board, timeBudget = this.timeBudget) {
     if (this.difficulty === 'easy') {
       return this.makeRandomMove(board);
     } else if (this.difficulty === 'medium') {
       return this.makeMediumMove(board);
+    } else if (this.difficulty === 'mcts') {
+      return this.makeMctsMove(board, timeBudget);
+    } else if (this.difficulty === 'unbeatable' && Solver.canSolve(board)) {
+      return this.makeSolvedMove(board);
+    } else if (this.difficulty === 'learning') {
+      return this.makeLearnedMove(board);
     } else {
-      return this.makeMinimaxMove(board);
+      return this.makeMinimaxMove(board, timeBudget);
     }
   }
 
@@ -52,7 +137,7 @@ class AI {
     const emptyCells = board.getEmptyCells();
     if (emptyCells.length === 0) return null;
     
-    return emptyCells[Math.floor(Math.random() * emptyCells.length)];
+    return this.random.pick(emptyCells);
   }
 
   /**
@@ -68,7 +153,7 @@ class AI {
     // 勝てる手があれば選択
     for (const cell of emptyCells) {
       boardCopy.placeMarker(cell.row, cell.col, this.marker);
-      if (boardCopy.checkWin(this.marker)) {
+      if (boardCopy.isWinningMove(cell.row, cell.col)) {
         return cell;
       }
       boardCopy.undoMove();
@@ -77,7 +162,7 @@ class AI {
     // 相手が勝てる手があればブロック
     for (const cell of emptyCells) {
       boardCopy.placeMarker(cell.row, cell.col, this.opponentMarker);
-      if (boardCopy.checkWin(this.opponentMarker)) {
+      if (boardCopy.isWinningMove(cell.row, cell.col)) {
         return cell;
       }
       boardCopy.undoMove();
@@ -109,11 +194,16 @@ class AI {
 
   /**
    * ミニマックスアルゴリズムを使用した手を選択（難しい難易度）
+   * 制限時間に達するまで探索の深さを1ずつ増やし（反復深化）、
+   * 最後に探索を終えた深さの最善手を返す。探索の結果は lastSearchInfo に記録する
    * @param {Board} board - 現在のボード状態
+   * @param {number} timeBudget - 探索の制限時間（ミリ秒）
    * @returns {Object} 選択された手 {row, col}
    */
-  makeMinimaxMove(board) {
-    const boardCopy = board.clone();
+  makeMinimaxMove(board, timeBudget = this.timeBudget) {
+    this.lastSearchInfo = null;
+    // 探索ではビットボードを使い、勝敗・引き分けの判定と空きマスの列挙を速くする
+    const boardCopy = BitBoard.fromBoard(board);
     const emptyCells = boardCopy.getEmptyCells();
     
     if (emptyCells.length === 0) return null;
@@ -124,195 +214,543 @@ class AI {
       return this.makeMediumMove(board);
     }
     
-    let bestScore = -Infinity;
-    let bestMove = null;
+    const startTime = Date.now();
+    const depthLimit = Math.min(this.maxDepth || emptyCells.length, emptyCells.length);
+    this.prepareSearch(board, startTime + timeBudget);
     
-    for (const cell of emptyCells) {
-      boardCopy.placeMarker(cell.row, cell.col, this.marker);
+    const rootCandidates = this.generateCandidates(boardCopy, this.marker, 0);
+    let bestMove = rootCandidates[0];
+    let bestScore = null;
+    let completedDepth = 0;
+    let candidates = rootCandidates;
+    
+    for (let depth = 1; depth <= depthLimit; depth++) {
+      let result;
+      try {
+        result = this.searchRoot(boardCopy, candidates, depth);
+      } catch (error) {
+        if (error !== SEARCH_TIMEOUT) throw error;
+        break; // 途中で打ち切った深さの結果は使わない（boardCopyもこれ以降使わない）
+      }
+      
+      bestMove = result.move;
+      bestScore = result.score;
+      completedDepth = depth;
       
-      const score = this.minimax(boardCopy, 0, false, -Infinity, Infinity);
+      // 前の深さの最善手から探索すると枝刈りが効きやすい
+      candidates = [bestMove, ...rootCandidates.filter(cell => cell !== bestMove)];
       
+      // 勝敗が読み切れた場合はそれ以上深く探索しない
+      if (Math.abs(bestScore) >= WIN_SCORE - depthLimit) break;
+    }
+    
+    // 1段目も探索できなかった場合は、勝ち手と防ぐ手だけを確認して選ぶ
+    if (completedDepth === 0) {
+      bestMove = this.makeMediumMove(board);
+    }
+    
+    this.lastSearchInfo = {
+      depth: completedDepth,
+      nodes: this.nodes,
+      tableHits: this.transpositionTable ? this.transpositionTable.hits : 0,
+      time: Date.now() - startTime,
+      score: bestScore
+    };
+    this.deadline = Infinity;
+    
+    return bestMove;
+  }
+
+  /**
+   * 候補手を探索し、評価の高い順に並べる（ヒント用）
+   * makeMinimaxMove と違い、ルートのすべての候補手を窓を狭めずに探索するため、最善手以外のスコアも正確に求まる。
+   * 深さ1の探索は制限時間を過ぎても最後まで行う
+   * @param {Board} board - 現在のボード状態
+   * @param {number} count - 返す候補手の数
+   * @param {number} timeBudget - 探索の制限時間（ミリ秒、省略時は難易度の設定）
+   * @returns {Array} 候補手 [{row, col, score, outcome, plies}]（outcome は読み切った勝敗 'win' または 'loss'、
+   *   読み切れない場合はnull。plies は勝敗が決まるまでの手数（この手を含む）、読み切れない場合はnull）
+   */
+  analyzeMoves(board, count = 3, timeBudget = this.timeBudget) {
+    this.lastSearchInfo = null;
+    const boardCopy = BitBoard.fromBoard(board);
+    const emptyCells = boardCopy.getEmptyCells();
+    if (emptyCells.length === 0 || board.getLastMoveWinner()) return [];
+    
+    const startTime = Date.now();
+    const depthLimit = Math.min(this.maxDepth || emptyCells.length, emptyCells.length);
+    this.prepareSearch(board, Infinity);
+    
+    let candidates = this.generateCandidates(boardCopy, this.marker, 0, false);
+    let scoredMoves = [];
+    let completedDepth = 0;
+    
+    for (let depth = 1; depth <= depthLimit; depth++) {
+      this.searchDepth = depth;
+      const results = [];
+      try {
+        for (const cell of candidates) {
+          boardCopy.placeMarker(cell.row, cell.col, this.marker);
+          results.push({ cell, score: this.minimax(boardCopy, 1, false, -Infinity, Infinity) });
+          boardCopy.undoMove();
+        }
+      } catch (error) {
+        if (error !== SEARCH_TIMEOUT) throw error;
+        break; // 途中で打ち切った深さの結果は使わない（boardCopyもこれ以降使わない）
+      }
+      
+      // 並べ替えは安定なので、同じスコアの手は前の深さの順に並ぶ
+      results.sort((a, b) => b.score - a.score);
+      scoredMoves = results;
+      candidates = results.map(result => result.cell);
+      completedDepth = depth;
+      this.deadline = startTime + timeBudget;
+      
+      // すべての手の勝敗が読み切れた場合はそれ以上深く探索しない
+      if (results.every(result => Math.abs(result.score) >= WIN_THRESHOLD)) break;
+    }
+    
+    this.lastSearchInfo = {
+      depth: completedDepth,
+      nodes: this.nodes,
+      tableHits: this.transpositionTable ? this.transpositionTable.hits : 0,
+      time: Date.now() - startTime,
+      score: scoredMoves.length > 0 ? scoredMoves[0].score : null
+    };
+    this.deadline = Infinity;
+    
+    return scoredMoves.slice(0, count).map(({ cell, score }) => {
+      let outcome = null;
+      if (score >= WIN_THRESHOLD) {
+        outcome = 'win';
+      } else if (score <= -WIN_THRESHOLD) {
+        outcome = 'loss';
+      }
+      const plies = outcome ? WIN_SCORE - Math.abs(score) : null;
+      return { row: cell.row, col: cell.col, score, outcome, plies };
+    });
+  }
+
+  /**
+   * ミニマックスの探索を始める前に、探索の状態を初期化する
+   * @param {Board} board - 探索するボード
+   * @param {number} deadline - 探索を打ち切る時刻（Date.now() の値）
+   */
+  prepareSearch(board, deadline) {
+    this.deadline = deadline;
+    this.nodes = 0;
+    if (this.transpositionTable) {
+      this.transpositionTable.clear();
+    }
+    this.killerMoves = [];
+    this.history = {
+      O: new Float64Array(board.size * board.size),
+      X: new Float64Array(board.size * board.size)
+    };
+  }
+
+  /**
+   * モンテカルロ木探索を使用した手を選択
+   * 探索の結果は lastSearchInfo に記録する
+   * @param {Board} board - 現在のボード状態
+   * @param {number} timeBudget - 探索の制限時間（ミリ秒）
+   * @returns {Object} 選択された手 {row, col}
+   */
+  makeMctsMove(board, timeBudget = this.timeBudget) {
+    const mcts = new MCTS({
+      iterations: this.iterations,
+      timeBudget,
+      random: this.random
+    });
+    
+    const move = mcts.search(board, this.marker);
+    this.lastSearchInfo = mcts.getLastSearchInfo();
+    return move;
+  }
+
+  /**
+   * 読み切った理論値が最善の手を選択（完全読み難易度、3×3と4×4のみ）
+   * 定石に記録された局面は探索せずに値を引く。値が同じ手が複数ある場合は、すぐに勝てる手、
+   * 次に評価関数の値が大きい手を選ぶ。探索の結果は lastSearchInfo に記録する
+   * @param {Board} board - 現在のボード状態
+   * @returns {Object} 選択された手 {row, col}
+   */
+  makeSolvedMove(board) {
+    const startTime = Date.now();
+    const solver = this.getSolver();
+    solver.nodes = 0;
+    const moves = solver.solveMoves(board, this.marker);
+    if (moves.length === 0) return null;
+    
+    const bestValue = Math.max(...moves.map(move => move.value));
+    const boardCopy = BitBoard.fromBoard(board);
+    let bestMove = null;
+    let bestScore = -Infinity;
+    
+    for (const move of moves.filter(move => move.value === bestValue)) {
+      boardCopy.placeMarker(move.row, move.col, this.marker);
+      const score = boardCopy.isWinningMove(move.row, move.col) ? Infinity : this.evaluateBoard(boardCopy);
       boardCopy.undoMove();
       
       if (score > bestScore) {
         bestScore = score;
-        bestMove = cell;
+        bestMove = { row: move.row, col: move.col };
       }
     }
     
+    this.lastSearchInfo = {
+      value: bestValue,
+      nodes: solver.nodes,
+      time: Date.now() - startTime
+    };
+    
     return bestMove;
   }
 
+  /**
+   * 学習した評価関数で、打った後の局面の評価が最も高い手を選択（学習モード）
+   * すぐに勝てる手と相手の勝ちを防ぐ手は評価せずに選ぶ。評価が同じ手が複数ある場合はランダムに選ぶため、
+   * 学習していない状態ではほぼランダムに打つ
+   * @param {Board} board - 現在のボード状態
+   * @returns {Object} 選択された手 {row, col}
+   */
+  makeLearnedMove(board) {
+    const boardCopy = BitBoard.fromBoard(board);
+    const candidates = this.generateCandidates(boardCopy, this.marker, 0);
+    let bestMoves = [];
+    let bestScore = -Infinity;
+    
+    for (const cell of candidates) {
+      boardCopy.placeMarker(cell.row, cell.col, this.marker);
+      const score = this.learner.evaluate(boardCopy, this.marker);
+      boardCopy.undoMove();
+      
+      if (score > bestScore) {
+        bestScore = score;
+        bestMoves = [cell];
+      } else if (score === bestScore) {
+        bestMoves.push(cell);
+      }
+    }
+    
+    return this.random.pick(bestMoves) || null;
+  }
+
+  /**
+   * 完全読みに使うソルバーを取得する（初回に定石を読み込む）
+   * @returns {Solver} ソルバー
+   */
+  getSolver() {
+    if (!this.solver) {
+      this.solver = new Solver({ book: this.book || OpeningBook.load() });
+    }
+    return this.solver;
+  }
+
+  /**
+   * 指定した深さでルートの候補手をすべて探索する
+   * @param {Board} board - 探索に使用するボード
+   * @param {Array} candidates - 候補手 [{row, col}]（この順に探索する）
+   * @param {number} depth - 探索する深さ
+   * @returns {Object} 最善手とそのスコア {move, score}
+   * @throws {Symbol} 制限時間に達した場合は SEARCH_TIMEOUT
+   */
+  searchRoot(board, candidates, depth) {
+    this.searchDepth = depth;
+    
+    let bestScore = -Infinity;
+    let bestMove = candidates[0];
+    let alpha = -Infinity;
+    
+    // 打ち切られた場合、ボードは手を打った途中の状態のまま残る（呼び出し元で破棄する）
+    for (const cell of candidates) {
+      board.placeMarker(cell.row, cell.col, this.marker);
+      const score = this.minimax(board, 1, false, alpha, Infinity);
+      board.undoMove();
+      
+      if (score > bestScore) {
+        bestScore = score;
+        bestMove = cell;
+      }
+      alpha = Math.max(alpha, score);
+    }
+    
+    return { move: bestMove, score: bestScore };
+  }
+
+  /**
+   * 直前の探索の結果を取得する（調整用）
+   * @returns {Object|null} 探索の結果（ミニマックスは {depth, nodes, tableHits, time, score}、
+   *   モンテカルロ木探索は {iterations, time, winRate}、完全読みは {value, nodes, time}）、探索していない場合はnull
+   */
+  getLastSearchInfo() {
+    return this.lastSearchInfo;
+  }
+
   /**
    * ミニマックスアルゴリズム（アルファベータ枝刈り法）
+   * 深さは反復深化の現在の深さ（searchDepth）まで探索する
+   * 置換表に十分な深さの記録がある局面は、記録したスコアを使って探索を省略する
    * @param {Board} board - 現在のボード状態
    * @param {number} depth - 現在の探索深さ
    * @param {boolean} isMaximizing - 最大化プレイヤーかどうか
    * @param {number} alpha - アルファ値
    * @param {number} beta - ベータ値
    * @returns {number} 評価スコア
+   * @throws {Symbol} 制限時間に達した場合は SEARCH_TIMEOUT
    */
   minimax(board, depth, isMaximizing, alpha, beta) {
-    const currentMarker = isMaximizing ? this.marker : this.opponentMarker;
+    this.nodes++;
+    if (this.nodes % TIME_CHECK_INTERVAL === 0 && Date.now() > this.deadline) {
+      throw SEARCH_TIMEOUT;
+    }
+    
+    const table = this.transpositionTable;
+    const key = table ? board.getZobristKey() : null;
+    const remainingDepth = this.searchDepth - depth;
     
-    // 終了条件チェック
-    if (board.checkWin(this.marker)) {
-      return 100 - depth; // 自分の勝ち（浅い探索を優先）
+    if (table) {
+      const entry = table.get(key);
+      if (entry && entry.depth >= remainingDepth) {
+        const score = this.scoreFromTable(entry.score, depth);
+        if (entry.bound === TranspositionTable.EXACT ||
+            (entry.bound === TranspositionTable.LOWER_BOUND && score >= beta) ||
+            (entry.bound === TranspositionTable.UPPER_BOUND && score <= alpha)) {
+          table.hits++;
+          return score;
+        }
+      }
     }
     
-    if (board.checkWin(this.opponentMarker)) {
-      return -100 + depth; // 相手の勝ち（深い探索を優先）
+    // 終了条件チェック（探索中の勝敗は直前の手でしか決まらないため、直前の手だけを調べる）
+    const winner = board.getLastMoveWinner();
+    if (winner === this.marker) {
+      return this.storeScore(key, TERMINAL_DEPTH, WIN_SCORE - depth, depth, TranspositionTable.EXACT); // 自分の勝ち（浅い探索を優先）
     }
     
-    if (board.checkDraw() || depth >= this.maxDepth) {
-      return this.evaluateBoard(board); // 引き分けまたは最大深さに達した
+    if (winner === this.opponentMarker) {
+      return this.storeScore(key, TERMINAL_DEPTH, -WIN_SCORE + depth, depth, TranspositionTable.EXACT); // 相手の勝ち（深い探索を優先）
     }
     
-    const emptyCells = board.getEmptyCells();
+    if (board.checkDraw()) {
+      return this.storeScore(key, TERMINAL_DEPTH, this.evaluateBoard(board), depth, TranspositionTable.EXACT); // 引き分け
+    }
+    
+    if (remainingDepth <= 0) {
+      return this.storeScore(key, 0, this.evaluateBoard(board), depth, TranspositionTable.EXACT); // 最大深さに達した
+    }
+    
+    const originalAlpha = alpha;
+    const originalBeta = beta;
+    const player = isMaximizing ? this.marker : this.opponentMarker;
+    const candidates = this.generateCandidates(board, player, depth);
+    let bestScore;
     
     if (isMaximizing) {
-      let maxScore = -Infinity;
+      bestScore = -Infinity;
       
-      for (const cell of emptyCells) {
+      for (const cell of candidates) {
         board.placeMarker(cell.row, cell.col, this.marker);
         const score = this.minimax(board, depth + 1, false, alpha, beta);
         board.undoMove();
         
-        maxScore = Math.max(maxScore, score);
+        bestScore = Math.max(bestScore, score);
         alpha = Math.max(alpha, score);
         
-        if (beta <= alpha) break; // アルファベータ枝刈り
+        if (beta <= alpha) { // アルファベータ枝刈り
+          this.recordCutoff(board, cell, player, depth, remainingDepth);
+          break;
+        }
       }
-      
-      return maxScore;
     } else {
-      let minScore = Infinity;
+      bestScore = Infinity;
       
-      for (const cell of emptyCells) {
+      for (const cell of candidates) {
         board.placeMarker(cell.row, cell.col, this.opponentMarker);
         const score = this.minimax(board, depth + 1, true, alpha, beta);
         board.undoMove();
         
-        minScore = Math.min(minScore, score);
+        bestScore = Math.min(bestScore, score);
         beta = Math.min(beta, score);
         
-        if (beta <= alpha) break; // アルファベータ枝刈り
+        if (beta <= alpha) { // アルファベータ枝刈り
+          this.recordCutoff(board, cell, player, depth, remainingDepth);
+          break;
+        }
       }
-      
-      return minScore;
     }
+    
+    let bound = TranspositionTable.EXACT;
+    if (bestScore <= originalAlpha) {
+      bound = TranspositionTable.UPPER_BOUND;
+    } else if (bestScore >= originalBeta) {
+      bound = TranspositionTable.LOWER_BOUND;
+    }
+    
+    return this.storeScore(key, remainingDepth, bestScore, depth, bound);
   }
 
   /**
-   * ボードの状態を評価する関数
-   * @param {Board} board - 評価するボード
-   * @returns {number} 評価スコア
+   * 探索する候補手を作成し、有望な順に並べる
+   * 既存の駒の近く（CANDIDATE_RANGE以内）の空きマスだけを候補とし、
+   * すぐに勝てる手があればその手だけ、相手の勝ちを防ぐ必要があれば防ぐ手だけを返す（narrow が false の場合は先頭に並べる）。
+   * それ以外はキラームーブ、脅威（自分・相手の駒だけが並ぶラインの評価）と履歴の値の合計の順に並べる
+   * @param {Board} board - 現在のボード状態
+   * @param {string} player - 手を打つプレイヤー ('O' または 'X')
+   * @param {number} depth - ルートからの深さ
+   * @param {boolean} narrow - 勝てる手・防ぐ手があるときに、その手だけに絞るかどうか
+   * @returns {Array} 候補手 [{row, col}]
    */
-  evaluateBoard(board) {
-    // ヒューリスティック評価関数
-    let score = 0;
+  generateCandidates(board, player, depth, narrow = true) {
+    const size = board.size;
+    const center = Math.floor(size / 2);
     
-    // 行のスコア
-    score += this.evaluateLines(board, 'row');
+    if (board.moveHistory.length === 0) {
+      return [{ row: center, col: center }];
+    }
     
-    // 列のスコア
-    score += this.evaluateLines(board, 'col');
+    // 既存の駒の近くのマスに印を付ける
+    const near = new Uint8Array(size * size);
+    for (const move of board.moveHistory) {
+      for (let row = Math.max(0, move.row - CANDIDATE_RANGE); row <= Math.min(size - 1, move.row + CANDIDATE_RANGE); row++) {
+        for (let col = Math.max(0, move.col - CANDIDATE_RANGE); col <= Math.min(size - 1, move.col + CANDIDATE_RANGE); col++) {
+          near[row * size + col] = 1;
+        }
+      }
+    }
     
-    // 対角線のスコア
-    score += this.evaluateLines(board, 'diag');
+    const isO = player === 'O';
+    const threatLength = board.winLength - 1;
+    const killers = this.killerMoves[depth] || [];
+    const history = this.history ? this.history[player] : null;
+    const wins = [];
+    const blocks = [];
+    const candidates = [];
     
-    // 逆対角線のスコア
-    score += this.evaluateLines(board, 'anti-diag');
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        const index = row * size + col;
+        if (!near[index] || board.board[row][col] !== ' ') continue;
+        
+        let threat = 0;
+        let isWin = false;
+        let isBlock = false;
+        board.forEachLineCountAt(row, col, (oCount, xCount) => {
+          const own = isO ? oCount : xCount;
+          const opponent = isO ? xCount : oCount;
+          if (opponent === 0 && own > 0) {
+            threat += Math.pow(10, own);
+            if (own === threatLength) isWin = true;
+          } else if (own === 0 && opponent > 0) {
+            threat += Math.pow(10, opponent);
+            if (opponent === threatLength) isBlock = true;
+          }
+        });
+        
+        const cell = { row, col };
+        if (isWin) {
+          wins.push(cell);
+        } else if (isBlock) {
+          blocks.push(cell);
+        }
+        
+        let priority = threat + (history ? history[index] : 0);
+        if (isWin || isBlock) {
+          priority = KILLER_PRIORITY * (isWin ? 4 : 2);
+        } else if (index === killers[0]) {
+          priority = KILLER_PRIORITY + 1;
+        } else if (index === killers[1]) {
+          priority = KILLER_PRIORITY;
+        }
+        candidates.push({ cell, priority });
+      }
+    }
     
-    return score;
+    // 勝てる手があればその手だけを探索し、相手の勝ちは防ぐ手以外では負けになる
+    if (narrow && wins.length > 0) {
+      return [wins[0]];
+    }
+    if (narrow && blocks.length > 0) {
+      return blocks;
+    }
+    
+    candidates.sort((a, b) => b.priority - a.priority);
+    return candidates.map(candidate => candidate.cell);
   }
 
   /**
-   * 特定の方向のラインを評価する
-   * @param {Board} board - 評価するボード
-   * @param {string} direction - 評価する方向 ('row', 'col', 'diag', 'anti-diag')
-   * @returns {number} 評価スコア
+   * 枝刈りを起こした手をキラームーブと履歴に記録する（以降の探索で先に試す）
+   * @param {Board} board - 現在のボード状態
+   * @param {Object} cell - 枝刈りを起こした手 {row, col}
+   * @param {string} player - 手を打ったプレイヤー ('O' または 'X')
+   * @param {number} depth - ルートからの深さ
+   * @param {number} remainingDepth - 残りの探索の深さ
    */
-  evaluateLines(board, direction) {
-    let score = 0;
-    const winLength = board.winLength;
-    
-    const evaluateLine = (line) => {
-      // 連続した駒の数をカウント
-      let myMarkerCount = 0;
-      let opponentMarkerCount = 0;
-      let emptyCount = 0;
-      
-      for (const cell of line) {
-        if (cell === this.marker) {
-          myMarkerCount++;
-        } else if (cell === this.opponentMarker) {
-          opponentMarkerCount++;
-        } else {
-          emptyCount++;
-        }
-      }
-      
-      // スコア計算（自分の駒が多く、相手の駒が少ないほど高スコア）
-      if (opponentMarkerCount === 0 && myMarkerCount > 0) {
-        // 自分の駒だけの場合、駒の数に応じて指数関数的にスコア増加
-        return Math.pow(10, myMarkerCount);
-      } else if (myMarkerCount === 0 && opponentMarkerCount > 0) {
-        // 相手の駒だけの場合、阻止するためのマイナススコア
-        return -Math.pow(10, opponentMarkerCount);
-      }
-      
-      return 0; // 両方の駒が含まれる場合は価値なし
-    };
+  recordCutoff(board, cell, player, depth, remainingDepth) {
+    const index = cell.row * board.size + cell.col;
+    const killers = this.killerMoves[depth] || (this.killerMoves[depth] = []);
     
-    if (direction === 'row') {
-      // 行の評価
-      for (let row = 0; row < board.size; row++) {
-        for (let col = 0; col <= board.size - winLength; col++) {
-          const line = [];
-          for (let k = 0; k < winLength; k++) {
-            line.push(board.board[row][col + k]);
-          }
-          score += evaluateLine(line);
-        }
-      }
-    } else if (direction === 'col') {
-      // 列の評価
-      for (let col = 0; col < board.size; col++) {
-        for (let row = 0; row <= board.size - winLength; row++) {
-          const line = [];
-          for (let k = 0; k < winLength; k++) {
-            line.push(board.board[row + k][col]);
-          }
-          score += evaluateLine(line);
-        }
-      }
-    } else if (direction === 'diag') {
-      // 対角線の評価（左上から右下）
-      for (let row = 0; row <= board.size - winLength; row++) {
-        for (let col = 0; col <= board.size - winLength; col++) {
-          const line = [];
-          for (let k = 0; k < winLength; k++) {
-            line.push(board.board[row + k][col + k]);
-          }
-          score += evaluateLine(line);
-        }
-      }
-    } else if (direction === 'anti-diag') {
-      // 逆対角線の評価（右上から左下）
-      for (let row = 0; row <= board.size - winLength; row++) {
-        for (let col = board.size - 1; col >= winLength - 1; col--) {
-          const line = [];
-          for (let k = 0; k < winLength; k++) {
-            line.push(board.board[row + k][col - k]);
-          }
-          score += evaluateLine(line);
-        }
-      }
+    if (killers[0] !== index) {
+      killers[1] = killers[0];
+      killers[0] = index;
     }
     
+    if (this.history) {
+      this.history[player][index] += remainingDepth * remainingDepth;
+    }
+  }
+
+  /**
+   * 探索したスコアを置換表に記録する（置換表を使わない場合は何もしない）
+   * @param {number} key - 盤面のゾブリストハッシュ
+   * @param {number} remainingDepth - 探索した残りの深さ
+   * @param {number} score - 評価スコア
+   * @param {number} depth - ルートからの深さ
+   * @param {string} bound - スコアの種類
+   * @returns {number} 評価スコア（そのまま返す）
+   */
+  storeScore(key, remainingDepth, score, depth, bound) {
+    if (this.transpositionTable) {
+      this.transpositionTable.store(key, remainingDepth, this.scoreToTable(score, depth), bound);
+    }
+    return score;
+  }
+
+  /**
+   * 勝敗のスコアをルートからの深さに依存しない値に変換する（置換表への記録用）
+   * 勝敗のスコアは勝敗が決まるまでの手数で変わるため、その局面から数えた手数に直して記録する
+   * @param {number} score - 評価スコア
+   * @param {number} depth - ルートからの深さ
+   * @returns {number} 置換表に記録するスコア
+   */
+  scoreToTable(score, depth) {
+    if (score >= WIN_THRESHOLD) return score + depth;
+    if (score <= -WIN_THRESHOLD) return score - depth;
+    return score;
+  }
+
+  /**
+   * 置換表に記録したスコアを現在の局面のルートからの深さに合わせて戻す
+   * @param {number} score - 置換表に記録したスコア
+   * @param {number} depth - ルートからの深さ
+   * @returns {number} 評価スコア
+   */
+  scoreFromTable(score, depth) {
+    if (score >= WIN_THRESHOLD) return score - depth;
+    if (score <= -WIN_THRESHOLD) return score + depth;
     return score;
   }
+
+  /**
+   * ボードの状態を評価する関数
+   * 評価プロファイルの重みで、勝利条件の長さのライン（行、列、対角線、逆対角線）の駒の数と端の開き具合、
+   * 二重の脅威、中央への近さから評価する
+   * @param {Board} board - 評価するボード
+   * @returns {number} 評価スコア
+   */
+  evaluateBoard(board) {
+    return this.evaluator.evaluate(board, this.marker);
+  }
 }
 
 module.exports = AI;
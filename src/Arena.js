@@ -0,0 +1,267 @@
+const AI = require('./AI');
+const Board = require('./Board');
+const Random = require('./Random');
+
+/**
+ * 対戦できるAIの難易度
+ */
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'master', 'mcts', 'unbeatable', 'learning'];
+
+/**
+ * 難易度ごとの探索の上限（制限時間の代わりに使い、同じシード値なら同じ対局になるようにする）
+ */
+const DEFAULT_LIMITS = {
+  hard: { maxDepth: 3 },
+  master: { maxDepth: 4 },
+  mcts: { iterations: 2000 },
+  unbeatable: { maxDepth: 4 }
+};
+
+/**
+ * 1局ごとに、最初にランダムに打つ手の数（同じ対局ばかりにならないようにする）
+ */
+const DEFAULT_OPENING_MOVES = 2;
+
+/**
+ * AI設定の指定で使えるオプション名と、AIの探索の設定の名前
+ */
+const CONFIG_OPTIONS = {
+  depth: 'maxDepth',
+  time: 'timeBudget',
+  iterations: 'iterations',
+  profile: 'profile'
+};
+
+/**
+ * 2つのAI設定を、画面に表示せずに多数対局させて強さを比べるクラス
+ *
+ * 最初の数手をランダムに決め、同じ序盤で先手・後手を入れ替えて2局ずつ対局する。
+ * 探索は制限時間ではなく深さ・反復回数で打ち切るため、同じシード値なら同じ結果になる
+ * （time を指定した設定では、探索の深さが処理速度で変わるため結果が変わることがある）。
+ */
+class Arena {
+  /**
+   * 対戦させるAI設定を指定して初期化
+   * @param {Array} configs - 2つのAI設定（文字列、または parseConfig の結果）
+   * @param {Object} options - 対戦の設定 {openingMoves, seed, learner}（learner は学習AIが使う学習結果）
+   */
+  constructor(configs, options = {}) {
+    if (!Array.isArray(configs) || configs.length !== 2) {
+      throw new Error('対戦させるAI設定を2つ指定してください');
+    }
+
+    this.configs = configs.map(config => (typeof config === 'string' ? Arena.parseConfig(config) : config));
+    this.openingMoves = options.openingMoves !== undefined ? options.openingMoves : DEFAULT_OPENING_MOVES;
+    this.seed = options.seed !== undefined ? options.seed : 1;
+    this.learner = options.learner || null;
+  }
+
+  /**
+   * AI設定の文字列を解析する
+   * @param {string} spec - AI設定（例: 'hard'、'master:depth=5,profile=aggressive'、'mcts:iterations=500'）
+   * @returns {Object} AI設定 {name, difficulty, options}
+   */
+  static parseConfig(spec) {
+    const [difficulty, optionText] = spec.split(':');
+    if (!DIFFICULTIES.includes(difficulty)) {
+      throw new Error(`不明な難易度です: ${difficulty}`);
+    }
+
+    const options = { ...DEFAULT_LIMITS[difficulty] };
+    if (optionText) {
+      for (const pair of optionText.split(',')) {
+        const [name, value] = pair.split('=');
+        if (!CONFIG_OPTIONS[name] || value === undefined) {
+          throw new Error(`不明なAI設定のオプションです: ${pair}`);
+        }
+        options[CONFIG_OPTIONS[name]] = name === 'profile' ? value : Arena.parseLimit(name, value);
+      }
+    }
+    if (options.timeBudget === undefined) {
+      options.timeBudget = Infinity;
+    }
+
+    return { name: spec, difficulty, options };
+  }
+
+  /**
+   * AI設定の探索の上限の値を解析する
+   * 0 や数でない値では探索が打ち切られなくなるため、正の値だけを受け付ける
+   * @param {string} name - オプション名（'depth'・'iterations'・'time'）
+   * @param {string} value - 値の文字列
+   * @returns {number} 上限の値（time はミリ秒）
+   * @throws {Error} depth・iterations が正の整数でない、または time が正の有限の数でない場合
+   */
+  static parseLimit(name, value) {
+    const number = Number(value);
+    if (name === 'time') {
+      if (value.trim() === '' || !Number.isFinite(number) || number <= 0) {
+        throw new Error(`time には正の数（ミリ秒）を指定してください: ${name}=${value}`);
+      }
+    } else if (!Number.isInteger(number) || number <= 0) {
+      throw new Error(`${name} には正の整数を指定してください: ${name}=${value}`);
+    }
+    return number;
+  }
+
+  /**
+   * 得点率からレーティング差（イロレーティング）を推定する
+   * 全勝・全敗では差が無限大になるため、0.5局分の勝ち・負けを加えて補正する
+   * @param {number} score - 得点（勝ち 1、引き分け 0.5 の合計）
+   * @param {number} games - 対局数
+   * @returns {number} 相手に対するレーティング差
+   */
+  static estimateElo(score, games) {
+    if (games === 0) return 0;
+
+    const rate = Math.min(Math.max(score, 0.5), games - 0.5) / games;
+    return -400 * Math.log10(1 / rate - 1);
+  }
+
+  /**
+   * AI設定からAIプレイヤーを作成する
+   * @param {Object} config - AI設定 {difficulty, options}
+   * @param {string} marker - AIの駒 ('O' または 'X')
+   * @param {Random} random - AIが使う乱数
+   * @returns {AI} AIプレイヤー
+   */
+  createAI(config, marker, random) {
+    return new AI(marker, config.difficulty, {
+      ...config.options,
+      random,
+      learner: config.difficulty === 'learning' ? this.learner || undefined : undefined
+    });
+  }
+
+  /**
+   * 1局を最後まで対局する
+   * @param {Object} players - 駒ごとのAI {O, X}
+   * @param {Board} board - 序盤の手を打ったボード
+   * @returns {Object} 対局の結果 {winner, time, moves}（引き分けの場合、winnerはnull。
+   *   time と moves は駒ごとの考えた時間の合計（ミリ秒）と手数）
+   */
+  playGame(players, board) {
+    const time = { O: 0, X: 0 };
+    const moves = { O: 0, X: 0 };
+    let player = board.moveHistory.length % 2 === 0 ? 'O' : 'X';
+
+    while (!board.checkDraw()) {
+      const startTime = Date.now();
+      const move = players[player].makeMove(board);
+      time[player] += Date.now() - startTime;
+      moves[player]++;
+
+      board.placeMarker(move.row, move.col, player);
+      if (board.isWinningMove(move.row, move.col)) {
+        return { winner: player, time, moves };
+      }
+      player = player === 'O' ? 'X' : 'O';
+    }
+
+    return { winner: null, time, moves };
+  }
+
+  /**
+   * ランダムな序盤の手を決める（勝負が決まる手は選ばず、最後の1マスは残す）
+   * @param {number} size - ボードのサイズ
+   * @param {number} winLength - 勝利条件の長さ
+   * @param {Random} random - 乱数生成器
+   * @returns {Array} 序盤の手 [{row, col}]
+   */
+  createOpening(size, winLength, random) {
+    const board = new Board(size, winLength);
+    const opening = [];
+
+    // 最後の1マスはAIに打たせる
+    while (opening.length < this.openingMoves && opening.length < size * size - 1) {
+      const player = opening.length % 2 === 0 ? 'O' : 'X';
+      const cells = board.getEmptyCells().filter(({ row, col }) => {
+        board.placeMarker(row, col, player);
+        const isWin = board.isWinningMove(row, col);
+        board.undoMove();
+        return !isWin;
+      });
+      if (cells.length === 0) break;
+
+      const move = random.pick(cells);
+      board.placeMarker(move.row, move.col, player);
+      opening.push(move);
+    }
+
+    return opening;
+  }
+
+  /**
+   * 序盤の手を打ったボードを作成する
+   * @param {number} size - ボードのサイズ
+   * @param {number} winLength - 勝利条件の長さ
+   * @param {Array} opening - 序盤の手 [{row, col}]
+   * @returns {Board} 序盤の手を打ったボード
+   */
+  createBoard(size, winLength, opening) {
+    const board = new Board(size, winLength);
+    opening.forEach(({ row, col }, index) => board.placeMarker(row, col, index % 2 === 0 ? 'O' : 'X'));
+    return board;
+  }
+
+  /**
+   * ボードサイズごとに対局させ、結果を集計する
+   * @param {number} games - ボードサイズごとの対局数（先手・後手を入れ替えるため、奇数の場合は1局増やす）
+   * @param {Array} boards - ボードの設定 [{size, winLength}]
+   * @param {Function} onProgress - 1局ごとに呼ばれる関数 (終えた対局数, 対局数)
+   * @returns {Array} ボードの設定ごとの、1つ目のAI設定から見た結果
+   *   [{size, winLength, games, wins, draws, losses, score, elo, moveTime}]（moveTime は2つのAI設定の1手あたりの平均時間（ミリ秒））
+   */
+  run(games, boards, onProgress = () => {}) {
+    const pairs = Math.ceil(games / 2);
+    const total = pairs * 2 * boards.length;
+    const random = new Random(this.seed);
+    let played = 0;
+
+    return boards.map(({ size, winLength }) => {
+      const result = { size, winLength, games: pairs * 2, wins: 0, draws: 0, losses: 0, score: 0, elo: 0, moveTime: [0, 0] };
+      const time = [0, 0];
+      const moves = [0, 0];
+
+      for (let pair = 0; pair < pairs; pair++) {
+        const opening = this.createOpening(size, winLength, random);
+        const gameSeed = random.nextUint32();
+
+        // 同じ序盤・同じ乱数で、1つ目のAI設定の先手と後手を1局ずつ
+        for (const first of [0, 1]) {
+          const gameRandom = new Random(gameSeed);
+          const markers = first === 0 ? ['O', 'X'] : ['X', 'O'];
+          const players = {
+            [markers[0]]: this.createAI(this.configs[0], markers[0], gameRandom),
+            [markers[1]]: this.createAI(this.configs[1], markers[1], gameRandom)
+          };
+
+          const game = this.playGame(players, this.createBoard(size, winLength, opening));
+          if (game.winner === null) {
+            result.draws++;
+          } else if (game.winner === markers[0]) {
+            result.wins++;
+          } else {
+            result.losses++;
+          }
+          markers.forEach((marker, index) => {
+            time[index] += game.time[marker];
+            moves[index] += game.moves[marker];
+          });
+
+          onProgress(++played, total);
+        }
+      }
+
+      result.score = result.wins + result.draws / 2;
+      result.elo = Arena.estimateElo(result.score, result.games);
+      result.moveTime = time.map((value, index) => (moves[index] > 0 ? value / moves[index] : 0));
+      return result;
+    });
+  }
+}
+
+Arena.DIFFICULTIES = DIFFICULTIES;
+Arena.DEFAULT_LIMITS = DEFAULT_LIMITS;
+
+module.exports = Arena;
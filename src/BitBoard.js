@@ -0,0 +1,311 @@
+const Board = require('./Board');
+
+/**
+ * 1ワードあたりのビット数（JavaScriptのビット演算は32ビット）
+ */
+const WORD_BITS = 32;
+
+/**
+ * 作成済みの勝利ラインのマスク（ボードサイズと勝利条件の組ごと）
+ */
+const lineCache = new Map();
+
+/**
+ * マスの番号のリストからビットマスクを作る
+ * @param {Array} indexes - マスの番号（row * size + col）のリスト
+ * @returns {Array} 0でないワードの組 [[ワードの番号, ビット]]
+ */
+const createMask = (indexes) => {
+  const words = new Map();
+  for (const index of indexes) {
+    const word = Math.floor(index / WORD_BITS);
+    words.set(word, ((words.get(word) || 0) | (1 << (index % WORD_BITS))) >>> 0);
+  }
+  return [...words.entries()];
+};
+
+/**
+ * 32ビットの値の立っているビットの数を数える
+ * @param {number} value - 数える値
+ * @returns {number} 立っているビットの数
+ */
+const countBits = (value) => {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (Math.imul((v + (v >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24);
+};
+
+/**
+ * ボードサイズと勝利条件に対応する勝利ラインのマスクを作成する
+ * @param {number} size - ボードのサイズ
+ * @param {number} winLength - 勝利条件の長さ
+ * @returns {Object} 勝利ラインのマスク {lines（すべてのライン）, linesByCell（マスごとの、そのマスを通るライン）}
+ */
+const createLines = (size, winLength) => {
+  const key = `${size}|${winLength}`;
+  if (lineCache.has(key)) {
+    return lineCache.get(key);
+  }
+
+  const lines = [];
+  const linesByCell = Array(size * size).fill().map(() => []);
+
+  for (const [rowStep, colStep] of [[0, 1], [1, 0], [1, 1], [1, -1]]) {
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        const endRow = row + rowStep * (winLength - 1);
+        const endCol = col + colStep * (winLength - 1);
+        if (endRow < 0 || endRow >= size || endCol < 0 || endCol >= size) continue;
+
+        const indexes = [];
+        for (let k = 0; k < winLength; k++) {
+          indexes.push((row + rowStep * k) * size + (col + colStep * k));
+        }
+
+        const mask = createMask(indexes);
+        lines.push(mask);
+        for (const index of indexes) {
+          linesByCell[index].push(mask);
+        }
+      }
+    }
+  }
+
+  const result = { lines, linesByCell };
+  lineCache.set(key, result);
+  return result;
+};
+
+/**
+ * ビットボードで勝敗を判定するボードクラス
+ *
+ * プレイヤーごとに駒の位置をビットマスク（32ビットのワードの配列）で持ち、
+ * あらかじめ作成した勝利ラインのマスクとの論理積で勝敗を判定する。
+ * 公開しているメソッドは Board と同じで、board（2次元配列）も同じように更新するため、
+ * Board の代わりにそのまま使える。
+ */
+class BitBoard extends Board {
+  /**
+   * 既存のボードと同じ状態のビットボードを作成する
+   * @param {Board} board - 元のボード
+   * @returns {BitBoard} ビットボード
+   */
+  static fromBoard(board) {
+    const bitBoard = new BitBoard(board.size, board.winLength);
+    bitBoard.deserialize(JSON.parse(JSON.stringify(board.serialize())));
+    return bitBoard;
+  }
+
+  /**
+   * ボードをリセットする
+   */
+  resetBoard() {
+    super.resetBoard();
+
+    const { lines, linesByCell } = createLines(this.size, this.winLength);
+    this.lines = lines;
+    this.linesByCell = linesByCell;
+    this.computeBitMasks();
+  }
+
+  /**
+   * 2次元配列の盤面からビットマスクを作り直す
+   */
+  computeBitMasks() {
+    const wordCount = Math.ceil((this.size * this.size) / WORD_BITS);
+    this.bits = { O: new Uint32Array(wordCount), X: new Uint32Array(wordCount) };
+    this.stoneCount = 0;
+
+    for (let row = 0; row < this.size; row++) {
+      for (let col = 0; col < this.size; col++) {
+        const player = this.board[row][col];
+        if (player === 'O' || player === 'X') {
+          this.toggleBit(row, col, player);
+          this.stoneCount++;
+        }
+      }
+    }
+  }
+
+  /**
+   * マスのビットを反転する
+   * @param {number} row - 行インデックス
+   * @param {number} col - 列インデックス
+   * @param {string} player - プレイヤー ('O' または 'X')
+   */
+  toggleBit(row, col, player) {
+    const index = row * this.size + col;
+    this.bits[player][index >>> 5] ^= 1 << (index & 31);
+  }
+
+  /**
+   * 指定された位置にプレイヤーの駒を配置
+   * @param {number} row - 行インデックス
+   * @param {number} col - 列インデックス
+   * @param {string} player - プレイヤー ('O' または 'X')
+   * @returns {boolean} 配置が成功したかどうか
+   */
+  placeMarker(row, col, player) {
+    if (!super.placeMarker(row, col, player)) {
+      return false;
+    }
+
+    this.toggleBit(row, col, player);
+    this.stoneCount++;
+    return true;
+  }
+
+  /**
+   * 最後に配置された駒を取り消す
+   * @returns {Object|null} 取り消された駒の情報、履歴がない場合はnull
+   */
+  undoMove() {
+    const lastMove = super.undoMove();
+    if (lastMove) {
+      this.toggleBit(lastMove.row, lastMove.col, lastMove.player);
+      this.stoneCount--;
+    }
+    return lastMove;
+  }
+
+  /**
+   * プレイヤーの駒が勝利ラインのマスクをすべて埋めているか
+   * @param {Array} mask - 勝利ラインのマスク [[ワードの番号, ビット]]
+   * @param {Uint32Array} bits - プレイヤーのビットマスク
+   * @returns {boolean} 埋めているかどうか
+   */
+  coversMask(mask, bits) {
+    for (const [word, wordBits] of mask) {
+      if (((bits[word] & wordBits) >>> 0) !== wordBits) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 特定のプレイヤーが勝利したかチェック
+   * @param {string} player - チェックするプレイヤー ('O' または 'X')
+   * @returns {boolean} プレイヤーが勝利したかどうか
+   */
+  checkWin(player) {
+    const bits = this.bits[player];
+    return this.lines.some(mask => this.coversMask(mask, bits));
+  }
+
+  /**
+   * 指定したマスに置かれた駒で勝利ラインができているかチェック（そのマスを通るラインだけを調べる）
+   * @param {number} row - 行インデックス
+   * @param {number} col - 列インデックス
+   * @returns {boolean} 勝利ラインができているかどうか
+   */
+  isWinningMove(row, col) {
+    const player = this.board[row][col];
+    if (player !== 'O' && player !== 'X') {
+      return false;
+    }
+
+    const bits = this.bits[player];
+    return this.linesByCell[row * this.size + col].some(mask => this.coversMask(mask, bits));
+  }
+
+  /**
+   * 勝利条件の長さのすべてのラインについて、ライン内の駒の数を数える（AIの評価関数で使用する）
+   * @param {Function} callback - ラインごとに呼ばれる関数 (oCount, xCount)
+   */
+  forEachLineCount(callback) {
+    const { O, X } = this.bits;
+
+    for (const mask of this.lines) {
+      let oCount = 0;
+      let xCount = 0;
+      for (const [word, wordBits] of mask) {
+        oCount += countBits(O[word] & wordBits);
+        xCount += countBits(X[word] & wordBits);
+      }
+      callback(oCount, xCount);
+    }
+  }
+
+  /**
+   * 指定したマスを通る、勝利条件の長さのラインについて、ライン内の駒の数を数える
+   * @param {number} row - 行インデックス
+   * @param {number} col - 列インデックス
+   * @param {Function} callback - ラインごとに呼ばれる関数 (oCount, xCount)
+   */
+  forEachLineCountAt(row, col, callback) {
+    const { O, X } = this.bits;
+
+    for (const mask of this.linesByCell[row * this.size + col]) {
+      let oCount = 0;
+      let xCount = 0;
+      for (const [word, wordBits] of mask) {
+        oCount += countBits(O[word] & wordBits);
+        xCount += countBits(X[word] & wordBits);
+      }
+      callback(oCount, xCount);
+    }
+  }
+
+  /**
+   * ゲームが引き分けかどうかをチェック（すべてのマスが埋まっているか）
+   * @returns {boolean} ゲームが引き分けかどうか
+   */
+  checkDraw() {
+    return this.stoneCount === this.size * this.size;
+  }
+
+  /**
+   * 空のセル（有効な手）のリストを取得する
+   * @returns {Array} 有効な手のリスト [{row, col}]
+   */
+  getEmptyCells() {
+    const emptyCells = [];
+    const cellCount = this.size * this.size;
+
+    for (let word = 0; word < this.bits.O.length; word++) {
+      let empty = ~(this.bits.O[word] | this.bits.X[word]);
+      while (empty !== 0) {
+        const bit = 31 - Math.clz32(empty & -empty);
+        const index = word * WORD_BITS + bit;
+        if (index >= cellCount) break;
+
+        emptyCells.push({ row: Math.floor(index / this.size), col: index % this.size });
+        empty &= empty - 1;
+      }
+    }
+
+    return emptyCells;
+  }
+
+  /**
+   * シリアライズされたゲームの状態からボードを復元する
+   * @param {Object} data - シリアライズされたゲームの状態
+   */
+  deserialize(data) {
+    super.deserialize(data);
+
+    const { lines, linesByCell } = createLines(this.size, this.winLength);
+    this.lines = lines;
+    this.linesByCell = linesByCell;
+    this.computeBitMasks();
+  }
+
+  /**
+   * ボードの状態をコピーする
+   * @returns {BitBoard} コピーされたボードオブジェクト
+   */
+  clone() {
+    const newBoard = new BitBoard(this.size, this.winLength);
+    newBoard.board = this.board.map(row => [...row]);
+    newBoard.moveHistory = [...this.moveHistory];
+    newBoard.currentPlayer = this.currentPlayer;
+    newBoard.bits = { O: this.bits.O.slice(), X: this.bits.X.slice() };
+    newBoard.stoneCount = this.stoneCount;
+    newBoard.zobristHigh = this.zobristHigh;
+    newBoard.zobristLow = this.zobristLow;
+    return newBoard;
+  }
+}
+
+module.exports = BitBoard;
@@ -1,3 +1,10 @@
+const Zobrist = require('./Zobrist');
+
+/**
+ * 勝利ラインの方向（横、縦、右下がり、左下がり）
+ */
+const DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
 /**
  * ゲームボードを管理するクラス
  */
@@ -20,6 +27,7 @@ class Board {
     this.board = Array(this.size).fill().map(() => Array(this.size).fill(' '));
     this.moveHistory = [];
     this.currentPlayer = 'O';
+    this.computeZobristKey();
   }
 
   /**
@@ -43,6 +51,7 @@ class Board {
     // 駒を配置
     this.board[row][col] = player;
     this.moveHistory.push({ row, col, player });
+    this.toggleZobristKey(row, col, player);
     return true;
   }
 
@@ -57,6 +66,7 @@ class Board {
 
     const lastMove = this.moveHistory.pop();
     this.board[lastMove.row][lastMove.col] = ' ';
+    this.toggleZobristKey(lastMove.row, lastMove.col, lastMove.player);
     return lastMove;
   }
 
@@ -132,6 +142,160 @@ class Board {
     return false;
   }
 
+  /**
+   * 指定したマスから1方向に、同じ駒が続く数を数える（指定したマス自体は含めない）
+   * @param {number} row - 行インデックス
+   * @param {number} col - 列インデックス
+   * @param {number} rowStep - 行の進む向き
+   * @param {number} colStep - 列の進む向き
+   * @param {string} player - 数えるプレイヤー ('O' または 'X')
+   * @returns {number} 続いている駒の数
+   */
+  countInDirection(row, col, rowStep, colStep, player) {
+    let count = 0;
+    let r = row + rowStep;
+    let c = col + colStep;
+    
+    while (r >= 0 && r < this.size && c >= 0 && c < this.size && this.board[r][c] === player) {
+      count++;
+      r += rowStep;
+      c += colStep;
+    }
+    
+    return count;
+  }
+
+  /**
+   * 指定したマスに置かれた駒で勝利ラインができているかチェック
+   * そのマスを通る4方向だけを調べるため、直前に打った手の判定には checkWin より速い
+   * @param {number} row - 行インデックス
+   * @param {number} col - 列インデックス
+   * @returns {boolean} 勝利ラインができているかどうか
+   */
+  isWinningMove(row, col) {
+    const player = this.board[row][col];
+    if (player !== 'O' && player !== 'X') {
+      return false;
+    }
+    
+    for (const [rowStep, colStep] of DIRECTIONS) {
+      const count = 1 +
+        this.countInDirection(row, col, rowStep, colStep, player) +
+        this.countInDirection(row, col, -rowStep, -colStep, player);
+      if (count >= this.winLength) return true;
+    }
+    
+    return false;
+  }
+
+  /**
+   * 指定したマスを通る勝利ラインの座標を取得する
+   * @param {number} row - 行インデックス
+   * @param {number} col - 列インデックス
+   * @returns {Array|null} 勝利ラインに並んだ駒の座標 [{row, col}]（端から順）、勝利ラインがない場合はnull
+   */
+  getWinningLine(row, col) {
+    const player = this.board[row][col];
+    if (player !== 'O' && player !== 'X') {
+      return null;
+    }
+    
+    for (const [rowStep, colStep] of DIRECTIONS) {
+      const backward = this.countInDirection(row, col, -rowStep, -colStep, player);
+      const forward = this.countInDirection(row, col, rowStep, colStep, player);
+      
+      if (1 + backward + forward >= this.winLength) {
+        const line = [];
+        for (let k = -backward; k <= forward; k++) {
+          line.push({ row: row + rowStep * k, col: col + colStep * k });
+        }
+        return line;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * 最後に配置された駒を取得する
+   * @returns {Object|null} 最後の手 {row, col, player}、まだ手がない場合はnull
+   */
+  getLastMove() {
+    return this.moveHistory.length > 0 ? this.moveHistory[this.moveHistory.length - 1] : null;
+  }
+
+  /**
+   * 最後に配置された駒で勝利ラインができていれば、その駒のプレイヤーを返す
+   * @returns {string|null} 勝者 ('O' または 'X')、勝利ラインがない場合はnull
+   */
+  getLastMoveWinner() {
+    const lastMove = this.getLastMove();
+    if (lastMove && this.isWinningMove(lastMove.row, lastMove.col)) {
+      return lastMove.player;
+    }
+    return null;
+  }
+
+  /**
+   * 勝利条件の長さのすべてのライン（行、列、対角線、逆対角線）について、ライン内の駒の数を数える
+   * AIの評価関数で使用する
+   * @param {Function} callback - ラインごとに呼ばれる関数 (oCount, xCount)
+   */
+  forEachLineCount(callback) {
+    for (const [rowStep, colStep] of DIRECTIONS) {
+      for (let row = 0; row < this.size; row++) {
+        for (let col = 0; col < this.size; col++) {
+          const endRow = row + rowStep * (this.winLength - 1);
+          const endCol = col + colStep * (this.winLength - 1);
+          if (endRow >= this.size || endCol < 0 || endCol >= this.size) continue;
+          
+          let oCount = 0;
+          let xCount = 0;
+          for (let k = 0; k < this.winLength; k++) {
+            const cell = this.board[row + rowStep * k][col + colStep * k];
+            if (cell === 'O') {
+              oCount++;
+            } else if (cell === 'X') {
+              xCount++;
+            }
+          }
+          callback(oCount, xCount);
+        }
+      }
+    }
+  }
+
+  /**
+   * 指定したマスを通る、勝利条件の長さのラインについて、ライン内の駒の数を数える
+   * AIが候補手を並べ替えるときに使用する
+   * @param {number} row - 行インデックス
+   * @param {number} col - 列インデックス
+   * @param {Function} callback - ラインごとに呼ばれる関数 (oCount, xCount)
+   */
+  forEachLineCountAt(row, col, callback) {
+    for (const [rowStep, colStep] of DIRECTIONS) {
+      for (let offset = 1 - this.winLength; offset <= 0; offset++) {
+        const startRow = row + rowStep * offset;
+        const startCol = col + colStep * offset;
+        const endRow = startRow + rowStep * (this.winLength - 1);
+        const endCol = startCol + colStep * (this.winLength - 1);
+        if (startRow < 0 || startCol < 0 || startCol >= this.size || endRow >= this.size || endCol < 0 || endCol >= this.size) continue;
+        
+        let oCount = 0;
+        let xCount = 0;
+        for (let k = 0; k < this.winLength; k++) {
+          const cell = this.board[startRow + rowStep * k][startCol + colStep * k];
+          if (cell === 'O') {
+            oCount++;
+          } else if (cell === 'X') {
+            xCount++;
+          }
+        }
+        callback(oCount, xCount);
+      }
+    }
+  }
+
   /**
    * ゲームが引き分けかどうかをチェック
    * @returns {boolean} ゲームが引き分けかどうか
@@ -171,6 +335,56 @@ class Board {
     this.board = data.board;
     this.moveHistory = data.moveHistory;
     this.currentPlayer = data.currentPlayer;
+    this.computeZobristKey();
+  }
+
+  /**
+   * 盤面のハッシュ値を計算する（FNV-1a）
+   * 同じサイズ・勝利条件・駒の配置であれば同じ値になるため、通信相手との盤面の一致確認に使用する
+   * @returns {string} 8桁の16進数のハッシュ値
+   */
+  getHash() {
+    const text = `${this.size}|${this.winLength}|${this.board.map(row => row.join('')).join('')}`;
+    let hash = 0x811c9dc5;
+    
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    
+    return hash.toString(16).padStart(8, '0');
+  }
+
+  /**
+   * 盤面全体からゾブリストハッシュを計算し直す
+   * （board を直接書き換えた場合は、探索に使う前にこのメソッドを呼ぶ）
+   */
+  computeZobristKey() {
+    this.zobrist = Zobrist.forSize(this.size);
+    const { high, low } = this.zobrist.hash(this.board);
+    this.zobristHigh = high;
+    this.zobristLow = low;
+  }
+
+  /**
+   * 駒を置いた・取り除いたマスの乱数をゾブリストハッシュにXORする
+   * @param {number} row - 行インデックス
+   * @param {number} col - 列インデックス
+   * @param {string} player - プレイヤー ('O' または 'X')
+   */
+  toggleZobristKey(row, col, player) {
+    const index = row * this.size + col;
+    this.zobristHigh ^= this.zobrist.high[player][index];
+    this.zobristLow = (this.zobristLow ^ this.zobrist.low[player][index]) >>> 0;
+  }
+
+  /**
+   * 駒の配置のゾブリストハッシュを取得する（AIの置換表のキーに使用する）
+   * 手を打つ・取り消すたびに差分で更新されるため、getHash と違い計算の手間はかからない
+   * @returns {number} 53ビットのハッシュ値
+   */
+  getZobristKey() {
+    return Zobrist.combine(this.zobristHigh, this.zobristLow);
   }
 
   /**
@@ -198,6 +412,7 @@ class Board {
     newBoard.board = this.board.map(row => [...row]);
     newBoard.moveHistory = [...this.moveHistory];
     newBoard.currentPlayer = this.currentPlayer;
+    newBoard.computeZobristKey();
     return newBoard;
   }
 }
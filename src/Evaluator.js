@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 同梱の評価プロファイルを置くディレクトリ
+ */
+const PROFILE_DIR = path.join(__dirname, '..', 'data', 'profiles');
+
+/**
+ * 読み込み済みのプロファイル（名前またはパスごと）
+ */
+const profileCache = new Map();
+
+/**
+ * 作成済みのラインの形（ボードサイズと勝利条件の組ごと）
+ */
+const geometryCache = new Map();
+
+/**
+ * ラインの方向（Board の forEachLineCount と同じ順）
+ */
+const DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+/**
+ * ボードサイズと勝利条件に対応するラインの形を作成する
+ * ラインは Board・BitBoard の forEachLineCount と同じ順に並べる
+ * @param {number} size - ボードのサイズ
+ * @param {number} winLength - 勝利条件の長さ
+ * @returns {Object} ラインの形 {lines（[{cells, ends}]、cells はラインのマス、ends はラインの両端の外側のマス [row, col]）,
+ *   centrality（マスごとの中央への近さ、0〜1）}
+ */
+const createGeometry = (size, winLength) => {
+  const key = `${size}|${winLength}`;
+  if (geometryCache.has(key)) {
+    return geometryCache.get(key);
+  }
+
+  const inBounds = (row, col) => row >= 0 && row < size && col >= 0 && col < size;
+  const lines = [];
+
+  for (const [rowStep, colStep] of DIRECTIONS) {
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        const endRow = row + rowStep * (winLength - 1);
+        const endCol = col + colStep * (winLength - 1);
+        if (!inBounds(endRow, endCol)) continue;
+
+        const cells = [];
+        for (let k = 0; k < winLength; k++) {
+          cells.push([row + rowStep * k, col + colStep * k]);
+        }
+        const ends = [[row - rowStep, col - colStep], [endRow + rowStep, endCol + colStep]]
+          .filter(([r, c]) => inBounds(r, c));
+        lines.push({ cells, ends });
+      }
+    }
+  }
+
+  const center = (size - 1) / 2;
+  const maxDistance = Math.max(center * 2, 1);
+  const centrality = Array(size).fill().map((_, row) =>
+    Array(size).fill().map((__, col) => 1 - (Math.abs(row - center) + Math.abs(col - center)) / maxDistance));
+
+  const geometry = { lines, centrality };
+  geometryCache.set(key, geometry);
+  return geometry;
+};
+
+/**
+ * 名前付きの重み（評価プロファイル）で局面を評価するクラス
+ *
+ * 相手の駒を含まないラインを、駒の数と両端の開き具合（両端が空いている・片側だけ空いている・両側がふさがっている）で評価し、
+ * 勝ちにつながるマスが2か所以上ある二重の脅威と、中央への近さを加える。相手の評価は defense 倍して差し引く。
+ *
+ * プロファイルの形式:
+ *   {
+ *     "name": "standard",
+ *     "description": "説明",
+ *     "weights": {
+ *       "lines": { "open": [...], "halfOpen": [...], "closed": [...] },  // 添字はライン内の駒の数
+ *       "doubleThreat": 5000,  // 二重の脅威
+ *       "center": 10,          // 駒の中央への近さ（中央の駒1つあたり）
+ *       "defense": 1           // 相手の評価にかける倍率
+ *     }
+ *   }
+ */
+class Evaluator {
+  /**
+   * 評価プロファイルを指定して初期化
+   * @param {Object} profile - 評価プロファイル {name, description, weights}
+   */
+  constructor(profile) {
+    Evaluator.validate(profile);
+    this.name = profile.name;
+    this.description = profile.description || '';
+    this.weights = profile.weights;
+
+    // 開き具合で重みが変わらなければ、ラインの端を調べずに評価する
+    const { open, halfOpen, closed } = this.weights.lines;
+    this.usesOpenness = JSON.stringify(open) !== JSON.stringify(halfOpen) || JSON.stringify(open) !== JSON.stringify(closed);
+  }
+
+  /**
+   * 評価プロファイルを読み込む
+   * @param {string} nameOrPath - 同梱のプロファイルの名前（例: 'standard'）、またはJSONファイルのパス
+   * @returns {Evaluator} 読み込んだプロファイルで評価する評価関数
+   */
+  static load(nameOrPath) {
+    if (!profileCache.has(nameOrPath)) {
+      const filePath = nameOrPath.endsWith('.json') ? nameOrPath : path.join(PROFILE_DIR, `${nameOrPath}.json`);
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`評価プロファイルが見つかりません: ${nameOrPath}`);
+      }
+      profileCache.set(nameOrPath, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    }
+
+    return new Evaluator(profileCache.get(nameOrPath));
+  }
+
+  /**
+   * 同梱の評価プロファイルの一覧を取得する
+   * @returns {Array} プロファイルの名前と説明 [{name, description}]
+   */
+  static listProfiles() {
+    return fs.readdirSync(PROFILE_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => Evaluator.load(file.replace(/\.json$/, '')))
+      .map(evaluator => ({ name: evaluator.name, description: evaluator.description }));
+  }
+
+  /**
+   * 評価プロファイルの形式を確認する
+   * @param {Object} profile - 評価プロファイル
+   * @throws {Error} 必要な重みがない場合
+   */
+  static validate(profile) {
+    const weights = profile && profile.weights;
+    if (!weights || !weights.lines) {
+      throw new Error('評価プロファイルに重み（weights.lines）がありません');
+    }
+
+    for (const type of ['open', 'halfOpen', 'closed']) {
+      if (!Array.isArray(weights.lines[type])) {
+        throw new Error(`評価プロファイルに weights.lines.${type} の配列がありません`);
+      }
+    }
+    for (const name of ['doubleThreat', 'center', 'defense']) {
+      if (typeof weights[name] !== 'number') {
+        throw new Error(`評価プロファイルに weights.${name} の数値がありません`);
+      }
+    }
+  }
+
+  /**
+   * 局面を評価する
+   * @param {Board} board - 評価するボード
+   * @param {string} player - 評価するプレイヤー ('O' または 'X')
+   * @returns {number} 評価スコア（大きいほどプレイヤーに有利）
+   */
+  evaluate(board, player) {
+    const { lines, centrality } = createGeometry(board.size, board.winLength);
+    const { doubleThreat, center, defense } = this.weights;
+    const opponent = player === 'O' ? 'X' : 'O';
+    const threatLength = board.winLength - 1;
+    const cells = board.board;
+    const threats = { [player]: new Set(), [opponent]: new Set() };
+    let own = 0;
+    let opposing = 0;
+    let lineIndex = 0;
+
+    board.forEachLineCount((oCount, xCount) => {
+      const line = lines[lineIndex++];
+      if (oCount > 0 && xCount > 0) return;
+      if (oCount === 0 && xCount === 0) return;
+
+      const owner = oCount > 0 ? 'O' : 'X';
+      const count = oCount + xCount;
+      const score = this.scoreLine(line, count, owner === 'O' ? 'X' : 'O', cells);
+      if (owner === player) {
+        own += score;
+      } else {
+        opposing += score;
+      }
+
+      // 勝ちにつながるマスを記録する（2か所以上あれば二重の脅威）
+      if (doubleThreat !== 0 && count === threatLength) {
+        const [row, col] = line.cells.find(([r, c]) => cells[r][c] === ' ');
+        threats[owner].add(row * board.size + col);
+      }
+    });
+
+    if (threats[player].size >= 2) own += doubleThreat;
+    if (threats[opponent].size >= 2) opposing += doubleThreat;
+
+    if (center !== 0) {
+      for (let row = 0; row < board.size; row++) {
+        for (let col = 0; col < board.size; col++) {
+          if (cells[row][col] === player) {
+            own += center * centrality[row][col];
+          } else if (cells[row][col] === opponent) {
+            opposing += center * centrality[row][col];
+          }
+        }
+      }
+    }
+
+    return own - defense * opposing;
+  }
+
+  /**
+   * 相手の駒を含まないラインを、駒の数と両端の開き具合で評価する
+   * @param {Object} line - ラインの形 {cells, ends}
+   * @param {number} count - ライン内の駒の数
+   * @param {string} blocker - 端をふさぐ駒（ラインの持ち主の相手）
+   * @param {Array} cells - ボードの2次元配列
+   * @returns {number} 評価スコア
+   */
+  scoreLine(line, count, blocker, cells) {
+    if (!this.usesOpenness) {
+      const weights = this.weights.lines.open;
+      return weights[Math.min(count, weights.length - 1)];
+    }
+
+    let openEnds = 0;
+    for (const [row, col] of line.ends) {
+      if (cells[row][col] !== blocker) openEnds++;
+    }
+
+    let weights = this.weights.lines.closed;
+    if (openEnds === 2) {
+      weights = this.weights.lines.open;
+    } else if (openEnds === 1) {
+      weights = this.weights.lines.halfOpen;
+    }
+    return weights[Math.min(count, weights.length - 1)];
+  }
+}
+
+module.exports = Evaluator;
@@ -1,20 +1,58 @@
 const Board = require('./Board');
 const AI = require('./AI');
+const Arena = require('./Arena');
 const UI = require('./UI');
 const GameStorage = require('./GameStorage');
+const GameClock = require('./GameClock');
+const NetworkGame = require('./NetworkGame');
+const LobbyClient = require('./LobbyClient');
+const GameAnalyzer = require('./GameAnalyzer');
+const GameHistory = require('./GameHistory');
+const Learner = require('./Learner');
+const MoveExplainer = require('./MoveExplainer');
+const OpeningBook = require('./OpeningBook');
+const Random = require('./Random');
+const Replay = require('./Replay');
+const Solver = require('./Solver');
+const Statistics = require('./Statistics');
 const readlineSync = require('readline-sync');
 
+/**
+ * ボードの下に表示するチャットの件数
+ */
+const CHAT_HISTORY_LENGTH = 5;
+
+/**
+ * 相手の時間切れを判定するまでに待つ通信の遅延分の余裕（ミリ秒）
+ */
+const NETWORK_TIME_ALLOWANCE = 1000;
+
+/**
+ * ヒントで表示する候補手の数
+ */
+const HINT_MOVES = 3;
+
 /**
  * ゲーム全体を管理するクラス
  */
 class Game {
   /**
    * ゲームクラスを初期化
+   * @param {Object} options - ゲームの設定 {seed}（seed はAIの手などに使う乱数のシード値、省略時はランダム）
    */
-  constructor() {
+  constructor(options = {}) {
+    this.random = new Random(options.seed);
+    // シード値を指定した対局では、同じ対局を再現できるようにAIを制限時間ではなく深さや反復回数で読ませる
+    this.seeded = options.seed !== undefined;
     this.ui = new UI();
     this.storage = new GameStorage();
-    this.stats = this.storage.loadStats();
+    this.stats = new Statistics(this.storage.loadStats());
+    if (this.stats.migrated) {
+      // 以前の形式の stats.json は、変換した形式で保存し直す
+      this.storage.saveStats(this.stats.serialize());
+    }
+    this.learner = new Learner(this.storage.loadLearning());
+    this.solver = null;
     this.resetGame();
   }
 
@@ -27,37 +65,54 @@ class Game {
     this.difficulty = null;
     this.gameOver = false;
     this.winner = null;
+    this.winningLine = null;
     this.ai = null;
+    this.learningNoise = null;
     this.playerMarker = 'O';
     this.aiMarker = 'X';
+    this.network = null;
+    this.remoteEvents = [];
+    this.remoteEventResolver = null;
+    this.waitingSpinner = null;
+    this.chatLog = [];
+    this.clock = null;
+    this.resultReason = null;
+    this.startedAt = null;
   }
 
   /**
    * メインメニューを表示し、選択に基づいて処理
+   * @returns {Promise} メニューから始まった処理の完了
    */
-  showMainMenu() {
+  async showMainMenu() {
     const choice = this.ui.showMainMenu();
     
     switch (choice) {
       case 0: // ゲーム開始
-        this.setupGame();
-        this.startGame();
-        break;
+        if (!(await this.setupGame())) {
+          return this.showMainMenu();
+        }
+        return this.startGame();
       case 1: // 設定
         const settings = this.ui.showSettingsMenu();
         this.updateSettings(settings);
-        this.showMainMenu();
-        break;
+        return this.showMainMenu();
       case 2: // 統計情報
         this.ui.showStats(this.stats);
-        this.showMainMenu();
-        break;
+        return this.showMainMenu();
       case 3: // ゲームのロード
-        this.loadGame();
-        break;
-      case 4: // ゲーム終了
-        this.exitGame();
+        if (!(await this.loadGame())) {
+          return this.showMainMenu();
+        }
         break;
+      case 4: // リプレイ
+        await this.replayGame();
+        return this.showMainMenu();
+      case 5: // 対局履歴
+        await this.showHistory();
+        return this.showMainMenu();
+      case 6: // ゲーム終了
+        return this.exitGame();
     }
   }
 
@@ -68,12 +123,15 @@ class Game {
   updateSettings(settings) {
     this.ui.boardSize = settings.boardSize;
     this.ui.winLength = settings.winLength;
+    this.ui.timeControl = settings.timeControl;
+    this.ui.aiProfile = settings.aiProfile || null;
   }
 
   /**
    * ゲームの初期設定
+   * @returns {Promise<boolean>} ゲームを開始できるかどうか
    */
-  setupGame() {
+  async setupGame() {
     this.resetGame();
     
     const gameMode = this.ui.selectGameMode();
@@ -81,34 +139,174 @@ class Game {
     this.difficulty = gameMode.difficulty;
     
     this.board = new Board(this.ui.boardSize, this.ui.winLength);
+    this.clock = this.ui.timeControl ? new GameClock(this.ui.timeControl) : null;
     
     if (this.gameMode === 'single') {
+      // プレイヤーが後攻の場合は、startGameのループでAIが先に打つ
       this.playerMarker = gameMode.startingPlayer;
       this.aiMarker = this.playerMarker === 'O' ? 'X' : 'O';
-      this.ai = new AI(this.aiMarker, this.difficulty);
+      this.ai = this.createAI();
+    } else if (this.gameMode === 'online') {
+      return this.setupOnlineGame(gameMode.online);
+    }
+    
+    return true;
+  }
+
+  /**
+   * オンライン対戦の接続を確立する
+   * @param {Object} options - 接続方法 {role: 'host', gameId, port}、{role: 'join', address}、
+   *                           {role: 'spectate', address} または {role: 'lobby', host, port}
+   * @returns {Promise<boolean>} 接続できたかどうか
+   */
+  async setupOnlineGame(options) {
+    this.network = new NetworkGame();
+    this.network.on('move', move => this.pushRemoteEvent({ type: 'move', move }));
+    this.network.on('resign', info => this.pushRemoteEvent({ type: 'resign', marker: info.marker, reason: info.reason }));
+    this.network.on('disconnect', info => this.pushRemoteEvent({ type: 'disconnect', reason: info.reason }));
+    this.network.on('sync', () => this.pushRemoteEvent({ type: 'sync' }));
+    this.network.on('reconnect', () => this.pushRemoteEvent({ type: 'resume' }));
+    this.network.on('forfeit', info => this.pushRemoteEvent({ type: 'forfeit', ...info }));
+    this.network.on('chat', (entry) => {
+      this.addChatMessage(entry);
+      this.pushRemoteEvent({ type: 'chat' });
+    });
+    this.network.on('reconnecting', info => this.showReconnectCountdown(info.remaining));
+    this.network.on('error', error => console.log(`通信エラー: ${error.message}`));
+    
+    try {
+      if (options.role === 'lobby') {
+        options = await this.selectLobbyGame(options);
+        if (!options) {
+          this.network = null;
+          return false;
+        }
+      }
       
-      // プレイヤーが後攻の場合、AIが先に打つ
-      if (this.playerMarker === 'X') {
-        this.handleAiTurn();
+      if (options.role === 'host') {
+        const connected = new Promise(resolve => this.network.on('connect', resolve));
+        const result = await this.network.hostGame(options.gameId, {
+          port: options.port,
+          boardSize: this.ui.boardSize,
+          winLength: this.ui.winLength,
+          timeControl: this.clock ? this.clock.timeControl : null
+        });
+        
+        const spinner = this.ui.showWaitingForOpponent(
+          `対戦相手の接続を待っています（ゲームID: ${result.gameId}, ポート: ${result.port}）`
+        );
+        await connected;
+        spinner.success({ text: '対戦相手が接続しました' });
+        
+        this.playerMarker = this.network.marker;
+      } else if (options.role === 'spectate') {
+        const spinner = this.ui.showWaitingForOpponent(`${options.address} に接続しています`);
+        let result;
+        try {
+          result = await this.network.spectateGame(options.address);
+        } catch (error) {
+          spinner.error({ text: error.message });
+          throw error;
+        }
+        spinner.success({ text: '観戦を開始しました' });
+        
+        // 盤面は接続直後に届く同期メッセージで置き換える
+        this.gameMode = 'spectate';
+        this.board = new Board(result.boardSize, result.winLength);
+        this.clock = result.timeControl ? new GameClock(result.timeControl) : null;
+      } else {
+        const spinner = this.ui.showWaitingForOpponent(`${options.address} に接続しています`);
+        let result;
+        try {
+          result = await this.network.joinGame(options.address);
+        } catch (error) {
+          spinner.error({ text: error.message });
+          throw error;
+        }
+        spinner.success({ text: 'ホストに接続しました' });
+        
+        // ボードと持ち時間の設定はホストに合わせる
+        this.board = new Board(result.boardSize, result.winLength);
+        this.clock = result.timeControl ? new GameClock(result.timeControl) : null;
+        this.playerMarker = result.marker;
       }
+    } catch (error) {
+      console.log(`オンライン対戦を開始できませんでした: ${error.message}`);
+      this.network.disconnect();
+      this.network = null;
+      this.ui.confirm('メインメニューに戻りますか？');
+      return false;
     }
+    
+    return true;
+  }
+
+  /**
+   * ゲームサーバーのロビーでゲームを選択または作成する
+   * @param {Object} server - サーバーの接続先 {host, port}
+   * @returns {Promise<Object|null>} 参加するゲームの接続方法 {role: 'join', address}
+   *                                  または {role: 'spectate', address}、キャンセル時はnull
+   */
+  async selectLobbyGame(server) {
+    const lobby = new LobbyClient(server.host, server.port);
+    const games = await lobby.listGames();
+    const choice = this.ui.selectLobbyGame(games);
+    
+    if (!choice) {
+      return null;
+    }
+    
+    let gameId = choice.gameId;
+    if (choice.action === 'create') {
+      const created = await lobby.createGame({
+        boardSize: this.ui.boardSize,
+        winLength: this.ui.winLength,
+        timeControl: this.ui.timeControl
+      });
+      gameId = created.gameId;
+      console.log(`ゲームを作成しました（ゲームID: ${gameId}）。対戦相手の参加を待ちます。`);
+    }
+    
+    return {
+      role: choice.action === 'spectate' ? 'spectate' : 'join',
+      address: lobby.getGameAddress(gameId)
+    };
   }
 
   /**
    * ゲームを開始
+   * @returns {Promise} ゲーム終了後の処理の完了
    */
-  startGame() {
+  async startGame() {
+    if (this.gameMode === 'spectate') {
+      return this.watchGame();
+    }
+    
+    if (this.startedAt === null) {
+      this.startedAt = Date.now();
+    }
+    
     while (!this.gameOver) {
-      this.ui.renderBoard(this.board, this.board.currentPlayer);
+      this.startClock();
+      this.ui.renderBoard(this.board, this.board.currentPlayer, this.getBoardInfo());
       
       if (this.gameMode === 'single') {
         if (this.board.currentPlayer === this.playerMarker) {
-          this.handlePlayerTurn();
+          await this.handlePlayerTurn();
+        } else {
+          await this.handleAiTurn();
+        }
+      } else if (this.gameMode === 'online') {
+        if (this.network.isReconnecting) {
+          // 再接続が終わるまでは入力を受け付けない
+          await this.handleRemoteTurn();
+        } else if (this.board.currentPlayer === this.playerMarker) {
+          await this.handlePlayerTurn();
         } else {
-          this.handleAiTurn();
+          await this.handleRemoteTurn();
         }
       } else { // 2人プレイの場合
-        this.handlePlayerTurn();
+        await this.handlePlayerTurn();
       }
       
       if (this.gameOver) break;
@@ -118,55 +316,301 @@ class Game {
     }
     
     // ゲーム終了時の処理
-    this.ui.renderBoard(this.board, this.board.currentPlayer);
-    this.ui.showGameResult(this.winner);
+    this.stopClock();
+    this.ui.renderBoard(this.board, this.board.currentPlayer, this.getBoardInfo());
+    this.ui.showGameResult(this.winner, this.resultReason);
     
-    // 統計情報を更新
+    // 統計情報を更新し、対局を記録する
     this.updateStats();
+    this.learnFromGame();
+    this.archiveGame();
+    
+    if (this.network) {
+      this.network.disconnect();
+    }
+    
+    if (this.board.moveHistory.length > 0 && this.ui.confirm('対局を分析しますか？')) {
+      this.analyzeGame();
+    }
     
     // もう一度プレイするか
     if (this.ui.confirm('もう一度プレイしますか？')) {
-      this.setupGame();
-      this.startGame();
+      if (!(await this.setupGame())) {
+        return this.showMainMenu();
+      }
+      return this.startGame();
+    }
+    return this.showMainMenu();
+  }
+
+  /**
+   * 対局を観戦する
+   * 盤面は相手からのイベントを受け取るたびに描画し直し、入力は終了キー（q）のみ受け付ける
+   * @returns {Promise} 観戦終了後の処理の完了
+   */
+  async watchGame() {
+    const listen = () => this.ui.listenForKeys({
+      q: () => this.pushRemoteEvent({ type: 'quit' }),
+      c: () => this.pushRemoteEvent({ type: 'chat-input' })
+    });
+    let stopListening = listen();
+    let message = null;
+    
+    while (!this.gameOver) {
+      this.startClock();
+      this.ui.renderBoard(this.board, this.board.currentPlayer, this.getBoardInfo());
+      
+      const event = await this.waitForRemoteEvent();
+      switch (event.type) {
+        case 'move':
+          this.stopClock(event.move.clock);
+          this.board.placeMarker(event.move.row, event.move.col, event.move.player);
+          this.board.currentPlayer = event.move.player;
+          this.checkGameStatus();
+          if (!this.gameOver) {
+            this.board.currentPlayer = event.move.player === 'O' ? 'X' : 'O';
+          }
+          break;
+        case 'sync':
+          this.restoreSpectatedBoard();
+          break;
+        case 'resign':
+          message = event.reason ? `${event.marker} の負けです（${event.reason}）` : `${event.marker} が投了しました`;
+          this.gameOver = true;
+          this.winner = event.marker === 'O' ? 'X' : 'O';
+          break;
+        case 'disconnect':
+          message = event.reason || '対局との接続が切断されました';
+          this.gameOver = true;
+          break;
+        case 'chat-input': {
+          // 入力中はキーの待ち受けを止める
+          stopListening();
+          const chat = this.ui.promptChat();
+          if (chat) {
+            await this.sendChat(chat);
+          }
+          stopListening = listen();
+          break;
+        }
+        case 'quit':
+          message = '観戦を終了しました';
+          this.gameOver = true;
+          break;
+      }
+    }
+    
+    stopListening();
+    this.stopClock();
+    this.network.disconnect();
+    
+    this.ui.renderBoard(this.board, this.board.currentPlayer, this.getBoardInfo());
+    if (message) {
+      console.log(message);
     } else {
-      this.showMainMenu();
+      this.ui.showGameResult(this.winner);
+    }
+    
+    this.ui.confirm('メインメニューに戻りますか？');
+    return this.showMainMenu();
+  }
+
+  /**
+   * 観戦中の盤面を通信用の盤面（ホストと同期済み）で置き換える
+   */
+  restoreSpectatedBoard() {
+    const snapshot = this.network.board.serialize();
+    this.board = new Board(snapshot.size, snapshot.winLength);
+    this.board.deserialize(JSON.parse(JSON.stringify(snapshot)));
+    
+    const lastMove = this.board.getLastMove();
+    if (lastMove) {
+      this.board.currentPlayer = lastMove.player;
+      this.checkGameStatus();
+    }
+    if (!this.gameOver) {
+      this.board.currentPlayer = this.network.getPlayerToMove();
+    }
+  }
+
+  /**
+   * ボードと一緒に表示する対局の情報を取得する
+   * @returns {Object} 表示する情報 {clock, winningLine, seed, spectators, isSpectating, chat}
+   */
+  getBoardInfo() {
+    const info = {};
+    if (this.gameMode === 'single') {
+      info.seed = this.random.seed;
+    }
+    if (this.clock) {
+      info.clock = { ...this.clock.getRemainingTimes(), active: this.clock.activePlayer };
+    }
+    if (this.winningLine) {
+      info.winningLine = this.winningLine;
+    }
+    
+    if (!this.network) {
+      return info;
+    }
+    
+    // 観戦者数は対局者にだけ通知される
+    if (this.gameMode === 'spectate') {
+      return { ...info, isSpectating: true, chat: this.chatLog };
+    }
+    return { ...info, spectators: this.network.spectatorCount, chat: this.chatLog };
+  }
+
+  /**
+   * 手番のプレイヤーの時計を動かす（持ち時間なしの場合は何もしない）
+   */
+  startClock() {
+    if (this.clock && !this.gameOver && this.clock.activePlayer !== this.board.currentPlayer) {
+      this.clock.start(this.board.currentPlayer);
+    }
+  }
+
+  /**
+   * 動いている時計を止める
+   * @param {Object} reported - 通信相手から受け取った残り時間 {O, X}（手を打ったプレイヤーの分を、手元で計った時間を上限に反映する）
+   * @returns {Object|undefined} 止めた後の残り時間 {O, X}、持ち時間なしの場合はundefined
+   */
+  stopClock(reported) {
+    if (!this.clock) {
+      return undefined;
+    }
+    
+    const player = this.clock.activePlayer;
+    this.clock.stop();
+    if (reported && player) {
+      this.clock.applyReportedRemaining(player, reported[player]);
+    }
+    return this.clock.getRemainingTimes();
+  }
+
+  /**
+   * プレイヤーが時間切れになっていれば、そのプレイヤーの負けとしてゲームを終了する
+   * @param {string} player - 確認するプレイヤー ('O' または 'X')
+   * @returns {boolean} 時間切れになっていたかどうか
+   */
+  checkTimeout(player) {
+    if (!this.clock || !this.clock.isFlagged(player)) {
+      return false;
+    }
+    
+    this.clock.stop();
+    this.gameOver = true;
+    this.winner = player === 'O' ? 'X' : 'O';
+    this.resultReason = `${player} の時間切れ`;
+    
+    if (this.network) {
+      this.network.resign('時間切れ').catch(() => {});
+    }
+    return true;
+  }
+
+  /**
+   * チャットを送信し、自分の発言として記録する
+   * @param {Object} chat - 送信する内容 {text} または {emote}
+   * @returns {Promise<boolean>} 送信できたかどうか
+   */
+  async sendChat(chat) {
+    try {
+      this.addChatMessage(await this.network.sendChat(chat));
+      return true;
+    } catch (error) {
+      console.log(`チャットを送信できませんでした: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * チャットを記録する（表示する件数だけ残す）
+   * @param {Object} entry - チャットのエントリー {from, text} または {from, emote}
+   */
+  addChatMessage(entry) {
+    this.chatLog.push(entry);
+    if (this.chatLog.length > CHAT_HISTORY_LENGTH) {
+      this.chatLog.shift();
     }
   }
 
   /**
    * プレイヤーのターンを処理
+   * @returns {Promise} ターンの処理の完了
    */
-  handlePlayerTurn() {
+  async handlePlayerTurn() {
     const move = this.ui.getPlayerMove(this.board);
     
-    // コマンド処理
+    // 入力を待っている間に持ち時間が切れた場合は負け
+    if (this.checkTimeout(this.board.currentPlayer)) {
+      return;
+    }
+    
+    // コマンド処理（手を打つコマンドではないため、同じプレイヤーにもう一度入力させる）
     if (typeof move === 'string') {
       switch (move) {
         case 'save':
-          this.saveGame();
-          return;
         case 'load':
-          if (this.loadGame()) {
+          if (this.gameMode === 'online') {
+            console.log('オンライン対戦中は保存・読込できません。');
+            return this.handlePlayerTurn();
+          }
+          if (move === 'save') {
+            this.saveGame();
+          } else if (await this.loadGame()) {
+            // 読み込んだゲームは loadGame の中で最後まで進めている
             return;
           }
-          break;
+          return this.handlePlayerTurn();
         case 'hint':
           this.showHint();
-          return;
+          return this.handlePlayerTurn();
+        case 'solve':
+          this.showSolvedValue();
+          return this.handlePlayerTurn();
         case 'stats':
           this.ui.showStats(this.stats);
-          return;
+          this.ui.renderBoard(this.board, this.board.currentPlayer, this.getBoardInfo());
+          return this.handlePlayerTurn();
         case 'quit':
           if (this.ui.confirm('ゲームを終了してメインメニューに戻りますか？')) {
             this.gameOver = true;
-            this.showMainMenu();
+            if (this.network) {
+              // オンライン対戦では投了として扱う
+              await this.network.resign().catch(() => {});
+              this.network.disconnect();
+            }
+            await this.showMainMenu();
+            return;
           }
-          return;
+          return this.handlePlayerTurn();
       }
     }
     
+    // チャットは手番を消費しない
+    if (move.command === 'chat') {
+      if (!this.network) {
+        console.log('チャットはオンライン対戦でのみ使用できます。');
+      } else if (await this.sendChat(move.chat)) {
+        this.ui.renderBoard(this.board, this.board.currentPlayer, this.getBoardInfo());
+      }
+      return this.handlePlayerTurn();
+    }
+    
     // 駒を配置
     this.board.placeMarker(move.row, move.col, this.board.currentPlayer);
+    const clock = this.stopClock();
+    
+    if (this.gameMode === 'online') {
+      try {
+        await this.network.sendMove({ ...move, clock });
+      } catch (error) {
+        // 送信できなかった手は取り消し、通信用の盤面に合わせる
+        console.log(`手を送信できませんでした: ${error.message}`);
+        this.restoreSyncedBoard();
+        return;
+      }
+    }
     
     // 勝敗チェック
     this.checkGameStatus();
@@ -174,29 +618,231 @@ class Game {
 
   /**
    * AIのターンを処理
+   * @returns {Promise} AIが手を打ち終えたときに完了
    */
   handleAiTurn() {
     const spinner = this.ui.showAIThinking(this.difficulty);
     
-    // AIの思考時間をシミュレート
-    setTimeout(() => {
-      spinner.success({ text: `AIが手を打ちました` });
-      
-      const aiMove = this.ai.makeMove(this.board);
-      this.board.placeMarker(aiMove.row, aiMove.col, this.aiMarker);
+    // AIの思考時間をシミュレート（持ち時間のある対局では、演出で待った時間がAIの持ち時間から引かれないように待たない）
+    const delay = this.clock ? 0 : 1000;
+    
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        const aiMove = this.ai.makeMove(this.board, this.getAiTimeBudget());
+        
+        if (this.checkTimeout(this.aiMarker)) {
+          spinner.error({ text: 'AIの持ち時間が切れました' });
+          resolve();
+          return;
+        }
+        
+        // 探索した場合は、探索の深さとノード数（モンテカルロ木探索では反復回数と勝率）を表示
+        const searchInfo = this.ai.getLastSearchInfo();
+        spinner.success({
+          text: searchInfo
+            ? `AIが手を打ちました（${this.ui.formatSearchInfo(searchInfo)}）`
+            : `AIが手を打ちました`
+        });
+        this.board.placeMarker(aiMove.row, aiMove.col, this.aiMarker);
+        this.stopClock();
+        
+        // 勝敗チェック
+        this.checkGameStatus();
+        resolve();
+      }, delay);
+    });
+  }
+
+  /**
+   * AIの1手あたりの探索の制限時間を決める
+   * 持ち時間がある場合は、残り時間を使い切らないよう難易度の制限時間より短くする
+   * @returns {number} 探索の制限時間（ミリ秒）
+   */
+  getAiTimeBudget() {
+    if (!this.clock) {
+      return this.ai.timeBudget;
+    }
+    
+    const remaining = this.clock.getRemaining(this.aiMarker);
+    const share = this.clock.timeControl.mode === 'move' ? remaining / 2 : remaining / 20;
+    return Math.max(10, Math.min(this.ai.timeBudget, Math.floor(share)));
+  }
+
+  /**
+   * オンライン対戦の相手のターンを処理
+   * @returns {Promise} 相手の手（または終了の通知）を受け取ったときに完了
+   */
+  async handleRemoteTurn() {
+    const spinner = this.ui.showWaitingForOpponent();
+    this.waitingSpinner = spinner;
+    
+    // 相手の持ち時間が切れる頃に時間切れを確認する
+    let flagTimer = null;
+    if (this.clock && this.board.currentPlayer !== this.playerMarker) {
+      const remaining = this.clock.getRemaining(this.board.currentPlayer);
+      flagTimer = setTimeout(() => this.pushRemoteEvent({ type: 'flag' }), remaining + NETWORK_TIME_ALLOWANCE);
+    }
+    
+    try {
+      await this.receiveRemoteTurn(spinner);
+    } finally {
+      clearTimeout(flagTimer);
+      this.waitingSpinner = null;
+    }
+  }
+
+  /**
+   * 相手の手番が終わるまで、相手からのイベントを処理する
+   * @param {Object} spinner - 待機中表示のスピナー
+   * @returns {Promise} 相手の手番が終わったときに完了
+   */
+  async receiveRemoteTurn(spinner) {
+    while (true) {
+      const event = await this.waitForRemoteEvent();
       
-      // 勝敗チェック
-      this.checkGameStatus();
-    }, 1000); // 1秒の遅延
+      switch (event.type) {
+        case 'move':
+          spinner.success({ text: `相手が手を打ちました（行=${event.move.row}, 列=${event.move.col}）` });
+          this.stopClock(event.move.clock);
+          this.board.placeMarker(event.move.row, event.move.col, this.board.currentPlayer);
+          this.checkGameStatus();
+          return;
+        case 'sync':
+          // ホストの盤面で置き換え、自分の手番になっていれば待機を終える
+          if (this.restoreSyncedBoard()) {
+            spinner.success({ text: '盤面をホストと同期しました' });
+            return;
+          }
+          break;
+        case 'resume':
+          if (this.restoreSyncedBoard()) {
+            spinner.success({ text: '再接続しました。あなたの手番です' });
+            return;
+          }
+          spinner.update({ text: '再接続しました。相手の手番です。お待ちください' });
+          break;
+        case 'forfeit':
+          spinner.error({ text: `${event.reason}。不戦勝です` });
+          this.gameOver = true;
+          this.winner = event.winner;
+          return;
+        case 'chat':
+          // 待機中の表示を止めて、チャットを含めたボードを描画し直す
+          spinner.stop();
+          this.ui.renderBoard(this.board, this.board.currentPlayer, this.getBoardInfo());
+          spinner.start();
+          break;
+        case 'flag':
+          // 古い確認が残っていた場合は、相手の時計で改めて確認する
+          if (!this.clock || !this.clock.isFlagged(this.board.currentPlayer)) {
+            break;
+          }
+          spinner.error({ text: '相手の持ち時間が切れました' });
+          this.clock.stop();
+          this.gameOver = true;
+          this.winner = this.playerMarker;
+          this.resultReason = `${this.board.currentPlayer} の時間切れ`;
+          this.network.claimTimeout().catch(() => {});
+          return;
+        case 'resign': {
+          // marker は負けになったプレイヤー（時間切れの申告では自分になる）
+          const loser = event.marker || (this.playerMarker === 'O' ? 'X' : 'O');
+          if (loser === this.playerMarker) {
+            spinner.error({ text: `${event.reason || '投了'}で負けました` });
+          } else {
+            spinner.success({ text: event.reason ? `相手の負けです（${event.reason}）` : '相手が投了しました' });
+          }
+          this.gameOver = true;
+          this.winner = loser === 'O' ? 'X' : 'O';
+          this.resultReason = event.reason ? `${loser} の${event.reason}` : null;
+          return;
+        }
+        case 'disconnect':
+          spinner.error({ text: event.reason || '相手との接続が切断されました' });
+          this.gameOver = true;
+          this.winner = this.playerMarker;
+          return;
+      }
+    }
+  }
+
+  /**
+   * 再接続の待機中に残り時間を表示する
+   * @param {number} remaining - 残り秒数
+   */
+  showReconnectCountdown(remaining) {
+    if (!this.waitingSpinner) return;
+    
+    const text = this.network.isHost
+      ? `相手の再接続を待っています（残り${remaining}秒）`
+      : `ホストに再接続しています（残り${remaining}秒）`;
+    this.waitingSpinner.update({ text });
+  }
+
+  /**
+   * 通信用の盤面（ホストと同期済み）でボードを置き換える
+   * 相手の手番が終わった場合は、startGameのループが手番を切り替えるため
+   * currentPlayerを最後に打ったプレイヤーにしておく
+   * @returns {boolean} 相手の手番が終わった（またはゲームが終了した）かどうか
+   */
+  restoreSyncedBoard() {
+    const snapshot = this.network.board.serialize();
+    this.board = new Board(snapshot.size, snapshot.winLength);
+    this.board.deserialize(JSON.parse(JSON.stringify(snapshot)));
+    
+    const nextPlayer = this.board.moveHistory.length % 2 === 0 ? 'O' : 'X';
+    const lastPlayer = nextPlayer === 'O' ? 'X' : 'O';
+    this.board.currentPlayer = lastPlayer;
+    this.checkGameStatus();
+    
+    if (this.gameOver || nextPlayer === this.playerMarker) {
+      return true;
+    }
+    
+    this.board.currentPlayer = nextPlayer;
+    return false;
+  }
+
+  /**
+   * 相手からのイベントを受け取り、待機中の処理があれば渡す
+   * @param {Object} event - 受け取ったイベント {type, ...}
+   */
+  pushRemoteEvent(event) {
+    if (this.remoteEventResolver) {
+      const resolve = this.remoteEventResolver;
+      this.remoteEventResolver = null;
+      resolve(event);
+    } else {
+      this.remoteEvents.push(event);
+    }
+  }
+
+  /**
+   * 相手からの次のイベントを待つ
+   * @returns {Promise<Object>} 受け取ったイベント {type, ...}
+   */
+  waitForRemoteEvent() {
+    if (this.remoteEvents.length > 0) {
+      return Promise.resolve(this.remoteEvents.shift());
+    }
+    
+    return new Promise((resolve) => {
+      this.remoteEventResolver = resolve;
+    });
   }
 
   /**
    * ゲームの状態をチェック（勝敗判定）
+   * 勝敗は直前の手でしか決まらないため、最後に打たれた駒を通るラインだけを調べる
    */
   checkGameStatus() {
-    if (this.board.checkWin(this.board.currentPlayer)) {
+    const lastMove = this.board.getLastMove();
+    const winningLine = lastMove ? this.board.getWinningLine(lastMove.row, lastMove.col) : null;
+    
+    if (winningLine) {
       this.gameOver = true;
-      this.winner = this.board.currentPlayer;
+      this.winner = lastMove.player;
+      this.winningLine = winningLine;
     } else if (this.board.checkDraw()) {
       this.gameOver = true;
       this.winner = null; // 引き分け
@@ -207,19 +853,105 @@ class Game {
    * 統計情報を更新
    */
   updateStats() {
-    if (!this.gameOver) return;
+    // 途中で終了した対局は記録しない
+    if (!this.isGameFinished()) return;
     
-    this.stats.totalGames++;
+    this.stats.record({
+      mode: this.gameMode,
+      difficulty: this.difficulty,
+      size: this.board.size,
+      winLength: this.board.winLength,
+      playerMarker: this.playerMarker,
+      winner: this.winner,
+      moves: this.board.moveHistory.length
+    });
     
-    if (this.winner === 'O') {
-      this.stats.oWins++;
-    } else if (this.winner === 'X') {
-      this.stats.xWins++;
-    } else {
-      this.stats.draws++;
+    this.storage.saveStats(this.stats.serialize());
+  }
+
+  /**
+   * 対局が勝ち・負け・引き分けで決着したかどうかを判定（途中で終了した対局は含まない）
+   * @returns {boolean} 決着したかどうか
+   */
+  isGameFinished() {
+    return this.gameOver && (this.winner !== null || this.board.checkDraw());
+  }
+
+  /**
+   * 決着した対局をアーカイブに記録する
+   */
+  archiveGame() {
+    if (!this.isGameFinished()) return;
+    
+    const record = GameHistory.createRecord({
+      board: this.board,
+      mode: this.gameMode,
+      difficulty: this.difficulty,
+      aiProfile: this.ui.aiProfile,
+      playerMarker: this.playerMarker,
+      winner: this.winner,
+      reason: this.resultReason,
+      startedAt: this.startedAt !== null ? this.startedAt : Date.now(),
+      endedAt: Date.now(),
+      seed: this.random.seed
+    });
+    
+    if (!this.storage.archiveGame(record)) {
+      console.log('対局の記録に失敗しました。');
+    }
+  }
+
+  /**
+   * 対戦相手のAIを作成する
+   * 設定でAIの性格を選んでいれば、その評価プロファイルを使う。
+   * 学習モードでは、学習した重みに揺らぎを加えたAIを作り、終局後に learnFromGame で結果から学習する
+   * @returns {AI} AIプレイヤー
+   */
+  createAI() {
+    if (this.difficulty !== 'learning') {
+      return new AI(this.aiMarker, this.difficulty, {
+        ...this.getSearchLimits(this.difficulty),
+        profile: this.ui.aiProfile || undefined,
+        random: this.random
+      });
+    }
+    
+    this.learningNoise = this.learner.createNoise(this.board, this.random);
+    return new AI(this.aiMarker, this.difficulty, {
+      random: this.random,
+      learner: this.learner.createVariant(this.board, this.learningNoise)
+    });
+  }
+
+  /**
+   * AIの探索の上限を取得する
+   * シード値を指定した対局では、処理速度によって読む深さが変わらないように、対戦（Arena）と同じ上限で読む
+   * @param {string} difficulty - AIの難易度
+   * @returns {Object} AIに渡す探索の設定 {maxDepth, iterations, timeBudget}（制限時間で読む場合は空）
+   */
+  getSearchLimits(difficulty) {
+    if (!this.seeded || !Arena.DEFAULT_LIMITS[difficulty]) {
+      return {};
     }
+    return { ...Arena.DEFAULT_LIMITS[difficulty], timeBudget: Infinity };
+  }
+
+  /**
+   * 学習モードの対局の結果から学習し、学習データを保存する
+   * 時間切れや途中終了など、盤上で勝敗が決まらなかった対局からは学習しない
+   */
+  learnFromGame() {
+    if (!this.gameOver || !this.learningNoise) return;
+    if (!this.winningLine && !this.board.checkDraw()) return;
     
-    this.storage.saveStats(this.stats);
+    let score = 0.5;
+    if (this.winner) {
+      score = this.winner === this.aiMarker ? 1 : 0;
+    }
+    
+    this.learner.learnFromResult(this.board, this.learningNoise, score);
+    this.learningNoise = null;
+    this.storage.saveLearning(this.learner.serialize());
   }
 
   /**
@@ -241,7 +973,11 @@ class Game {
       aiMarker: this.aiMarker,
       currentPlayer: this.board.currentPlayer,
       boardSize: this.ui.boardSize,
-      winLength: this.ui.winLength
+      winLength: this.ui.winLength,
+      aiProfile: this.ui.aiProfile || null,
+      random: this.random.serialize(),
+      clock: this.clock ? this.clock.serialize() : null,
+      elapsed: this.startedAt !== null ? Date.now() - this.startedAt : 0
     };
     
     if (this.storage.saveGame(saveName, gameState)) {
@@ -252,10 +988,10 @@ class Game {
   }
 
   /**
-   * ゲームの状態を読み込む
-   * @returns {boolean} 読み込みが成功したかどうか
+   * ゲームの状態を読み込み、読み込んだゲームを再開する
+   * @returns {Promise<boolean>} 読み込みが成功したかどうか
    */
-  loadGame() {
+  async loadGame() {
     const saveFiles = this.storage.getSavedGamesList();
     
     if (saveFiles.length === 0) {
@@ -285,61 +1021,321 @@ class Game {
     // UIと盤面の設定を復元
     this.ui.boardSize = gameState.boardSize;
     this.ui.winLength = gameState.winLength;
+    this.ui.aiProfile = gameState.aiProfile || null;
+    
+    // 乱数の復元（保存した時点の続きから同じ手を選ぶ。乱数のないセーブデータでは今の乱数を使い続ける）
+    if (gameState.random) {
+      this.random.deserialize(gameState.random);
+    }
     
     // ボードの復元
     this.board = new Board(this.ui.boardSize, this.ui.winLength);
     this.board.deserialize(gameState.board);
     
+    // 時計の復元（持ち時間のないセーブデータではnull）
+    this.clock = null;
+    if (gameState.clock) {
+      this.clock = new GameClock(gameState.clock.timeControl);
+      this.clock.deserialize(gameState.clock);
+    }
+    
     // AIの再初期化
     if (this.gameMode === 'single') {
-      this.ai = new AI(this.aiMarker, this.difficulty);
+      this.ai = this.createAI();
     }
     
+    // 対局時間は保存した時点までの時間から数え直す
+    this.startedAt = Date.now() - (gameState.elapsed || 0);
+    
     console.log(`"${saveFiles[index]}" を読み込みました。`);
     
     // ゲームを再開
     this.gameOver = false;
     this.winner = null;
-    this.startGame();
+    this.winningLine = null;
+    this.resultReason = null;
+    await this.startGame();
+    
+    return true;
+  }
+
+  /**
+   * セーブデータを選び、その対局を1手ずつ再生する
+   * @returns {Promise<boolean>} 再生したかどうか
+   */
+  async replayGame() {
+    const saveFiles = this.storage.getSavedGamesList();
+    
+    if (saveFiles.length === 0) {
+      console.log('保存されたゲームがありません。');
+      return false;
+    }
+    
+    const index = readlineSync.keyInSelect(saveFiles, '再生するセーブデータを選択してください:');
+    
+    if (index === -1) {
+      return false;
+    }
+    
+    const gameState = this.storage.loadGame(saveFiles[index]);
     
+    if (!gameState) {
+      console.log('ゲームの読み込みに失敗しました。');
+      return false;
+    }
+    
+    let replay;
+    try {
+      replay = new Replay(gameState.board.size, gameState.board.winLength, gameState.board.moveHistory);
+    } catch (error) {
+      console.log(`"${saveFiles[index]}" は再生できません: ${error.message}`);
+      return false;
+    }
+    
+    await this.showReplay(replay);
     return true;
   }
 
   /**
-   * ヒントを表示
+   * 記録した対局の一覧を表示し、絞り込みと再生を行う
+   * @returns {Promise} 一覧を閉じたときに完了する
+   */
+  async showHistory() {
+    const history = new GameHistory(this.storage.getArchivedGames());
+    
+    if (history.records.length === 0) {
+      console.log('記録された対局がありません。');
+      return;
+    }
+    
+    let filter = {};
+    while (true) {
+      const records = history.filter(filter);
+      this.ui.showHistory(records, filter);
+      
+      const action = this.ui.selectHistoryAction(records.length);
+      switch (action.type) {
+        case 'replay': {
+          const record = records[action.index];
+          let replay;
+          try {
+            replay = new Replay(record.size, record.winLength, record.moves);
+          } catch (error) {
+            console.log(`この対局は再生できません: ${error.message}`);
+            readlineSync.keyInPause('続けるにはキーを押してください...');
+            break;
+          }
+          await this.showReplay(replay);
+          break;
+        }
+        case 'filter':
+          filter = { ...filter, ...this.ui.selectHistoryFilter(action.key) };
+          break;
+        case 'clear':
+          filter = {};
+          break;
+        case 'back':
+          return;
+      }
+    }
+  }
+
+  /**
+   * 手順を1手ずつ再生する
+   * 入力はキーで受け付け、自動再生中は一定の間隔で1手ずつ進める（最後の手まで進むと止まる）
+   * @param {Replay} replay - 再生するリプレイ
+   * @returns {Promise} 再生を終了したときに完了する
+   */
+  async showReplay(replay) {
+    // キー入力はオンライン対戦のイベントとは別の、再生中だけの待ち行列で受け取る
+    const events = [];
+    let resolveEvent = null;
+    const push = type => () => {
+      if (resolveEvent) {
+        const resolve = resolveEvent;
+        resolveEvent = null;
+        resolve({ type });
+      } else {
+        events.push({ type });
+      }
+    };
+    const nextEvent = () => (events.length > 0
+      ? Promise.resolve(events.shift())
+      : new Promise((resolve) => {
+        resolveEvent = resolve;
+      }));
+    const listen = () => this.ui.listenForKeys({
+      right: push('next'),
+      n: push('next'),
+      left: push('prev'),
+      p: push('prev'),
+      home: push('first'),
+      end: push('last'),
+      j: push('jump'),
+      a: push('toggle'),
+      space: push('toggle'),
+      '+': push('faster'),
+      '-': push('slower'),
+      q: push('quit')
+    });
+    let stopListening = listen();
+    let autoPlay = false;
+    let autoTimer = null;
+    let playing = true;
+    
+    while (playing) {
+      const board = replay.getBoard();
+      const lastMove = replay.getLastMove();
+      const info = {};
+      if (lastMove) {
+        info.lastMove = lastMove;
+        const winningLine = board.getWinningLine(lastMove.row, lastMove.col);
+        if (winningLine) {
+          info.winningLine = winningLine;
+        }
+      }
+      this.ui.renderBoard(board, board.currentPlayer, info);
+      this.ui.showReplayStatus(replay, board, autoPlay);
+      
+      if (autoPlay) {
+        autoTimer = setTimeout(push('auto'), replay.getDelay());
+      }
+      
+      const event = await nextEvent();
+      clearTimeout(autoTimer);
+      autoTimer = null;
+      
+      switch (event.type) {
+        case 'auto':
+          // 止めた後に届いた自動再生の手は無視する
+          if (autoPlay && (!replay.next() || replay.isAtEnd())) {
+            autoPlay = false;
+          }
+          break;
+        case 'next':
+          replay.next();
+          break;
+        case 'prev':
+          replay.prev();
+          break;
+        case 'first':
+          replay.jumpTo(0);
+          break;
+        case 'last':
+          replay.jumpTo(replay.length);
+          break;
+        case 'jump': {
+          // 入力中はキーの待ち受けを止める
+          autoPlay = false;
+          stopListening();
+          const ply = this.ui.promptReplayJump(replay.length);
+          if (ply !== null) {
+            replay.jumpTo(ply);
+          }
+          stopListening = listen();
+          break;
+        }
+        case 'toggle':
+          autoPlay = !autoPlay;
+          // 最後の手の後から再生する場合は最初に戻す
+          if (autoPlay && replay.isAtEnd()) {
+            replay.jumpTo(0);
+          }
+          break;
+        case 'faster':
+          replay.faster();
+          break;
+        case 'slower':
+          replay.slower();
+          break;
+        case 'quit':
+          playing = false;
+          break;
+      }
+    }
+    
+    stopListening();
+  }
+
+  /**
+   * ヒントを表示（候補手の上位と、それぞれの手の狙い）
+   * 対戦相手のAIは自分の駒から見た評価しかしないため、どのモードでも手番のプレイヤーの側で探索する上級AIを使う
    */
   showHint() {
-    let hintMove;
+    const player = this.board.currentPlayer;
+    const hintAI = new AI(player, 'hard', {
+      ...this.getSearchLimits('hard'),
+      random: this.random,
+      profile: this.ui.aiProfile || undefined
+    });
+    const explainer = new MoveExplainer();
     
-    if (this.gameMode === 'single' && this.ai) {
-      // AIのロジックを使用してヒントを生成
-      hintMove = this.ai.makeMove(this.board);
-    } else {
-      // 簡易的なヒント生成ロジック
-      const tempAI = new AI(this.board.currentPlayer, 'medium');
-      hintMove = tempAI.makeMove(this.board);
+    const moves = hintAI.analyzeMoves(this.board, HINT_MOVES).map(move => ({
+      ...move,
+      reasons: explainer.explain(this.board, move, player)
+    }));
+    this.ui.showHint(player, moves, hintAI.getLastSearchInfo());
+  }
+
+  /**
+   * 終局した対局を分析して表示し、希望があればJSONファイルに書き出す
+   */
+  analyzeGame() {
+    // 3×3・4×4の完全読みでは、solve コマンドと同じソルバー（定石と置換表）を使う
+    if (!this.solver && Solver.canSolve(this.board)) {
+      this.solver = new Solver({ book: OpeningBook.load() });
     }
     
-    this.ui.showHint(hintMove);
+    const analyzer = new GameAnalyzer({ ...this.getSearchLimits('hard'), solver: this.solver, random: this.random });
+    const analysis = analyzer.analyze(this.board, (done, total) => this.ui.showAnalysisProgress(done, total));
+    this.ui.showAnalysis(analysis);
+    
+    if (this.ui.confirm('分析結果をJSONファイルに書き出しますか？')) {
+      const filePath = this.storage.saveAnalysis(analysis);
+      if (filePath) {
+        console.log(`分析結果を ${filePath} に書き出しました。`);
+      }
+    }
+  }
+
+  /**
+   * 現在の局面の理論値を表示（3×3と4×4のみ）
+   */
+  showSolvedValue() {
+    const player = this.board.currentPlayer;
+    if (!Solver.canSolve(this.board)) {
+      this.ui.showSolvedValue(player, null);
+      return;
+    }
+    
+    // 定石の読み込みと置換表の作成は最初の1回だけ行う
+    if (!this.solver) {
+      this.solver = new Solver({ book: OpeningBook.load() });
+    }
+    
+    const moves = this.solver.solveMoves(this.board, player);
+    const value = Math.max(...moves.map(move => move.value));
+    this.ui.showSolvedValue(player, value, moves.filter(move => move.value === value));
   }
 
   /**
    * ゲームを終了
+   * @returns {Promise} メインメニューに戻った場合の処理の完了
    */
   exitGame() {
     if (this.ui.confirm('ゲームを終了しますか？')) {
       console.log('お疲れ様でした！またのプレイをお待ちしています。');
       process.exit();
-    } else {
-      this.showMainMenu();
     }
+    return this.showMainMenu();
   }
 
   /**
    * ゲームを開始
+   * @returns {Promise} ゲーム全体の処理の完了
    */
   start() {
-    this.showMainMenu();
+    return this.showMainMenu();
   }
 }
 
@@ -0,0 +1,172 @@
+const AI = require('./AI');
+const Board = require('./Board');
+const OpeningBook = require('./OpeningBook');
+const Random = require('./Random');
+const Solver = require('./Solver');
+
+/**
+ * 分析結果の形式のバージョン
+ */
+const ANALYSIS_VERSION = 1;
+
+/**
+ * 1局面あたりの探索の制限時間（ミリ秒、完全読みできないボードで使う）
+ */
+const DEFAULT_TIME_BUDGET = 300;
+
+/**
+ * 局面の値（手番のプレイヤーから見た値）
+ */
+const WIN = 1;
+const DRAW = 0;
+const LOSS = -1;
+
+/**
+ * 終局したゲームの手順を振り返り、悪手を見つけるクラス
+ *
+ * moveHistory の各局面について、手番のプレイヤーから見た値（勝ち 1・引き分け 0・負け -1）と最善手を求める。
+ * 3×3・4×4は完全読みで理論値を求め、5×5以上は上級AIの探索で読み切れた勝敗だけを値にする（読み切れなければ 0）。
+ * 手を打つ前の値と打った後の値を比べ、勝ちか引き分けを負けにした手を悪手（blunder）、
+ * 勝ちを逃した手を勝ち逃し（missedWin）とし、負けた側の最後の悪手を敗着（decisiveMistake）とする。
+ */
+class GameAnalyzer {
+  /**
+   * 分析の設定を指定して初期化
+   * @param {Object} options - 分析の設定 {timeBudget, maxDepth, solver, random}
+   *   （timeBudget と maxDepth は完全読みできないボードでの1局面あたりの探索の上限、solver は完全読みに使うソルバー）
+   */
+  constructor(options = {}) {
+    this.timeBudget = options.timeBudget !== undefined ? options.timeBudget : DEFAULT_TIME_BUDGET;
+    this.maxDepth = options.maxDepth || undefined;
+    this.solver = options.solver || null;
+    this.random = options.random || new Random();
+  }
+
+  /**
+   * 終局したゲームを分析する
+   * @param {Board} board - 終局したボード（moveHistory の手順を分析する）
+   * @param {Function} onProgress - 1局面ごとに呼ばれる関数 (分析した局面の数, 局面の数)
+   * @returns {Object} 分析結果 {version, size, winLength, exact, winner, moves, blunders, missedWins, decisiveMistake}
+   *   （exact は完全読みかどうか、moves は1手ごとの分析 [{ply, player, row, col, before, after, score, bestMove, classification}]、
+   *   blunders・missedWins・decisiveMistake は手数（1から数える））
+   */
+  analyze(board, onProgress = () => {}) {
+    const history = board.moveHistory.map(({ row, col, player }) => ({ row, col, player }));
+    const replay = new Board(board.size, board.winLength);
+    const exact = Solver.canSolve(replay);
+    const positions = [];
+
+    // 各局面（最後の手の後を含む）の手番のプレイヤーから見た値と最善手
+    for (let ply = 0; ply <= history.length; ply++) {
+      let player = 'O';
+      if (ply < history.length) {
+        player = history[ply].player;
+      } else if (ply > 0) {
+        player = this.getOpponent(history[ply - 1].player);
+      }
+      positions.push(this.evaluatePosition(replay, player, exact));
+      onProgress(ply + 1, history.length + 1);
+
+      if (ply < history.length) {
+        replay.placeMarker(history[ply].row, history[ply].col, history[ply].player);
+      }
+    }
+
+    const moves = history.map((move, index) => {
+      const before = positions[index];
+      const after = positions[index + 1];
+      const afterValue = this.negate(after.value);
+
+      let classification = null;
+      if (before.value !== LOSS && afterValue === LOSS) {
+        classification = 'blunder';
+      } else if (before.value === WIN && afterValue !== WIN) {
+        classification = 'missedWin';
+      }
+
+      return {
+        ply: index + 1,
+        player: move.player,
+        row: move.row,
+        col: move.col,
+        before: before.value,
+        after: afterValue,
+        score: after.score !== null ? Math.round(-after.score) : null,
+        bestMove: before.bestMove,
+        classification
+      };
+    });
+
+    const winner = replay.getLastMoveWinner();
+    const loserBlunders = moves.filter(move => move.classification === 'blunder' && winner && move.player !== winner);
+
+    return {
+      version: ANALYSIS_VERSION,
+      size: board.size,
+      winLength: board.winLength,
+      exact,
+      winner: winner || null,
+      moves,
+      blunders: moves.filter(move => move.classification === 'blunder').map(move => move.ply),
+      missedWins: moves.filter(move => move.classification === 'missedWin').map(move => move.ply),
+      decisiveMistake: loserBlunders.length > 0 ? loserBlunders[loserBlunders.length - 1].ply : null
+    };
+  }
+
+  /**
+   * 局面の値と最善手を求める
+   * @param {Board} board - 局面
+   * @param {string} player - 手番のプレイヤー ('O' または 'X')
+   * @param {boolean} exact - 完全読みするかどうか
+   * @returns {Object} {value（手番のプレイヤーから見た値）, score（探索の評価、完全読みと終局後はnull）, bestMove（終局後はnull）}
+   */
+  evaluatePosition(board, player, exact) {
+    const winner = board.getLastMoveWinner();
+    if (winner) {
+      return { value: winner === player ? WIN : LOSS, score: null, bestMove: null };
+    }
+    if (board.checkDraw()) {
+      return { value: DRAW, score: null, bestMove: null };
+    }
+
+    if (exact) {
+      // 定石の読み込みと置換表の作成は最初の1回だけ行う
+      if (!this.solver) {
+        this.solver = new Solver({ book: OpeningBook.load() });
+      }
+      const moves = this.solver.solveMoves(board, player);
+      const best = moves.reduce((a, b) => (b.value > a.value ? b : a));
+      return { value: best.value, score: null, bestMove: { row: best.row, col: best.col } };
+    }
+
+    const ai = new AI(player, 'hard', { timeBudget: this.timeBudget, maxDepth: this.maxDepth, random: this.random });
+    const [best] = ai.analyzeMoves(board, 1);
+    let value = DRAW;
+    if (best.outcome === 'win') {
+      value = WIN;
+    } else if (best.outcome === 'loss') {
+      value = LOSS;
+    }
+    return { value, score: best.score, bestMove: { row: best.row, col: best.col } };
+  }
+
+  /**
+   * 相手から見た値を自分から見た値にする（引き分けが -0 にならないようにする）
+   * @param {number} value - 相手から見た値
+   * @returns {number} 自分から見た値
+   */
+  negate(value) {
+    return value === DRAW ? DRAW : -value;
+  }
+
+  /**
+   * 相手のプレイヤーを取得する
+   * @param {string} player - プレイヤー ('O' または 'X')
+   * @returns {string} 相手のプレイヤー
+   */
+  getOpponent(player) {
+    return player === 'O' ? 'X' : 'O';
+  }
+}
+
+module.exports = GameAnalyzer;
@@ -0,0 +1,195 @@
+/**
+ * 対局時計（チェスクロック）を管理するクラス
+ *
+ * 持ち時間の方式は次の2種類（時間の指定はいずれも秒）
+ *   - 1手ごとの制限時間: {mode: 'move', perMove}
+ *   - 全体の持ち時間と1手ごとの加算: {mode: 'total', initial, increment}
+ *
+ * 残り時間はミリ秒で管理し、手番のプレイヤーの時計だけが進む。
+ */
+class GameClock {
+  /**
+   * 持ち時間の設定を指定して時計を初期化
+   * @param {Object} timeControl - 持ち時間の設定 {mode: 'move', perMove} または {mode: 'total', initial, increment}
+   * @throws {Error} 持ち時間の設定が不正な場合
+   */
+  constructor(timeControl) {
+    const error = GameClock.validate(timeControl);
+    if (error) {
+      throw new Error(error);
+    }
+
+    this.timeControl = timeControl.mode === 'move'
+      ? { mode: 'move', perMove: timeControl.perMove }
+      : { mode: 'total', initial: timeControl.initial, increment: timeControl.increment || 0 };
+
+    const initialTime = this.getInitialTime();
+    this.remaining = { O: initialTime, X: initialTime };
+    this.activePlayer = null;
+    this.turnStartedAt = null;
+  }
+
+  /**
+   * 持ち時間の設定が有効かどうかを検証する
+   * @param {Object} timeControl - 持ち時間の設定
+   * @returns {string|null} 無効な場合はエラーメッセージ、有効な場合はnull
+   */
+  static validate(timeControl) {
+    const isPositive = value => typeof value === 'number' && value > 0;
+
+    if (!timeControl) {
+      return '持ち時間が設定されていません';
+    }
+
+    if (timeControl.mode === 'move') {
+      return isPositive(timeControl.perMove) ? null : '1手ごとの制限時間は正の秒数で指定してください';
+    }
+
+    if (timeControl.mode === 'total') {
+      if (!isPositive(timeControl.initial)) {
+        return '持ち時間は正の秒数で指定してください';
+      }
+      const increment = timeControl.increment || 0;
+      return typeof increment === 'number' && increment >= 0 ? null : '1手ごとの加算時間は0以上の秒数で指定してください';
+    }
+
+    return `不明な持ち時間の方式です: ${timeControl.mode}`;
+  }
+
+  /**
+   * 手番の開始時の持ち時間（ミリ秒）を取得する
+   * @returns {number} 1手ごとの制限時間、または全体の持ち時間
+   */
+  getInitialTime() {
+    return (this.timeControl.mode === 'move' ? this.timeControl.perMove : this.timeControl.initial) * 1000;
+  }
+
+  /**
+   * 指定したプレイヤーの時計を動かす（動いている時計は止める）
+   * @param {string} player - 手番のプレイヤー ('O' または 'X')
+   */
+  start(player) {
+    if (this.activePlayer) {
+      this.stop();
+    }
+
+    this.activePlayer = player;
+    this.turnStartedAt = Date.now();
+  }
+
+  /**
+   * 動いている時計を止め、消費した時間を反映する
+   * 1手ごとの制限時間の場合は次の手番のために時間を戻し、持ち時間の場合は加算時間を足す
+   * （時間切れになっている場合は0のまま）
+   * @returns {number|null} 止めたプレイヤーの残り時間（ミリ秒）、時計が止まっている場合はnull
+   */
+  stop() {
+    if (!this.activePlayer) {
+      return null;
+    }
+
+    const player = this.activePlayer;
+    const remaining = this.getRemaining(player);
+    this.activePlayer = null;
+    this.turnStartedAt = null;
+
+    if (remaining <= 0) {
+      this.remaining[player] = 0;
+    } else if (this.timeControl.mode === 'move') {
+      this.remaining[player] = this.getInitialTime();
+    } else {
+      this.remaining[player] = remaining + this.timeControl.increment * 1000;
+    }
+
+    return this.remaining[player];
+  }
+
+  /**
+   * 時計が動いているかどうか
+   * @returns {boolean} いずれかのプレイヤーの時計が動いているかどうか
+   */
+  isRunning() {
+    return this.activePlayer !== null;
+  }
+
+  /**
+   * プレイヤーの残り時間を取得する
+   * @param {string} player - プレイヤー ('O' または 'X')
+   * @returns {number} 残り時間（ミリ秒）
+   */
+  getRemaining(player) {
+    if (player !== this.activePlayer) {
+      return this.remaining[player];
+    }
+
+    return Math.max(0, this.remaining[player] - (Date.now() - this.turnStartedAt));
+  }
+
+  /**
+   * 両プレイヤーの残り時間を取得する
+   * @returns {Object} 残り時間（ミリ秒） {O, X}
+   */
+  getRemainingTimes() {
+    return { O: this.getRemaining('O'), X: this.getRemaining('X') };
+  }
+
+  /**
+   * プレイヤーの残り時間を設定する（通信相手から受け取った時間に合わせる場合など）
+   * @param {string} player - プレイヤー ('O' または 'X')
+   * @param {number} milliseconds - 残り時間（ミリ秒）
+   */
+  setRemaining(player, milliseconds) {
+    this.remaining[player] = Math.max(0, milliseconds);
+    if (player === this.activePlayer) {
+      this.turnStartedAt = Date.now();
+    }
+  }
+
+  /**
+   * 通信相手から受け取ったプレイヤーの残り時間を反映する
+   * 手元で計った残り時間より多い値や数でない値は反映しない（相手が自分の持ち時間を増やせないようにする）
+   * @param {string} player - プレイヤー ('O' または 'X')
+   * @param {number} milliseconds - 通信相手から受け取った残り時間（ミリ秒）
+   * @returns {number} 反映した後の残り時間（ミリ秒）
+   */
+  applyReportedRemaining(player, milliseconds) {
+    const measured = this.getRemaining(player);
+    if (typeof milliseconds === 'number' && milliseconds < measured) {
+      this.setRemaining(player, milliseconds);
+    }
+    return this.getRemaining(player);
+  }
+
+  /**
+   * プレイヤーが時間切れになっているかどうか
+   * @param {string} player - プレイヤー ('O' または 'X')
+   * @returns {boolean} 時間切れかどうか
+   */
+  isFlagged(player) {
+    return this.getRemaining(player) <= 0;
+  }
+
+  /**
+   * 時計の状態をシリアライズする（動いている時計はその時点の残り時間で保存する）
+   * @returns {Object} シリアライズされた時計の状態
+   */
+  serialize() {
+    return {
+      timeControl: this.timeControl,
+      remaining: this.getRemainingTimes()
+    };
+  }
+
+  /**
+   * シリアライズされた状態から時計を復元する（時計は止まった状態になる）
+   * @param {Object} data - シリアライズされた時計の状態
+   */
+  deserialize(data) {
+    this.timeControl = data.timeControl;
+    this.remaining = { O: data.remaining.O, X: data.remaining.X };
+    this.activePlayer = null;
+    this.turnStartedAt = null;
+  }
+}
+
+module.exports = GameClock;
@@ -0,0 +1,186 @@
+const Board = require('./Board');
+
+/**
+ * 対局の記録の形式のバージョン
+ */
+const RECORD_VERSION = 1;
+
+/**
+ * 絞り込みに使える結果（人間のプレイヤーから見た結果）
+ */
+const RESULTS = ['win', 'loss', 'draw'];
+
+/**
+ * 日時をローカル時刻の日付の文字列にする
+ * @param {Date} date - 日時
+ * @returns {string} 日付（YYYY-MM-DD）
+ */
+const formatDate = (date) => {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * 終局した対局の記録を作成し、記録の一覧を絞り込むクラス
+ *
+ * 記録の形式:
+ *   {
+ *     version, date（終局した日時、ISO 8601）, mode（'single'・'multi'・'online'）, difficulty（1人プレイのAIの難易度）,
+ *     aiProfile, size, winLength,
+ *     players（駒ごとの対局者 {O, X}、'human'・'ai'・'remote'）, playerMarker（自分の駒、2人プレイではnull）,
+ *     winner（引き分けではnull）, reason（時間切れ・投了などの決着の理由）, moves（手順 [{row, col, player}]）,
+ *     duration（対局時間、ミリ秒）, seed（1人プレイの乱数のシード値）
+ *   }
+ */
+class GameHistory {
+  /**
+   * 記録の一覧を指定して初期化
+   * @param {Array} records - 対局の記録の一覧
+   */
+  constructor(records = []) {
+    this.records = records;
+  }
+
+  /**
+   * 終局した対局の記録を作成する
+   * @param {Object} game - 対局の情報 {board, mode, difficulty, aiProfile, playerMarker, winner, reason, startedAt, endedAt, seed}
+   *   （board は終局したボード、startedAt と endedAt は対局の開始・終了時刻のミリ秒）
+   * @returns {Object} 対局の記録
+   */
+  static createRecord(game) {
+    const opponent = game.playerMarker === 'O' ? 'X' : 'O';
+    let players = { O: 'human', X: 'human' };
+    let playerMarker = null;
+    if (game.mode === 'single' || game.mode === 'online') {
+      playerMarker = game.playerMarker;
+      players = { [playerMarker]: 'human', [opponent]: game.mode === 'single' ? 'ai' : 'remote' };
+    }
+
+    return {
+      version: RECORD_VERSION,
+      date: new Date(game.endedAt).toISOString(),
+      mode: game.mode,
+      difficulty: game.mode === 'single' ? game.difficulty : null,
+      aiProfile: game.mode === 'single' ? game.aiProfile || null : null,
+      size: game.board.size,
+      winLength: game.board.winLength,
+      players,
+      playerMarker,
+      winner: game.winner || null,
+      reason: game.reason || null,
+      moves: game.board.moveHistory.map(({ row, col, player }) => ({ row, col, player })),
+      duration: Math.max(game.endedAt - game.startedAt, 0),
+      seed: game.mode === 'single' && game.seed !== undefined ? game.seed : null
+    };
+  }
+
+  /**
+   * セーブデータ（Game の saveGame の形式）から対局の記録を作成する
+   * @param {Object} gameState - セーブデータ
+   * @returns {Object} 対局の記録（date はnull。決着していない対局の winner は undefined）
+   */
+  static fromSave(gameState) {
+    const board = new Board(gameState.board.size, gameState.board.winLength);
+    board.deserialize(gameState.board);
+
+    let winner;
+    const lastWinner = board.getLastMoveWinner();
+    if (lastWinner) {
+      winner = lastWinner;
+    } else if (board.checkDraw()) {
+      winner = null;
+    }
+
+    const record = GameHistory.createRecord({
+      board,
+      mode: gameState.gameMode,
+      difficulty: gameState.difficulty,
+      aiProfile: gameState.aiProfile,
+      playerMarker: gameState.playerMarker,
+      winner: null,
+      startedAt: 0,
+      endedAt: gameState.elapsed || 0,
+      seed: gameState.random ? gameState.random.seed : undefined
+    });
+    return { ...record, date: null, winner };
+  }
+
+  /**
+   * 決着していない対局の記録からセーブデータ（Game の saveGame の形式）を作成する
+   * オンライン対戦の記録は2人プレイとして続きを遊べるようにする
+   * @param {Object} record - 対局の記録
+   * @returns {Object} セーブデータ（乱数と持ち時間は含まない）
+   */
+  static toSave(record) {
+    const board = new Board(record.size, record.winLength);
+    record.moves.forEach(({ row, col, player }) => board.placeMarker(row, col, player));
+    const lastMove = board.getLastMove();
+    board.currentPlayer = lastMove && lastMove.player === 'O' ? 'X' : 'O';
+
+    const gameMode = record.mode === 'single' ? 'single' : 'multi';
+    const playerMarker = record.playerMarker || 'O';
+    return {
+      board: board.serialize(),
+      gameMode,
+      difficulty: gameMode === 'single' ? record.difficulty || 'medium' : null,
+      playerMarker,
+      aiMarker: playerMarker === 'O' ? 'X' : 'O',
+      currentPlayer: board.currentPlayer,
+      boardSize: record.size,
+      winLength: record.winLength,
+      aiProfile: record.aiProfile || null,
+      random: null,
+      clock: null,
+      elapsed: record.duration || 0
+    };
+  }
+
+  /**
+   * 人間のプレイヤーから見た対局の結果を取得する
+   * @param {Object} record - 対局の記録
+   * @returns {string|null} 'win'・'loss'・'draw'（2人プレイで勝負がついた対局はnull）
+   */
+  static getOutcome(record) {
+    if (!record.winner) return 'draw';
+    if (!record.playerMarker) return null;
+    return record.winner === record.playerMarker ? 'win' : 'loss';
+  }
+
+  /**
+   * 記録を絞り込む
+   * @param {Object} filter - 絞り込みの条件 {result, difficulty, from, to}（省略した条件では絞り込まない。
+   *   result は 'win'・'loss'・'draw'、from と to は日付 YYYY-MM-DD（ローカル時刻、両端を含む））
+   * @returns {Array} 条件に合う記録（元の順）
+   */
+  filter(filter = {}) {
+    if (filter.result && !RESULTS.includes(filter.result)) {
+      throw new Error(`不明な結果です: ${filter.result}`);
+    }
+
+    return this.records.filter((record) => {
+      if (filter.result && GameHistory.getOutcome(record) !== filter.result) return false;
+      if (filter.difficulty && record.difficulty !== filter.difficulty) return false;
+
+      const date = formatDate(new Date(record.date));
+      if (filter.from && date < filter.from) return false;
+      if (filter.to && date > filter.to) return false;
+      return true;
+    });
+  }
+
+  /**
+   * 日付の文字列が正しい形式か確認する
+   * @param {string} text - 日付（YYYY-MM-DD）
+   * @returns {boolean} 正しい日付かどうか
+   */
+  static isValidDate(text) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return false;
+    const [year, month, day] = text.split('-').map(Number);
+    return formatDate(new Date(year, month - 1, day)) === text;
+  }
+}
+
+GameHistory.RESULTS = RESULTS;
+GameHistory.formatDate = formatDate;
+
+module.exports = GameHistory;
@@ -0,0 +1,342 @@
+const Board = require('./Board');
+
+/**
+ * 棋譜に書ける最大のボードサイズ（列は a〜z で表す）
+ */
+const MAX_SIZE = 26;
+
+/**
+ * 結果のタグの値と勝者の組
+ */
+const RESULTS = {
+  '1-0': 'O',
+  '0-1': 'X',
+  '1/2-1/2': null,
+  '*': undefined
+};
+
+/**
+ * 手順の行の最大の長さ（文字数）
+ */
+const LINE_LENGTH = 80;
+
+/**
+ * 対局者のタグの値（'human'・'remote'・'ai:難易度'）
+ */
+const PLAYER_PATTERN = /^(human|remote|ai(:[a-z]+)?)$/;
+
+/**
+ * 対局の記録を、PGN に似た人が読める棋譜の文字列と相互に変換するクラス
+ *
+ * 棋譜は [名前 "値"] のタグの行、空行、手順の順に書く。手順は O と X の手を組にして番号を付け、最後に結果を書く。
+ * 手は列を a から始まる英字、行を 1 から始まる数字で表す（例: c3 は上から3行目・左から3列目、Board の (2, 2)）。
+ *
+ *   [Date "2026.10.19"]
+ *   [Time "12:34:56"]
+ *   [Size "5"]
+ *   [WinLength "4"]
+ *   [Mode "single"]
+ *   [O "human"]
+ *   [X "ai:hard"]
+ *   [Result "1-0"]
+ *
+ *   1. c3 b2 2. d3 b3 3. b4 e2 4. a5 1-0
+ *
+ * Result は O の勝ち 1-0、X の勝ち 0-1、引き分け 1/2-1/2、決着していない対局 * とする。
+ * Date と Time は終局した日時（UTC）。ほかに Termination（時間切れ・投了などの決着の理由）、Profile（AIの評価プロファイル）、
+ * Seed（乱数のシード値）、Duration（対局時間、秒）を書ける。
+ */
+class GameNotation {
+  /**
+   * 手を棋譜の座標にする
+   * @param {number} row - 行インデックス
+   * @param {number} col - 列インデックス
+   * @returns {string} 座標（例: 'c3'）
+   */
+  static formatCoordinate(row, col) {
+    return `${String.fromCharCode(97 + col)}${row + 1}`;
+  }
+
+  /**
+   * 棋譜の座標を手にする
+   * @param {string} text - 座標（例: 'c3'）
+   * @returns {Object|null} 手 {row, col}、座標として読めない場合はnull（ボードの範囲は確かめない）
+   */
+  static parseCoordinate(text) {
+    const match = /^([a-z])([1-9][0-9]*)$/.exec(text);
+    if (!match) return null;
+    return { row: parseInt(match[2], 10) - 1, col: match[1].charCodeAt(0) - 97 };
+  }
+
+  /**
+   * 対局の記録を棋譜の文字列にする
+   * @param {Object} record - 対局の記録（GameHistory の形式。date・winner・reason などは省略できる）
+   *   winner が undefined の記録は決着していない対局（Result は *）として書く
+   * @returns {string} 棋譜
+   * @throws {Error} 手順が O から交互になっていない場合
+   */
+  static stringify(record) {
+    const tags = [];
+    const addTag = (name, value) => {
+      if (value === null || value === undefined) return;
+      tags.push(`[${name} "${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`);
+    };
+
+    const date = record.date ? new Date(record.date) : null;
+    addTag('Date', date ? date.toISOString().slice(0, 10).replace(/-/g, '.') : '????.??.??');
+    if (date) addTag('Time', date.toISOString().slice(11, 19));
+    addTag('Size', record.size);
+    addTag('WinLength', record.winLength);
+    addTag('Mode', record.mode);
+
+    const players = record.players || { O: 'human', X: 'human' };
+    for (const marker of ['O', 'X']) {
+      const player = players[marker];
+      addTag(marker, player === 'ai' && record.difficulty ? `ai:${record.difficulty}` : player);
+    }
+
+    const result = GameNotation.formatResult(record.winner);
+    addTag('Result', result);
+    addTag('Termination', record.reason);
+    addTag('Profile', record.aiProfile);
+    addTag('Seed', record.seed);
+    if (record.duration) addTag('Duration', Math.round(record.duration / 1000));
+
+    // 手順（O と X の手を組にして番号を付ける）
+    const tokens = [];
+    record.moves.forEach(({ row, col, player }, index) => {
+      const expected = index % 2 === 0 ? 'O' : 'X';
+      if (player !== expected) {
+        throw new Error(`${index + 1}手目は ${expected} の手のはずですが、${player} の手です`);
+      }
+      if (index % 2 === 0) {
+        tokens.push(`${index / 2 + 1}.`);
+      }
+      tokens.push(GameNotation.formatCoordinate(row, col));
+    });
+    tokens.push(result);
+
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+      if (line && line.length + 1 + token.length > LINE_LENGTH) {
+        lines.push(line);
+        line = token;
+      } else {
+        line = line ? `${line} ${token}` : token;
+      }
+    }
+    lines.push(line);
+
+    return `${tags.join('\n')}\n\n${lines.join('\n')}\n`;
+  }
+
+  /**
+   * 棋譜の文字列を読み込み、手順をボードに打って確かめる
+   * @param {string} text - 棋譜
+   * @returns {Object} 読み込んだ対局 {tags, board, record}（board は手順を打ったボード、record は GameHistory の形式の記録。
+   *   決着していない対局の record.winner は undefined）
+   * @throws {Error} タグや手順が正しくない場合（手順の誤りは何手目のどの手かを示す）
+   */
+  static parse(text) {
+    const tags = {};
+    const moveLines = [];
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line) return;
+
+      if (line.startsWith('[')) {
+        const match = /^\[([A-Za-z]+)\s+"((?:[^"\\]|\\.)*)"\]$/.exec(line);
+        if (!match) {
+          throw new Error(`${index + 1}行目のタグが読めません: ${line}`);
+        }
+        tags[match[1]] = match[2].replace(/\\(.)/g, '$1');
+      } else {
+        moveLines.push(line);
+      }
+    });
+
+    const size = GameNotation.parseInteger(tags, 'Size', 3, MAX_SIZE);
+    const winLength = GameNotation.parseInteger(tags, 'WinLength', 3, size);
+    const board = new Board(size, winLength);
+
+    // 手順（番号は確かめて読み飛ばし、最後の結果を取り出す）
+    const tokens = moveLines.join(' ').split(/\s+/).filter(token => token);
+    let resultToken = null;
+    let winner = null;
+    tokens.forEach((token, index) => {
+      if (Object.prototype.hasOwnProperty.call(RESULTS, token)) {
+        if (index !== tokens.length - 1) {
+          throw new Error(`結果 "${token}" の後に手順があります`);
+        }
+        resultToken = token;
+        return;
+      }
+
+      const ply = board.moveHistory.length + 1;
+      const numberMatch = /^(\d+)\.$/.exec(token);
+      if (numberMatch) {
+        const expected = Math.ceil(ply / 2);
+        if (ply % 2 === 0 || parseInt(numberMatch[1], 10) !== expected) {
+          throw new Error(`${ply}手目の前の番号 "${token}" が正しくありません（${ply % 2 === 0 ? '番号は O の手の前にだけ書きます' : `${expected}. のはずです`}）`);
+        }
+        return;
+      }
+
+      const player = ply % 2 === 1 ? 'O' : 'X';
+      const move = GameNotation.parseCoordinate(token);
+      if (!move) {
+        throw new Error(`${ply}手目 "${token}" は座標として読めません`);
+      }
+      if (move.row >= size || move.col >= size) {
+        throw new Error(`${ply}手目 "${token}" はボードの外です（${size}×${size}）`);
+      }
+      if (winner) {
+        throw new Error(`${ply}手目 "${token}" は ${winner} の勝ちが決まった後の手です`);
+      }
+      if (!board.placeMarker(move.row, move.col, player)) {
+        throw new Error(`${ply}手目 "${token}" のマスにはすでに駒があります`);
+      }
+      if (board.isWinningMove(move.row, move.col)) {
+        winner = player;
+      }
+    });
+
+    const result = GameNotation.checkResult(tags, resultToken, board, winner);
+    const lastMove = board.getLastMove();
+    board.currentPlayer = lastMove && lastMove.player === 'O' ? 'X' : 'O';
+
+    return { tags, board, record: GameNotation.createRecord(tags, board, result) };
+  }
+
+  /**
+   * 結果のタグと手順の最後の結果、ボードの勝敗が一致するか確かめる
+   * @param {Object} tags - タグ
+   * @param {string|null} resultToken - 手順の最後の結果（書かれていなければnull）
+   * @param {Board} board - 手順を打ったボード
+   * @param {string|null} winner - ラインをそろえて勝ったプレイヤー
+   * @returns {string} 結果（'1-0'・'0-1'・'1/2-1/2'・'*'）
+   * @throws {Error} 一致しない場合
+   */
+  static checkResult(tags, resultToken, board, winner) {
+    const tagResult = tags.Result;
+    if (tagResult !== undefined && !Object.prototype.hasOwnProperty.call(RESULTS, tagResult)) {
+      throw new Error(`結果 "${tagResult}" が読めません（1-0・0-1・1/2-1/2・* のいずれか）`);
+    }
+    if (tagResult !== undefined && resultToken !== null && tagResult !== resultToken) {
+      throw new Error(`Result タグ "${tagResult}" と手順の最後の結果 "${resultToken}" が一致しません`);
+    }
+
+    const result = tagResult !== undefined ? tagResult : resultToken || '*';
+    // 時間切れや投了では、ラインがそろっていなくても勝負がつく
+    if (winner && RESULTS[result] !== winner) {
+      throw new Error(`結果 "${result}" が手順と一致しません（${winner} の勝ちで終わっています）`);
+    }
+    if (result === '1/2-1/2' && !board.checkDraw()) {
+      throw new Error('引き分けの結果ですが、ボードにまだ空きマスがあります');
+    }
+    return result;
+  }
+
+  /**
+   * 読み込んだタグとボードから対局の記録を作成する
+   * @param {Object} tags - タグ
+   * @param {Board} board - 手順を打ったボード
+   * @param {string} result - 結果（'1-0'・'0-1'・'1/2-1/2'・'*'）
+   * @returns {Object} 対局の記録（GameHistory の形式）
+   * @throws {Error} 対局者のタグが正しくない場合
+   */
+  static createRecord(tags, board, result) {
+    const players = {};
+    let difficulty = null;
+    for (const marker of ['O', 'X']) {
+      const value = tags[marker] || 'human';
+      if (!PLAYER_PATTERN.test(value)) {
+        throw new Error(`対局者 ${marker} "${value}" が読めません（human・remote・ai:難易度 のいずれか）`);
+      }
+      const [type, level] = value.split(':');
+      players[marker] = type;
+      if (level) difficulty = level;
+    }
+
+    const human = ['O', 'X'].filter(marker => players[marker] === 'human');
+    let mode = tags.Mode;
+    if (!mode) {
+      mode = 'multi';
+      if (players.O === 'ai' || players.X === 'ai') {
+        mode = 'single';
+      } else if (players.O === 'remote' || players.X === 'remote') {
+        mode = 'online';
+      }
+    }
+
+    let date = new Date();
+    if (tags.Date && /^\d{4}\.\d{2}\.\d{2}$/.test(tags.Date)) {
+      const day = tags.Date.replace(/\./g, '-');
+      const time = /^\d{2}:\d{2}:\d{2}$/.test(tags.Time || '') ? tags.Time : '00:00:00';
+      // 存在しない日付や時刻（02.30 や 24:00:00 など）は別の日時にずれるため、書き直した値と比べて確かめる
+      const parseDate = (value) => {
+        const parsed = new Date(`${day}T${value}Z`);
+        return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(`${day}T${value}`) ? parsed : null;
+      };
+      if (!parseDate('00:00:00')) {
+        throw new Error(`Date タグの値 "${tags.Date}" が日付として読めません`);
+      }
+      date = parseDate(time);
+      if (!date) {
+        throw new Error(`Time タグの値 "${tags.Time}" が時刻として読めません`);
+      }
+    }
+
+    return {
+      version: 1,
+      date: date.toISOString(),
+      mode,
+      difficulty: mode === 'single' ? difficulty : null,
+      aiProfile: tags.Profile || null,
+      size: board.size,
+      winLength: board.winLength,
+      players,
+      playerMarker: mode !== 'multi' && human.length === 1 ? human[0] : null,
+      winner: RESULTS[result],
+      reason: tags.Termination || null,
+      moves: board.moveHistory.map(({ row, col, player }) => ({ row, col, player })),
+      duration: tags.Duration ? parseInt(tags.Duration, 10) * 1000 : 0,
+      seed: tags.Seed !== undefined ? parseInt(tags.Seed, 10) : null
+    };
+  }
+
+  /**
+   * 勝者を結果のタグの値にする
+   * @param {string|null|undefined} winner - 勝者 ('O' または 'X')、引き分けはnull、決着していない対局は undefined
+   * @returns {string} 結果（'1-0'・'0-1'・'1/2-1/2'・'*'）
+   */
+  static formatResult(winner) {
+    return Object.keys(RESULTS).find(result => RESULTS[result] === winner);
+  }
+
+  /**
+   * 整数のタグを読む
+   * @param {Object} tags - タグ
+   * @param {string} name - タグの名前
+   * @param {number} min - 最小値
+   * @param {number} max - 最大値
+   * @returns {number} タグの値
+   * @throws {Error} タグがないか、範囲外の場合
+   */
+  static parseInteger(tags, name, min, max) {
+    if (tags[name] === undefined) {
+      throw new Error(`${name} タグがありません`);
+    }
+    const value = Number(tags[name]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`${name} タグの値 "${tags[name]}" が正しくありません（${min}〜${max}）`);
+    }
+    return value;
+  }
+}
+
+GameNotation.MAX_SIZE = MAX_SIZE;
+
+module.exports = GameNotation;
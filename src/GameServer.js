@@ -0,0 +1,716 @@
+const net = require('net');
+const crypto = require('crypto');
+const Board = require('./Board');
+const GameClock = require('./GameClock');
+const {
+  PROTOCOL_VERSION,
+  DEFAULT_PORT,
+  MESSAGE_TYPES,
+  ERROR_CODES,
+  encodeMessage,
+  getPlayerToMove,
+  validateMove,
+  validateChat,
+  createChatEntry,
+  MessageParser
+} = require('./Protocol');
+
+/**
+ * 再接続を待つ猶予時間（ミリ秒）
+ */
+const DEFAULT_RECONNECT_GRACE = 30000;
+
+/**
+ * 誰も参加しないまま待っているゲームを削除するまでの時間（ミリ秒）
+ */
+const DEFAULT_MATCH_EXPIRY = 5 * 60 * 1000;
+
+/**
+ * ゲームを作成した接続が閉じられてから、誰も参加しないゲームを削除するまでの時間（ミリ秒）
+ * ロビーのクライアントは作成の応答を受け取ると接続を閉じてから参加し直すため、すぐには削除しない
+ */
+const DEFAULT_ABANDONED_EXPIRY = 10000;
+
+/**
+ * 1つの接続で作成できる、誰も参加していないゲームの数
+ */
+const MAX_OPEN_MATCHES_PER_CONNECTION = 3;
+
+/**
+ * 作成できるボードサイズの範囲
+ */
+const MIN_BOARD_SIZE = 3;
+const MAX_BOARD_SIZE = 7;
+
+/**
+ * ロビーと複数の対局を管理するヘッドレスのゲームサーバー
+ *
+ * クライアントはロビーでゲームの一覧取得（list）と作成（create）を行い、
+ * ゲームIDを指定したあいさつ（hello）で対局に参加または観戦する。
+ * 対局の手はすべてサーバーの Board で検証してから相手と観戦者に転送するため、
+ * サーバーの盤面が正となる。参加者から見たサーバーは NetworkGame のホストと同じように振る舞う。
+ * 持ち時間付きの対局ではサーバーの時計で残り時間を計り、時間切れの手や申告を判定する。
+ * 誰も参加しないまま待っているゲームは、一定時間が過ぎるか作成した接続が閉じられると削除する。
+ */
+class GameServer {
+  /**
+   * ゲームサーバーを初期化
+   * @param {Object} options - サーバーの設定 {port, host, reconnectGrace, matchExpiry, abandonedExpiry}
+   */
+  constructor(options = {}) {
+    this.port = options.port === undefined ? DEFAULT_PORT : options.port;
+    this.host = options.host;
+    this.reconnectGrace = options.reconnectGrace || DEFAULT_RECONNECT_GRACE;
+    this.matchExpiry = options.matchExpiry || DEFAULT_MATCH_EXPIRY;
+    this.abandonedExpiry = options.abandonedExpiry || DEFAULT_ABANDONED_EXPIRY;
+    this.server = null;
+    this.connections = new Set();
+    this.matches = new Map();
+  }
+
+  /**
+   * 待ち受けを開始する
+   * @returns {Promise} 待ち受け開始の結果 {port}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer(socket => this.handleConnection(socket));
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        resolve({ port: this.port });
+      });
+    });
+  }
+
+  /**
+   * 待ち受けを終了し、すべての接続と対局を閉じる
+   * @returns {Promise} 終了処理の完了
+   */
+  stop() {
+    for (const match of this.matches.values()) {
+      this.clearGraceTimers(match);
+      this.releaseCreator(match);
+    }
+    this.matches.clear();
+
+    for (const connection of this.connections) {
+      connection.socket.destroy();
+    }
+    this.connections.clear();
+
+    return new Promise((resolve) => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * 新しい接続を処理する
+   * @param {net.Socket} socket - 接続してきたソケット
+   */
+  handleConnection(socket) {
+    // createdMatches はこの接続で作成し、まだ誰も参加していないゲーム
+    const connection = { socket, match: null, role: null, marker: null, createdMatches: new Set() };
+    // 不正な行はエラーを返し、接続は切らずに続きを処理する
+    const parser = new MessageParser({
+      onError: error => this.sendError(connection, ERROR_CODES.INVALID_REQUEST, error.message)
+    });
+    this.connections.add(connection);
+
+    socket.on('data', (chunk) => {
+      let messages;
+      try {
+        messages = parser.push(chunk);
+      } catch (error) {
+        this.sendError(connection, ERROR_CODES.INVALID_REQUEST, error.message);
+        socket.destroy();
+        return;
+      }
+
+      for (const message of messages) {
+        this.handleMessage(connection, message);
+      }
+    });
+
+    // 切断は 'close' で処理するため、ここではエラーを握りつぶす
+    socket.on('error', () => {});
+
+    socket.on('close', () => {
+      this.connections.delete(connection);
+      this.handleConnectionClosed(connection);
+    });
+  }
+
+  /**
+   * 受信したメッセージを接続の状態に応じて処理する
+   * @param {Object} connection - 送信元の接続
+   * @param {Object} message - 受信したメッセージ
+   */
+  handleMessage(connection, message) {
+    if (!connection.match) {
+      switch (message.type) {
+        case MESSAGE_TYPES.LIST:
+          this.send(connection, MESSAGE_TYPES.GAMES, { games: this.listGames() });
+          break;
+        case MESSAGE_TYPES.CREATE:
+          this.handleCreate(connection, message);
+          break;
+        case MESSAGE_TYPES.HELLO:
+          this.handleHello(connection, message);
+          break;
+        default:
+          this.sendError(connection, ERROR_CODES.INVALID_REQUEST, 'ゲームに参加していません');
+          break;
+      }
+      return;
+    }
+
+    const match = connection.match;
+
+    switch (message.type) {
+      case MESSAGE_TYPES.MOVE:
+        if (connection.role === 'player') {
+          this.handleMove(match, connection, message);
+        }
+        break;
+      case MESSAGE_TYPES.RESIGN:
+        if (connection.role === 'player' && match.status === 'playing') {
+          this.handleResign(match, connection, message);
+        }
+        break;
+      case MESSAGE_TYPES.CHAT:
+        this.handleChat(match, connection, message);
+        break;
+      case MESSAGE_TYPES.SYNC:
+        // サーバーの盤面が正となるため、要求の内容にかかわらず盤面を返す
+        this.send(connection, MESSAGE_TYPES.SYNC, { board: match.board.serialize() });
+        break;
+      case MESSAGE_TYPES.BYE:
+        this.leaveMatch(connection, message.reason || '相手が切断しました');
+        connection.socket.end();
+        break;
+    }
+  }
+
+  /**
+   * ゲーム一覧を取得する（終了した対局は含まない）
+   * @returns {Array} ゲームの情報 [{gameId, boardSize, winLength, players, spectators, timeControl, status}]
+   */
+  listGames() {
+    return Array.from(this.matches.values())
+      .filter(match => match.status !== 'finished')
+      .map(match => ({
+        gameId: match.id,
+        boardSize: match.board.size,
+        winLength: match.board.winLength,
+        players: Object.values(match.seats).filter(seat => seat.token).length,
+        spectators: match.spectators.size,
+        timeControl: match.timeControl,
+        status: match.status
+      }));
+  }
+
+  /**
+   * ゲームの作成要求を処理する
+   * @param {Object} connection - 送信元の接続
+   * @param {Object} message - 作成要求 {boardSize, winLength, timeControl}
+   */
+  handleCreate(connection, message) {
+    const { boardSize, winLength } = message;
+    const timeControl = message.timeControl || null;
+
+    if (!Number.isInteger(boardSize) || boardSize < MIN_BOARD_SIZE || boardSize > MAX_BOARD_SIZE) {
+      this.sendError(connection, ERROR_CODES.INVALID_REQUEST,
+        `ボードサイズは${MIN_BOARD_SIZE}から${MAX_BOARD_SIZE}の範囲で指定してください`);
+      return;
+    }
+
+    if (!Number.isInteger(winLength) || winLength < MIN_BOARD_SIZE || winLength > boardSize) {
+      this.sendError(connection, ERROR_CODES.INVALID_REQUEST,
+        `勝利条件は${MIN_BOARD_SIZE}からボードサイズまでの範囲で指定してください`);
+      return;
+    }
+
+    const timeControlError = timeControl && GameClock.validate(timeControl);
+    if (timeControlError) {
+      this.sendError(connection, ERROR_CODES.INVALID_REQUEST, timeControlError);
+      return;
+    }
+
+    if (connection.createdMatches.size >= MAX_OPEN_MATCHES_PER_CONNECTION) {
+      this.sendError(connection, ERROR_CODES.INVALID_REQUEST,
+        `誰も参加していないゲームは${MAX_OPEN_MATCHES_PER_CONNECTION}つまでしか作成できません`);
+      return;
+    }
+
+    const match = this.createMatch(boardSize, winLength, timeControl, connection);
+    this.send(connection, MESSAGE_TYPES.CREATED, {
+      gameId: match.id,
+      boardSize,
+      winLength,
+      timeControl: match.timeControl
+    });
+  }
+
+  /**
+   * 新しい対局を作成する
+   * @param {number} boardSize - ボードのサイズ
+   * @param {number} winLength - 勝利条件の長さ
+   * @param {Object|null} timeControl - 持ち時間の設定（なしの場合はnull）
+   * @param {Object|null} creator - 作成した接続
+   * @returns {Object} 作成した対局
+   */
+  createMatch(boardSize, winLength, timeControl = null, creator = null) {
+    let id;
+    do {
+      id = crypto.randomBytes(3).toString('hex');
+    } while (this.matches.has(id));
+
+    const clock = timeControl ? new GameClock(timeControl) : null;
+
+    const match = {
+      id,
+      board: new Board(boardSize, winLength),
+      clock,
+      timeControl: clock ? clock.timeControl : null,
+      seats: {
+        O: { connection: null, token: null, graceTimer: null },
+        X: { connection: null, token: null, graceTimer: null }
+      },
+      spectators: new Set(),
+      status: 'waiting',
+      creator,
+      expiryTimer: null
+    };
+
+    this.matches.set(id, match);
+    if (creator) {
+      creator.createdMatches.add(match);
+    }
+    this.scheduleExpiry(match, this.matchExpiry);
+    return match;
+  }
+
+  /**
+   * 誰も参加しないゲームを削除するタイマーを設定し直す
+   * @param {Object} match - 対局
+   * @param {number} delay - 削除するまでの時間（ミリ秒）
+   */
+  scheduleExpiry(match, delay) {
+    clearTimeout(match.expiryTimer);
+    match.expiryTimer = setTimeout(() => {
+      this.releaseCreator(match);
+      this.matches.delete(match.id);
+      for (const spectator of match.spectators) {
+        this.reject(spectator, '誰も参加しないままゲームの期限が切れました');
+      }
+    }, delay);
+  }
+
+  /**
+   * 削除のタイマーを止め、作成した接続の数えるゲームから外す（誰かが参加したときと削除したときに呼び出す）
+   * @param {Object} match - 対局
+   */
+  releaseCreator(match) {
+    clearTimeout(match.expiryTimer);
+    match.expiryTimer = null;
+    if (match.creator) {
+      match.creator.createdMatches.delete(match);
+      match.creator = null;
+    }
+  }
+
+  /**
+   * 対局へのあいさつ（参加、観戦、再接続）を処理する
+   * @param {Object} connection - 送信元の接続
+   * @param {Object} message - あいさつ {version, gameId, token, role}
+   */
+  handleHello(connection, message) {
+    if (message.version !== PROTOCOL_VERSION) {
+      this.reject(connection,
+        `プロトコルのバージョンが一致しません（サーバー: ${PROTOCOL_VERSION}, クライアント: ${message.version}）`);
+      return;
+    }
+
+    const match = this.matches.get(message.gameId);
+    if (!match) {
+      this.reject(connection, '指定されたゲームが見つかりませんでした');
+      return;
+    }
+
+    if (message.role === 'spectator') {
+      this.addSpectator(match, connection);
+      return;
+    }
+
+    if (message.token) {
+      const marker = ['O', 'X'].find(m => match.seats[m].token === message.token);
+      if (!marker || match.status === 'finished') {
+        this.reject(connection, 'このゲームには再接続できません');
+        return;
+      }
+      this.resumePlayer(match, marker, connection);
+      return;
+    }
+
+    const marker = ['O', 'X'].find(m => !match.seats[m].token);
+    if (!marker) {
+      this.reject(connection, 'このゲームにはすでに対戦相手がいます');
+      return;
+    }
+
+    const seat = match.seats[marker];
+    seat.connection = connection;
+    seat.token = crypto.randomBytes(16).toString('hex');
+    this.releaseCreator(match);
+    connection.match = match;
+    connection.role = 'player';
+    connection.marker = marker;
+
+    // 2人そろった時点で両者にあいさつを返して対局を開始する
+    if (match.seats.O.token && match.seats.X.token) {
+      match.status = 'playing';
+      for (const m of ['O', 'X']) {
+        this.sendPlayerHello(match, m);
+      }
+      if (match.clock) {
+        match.clock.start('O');
+      }
+    }
+  }
+
+  /**
+   * 対局者にあいさつを送る
+   * @param {Object} match - 対局
+   * @param {string} marker - 対局者の駒 ('O' または 'X')
+   */
+  sendPlayerHello(match, marker) {
+    const seat = match.seats[marker];
+
+    this.send(seat.connection, MESSAGE_TYPES.HELLO, {
+      version: PROTOCOL_VERSION,
+      gameId: match.id,
+      marker,
+      boardSize: match.board.size,
+      winLength: match.board.winLength,
+      timeControl: match.timeControl,
+      token: seat.token,
+      reconnectGrace: this.reconnectGrace,
+      moveHistory: match.board.moveHistory,
+      spectators: match.spectators.size
+    });
+  }
+
+  /**
+   * 観戦者を追加し、現在の盤面を送る
+   * @param {Object} match - 対局
+   * @param {Object} connection - 観戦者の接続
+   */
+  addSpectator(match, connection) {
+    connection.match = match;
+    connection.role = 'spectator';
+    match.spectators.add(connection);
+
+    this.send(connection, MESSAGE_TYPES.HELLO, {
+      version: PROTOCOL_VERSION,
+      gameId: match.id,
+      role: 'spectator',
+      boardSize: match.board.size,
+      winLength: match.board.winLength,
+      timeControl: match.timeControl
+    });
+    this.send(connection, MESSAGE_TYPES.SYNC, { board: match.board.serialize() });
+    this.notifySpectatorCount(match);
+  }
+
+  /**
+   * 対局者に現在の観戦者数を知らせる
+   * @param {Object} match - 対局
+   */
+  notifySpectatorCount(match) {
+    for (const seat of Object.values(match.seats)) {
+      if (seat.connection) {
+        this.send(seat.connection, MESSAGE_TYPES.SPECTATORS, { count: match.spectators.size });
+      }
+    }
+  }
+
+  /**
+   * 切断された対局者の再接続を受け入れる
+   * @param {Object} match - 対局
+   * @param {string} marker - 対局者の駒 ('O' または 'X')
+   * @param {Object} connection - 新しい接続
+   */
+  resumePlayer(match, marker, connection) {
+    const seat = match.seats[marker];
+
+    if (seat.connection) {
+      // 古い接続が残っている場合は、新しい接続に置き換える
+      const oldConnection = seat.connection;
+      oldConnection.match = null;
+      oldConnection.socket.destroy();
+    }
+
+    clearTimeout(seat.graceTimer);
+    seat.graceTimer = null;
+    seat.connection = connection;
+    connection.match = match;
+    connection.role = 'player';
+    connection.marker = marker;
+
+    this.sendPlayerHello(match, marker);
+  }
+
+  /**
+   * 対局者の手を検証し、正しければ相手と観戦者に転送する
+   * @param {Object} match - 対局
+   * @param {Object} connection - 手を打った対局者の接続
+   * @param {Object} message - 受信した手 {row, col, hash}
+   */
+  handleMove(match, connection, message) {
+    if (match.status === 'playing' && match.clock && match.clock.isFlagged(connection.marker)) {
+      this.finishByTimeout(match, connection.marker);
+      return;
+    }
+
+    const move = { row: message.row, col: message.col };
+    const error = match.status === 'playing'
+      ? validateMove(match.board, move, connection.marker)
+      : { code: ERROR_CODES.INVALID_REQUEST, message: '対局中ではありません' };
+
+    if (error) {
+      this.send(connection, MESSAGE_TYPES.ERROR, { ...error, move });
+      this.send(connection, MESSAGE_TYPES.SYNC, { board: match.board.serialize() });
+      return;
+    }
+
+    match.board.placeMarker(move.row, move.col, connection.marker);
+    match.board.currentPlayer = getPlayerToMove(match.board);
+    const hash = match.board.getHash();
+
+    if (message.hash !== hash) {
+      this.send(connection, MESSAGE_TYPES.SYNC, { board: match.board.serialize() });
+    }
+
+    const payload = { ...move, hash, player: connection.marker };
+    if (match.clock) {
+      match.clock.start(getPlayerToMove(match.board));
+      payload.clock = match.clock.getRemainingTimes();
+    }
+
+    this.broadcast(match, MESSAGE_TYPES.MOVE, payload, connection);
+
+    if (match.board.isWinningMove(move.row, move.col) || match.board.checkDraw()) {
+      this.finishMatch(match);
+    }
+  }
+
+  /**
+   * 投了または相手の時間切れの申告を処理する
+   * 時間切れの申告はサーバーの時計で時間切れになっている場合のみ受け付ける
+   * @param {Object} match - 対局
+   * @param {Object} connection - 送信元の対局者の接続
+   * @param {Object} message - 受信したメッセージ {marker, reason}
+   */
+  handleResign(match, connection, message) {
+    const marker = message.marker || connection.marker;
+
+    if (marker !== connection.marker) {
+      if (!match.clock || !match.clock.isFlagged(marker)) {
+        this.sendError(connection, ERROR_CODES.INVALID_REQUEST, '相手の持ち時間はまだ残っています');
+        return;
+      }
+      this.finishByTimeout(match, marker);
+      return;
+    }
+
+    this.finishMatch(match);
+    this.broadcast(match, MESSAGE_TYPES.RESIGN, { marker, reason: message.reason }, connection);
+  }
+
+  /**
+   * 時間切れで対局を終了し、全員に通知する
+   * @param {Object} match - 対局
+   * @param {string} marker - 時間切れになった対局者の駒 ('O' または 'X')
+   */
+  finishByTimeout(match, marker) {
+    this.finishMatch(match);
+    this.broadcast(match, MESSAGE_TYPES.RESIGN, { marker, reason: '時間切れ' });
+  }
+
+  /**
+   * 対局を終了した状態にする
+   * @param {Object} match - 対局
+   */
+  finishMatch(match) {
+    match.status = 'finished';
+    if (match.clock) {
+      match.clock.stop();
+    }
+  }
+
+  /**
+   * チャットを検証し、送信者を付けて対局の参加者と観戦者に転送する
+   * @param {Object} match - 対局
+   * @param {Object} connection - 送信元の接続
+   * @param {Object} message - 受信したチャット {text} または {emote}
+   */
+  handleChat(match, connection, message) {
+    const error = validateChat(message);
+    if (error) {
+      this.sendError(connection, error.code, error.message);
+      return;
+    }
+
+    const from = connection.role === 'spectator' ? 'spectator' : connection.marker;
+    this.broadcast(match, MESSAGE_TYPES.CHAT, createChatEntry(message, from), connection);
+  }
+
+  /**
+   * 接続が閉じられたときの処理
+   * 対局中の対局者であれば、猶予時間内の再接続を待つ
+   * @param {Object} connection - 閉じられた接続
+   */
+  handleConnectionClosed(connection) {
+    // 作成したまま誰も参加していないゲームは、作成者が参加し直すのを少し待ってから削除する
+    for (const created of connection.createdMatches) {
+      this.scheduleExpiry(created, this.abandonedExpiry);
+    }
+
+    const match = connection.match;
+    if (!match) return;
+
+    if (connection.role === 'spectator') {
+      match.spectators.delete(connection);
+      this.notifySpectatorCount(match);
+      return;
+    }
+
+    const seat = match.seats[connection.marker];
+    if (seat.connection !== connection) return;
+    seat.connection = null;
+
+    if (match.status === 'waiting') {
+      // 開始前に抜けた場合は席を空ける
+      seat.token = null;
+      this.removeMatchIfEmpty(match);
+      return;
+    }
+
+    if (match.status === 'playing') {
+      seat.graceTimer = setTimeout(() => {
+        seat.graceTimer = null;
+        this.finishMatch(match);
+        this.broadcast(match, MESSAGE_TYPES.RESIGN, {
+          marker: connection.marker,
+          reason: '相手が時間内に再接続しませんでした'
+        });
+        this.removeMatchIfEmpty(match);
+      }, this.reconnectGrace);
+      return;
+    }
+
+    this.removeMatchIfEmpty(match);
+  }
+
+  /**
+   * 対局者が対局から抜ける（あいさつ付きの切断）
+   * @param {Object} connection - 抜ける対局者の接続
+   * @param {string} reason - 切断の理由
+   */
+  leaveMatch(connection, reason) {
+    const match = connection.match;
+
+    if (connection.role === 'player' && match.status !== 'waiting') {
+      this.finishMatch(match);
+      this.broadcast(match, MESSAGE_TYPES.BYE, { reason }, connection);
+    }
+
+    this.handleConnectionClosed(connection);
+    connection.match = null;
+  }
+
+  /**
+   * 終了した対局に接続している対局者がいなければ削除する
+   * @param {Object} match - 対局
+   */
+  removeMatchIfEmpty(match) {
+    const hasPlayers = Object.values(match.seats).some(seat => seat.connection);
+    const isOver = match.status === 'finished' ||
+      (match.status === 'waiting' && !Object.values(match.seats).some(seat => seat.token));
+
+    if (!hasPlayers && isOver) {
+      this.clearGraceTimers(match);
+      this.matches.delete(match.id);
+    }
+  }
+
+  /**
+   * 対局の再接続待ちのタイマーをすべて止める
+   * @param {Object} match - 対局
+   */
+  clearGraceTimers(match) {
+    for (const seat of Object.values(match.seats)) {
+      clearTimeout(seat.graceTimer);
+      seat.graceTimer = null;
+    }
+  }
+
+  /**
+   * 対局の参加者と観戦者にメッセージを送る
+   * @param {Object} match - 対局
+   * @param {string} type - メッセージの種類
+   * @param {Object} payload - メッセージの内容
+   * @param {Object} except - 送信しない接続（送信元など）
+   */
+  broadcast(match, type, payload, except = null) {
+    const targets = [
+      ...Object.values(match.seats).map(seat => seat.connection),
+      ...match.spectators
+    ];
+
+    for (const connection of targets) {
+      if (connection && connection !== except) {
+        this.send(connection, type, payload);
+      }
+    }
+  }
+
+  /**
+   * 接続にメッセージを送る
+   * @param {Object} connection - 送信先の接続
+   * @param {string} type - メッセージの種類
+   * @param {Object} payload - メッセージの内容
+   */
+  send(connection, type, payload = {}) {
+    if (!connection.socket.destroyed) {
+      connection.socket.write(encodeMessage(type, payload));
+    }
+  }
+
+  /**
+   * エラーを送る
+   * @param {Object} connection - 送信先の接続
+   * @param {string} code - エラーコード
+   * @param {string} message - エラーメッセージ
+   */
+  sendError(connection, code, message) {
+    this.send(connection, MESSAGE_TYPES.ERROR, { code, message });
+  }
+
+  /**
+   * 理由を添えて接続を拒否する
+   * @param {Object} connection - 拒否する接続
+   * @param {string} reason - 拒否の理由
+   */
+  reject(connection, reason) {
+    connection.socket.end(encodeMessage(MESSAGE_TYPES.BYE, { reason }));
+  }
+}
+
+module.exports = GameServer;
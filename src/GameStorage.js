@@ -11,6 +11,9 @@ class GameStorage {
   constructor() {
     this.saveDirPath = path.join(process.cwd(), 'saves');
     this.statsFilePath = path.join(process.cwd(), 'stats.json');
+    this.learningFilePath = path.join(process.cwd(), 'learning.json');
+    this.analysisDirPath = path.join(process.cwd(), 'analysis');
+    this.archiveDirPath = path.join(process.cwd(), 'archive');
     this.ensureSaveDirectory();
   }
 
@@ -121,6 +124,121 @@ class GameStorage {
       };
     }
   }
+
+  /**
+   * 対局の分析結果をJSONファイルに書き出す
+   * @param {Object} analysis - 分析結果（GameAnalyzer の analyze の結果）
+   * @param {Date} date - ファイル名に使う日時（省略時は現在時刻）
+   * @returns {string|null} 書き出したファイルのパス、失敗した場合はnull
+   */
+  saveAnalysis(analysis, date = new Date()) {
+    try {
+      fs.mkdirSync(this.analysisDirPath, { recursive: true });
+      const timestamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+      const filePath = path.join(this.analysisDirPath, `analysis-${timestamp}.json`);
+      fs.writeFileSync(filePath, JSON.stringify(analysis, null, 2));
+      return filePath;
+    } catch (error) {
+      console.error('分析結果の書き出し中にエラーが発生しました:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 終局した対局の記録をアーカイブに保存する
+   * ファイル名は終局した日時から作る（archive/game-YYYYMMDD-HHMMSS-mmm.json、同じ時刻の記録があれば番号を付ける）
+   * @param {Object} record - 対局の記録（GameHistory の createRecord の結果）
+   * @returns {string|null} 記録のID（ファイル名から拡張子を除いたもの）、失敗した場合はnull
+   */
+  archiveGame(record) {
+    try {
+      fs.mkdirSync(this.archiveDirPath, { recursive: true });
+      const timestamp = record.date.replace(/[-:]/g, '').replace('T', '-').replace('.', '-').slice(0, 19);
+      let id = `game-${timestamp}`;
+      for (let count = 2; fs.existsSync(path.join(this.archiveDirPath, `${id}.json`)); count++) {
+        id = `game-${timestamp}-${count}`;
+      }
+      fs.writeFileSync(path.join(this.archiveDirPath, `${id}.json`), JSON.stringify(record, null, 2));
+      return id;
+    } catch (error) {
+      console.error('対局の記録中にエラーが発生しました:', error);
+      return null;
+    }
+  }
+
+  /**
+   * アーカイブの対局の記録をすべて読み込む
+   * @returns {Array} 対局の記録（新しい順、それぞれ記録のID id を付ける）、読み込めない記録は除く
+   */
+  getArchivedGames() {
+    if (!fs.existsSync(this.archiveDirPath)) {
+      return [];
+    }
+    
+    try {
+      return fs.readdirSync(this.archiveDirPath)
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.replace(/\.json$/, ''))
+        .sort()
+        .reverse()
+        .map(id => this.loadArchivedGame(id))
+        .filter(record => record !== null);
+    } catch (error) {
+      console.error('対局の記録の一覧取得中にエラーが発生しました:', error);
+      return [];
+    }
+  }
+
+  /**
+   * アーカイブの対局の記録を読み込む
+   * @param {string} id - 記録のID
+   * @returns {Object|null} 対局の記録（記録のID id を付ける）、失敗した場合はnull
+   */
+  loadArchivedGame(id) {
+    try {
+      const filePath = path.join(this.archiveDirPath, `${id}.json`);
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+      
+      return { ...JSON.parse(fs.readFileSync(filePath, 'utf8')), id };
+    } catch (error) {
+      console.error('対局の記録の読み込み中にエラーが発生しました:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 学習AIの学習データを保存
+   * @param {Object} learning - 保存する学習データ
+   * @returns {boolean} 保存が成功したかどうか
+   */
+  saveLearning(learning) {
+    try {
+      fs.writeFileSync(this.learningFilePath, JSON.stringify(learning, null, 2));
+      return true;
+    } catch (error) {
+      console.error('学習データの保存中にエラーが発生しました:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 学習AIの学習データを読み込む
+   * @returns {Object} 読み込まれた学習データ、ファイルが存在しない場合や読み込めない場合は空のオブジェクト（未学習）
+   */
+  loadLearning() {
+    try {
+      if (!fs.existsSync(this.learningFilePath)) {
+        return {};
+      }
+      
+      return JSON.parse(fs.readFileSync(this.learningFilePath, 'utf8'));
+    } catch (error) {
+      console.error('学習データの読み込み中にエラーが発生しました:', error);
+      return {};
+    }
+  }
 }
 
 module.exports = GameStorage;
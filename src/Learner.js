@@ -0,0 +1,179 @@
+/**
+ * 学習データの形式のバージョン
+ */
+const LEARNING_VERSION = 1;
+
+/**
+ * 1局の結果で重みを動かす大きさ
+ */
+const DEFAULT_LEARNING_RATE = 0.5;
+
+/**
+ * 対局ごとに重みに加える揺らぎの大きさ
+ */
+const DEFAULT_NOISE_SCALE = 1;
+
+/**
+ * 終局したゲームの結果から評価関数の重みを学習するクラス
+ *
+ * 局面の特徴は、勝利条件の長さのラインのうち「自分の駒だけが k 個あるライン」と
+ * 「相手の駒だけが k 個あるライン」の割合（k = 1 … 勝利条件 - 1）と、相手の手番かどうか。
+ * 評価値は特徴と重みの内積で、重みはボードサイズと勝利条件の組ごとに持つ。
+ *
+ * 学習は進化戦略で行う。対局ごとに重みへランダムな揺らぎを加えたAIを打たせ、
+ * 勝てばその揺らぎの向きに、負ければ逆の向きに重みを動かす（引き分けでは動かさない）。
+ */
+class Learner {
+  /**
+   * 学習データを指定して初期化
+   * @param {Object} data - 学習データ {version, profiles}（省略時は未学習）
+   * @param {Object} options - 学習の設定 {learningRate, noiseScale}
+   */
+  constructor(data = {}, options = {}) {
+    if (data.version !== undefined && data.version !== LEARNING_VERSION) {
+      throw new Error(`対応していない学習データのバージョンです: ${data.version}`);
+    }
+
+    this.profiles = data.profiles || {};
+    this.learningRate = options.learningRate || DEFAULT_LEARNING_RATE;
+    this.noiseScale = options.noiseScale || DEFAULT_NOISE_SCALE;
+  }
+
+  /**
+   * ボードサイズと勝利条件の組のキーを取得する
+   * @param {Board} board - 対象のボード
+   * @returns {string} キー（例: '5x5/4'）
+   */
+  static getProfileKey(board) {
+    return `${board.size}x${board.size}/${board.winLength}`;
+  }
+
+  /**
+   * ボードサイズと勝利条件に対応する学習結果を取得する（なければ未学習の状態で作成する）
+   * @param {Board} board - 対象のボード
+   * @returns {Object} 学習結果 {weights, games}（weights は getFeatures の特徴と同じ順）
+   */
+  getProfile(board) {
+    const key = Learner.getProfileKey(board);
+    if (!this.profiles[key]) {
+      this.profiles[key] = {
+        weights: Array(2 * (board.winLength - 1) + 1).fill(0),
+        games: 0
+      };
+    }
+    return this.profiles[key];
+  }
+
+  /**
+   * 局面の特徴を取得する
+   * @param {Board} board - 現在のボード状態
+   * @param {string} player - 特徴を数えるプレイヤー ('O' または 'X')
+   * @returns {Array} 特徴（自分の駒だけが k 個あるラインの割合、相手の駒だけが k 個あるラインの割合、
+   *   相手の手番なら1）
+   */
+  getFeatures(board, player) {
+    const lineLength = board.winLength - 1;
+    const features = Array(2 * lineLength + 1).fill(0);
+    const isO = player === 'O';
+    let lineCount = 0;
+
+    board.forEachLineCount((oCount, xCount) => {
+      const own = isO ? oCount : xCount;
+      const opponent = isO ? xCount : oCount;
+      if (opponent === 0 && own > 0 && own <= lineLength) {
+        features[own - 1]++;
+      } else if (own === 0 && opponent > 0 && opponent <= lineLength) {
+        features[lineLength + opponent - 1]++;
+      }
+      lineCount++;
+    });
+
+    for (let i = 0; i < 2 * lineLength; i++) {
+      features[i] /= lineCount;
+    }
+    const lastMove = board.getLastMove();
+    features[2 * lineLength] = lastMove && lastMove.player === player ? 1 : 0;
+
+    return features;
+  }
+
+  /**
+   * 局面を評価する（学習した重みと特徴の内積）
+   * @param {Board} board - 評価するボード
+   * @param {string} player - 評価するプレイヤー ('O' または 'X')
+   * @returns {number} 評価値（大きいほどプレイヤーに有利）
+   */
+  evaluate(board, player) {
+    const { weights } = this.getProfile(board);
+    const features = this.getFeatures(board, player);
+    return features.reduce((sum, feature, index) => sum + feature * weights[index], 0);
+  }
+
+  /**
+   * 重みに加える揺らぎを作る
+   * @param {Board} board - 対象のボード
+   * @param {Random} random - 乱数生成器
+   * @returns {Array} 重みと同じ長さの、標準正規分布に従う乱数の配列
+   */
+  createNoise(board, random) {
+    return this.getProfile(board).weights.map(() => random.nextGaussian());
+  }
+
+  /**
+   * 重みに揺らぎを加えた学習結果を作る（対局に使い、結果を learnFromResult に渡す）
+   * @param {Board} board - 対象のボード
+   * @param {Array} noise - createNoise で作った揺らぎ
+   * @param {number} sign - 揺らぎを加える向き（1 または -1）
+   * @returns {Learner} 揺らぎを加えた重みだけを持つ学習結果
+   */
+  createVariant(board, noise, sign = 1) {
+    const { weights } = this.getProfile(board);
+    return new Learner({
+      profiles: {
+        [Learner.getProfileKey(board)]: {
+          weights: weights.map((weight, index) => weight + sign * this.noiseScale * noise[index]),
+          games: 0
+        }
+      }
+    });
+  }
+
+  /**
+   * 揺らぎを加えた重みで打ったゲームの結果から学習する
+   * @param {Board} board - 終局したボード
+   * @param {Array} noise - 対局に使った揺らぎ
+   * @param {number} score - 揺らぎを加えた側の結果（勝ち 1、引き分け 0.5、負け 0）
+   */
+  learnFromResult(board, noise, score) {
+    const profile = this.getProfile(board);
+    const advantage = score - 0.5;
+
+    for (let i = 0; i < profile.weights.length; i++) {
+      profile.weights[i] += this.learningRate * advantage * noise[i];
+    }
+    profile.games++;
+  }
+
+  /**
+   * 学習したゲームの数
+   * @param {Board} board - 対象のボード
+   * @returns {number} ボードサイズと勝利条件が同じゲームのうち、学習したゲームの数
+   */
+  getGamesLearned(board) {
+    const profile = this.profiles[Learner.getProfileKey(board)];
+    return profile ? profile.games : 0;
+  }
+
+  /**
+   * 学習データをシリアライズ（保存用）
+   * @returns {Object} シリアライズされた学習データ
+   */
+  serialize() {
+    return {
+      version: LEARNING_VERSION,
+      profiles: this.profiles
+    };
+  }
+}
+
+module.exports = Learner;
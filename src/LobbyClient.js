@@ -0,0 +1,120 @@
+const net = require('net');
+const {
+  DEFAULT_PORT,
+  MESSAGE_TYPES,
+  encodeMessage,
+  MessageParser
+} = require('./Protocol');
+
+/**
+ * ゲームサーバーのロビーを操作するクライアント
+ * 要求ごとに接続し、応答を受け取ったら切断する。
+ * 対局への参加は NetworkGame.joinGame に "host:port/gameId" を渡して行う。
+ */
+class LobbyClient {
+  /**
+   * ロビークライアントを初期化
+   * @param {string} host - サーバーのホスト名
+   * @param {number} port - サーバーのポート番号
+   */
+  constructor(host = 'localhost', port = DEFAULT_PORT) {
+    this.host = host;
+    this.port = port;
+  }
+
+  /**
+   * 参加・観戦できるゲームの一覧を取得する
+   * @returns {Promise<Array>} ゲームの情報 [{gameId, boardSize, winLength, players, spectators, timeControl, status}]
+   */
+  listGames() {
+    return this.request(MESSAGE_TYPES.LIST, {}, MESSAGE_TYPES.GAMES)
+      .then(response => response.games);
+  }
+
+  /**
+   * 新しいゲームを作成する
+   * @param {Object} options - ゲームの設定 {boardSize, winLength, timeControl}
+   * @returns {Promise<Object>} 作成したゲーム {gameId, boardSize, winLength, timeControl}
+   */
+  createGame(options) {
+    return this.request(MESSAGE_TYPES.CREATE, {
+      boardSize: options.boardSize,
+      winLength: options.winLength,
+      timeControl: options.timeControl || null
+    }, MESSAGE_TYPES.CREATED).then(({ gameId, boardSize, winLength, timeControl }) => ({
+      gameId,
+      boardSize,
+      winLength,
+      timeControl
+    }));
+  }
+
+  /**
+   * 対局に参加するための接続先を取得する
+   * @param {string} gameId - ゲームID
+   * @returns {string} 接続先 ("host:port/gameId" の形式)
+   */
+  getGameAddress(gameId) {
+    return `${this.host}:${this.port}/${gameId}`;
+  }
+
+  /**
+   * サーバーに要求を送り、応答を待つ
+   * @param {string} type - 要求の種類
+   * @param {Object} payload - 要求の内容
+   * @param {string} responseType - 期待する応答の種類
+   * @returns {Promise<Object>} 応答のメッセージ
+   */
+  request(type, payload, responseType) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      let settled = false;
+
+      const finish = (error, message) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(message);
+        }
+      };
+
+      // 応答を待つだけの接続のため、不正な行を受信した時点で失敗にする
+      const parser = new MessageParser({ onError: error => finish(error) });
+
+      socket.on('connect', () => {
+        socket.write(encodeMessage(type, payload));
+      });
+
+      socket.on('data', (chunk) => {
+        let messages;
+        try {
+          messages = parser.push(chunk);
+        } catch (error) {
+          finish(error);
+          return;
+        }
+
+        for (const message of messages) {
+          if (message.type === responseType) {
+            finish(null, message);
+          } else if (message.type === MESSAGE_TYPES.ERROR || message.type === MESSAGE_TYPES.BYE) {
+            finish(new Error(message.message || message.reason || 'サーバーに要求を拒否されました'));
+          }
+        }
+      });
+
+      socket.on('error', (error) => {
+        finish(new Error(`サーバーに接続できませんでした: ${error.message}`));
+      });
+
+      socket.on('close', () => {
+        finish(new Error('サーバーとの接続が切断されました'));
+      });
+    });
+  }
+}
+
+module.exports = LobbyClient;
@@ -0,0 +1,296 @@
+const BitBoard = require('./BitBoard');
+const Random = require('./Random');
+
+/**
+ * UCTの探索項の係数（大きいほど試行回数の少ない手を試す）
+ */
+const DEFAULT_EXPLORATION = Math.SQRT2;
+
+/**
+ * 木に追加する手とする空きマスの、既存の駒からの距離
+ */
+const EXPANSION_RANGE = 2;
+
+/**
+ * 回数も時間も指定されなかった場合の探索の制限時間（ミリ秒）
+ */
+const DEFAULT_TIME_BUDGET = 1000;
+
+/**
+ * 探索の制限時間を確認する間隔（反復回数）
+ */
+const TIME_CHECK_INTERVAL = 16;
+
+/**
+ * モンテカルロ木探索（UCT）で手を選ぶクラス
+ *
+ * 1回の反復で、UCTの値が最大の子をたどって葉まで進み（選択）、まだ試していない手を1つ木に追加し（展開）、
+ * そこから終局までランダムに打って（プレイアウト）、勝敗を通った節点に記録する（逆伝播）。
+ * 最後に、ルートで最も多く試された手を選ぶ。
+ */
+class MCTS {
+  /**
+   * 探索の設定を指定して初期化
+   * @param {Object} options - 探索の設定 {iterations, timeBudget, exploration, random}
+   *   （iterations と timeBudget の両方を指定した場合は、先に達した方で探索を終える）
+   */
+  constructor(options = {}) {
+    this.iterations = options.iterations || null;
+    this.timeBudget = options.timeBudget || (this.iterations ? null : DEFAULT_TIME_BUDGET);
+    this.exploration = options.exploration !== undefined ? options.exploration : DEFAULT_EXPLORATION;
+    this.random = options.random || new Random();
+    this.lastSearchInfo = null;
+  }
+
+  /**
+   * 手番のプレイヤーの次の一手を探索する
+   * @param {Board} board - 現在のボード状態
+   * @param {string} player - 手番のプレイヤー ('O' または 'X')
+   * @returns {Object|null} 選択された手 {row, col}、空きマスがない場合はnull
+   */
+  search(board, player) {
+    const startTime = Date.now();
+    const deadline = this.timeBudget ? startTime + this.timeBudget : Infinity;
+    const searchBoard = BitBoard.fromBoard(board);
+    const rootLength = searchBoard.moveHistory.length;
+
+    const root = this.createNode(null, this.getOpponent(player), null);
+    root.untriedMoves = this.getMoves(searchBoard, player);
+
+    if (root.untriedMoves.length <= 1) {
+      this.lastSearchInfo = { iterations: 0, time: Date.now() - startTime, winRate: null };
+      return root.untriedMoves[0] || null;
+    }
+
+    let iterations = 0;
+    while (!this.iterations || iterations < this.iterations) {
+      if (iterations % TIME_CHECK_INTERVAL === 0 && Date.now() > deadline) break;
+
+      this.runIteration(root, searchBoard);
+      iterations++;
+
+      // 反復ごとにルートの局面に戻す
+      while (searchBoard.moveHistory.length > rootLength) {
+        searchBoard.undoMove();
+      }
+    }
+
+    const best = root.children.reduce((a, b) => (b.visits > a.visits ? b : a));
+    this.lastSearchInfo = {
+      iterations,
+      time: Date.now() - startTime,
+      winRate: best.wins / best.visits
+    };
+
+    return best.move;
+  }
+
+  /**
+   * 選択・展開・プレイアウト・逆伝播を1回行う（ボードは打った手のまま残る）
+   * @param {Object} root - 木のルート
+   * @param {BitBoard} board - ルートの局面のボード
+   */
+  runIteration(root, board) {
+    let node = root;
+
+    // 選択: すべての手を試し終えた節点では、UCTの値が最大の子に進む
+    while (!node.result && node.untriedMoves && node.untriedMoves.length === 0 && node.children.length > 0) {
+      node = this.selectChild(node);
+      board.placeMarker(node.move.row, node.move.col, node.player);
+    }
+
+    // 展開: まだ試していない手を1つ木に追加する
+    if (!node.result) {
+      const nextPlayer = this.getOpponent(node.player);
+      if (!node.untriedMoves) {
+        node.untriedMoves = this.getMoves(board, nextPlayer);
+      }
+
+      if (node.untriedMoves.length > 0) {
+        const index = this.random.nextInt(node.untriedMoves.length);
+        const move = node.untriedMoves[index];
+        node.untriedMoves[index] = node.untriedMoves[node.untriedMoves.length - 1];
+        node.untriedMoves.pop();
+
+        board.placeMarker(move.row, move.col, nextPlayer);
+        const child = this.createNode(move, nextPlayer, node);
+        if (board.isWinningMove(move.row, move.col)) {
+          child.result = 'win';
+        } else if (board.checkDraw()) {
+          child.result = 'draw';
+        }
+        node.children.push(child);
+        node = child;
+      }
+    }
+
+    // プレイアウト: 勝敗が決まっていなければ終局までランダムに打つ
+    let winner;
+    if (node.result === 'win') {
+      winner = node.player;
+    } else if (node.result === 'draw') {
+      winner = null;
+    } else {
+      winner = this.playout(board, this.getOpponent(node.player));
+    }
+
+    // 逆伝播: 節点の手を打ったプレイヤーから見た勝ち数を記録する（引き分けは0.5）
+    while (node) {
+      node.visits++;
+      if (winner === node.player) {
+        node.wins += 1;
+      } else if (winner === null) {
+        node.wins += 0.5;
+      }
+      node = node.parent;
+    }
+  }
+
+  /**
+   * UCTの値が最大の子を選ぶ
+   * @param {Object} node - 親の節点
+   * @returns {Object} 選ばれた子の節点
+   */
+  selectChild(node) {
+    const logVisits = Math.log(node.visits);
+    let best = null;
+    let bestValue = -Infinity;
+
+    for (const child of node.children) {
+      const value = child.wins / child.visits + this.exploration * Math.sqrt(logVisits / child.visits);
+      if (value > bestValue) {
+        bestValue = value;
+        best = child;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * 終局までランダムに打つ
+   * @param {BitBoard} board - プレイアウトを始める局面のボード
+   * @param {string} player - 最初に打つプレイヤー ('O' または 'X')
+   * @returns {string|null} 勝者 ('O' または 'X')、引き分けの場合はnull
+   */
+  playout(board, player) {
+    const emptyCells = board.getEmptyCells();
+    let current = player;
+
+    while (emptyCells.length > 0) {
+      const index = this.random.nextInt(emptyCells.length);
+      const cell = emptyCells[index];
+      emptyCells[index] = emptyCells[emptyCells.length - 1];
+      emptyCells.pop();
+
+      board.placeMarker(cell.row, cell.col, current);
+      if (board.isWinningMove(cell.row, cell.col)) {
+        return current;
+      }
+      current = this.getOpponent(current);
+    }
+
+    return null;
+  }
+
+  /**
+   * 木に追加する手の候補を取得する
+   * 既存の駒の近くの空きマスだけを候補とし、すぐに勝てる手があればその手だけ、
+   * 相手の勝ちを防ぐ必要があれば防ぐ手だけを返す
+   * @param {Board} board - 現在のボード状態
+   * @param {string} player - 手番のプレイヤー ('O' または 'X')
+   * @returns {Array} 候補手 [{row, col}]
+   */
+  getMoves(board, player) {
+    const size = board.size;
+    if (board.moveHistory.length === 0) {
+      const center = Math.floor(size / 2);
+      return [{ row: center, col: center }];
+    }
+
+    const isO = player === 'O';
+    const threatLength = board.winLength - 1;
+    const moves = [];
+    const blocks = [];
+
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        if (board.board[row][col] !== ' ' || !this.isNearStone(board, row, col)) continue;
+
+        let isWin = false;
+        let isBlock = false;
+        board.forEachLineCountAt(row, col, (oCount, xCount) => {
+          const own = isO ? oCount : xCount;
+          const opponent = isO ? xCount : oCount;
+          if (opponent === 0 && own === threatLength) isWin = true;
+          if (own === 0 && opponent === threatLength) isBlock = true;
+        });
+
+        if (isWin) {
+          return [{ row, col }];
+        }
+        if (isBlock) {
+          blocks.push({ row, col });
+        }
+        moves.push({ row, col });
+      }
+    }
+
+    return blocks.length > 0 ? blocks : moves;
+  }
+
+  /**
+   * 空きマスの近く（EXPANSION_RANGE以内）に駒があるかどうか
+   * @param {Board} board - 現在のボード状態
+   * @param {number} row - 行インデックス
+   * @param {number} col - 列インデックス
+   * @returns {boolean} 近くに駒があるかどうか
+   */
+  isNearStone(board, row, col) {
+    for (let r = Math.max(0, row - EXPANSION_RANGE); r <= Math.min(board.size - 1, row + EXPANSION_RANGE); r++) {
+      for (let c = Math.max(0, col - EXPANSION_RANGE); c <= Math.min(board.size - 1, col + EXPANSION_RANGE); c++) {
+        if (board.board[r][c] !== ' ') return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 木の節点を作成する
+   * @param {Object|null} move - 節点に至る手 {row, col}（ルートの場合はnull）
+   * @param {string} player - その手を打ったプレイヤー ('O' または 'X')
+   * @param {Object|null} parent - 親の節点
+   * @returns {Object} 節点 {move, player, parent, children, untriedMoves, visits, wins, result}
+   */
+  createNode(move, player, parent) {
+    return {
+      move,
+      player,
+      parent,
+      children: [],
+      untriedMoves: null,
+      visits: 0,
+      wins: 0,
+      result: null
+    };
+  }
+
+  /**
+   * 相手のプレイヤーを取得する
+   * @param {string} player - プレイヤー ('O' または 'X')
+   * @returns {string} 相手のプレイヤー
+   */
+  getOpponent(player) {
+    return player === 'O' ? 'X' : 'O';
+  }
+
+  /**
+   * 直前の探索の結果を取得する
+   * @returns {Object|null} 探索の結果 {iterations, time, winRate}
+   */
+  getLastSearchInfo() {
+    return this.lastSearchInfo;
+  }
+}
+
+module.exports = MCTS;
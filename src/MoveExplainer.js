@@ -0,0 +1,116 @@
+const BitBoard = require('./BitBoard');
+
+/**
+ * 手の狙いを盤面から読み取るクラス（ヒントの説明用）
+ *
+ * 手を打つマスを通るラインの駒の数と、手を打った後に勝ちにつながるマス（あと1手でラインがそろう空きマス）の数から、
+ * 「すぐに勝てる」「相手の勝ちを防ぐ」「二重の脅威を作る」などの理由を挙げる。
+ * 理由は重要な順に並べ、すぐに勝てる手は他の理由を挙げない。
+ *
+ * 理由の種類:
+ *   win                 すぐに勝てる
+ *   block               相手の length 連を止める（player は相手）
+ *   doubleThreat        勝ちにつながるマスを2か所以上作る
+ *   preventDoubleThreat 相手が打てば二重の脅威になるマスを先にふさぐ（player は相手）
+ *   threat              勝ちにつながるマスを作る（length は並ぶ駒の数）
+ *   extend              自分のラインを length 個に伸ばす
+ *   obstruct            相手の length 個のラインをふさぐ（player は相手）
+ *   position            上のどれにも当たらない（探索の評価が高い）
+ */
+class MoveExplainer {
+  /**
+   * 手の狙いを取得する
+   * @param {Board} board - 現在のボード状態（変更しない）
+   * @param {Object} move - 手 {row, col}
+   * @param {string} player - 手を打つプレイヤー ('O' または 'X')
+   * @returns {Array} 理由 [{type, player, length}]（重要な順）
+   */
+  explain(board, move, player) {
+    const searchBoard = BitBoard.fromBoard(board);
+    const opponent = player === 'O' ? 'X' : 'O';
+    const threatLength = board.winLength - 1;
+    const { own, opposing, isWin, isBlock } = this.countLinesAt(searchBoard, move, player);
+
+    if (isWin) {
+      return [{ type: 'win' }];
+    }
+
+    const reasons = [];
+    if (isBlock) {
+      reasons.push({ type: 'block', player: opponent, length: threatLength });
+    }
+
+    const threatsBefore = this.countWinningCells(searchBoard, player);
+    searchBoard.placeMarker(move.row, move.col, player);
+    const threatsAfter = this.countWinningCells(searchBoard, player);
+    searchBoard.undoMove();
+
+    if (threatsAfter >= 2) {
+      reasons.push({ type: 'doubleThreat' });
+    }
+
+    if (!isBlock) {
+      searchBoard.placeMarker(move.row, move.col, opponent);
+      const opponentThreats = this.countWinningCells(searchBoard, opponent);
+      searchBoard.undoMove();
+      if (opponentThreats >= 2) {
+        reasons.push({ type: 'preventDoubleThreat', player: opponent });
+      }
+    }
+
+    if (threatsAfter === 1 && threatsAfter > threatsBefore) {
+      reasons.push({ type: 'threat', length: threatLength });
+    } else if (threatsAfter < 2 && own >= 1) {
+      reasons.push({ type: 'extend', length: own + 1 });
+    }
+
+    if (!isBlock && opposing >= 2) {
+      reasons.push({ type: 'obstruct', player: opponent, length: opposing });
+    }
+
+    if (reasons.length === 0) {
+      reasons.push({ type: 'position' });
+    }
+    return reasons;
+  }
+
+  /**
+   * 手を打つマスを通るラインの駒の数を調べる
+   * @param {BitBoard} board - 現在のボード状態
+   * @param {Object} move - 手 {row, col}
+   * @param {string} player - 手を打つプレイヤー ('O' または 'X')
+   * @returns {Object} {own（自分の駒だけのラインの最大の駒の数）, opposing（相手の駒だけのラインの最大の駒の数）,
+   *   isWin（打てば勝てるか）, isBlock（相手の勝ちを防ぐか）}
+   */
+  countLinesAt(board, move, player) {
+    const isO = player === 'O';
+    const threatLength = board.winLength - 1;
+    const result = { own: 0, opposing: 0, isWin: false, isBlock: false };
+
+    board.forEachLineCountAt(move.row, move.col, (oCount, xCount) => {
+      const own = isO ? oCount : xCount;
+      const opponent = isO ? xCount : oCount;
+      if (opponent === 0) {
+        result.own = Math.max(result.own, own);
+        if (own === threatLength) result.isWin = true;
+      } else if (own === 0) {
+        result.opposing = Math.max(result.opposing, opponent);
+        if (opponent === threatLength) result.isBlock = true;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * プレイヤーが打てばすぐに勝てる空きマスの数を数える
+   * @param {BitBoard} board - 現在のボード状態
+   * @param {string} player - プレイヤー ('O' または 'X')
+   * @returns {number} 勝ちにつながるマスの数
+   */
+  countWinningCells(board, player) {
+    return board.getEmptyCells().filter(cell => this.countLinesAt(board, cell, player).isWin).length;
+  }
+}
+
+module.exports = MoveExplainer;
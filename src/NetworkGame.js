@@ -1,9 +1,47 @@
+const net = require('net');
+const crypto = require('crypto');
+const Board = require('./Board');
+const {
+  PROTOCOL_VERSION,
+  DEFAULT_PORT,
+  MESSAGE_TYPES,
+  encodeMessage,
+  parseAddress,
+  getPlayerToMove,
+  validateMove,
+  validateChat,
+  createChatEntry,
+  MessageParser
+} = require('./Protocol');
+
 /**
  * オンラインゲームモード用のクラス
- * 簡易的なP2P（peer-to-peer）接続を提供
- * 
- * 注意: 実際のネットワーク接続をシミュレートするだけです。完全な実装にはSocket.ioなどが必要です。
+ * TCPによるP2P（peer-to-peer）接続を提供
+ *
+ * ホストは指定したポートで待ち受け、参加者は "host:port/gameId" を指定して接続する。
+ * 通信内容は Protocol.js で定義した改行区切りJSONのメッセージ。
+ *
+ * 双方が自分用の Board を持ち、受信した手はすべてその Board で検証してから反映する。
+ * 手には反映後の盤面のハッシュ値を付けて送り、不一致の場合はホストの盤面を正として同期する。
+ *
+ * 対局中に接続が途切れた場合は、参加時に受け取ったセッショントークンで猶予時間内に再接続でき、
+ * ホストの手順（moveHistory）から見逃した手を再生して対局を再開する。
+ *
+ * あいさつに role: 'spectator' を付けると観戦者として接続する。観戦者は現在の盤面と
+ * その後の両者の手を受け取るだけで、手を送ることはできない。観戦者数は対局者に通知される。
+ *
+ * チャットは対局者と観戦者の全員が送ることができ、ホストが送信者を付けて全員に転送する。
+ */
+
+/**
+ * 再接続を待つ猶予時間（ミリ秒）
  */
+const DEFAULT_RECONNECT_GRACE = 30000;
+
+/**
+ * 参加者が再接続を試みる間隔（ミリ秒）
+ */
+const RECONNECT_INTERVAL = 1000;
 
 class NetworkGame {
   /**
@@ -13,111 +51,956 @@ class NetworkGame {
     this.isHost = false;
     this.isConnected = false;
     this.peer = null;
+    this.server = null;
+    this.port = null;
     this.gameId = null;
+    this.marker = null;
+    this.boardSize = null;
+    this.winLength = null;
+    this.timeControl = null;
+    this.board = null;
+    this.target = null;
+    this.sessionToken = null;
+    this.reconnectGrace = DEFAULT_RECONNECT_GRACE;
+    this.isReconnecting = false;
+    this.reconnectTimers = [];
+    this.isFinished = false;
+    this.isSpectator = false;
+    this.spectators = new Set();
+    this.spectatorCount = 0;
     this.callbacks = {
       onMove: null,
       onConnect: null,
       onDisconnect: null,
-      onError: null
+      onError: null,
+      onResign: null,
+      onSync: null,
+      onReconnecting: null,
+      onReconnect: null,
+      onForfeit: null,
+      onSpectators: null,
+      onChat: null
     };
   }
 
   /**
    * ゲームをホストする
+   * ホストは先攻（O）となり、参加者が接続すると 'connect' イベントが発生する
    * @param {string} gameId - 一意のゲームID
-   * @returns {Promise} 接続処理の結果
+   * @param {Object} options - ホストの設定 {port, host, boardSize, winLength, timeControl, reconnectGrace}
+   * @returns {Promise} 待ち受け開始の結果
    */
-  hostGame(gameId) {
+  hostGame(gameId, options = {}) {
+    const {
+      port = DEFAULT_PORT,
+      host,
+      boardSize = 5,
+      winLength = 4,
+      timeControl = null,
+      reconnectGrace = DEFAULT_RECONNECT_GRACE
+    } = options;
+
     return new Promise((resolve, reject) => {
-      // ネットワーク接続をシミュレート
-      setTimeout(() => {
+      this.server = net.createServer(socket => this.handleIncomingConnection(socket));
+
+      this.server.once('error', (error) => {
+        this.server = null;
+        this.emitError(error);
+        reject(error);
+      });
+
+      this.server.listen(port, host, () => {
         this.isHost = true;
-        this.isConnected = true;
         this.gameId = gameId;
-        
-        if (this.callbacks.onConnect) {
-          this.callbacks.onConnect({ isHost: true, gameId });
+        this.marker = 'O';
+        this.boardSize = boardSize;
+        this.winLength = winLength;
+        this.timeControl = timeControl;
+        this.board = new Board(boardSize, winLength);
+        this.reconnectGrace = reconnectGrace;
+        this.port = this.server.address().port;
+
+        resolve({ success: true, gameId, isHost: true, port: this.port });
+      });
+    });
+  }
+
+  /**
+   * ホストへの新しい接続を処理する
+   * @param {net.Socket} socket - 接続してきたソケット
+   */
+  handleIncomingConnection(socket) {
+    // 不正な行は対戦相手からのものだけ通知し、接続は切らずに続きを処理する
+    const parser = new MessageParser({
+      onError: (error) => {
+        if (socket === this.peer) {
+          this.emitError(error);
         }
-        
-        resolve({ success: true, gameId, isHost: true });
-      }, 1000);
+      }
+    });
+
+    socket.on('data', (chunk) => {
+      let messages;
+      try {
+        messages = parser.push(chunk);
+      } catch (error) {
+        this.emitError(error);
+        socket.destroy();
+        return;
+      }
+
+      for (const message of messages) {
+        if (socket === this.peer) {
+          this.handleMessage(message);
+        } else if (this.spectators.has(socket)) {
+          this.handleSpectatorMessage(socket, message);
+        } else {
+          this.handleHello(socket, message);
+        }
+      }
+    });
+
+    socket.on('error', (error) => {
+      if (socket === this.peer) {
+        this.emitError(error);
+      }
+    });
+
+    socket.on('close', () => {
+      if (socket === this.peer) {
+        this.handleConnectionLost();
+      } else if (this.spectators.delete(socket)) {
+        this.notifySpectatorCount();
+      }
+    });
+  }
+
+  /**
+   * 参加者からのあいさつを検証し、問題なければ対戦相手として受け入れる
+   * セッショントークンが一致する場合は、切断された参加者の再接続として扱い、
+   * role: 'spectator' の場合は観戦者として受け入れる
+   * @param {net.Socket} socket - 参加者のソケット
+   * @param {Object} message - 受信したメッセージ
+   */
+  handleHello(socket, message) {
+    const isResume = Boolean(this.sessionToken) && message.token === this.sessionToken;
+    let reason = null;
+
+    if (message.type !== MESSAGE_TYPES.HELLO) {
+      reason = '最初のメッセージがあいさつではありません';
+    } else if (message.version !== PROTOCOL_VERSION) {
+      reason = `プロトコルのバージョンが一致しません（ホスト: ${PROTOCOL_VERSION}, 参加者: ${message.version}）`;
+    } else if (message.gameId !== this.gameId) {
+      reason = '指定されたゲームが見つかりませんでした';
+    } else if (message.role === 'spectator') {
+      this.addSpectator(socket);
+      return;
+    } else if (this.sessionToken && !isResume) {
+      reason = 'このゲームにはすでに対戦相手がいます';
+    } else if (isResume && this.isFinished) {
+      reason = 'このゲームはすでに終了しています';
+    }
+
+    if (reason) {
+      socket.end(encodeMessage(MESSAGE_TYPES.BYE, { reason }));
+      return;
+    }
+
+    if (this.peer) {
+      // 古い接続が残っている場合は、新しい接続に置き換える
+      const oldPeer = this.peer;
+      this.peer = null;
+      oldPeer.destroy();
+    }
+
+    if (!isResume) {
+      this.sessionToken = crypto.randomBytes(16).toString('hex');
+    }
+
+    this.peer = socket;
+    this.isConnected = true;
+    this.send(MESSAGE_TYPES.HELLO, {
+      version: PROTOCOL_VERSION,
+      gameId: this.gameId,
+      marker: 'X',
+      boardSize: this.boardSize,
+      winLength: this.winLength,
+      timeControl: this.timeControl,
+      token: this.sessionToken,
+      reconnectGrace: this.reconnectGrace,
+      moveHistory: this.board.moveHistory,
+      spectators: this.spectators.size
     });
+
+    if (isResume) {
+      this.finishReconnect([]);
+    } else if (this.callbacks.onConnect) {
+      this.callbacks.onConnect({ isHost: true, gameId: this.gameId });
+    }
+  }
+
+  /**
+   * 観戦者を受け入れ、現在の盤面を送る（ホストのみ）
+   * @param {net.Socket} socket - 観戦者のソケット
+   */
+  addSpectator(socket) {
+    this.spectators.add(socket);
+    socket.write(encodeMessage(MESSAGE_TYPES.HELLO, {
+      version: PROTOCOL_VERSION,
+      gameId: this.gameId,
+      role: 'spectator',
+      boardSize: this.boardSize,
+      winLength: this.winLength,
+      timeControl: this.timeControl
+    }));
+    socket.write(encodeMessage(MESSAGE_TYPES.SYNC, { board: this.board.serialize() }));
+    this.notifySpectatorCount();
+  }
+
+  /**
+   * 観戦者から受信したメッセージを処理する（ホストのみ）
+   * 観戦者は盤面の同期要求、チャット、切断の通知のみ送ることができる
+   * @param {net.Socket} socket - 観戦者のソケット
+   * @param {Object} message - 受信したメッセージ
+   */
+  handleSpectatorMessage(socket, message) {
+    switch (message.type) {
+      case MESSAGE_TYPES.SYNC:
+        socket.write(encodeMessage(MESSAGE_TYPES.SYNC, { board: this.board.serialize() }));
+        break;
+      case MESSAGE_TYPES.CHAT:
+        this.handleChat(message, 'spectator', socket);
+        break;
+      case MESSAGE_TYPES.BYE:
+        socket.end();
+        break;
+    }
+  }
+
+  /**
+   * 観戦者全員にメッセージを送る（ホストのみ）
+   * @param {string} type - メッセージの種類
+   * @param {Object} payload - メッセージの内容
+   * @param {net.Socket} except - 送信しない観戦者（送信元など）
+   */
+  broadcastToSpectators(type, payload = {}, except = null) {
+    for (const socket of this.spectators) {
+      if (socket !== except && !socket.destroyed) {
+        socket.write(encodeMessage(type, payload));
+      }
+    }
+  }
+
+  /**
+   * 観戦者数の変化を参加者と自分に通知する（ホストのみ）
+   */
+  notifySpectatorCount() {
+    const count = this.spectators.size;
+    this.spectatorCount = count;
+
+    if (this.isConnected) {
+      this.send(MESSAGE_TYPES.SPECTATORS, { count }).catch(() => {});
+    }
+
+    if (this.callbacks.onSpectators) {
+      this.callbacks.onSpectators({ count });
+    }
   }
 
   /**
    * ゲームに参加する
-   * @param {string} gameId - 参加するゲームのID
+   * 参加者は後攻（X）となり、ボードの設定はホストのものに従う
+   * @param {string} address - 参加するゲーム ("host:port/gameId" の形式)
    * @returns {Promise} 接続処理の結果
    */
-  joinGame(gameId) {
+  joinGame(address) {
+    let target;
+    try {
+      target = parseAddress(address);
+    } catch (error) {
+      this.emitError(error);
+      return Promise.reject(error);
+    }
+
+    return this.connectToHost(target, {}, (hello) => {
+      this.isHost = false;
+      this.target = target;
+      this.gameId = target.gameId;
+      this.marker = hello.marker;
+      this.boardSize = hello.boardSize;
+      this.winLength = hello.winLength;
+      this.timeControl = hello.timeControl || null;
+      this.sessionToken = hello.token;
+      this.reconnectGrace = hello.reconnectGrace || DEFAULT_RECONNECT_GRACE;
+      this.spectatorCount = hello.spectators || 0;
+      this.board = new Board(hello.boardSize, hello.winLength);
+
+      if (this.callbacks.onConnect) {
+        this.callbacks.onConnect({ isHost: false, gameId: this.gameId });
+      }
+
+      return {
+        success: true,
+        gameId: this.gameId,
+        isHost: false,
+        marker: this.marker,
+        boardSize: this.boardSize,
+        winLength: this.winLength,
+        timeControl: this.timeControl
+      };
+    }).catch((error) => {
+      this.emitError(error);
+      throw error;
+    });
+  }
+
+  /**
+   * ゲームを観戦する
+   * 接続すると現在の盤面が 'sync' イベントで届き、その後は両者の手が 'move' イベントで届く
+   * @param {string} address - 観戦するゲーム ("host:port/gameId" の形式)
+   * @returns {Promise} 接続処理の結果
+   */
+  spectateGame(address) {
+    let target;
+    try {
+      target = parseAddress(address);
+    } catch (error) {
+      this.emitError(error);
+      return Promise.reject(error);
+    }
+
+    return this.connectToHost(target, { role: 'spectator' }, (hello) => {
+      this.isHost = false;
+      this.isSpectator = true;
+      this.target = target;
+      this.gameId = target.gameId;
+      this.boardSize = hello.boardSize;
+      this.winLength = hello.winLength;
+      this.timeControl = hello.timeControl || null;
+      this.board = new Board(hello.boardSize, hello.winLength);
+
+      if (this.callbacks.onConnect) {
+        this.callbacks.onConnect({ isHost: false, gameId: this.gameId });
+      }
+
+      return {
+        success: true,
+        gameId: this.gameId,
+        isSpectator: true,
+        boardSize: this.boardSize,
+        winLength: this.winLength,
+        timeControl: this.timeControl
+      };
+    }).catch((error) => {
+      this.emitError(error);
+      throw error;
+    });
+  }
+
+  /**
+   * ホストに接続してあいさつを交わす
+   * あいさつが完了した時点で、そのソケットを対戦相手との接続として使用する
+   * @param {Object} target - 接続先 {host, port, gameId}
+   * @param {Object} extra - あいさつに追加する内容（再接続時のトークンなど）
+   * @param {Function} onHello - ホストのあいさつを受け取ったときの処理
+   *                             （同じデータに続くメッセージより先に実行される）
+   * @returns {Promise} onHelloの戻り値
+   */
+  connectToHost(target, extra, onHello) {
     return new Promise((resolve, reject) => {
-      // ネットワーク接続をシミュレート
-      setTimeout(() => {
-        // ゲームが存在するかをシミュレート（90%の確率で成功）
-        if (Math.random() < 0.9) {
-          this.isHost = false;
-          this.isConnected = true;
-          this.gameId = gameId;
-          
-          if (this.callbacks.onConnect) {
-            this.callbacks.onConnect({ isHost: false, gameId });
+      const socket = net.createConnection({ host: target.host, port: target.port });
+      let settled = false;
+
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        reject(error);
+      };
+
+      // 接続後の不正な行は通知して続きを処理し、あいさつの前に受信した場合は接続に失敗する
+      const parser = new MessageParser({
+        onError: (error) => {
+          if (settled) {
+            this.emitError(error);
+          } else {
+            fail(error);
           }
-          
-          resolve({ success: true, gameId, isHost: false });
-        } else {
-          const error = new Error('指定されたゲームが見つかりませんでした');
-          
-          if (this.callbacks.onError) {
-            this.callbacks.onError(error);
+        }
+      });
+
+      socket.on('connect', () => {
+        socket.write(encodeMessage(MESSAGE_TYPES.HELLO, {
+          ...extra,
+          version: PROTOCOL_VERSION,
+          gameId: target.gameId
+        }));
+      });
+
+      socket.on('data', (chunk) => {
+        let messages;
+        try {
+          messages = parser.push(chunk);
+        } catch (error) {
+          if (settled) {
+            this.emitError(error);
+            socket.destroy();
+          } else {
+            fail(error);
           }
-          
-          reject(error);
+          return;
         }
-      }, 1000);
+        // あいさつの前に不正な行を受信して接続に失敗した場合は、残りのメッセージを処理しない
+        if (socket.destroyed) return;
+
+        for (const message of messages) {
+          if (settled) {
+            this.handleMessage(message);
+            continue;
+          }
+
+          if (message.type === MESSAGE_TYPES.BYE) {
+            fail(new Error(message.reason || 'ホストに接続を拒否されました'));
+            return;
+          }
+
+          if (message.type !== MESSAGE_TYPES.HELLO || message.version !== PROTOCOL_VERSION) {
+            fail(new Error('ホストとのプロトコルのバージョンが一致しません'));
+            return;
+          }
+
+          settled = true;
+          this.peer = socket;
+          this.isConnected = true;
+          resolve(onHello(message));
+        }
+      });
+
+      socket.on('error', (error) => {
+        if (settled) {
+          this.emitError(error);
+        } else {
+          fail(new Error(`ホストに接続できませんでした: ${error.message}`));
+        }
+      });
+
+      socket.on('close', () => {
+        if (!settled) {
+          fail(new Error('ホストとの接続が切断されました'));
+        } else if (socket === this.peer) {
+          this.handleConnectionLost();
+        }
+      });
     });
   }
 
   /**
-   * 手を送信する
-   * @param {Object} move - 送信する手の情報 {row, col}
+   * 接続済みの相手から受信したメッセージを処理する
+   * @param {Object} message - 受信したメッセージ
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case MESSAGE_TYPES.MOVE:
+        this.handleRemoteMove(message);
+        break;
+      case MESSAGE_TYPES.RESIGN:
+        // marker は負けになったプレイヤー（時間切れの申告では送信者の相手になる）
+        this.isFinished = true;
+        this.broadcastToSpectators(MESSAGE_TYPES.RESIGN, {
+          marker: message.marker || this.getOpponentMarker(),
+          reason: message.reason
+        });
+        if (this.callbacks.onResign) {
+          this.callbacks.onResign({ gameId: this.gameId, marker: message.marker, reason: message.reason });
+        }
+        break;
+      case MESSAGE_TYPES.CHAT:
+        // ホストは対戦相手の発言として扱い、参加者と観戦者はホストが付けた送信者に従う
+        this.handleChat(message, this.isHost ? this.getOpponentMarker() : message.from);
+        break;
+      case MESSAGE_TYPES.SPECTATORS:
+        this.spectatorCount = message.count;
+        if (this.callbacks.onSpectators) {
+          this.callbacks.onSpectators({ count: message.count });
+        }
+        break;
+      case MESSAGE_TYPES.SYNC:
+        this.handleSync(message);
+        break;
+      case MESSAGE_TYPES.ERROR:
+        this.emitError(new Error(`相手に拒否されました: ${message.message}`));
+        break;
+      case MESSAGE_TYPES.BYE:
+        this.handlePeerClosed(message.reason || '相手が切断しました');
+        break;
+      case MESSAGE_TYPES.HELLO:
+        // 接続後のあいさつは無視する
+        break;
+    }
+  }
+
+  /**
+   * 相手から受信した手を検証し、正しければ盤面に反映する
+   * 不正な手はエラーを返して反映せず、盤面のハッシュ値が一致しない場合は同期を行う
+   * 観戦者は手を打ったプレイヤーをメッセージから受け取り、不正な手は同期で解消する
+   * @param {Object} message - 受信した手 {row, col, hash, player, clock}
+   */
+  handleRemoteMove(message) {
+    const move = { row: message.row, col: message.col };
+    const player = this.isSpectator ? message.player : this.getOpponentMarker();
+    const error = this.validateMove(move, player);
+
+    if (error) {
+      if (!this.isSpectator) {
+        this.send(MESSAGE_TYPES.ERROR, { ...error, move }).catch(() => {});
+      }
+      this.emitError(new Error(`不正な手を受信しました: ${error.message}`));
+      this.resolveDesync();
+      return;
+    }
+
+    if (message.clock) {
+      move.clock = message.clock;
+    }
+
+    this.applyMove(move, player);
+    this.broadcastToSpectators(MESSAGE_TYPES.MOVE, { ...move, hash: this.board.getHash(), player });
+
+    if (this.callbacks.onMove) {
+      this.callbacks.onMove(this.isSpectator ? { ...move, player } : move);
+    }
+
+    if (message.hash !== this.board.getHash()) {
+      this.resolveDesync();
+    }
+  }
+
+  /**
+   * 受信したチャットを検証して通知する
+   * ホストは送信元以外の参加者と観戦者に転送する
+   * @param {Object} message - 受信したチャット {text} または {emote}
+   * @param {string} from - 送信者 ('O', 'X' または 'spectator')
+   * @param {net.Socket} source - 送信元の観戦者のソケット（観戦者からの場合）
+   */
+  handleChat(message, from, source = null) {
+    if (validateChat(message)) return;
+
+    const entry = createChatEntry(message, from);
+
+    if (this.isHost) {
+      if (source && this.isConnected) {
+        this.send(MESSAGE_TYPES.CHAT, entry).catch(() => {});
+      }
+      this.broadcastToSpectators(MESSAGE_TYPES.CHAT, entry, source);
+    }
+
+    if (this.callbacks.onChat) {
+      this.callbacks.onChat(entry);
+    }
+  }
+
+  /**
+   * 同期メッセージを処理する
+   * ホストは同期要求に盤面を返し、参加者はホストの盤面で自分の盤面を置き換える
+   * @param {Object} message - 受信した同期メッセージ {board} または {request: true}
+   */
+  handleSync(message) {
+    if (this.isHost) {
+      // ホストの盤面が正となるため、参加者から盤面が送られてきても自分の盤面を返す
+      this.sendSync();
+      return;
+    }
+
+    if (!message.board) return;
+
+    this.board = new Board(message.board.size, message.board.winLength);
+    this.board.deserialize(JSON.parse(JSON.stringify(message.board)));
+
+    if (this.callbacks.onSync) {
+      this.callbacks.onSync(message.board);
+    }
+  }
+
+  /**
+   * 盤面の不一致を解消する
+   * ホストは自分の盤面を送信し、参加者はホストに同期を要求する
+   */
+  resolveDesync() {
+    const synced = this.isHost
+      ? this.sendSync()
+      : this.send(MESSAGE_TYPES.SYNC, { request: true });
+    synced.catch(() => {});
+  }
+
+  /**
+   * 手が現在の盤面で有効かどうかを検証する
+   * @param {Object} move - 検証する手 {row, col}
+   * @param {string} player - 手を打つプレイヤー ('O' または 'X')
+   * @returns {Object|null} 無効な場合はエラー {code, message}、有効な場合はnull
+   */
+  validateMove(move, player) {
+    return validateMove(this.board, move, player);
+  }
+
+  /**
+   * 検証済みの手を盤面に反映する
+   * @param {Object} move - 反映する手 {row, col}
+   * @param {string} player - 手を打ったプレイヤー ('O' または 'X')
+   */
+  applyMove(move, player) {
+    this.board.placeMarker(move.row, move.col, player);
+    this.board.currentPlayer = this.getPlayerToMove();
+  }
+
+  /**
+   * 次に手を打つプレイヤーを取得する（先攻はO）
+   * @returns {string} 次に手を打つプレイヤー ('O' または 'X')
+   */
+  getPlayerToMove() {
+    return getPlayerToMove(this.board);
+  }
+
+  /**
+   * 対戦相手の駒を取得する
+   * @returns {string} 対戦相手の駒 ('O' または 'X')
+   */
+  getOpponentMarker() {
+    return this.marker === 'O' ? 'X' : 'O';
+  }
+
+  /**
+   * 対局が終了しているかどうか（投了、勝敗の決着、引き分け）
+   * @returns {boolean} 対局が終了しているかどうか
+   */
+  isGameOver() {
+    return this.isFinished || this.board.getLastMoveWinner() !== null || this.board.checkDraw();
+  }
+
+  /**
+   * あいさつなしで接続が途切れたときの処理
+   * 対局中であれば再接続を待ち、そうでなければ切断として扱う
+   */
+  handleConnectionLost() {
+    if (!this.isConnected) return;
+
+    if (!this.sessionToken || this.isGameOver()) {
+      this.handlePeerClosed('相手との接続が切断されました');
+      return;
+    }
+
+    this.isConnected = false;
+    this.peer = null;
+    this.isReconnecting = true;
+
+    const deadline = Date.now() + this.reconnectGrace;
+    const notifyRemaining = () => {
+      if (this.callbacks.onReconnecting) {
+        const remaining = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+        this.callbacks.onReconnecting({ remaining, isHost: this.isHost });
+      }
+    };
+
+    notifyRemaining();
+    this.reconnectTimers.push(setInterval(notifyRemaining, 1000));
+    this.reconnectTimers.push(setTimeout(() => this.handleReconnectTimeout(), this.reconnectGrace));
+
+    if (!this.isHost) {
+      this.attemptReconnect();
+    }
+  }
+
+  /**
+   * ホストへの再接続を試みる（参加者のみ）
+   * 失敗した場合は猶予時間が終わるまで一定間隔で繰り返す
+   */
+  attemptReconnect() {
+    if (!this.isReconnecting) return;
+
+    this.connectToHost(this.target, { token: this.sessionToken },
+      hello => this.resumeFromHistory(hello.moveHistory || []))
+      .catch(() => {
+        if (this.isReconnecting) {
+          this.reconnectTimers.push(setTimeout(() => this.attemptReconnect(), RECONNECT_INTERVAL));
+        }
+      });
+  }
+
+  /**
+   * ホストの手順をもとに対局を再開する（参加者のみ）
+   * 見逃した手は検証して再生し、手順が食い違う場合はホストの盤面で置き換える
+   * @param {Array} history - ホストの手順 [{row, col, player}]
+   */
+  resumeFromHistory(history) {
+    const local = this.board.moveHistory;
+    let common = 0;
+    while (common < local.length && common < history.length &&
+           local[common].row === history[common].row &&
+           local[common].col === history[common].col &&
+           local[common].player === history[common].player) {
+      common++;
+    }
+
+    const missedMoves = [];
+    let diverged = common !== local.length;
+
+    if (!diverged) {
+      for (const move of history.slice(common)) {
+        if (this.validateMove(move, move.player)) {
+          diverged = true;
+          break;
+        }
+        this.applyMove(move, move.player);
+        missedMoves.push({ row: move.row, col: move.col });
+      }
+    }
+
+    if (diverged) {
+      // 手順が食い違う場合は、ホストの手順から盤面を作り直す
+      this.board = new Board(this.boardSize, this.winLength);
+      for (const move of history) {
+        this.applyMove(move, move.player);
+      }
+
+      if (this.callbacks.onSync) {
+        this.callbacks.onSync(this.board.serialize());
+      }
+      this.finishReconnect([]);
+      return;
+    }
+
+    this.finishReconnect(missedMoves);
+  }
+
+  /**
+   * 再接続が完了したときの処理
+   * @param {Array} missedMoves - 切断中に見逃した相手の手 [{row, col}]
+   */
+  finishReconnect(missedMoves) {
+    this.stopReconnect();
+
+    for (const move of missedMoves) {
+      if (this.callbacks.onMove) {
+        this.callbacks.onMove(move);
+      }
+    }
+
+    if (this.callbacks.onReconnect) {
+      this.callbacks.onReconnect({ missedMoves, isHost: this.isHost });
+    }
+  }
+
+  /**
+   * 猶予時間内に再接続されなかったときの処理
+   * 戻ってこなかった相手の不戦敗として対局を終了する
+   */
+  handleReconnectTimeout() {
+    this.stopReconnect();
+    this.isFinished = true;
+    this.broadcastToSpectators(MESSAGE_TYPES.RESIGN, {
+      marker: this.getOpponentMarker(),
+      reason: '相手が時間内に再接続しませんでした'
+    });
+    this.closeServer();
+
+    if (this.callbacks.onForfeit) {
+      this.callbacks.onForfeit({ winner: this.marker, reason: '相手が時間内に再接続しませんでした' });
+    }
+  }
+
+  /**
+   * 再接続の待機を終了する
+   */
+  stopReconnect() {
+    this.isReconnecting = false;
+    for (const timer of this.reconnectTimers) {
+      clearTimeout(timer);
+      clearInterval(timer);
+    }
+    this.reconnectTimers = [];
+  }
+
+  /**
+   * 相手との接続が終了したときの処理
+   * @param {string} reason - 切断の理由
+   */
+  handlePeerClosed(reason) {
+    if (!this.isConnected) return;
+
+    this.isConnected = false;
+    this.isFinished = true;
+    if (this.peer) {
+      this.peer.destroy();
+      this.peer = null;
+    }
+    this.closeServer(reason);
+
+    if (this.callbacks.onDisconnect) {
+      this.callbacks.onDisconnect({ gameId: this.gameId, isHost: this.isHost, reason });
+    }
+  }
+
+  /**
+   * 相手にメッセージを送信する
+   * @param {string} type - メッセージの種類
+   * @param {Object} payload - メッセージの内容
    * @returns {Promise} 送信結果
    */
-  sendMove(move) {
+  send(type, payload = {}) {
     return new Promise((resolve, reject) => {
-      if (!this.isConnected) {
+      if (!this.isConnected || !this.peer) {
         const error = new Error('接続されていません');
-        
-        if (this.callbacks.onError) {
-          this.callbacks.onError(error);
-        }
-        
+        this.emitError(error);
         reject(error);
         return;
       }
-      
-      // 手の送信をシミュレート
-      setTimeout(() => {
-        resolve({ success: true, move });
-      }, 300);
+
+      this.peer.write(encodeMessage(type, payload), (error) => {
+        if (error) {
+          this.emitError(error);
+          reject(error);
+        } else {
+          resolve({ success: true });
+        }
+      });
     });
   }
 
+  /**
+   * 手を検証して盤面に反映し、反映後の盤面のハッシュ値とともに送信する
+   * @param {Object} move - 送信する手の情報 {row, col, clock}（clockは手を打った後の残り時間 {O, X}）
+   * @returns {Promise} 送信結果
+   */
+  sendMove(move) {
+    if (!this.isConnected) {
+      // 未接続のエラーは send() で通知する
+      return this.send(MESSAGE_TYPES.MOVE, move);
+    }
+
+    if (this.isSpectator) {
+      return Promise.reject(new Error('観戦中は手を打てません'));
+    }
+
+    const error = this.validateMove(move, this.marker);
+    if (error) {
+      return Promise.reject(new Error(error.message));
+    }
+
+    this.applyMove(move, this.marker);
+
+    const payload = { row: move.row, col: move.col, hash: this.board.getHash() };
+    if (move.clock) {
+      payload.clock = move.clock;
+    }
+    this.broadcastToSpectators(MESSAGE_TYPES.MOVE, { ...payload, player: this.marker });
+
+    return this.send(MESSAGE_TYPES.MOVE, payload)
+      .then(() => ({ success: true, move }));
+  }
+
+  /**
+   * チャットのメッセージまたはエモートを送信する
+   * ホストは送信者を付けて参加者と観戦者に送り、それ以外はホストに送って転送してもらう
+   * @param {Object} chat - 送信する内容 {text} または {emote}
+   * @returns {Promise<Object>} 送信したチャットのエントリー {from, text} または {from, emote}
+   */
+  sendChat(chat) {
+    const error = validateChat(chat);
+    if (error) {
+      return Promise.reject(new Error(error.message));
+    }
+
+    const entry = createChatEntry(chat, this.isSpectator ? 'spectator' : this.marker);
+
+    if (this.isHost) {
+      this.broadcastToSpectators(MESSAGE_TYPES.CHAT, entry);
+      if (!this.isConnected) {
+        return Promise.resolve(entry);
+      }
+    }
+
+    return this.send(MESSAGE_TYPES.CHAT, entry).then(() => entry);
+  }
+
+  /**
+   * 投了を送信する
+   * @param {string} reason - 投了の理由（時間切れなど、省略可）
+   * @returns {Promise} 送信結果
+   */
+  resign(reason) {
+    this.isFinished = true;
+    this.broadcastToSpectators(MESSAGE_TYPES.RESIGN, { marker: this.marker, reason });
+    return this.send(MESSAGE_TYPES.RESIGN, { marker: this.marker, reason });
+  }
+
+  /**
+   * 相手の時間切れを申告する
+   * @returns {Promise} 送信結果
+   */
+  claimTimeout() {
+    const payload = { marker: this.getOpponentMarker(), reason: '時間切れ' };
+    this.isFinished = true;
+    this.broadcastToSpectators(MESSAGE_TYPES.RESIGN, payload);
+    return this.send(MESSAGE_TYPES.RESIGN, payload);
+  }
+
+  /**
+   * 自分の盤面の状態を送信する
+   * @returns {Promise} 送信結果
+   */
+  sendSync() {
+    return this.send(MESSAGE_TYPES.SYNC, { board: this.board.serialize() });
+  }
+
   /**
    * 接続を閉じる
    */
   disconnect() {
+    this.stopReconnect();
+    this.isFinished = true;
+
     if (this.isConnected) {
       this.isConnected = false;
-      
+      this.peer.end(encodeMessage(MESSAGE_TYPES.BYE, { reason: '相手が切断しました' }));
+      this.peer = null;
+
       if (this.callbacks.onDisconnect) {
-        this.callbacks.onDisconnect({ gameId: this.gameId, isHost: this.isHost });
+        this.callbacks.onDisconnect({ gameId: this.gameId, isHost: this.isHost, reason: null });
       }
     }
+
+    this.closeServer();
+  }
+
+  /**
+   * 待ち受けを終了し、観戦者との接続を閉じる
+   * @param {string} reason - 観戦者に伝える終了の理由
+   */
+  closeServer(reason = '対局が終了しました') {
+    for (const socket of this.spectators) {
+      socket.end(encodeMessage(MESSAGE_TYPES.BYE, { reason }));
+    }
+    this.spectators.clear();
+
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  /**
+   * エラーコールバックを呼び出す
+   * @param {Error} error - 発生したエラー
+   */
+  emitError(error) {
+    if (this.callbacks.onError) {
+      this.callbacks.onError(error);
+    }
   }
 
   /**
    * イベントリスナーを設定
-   * @param {string} event - イベント名 ('move', 'connect', 'disconnect', 'error')
+   * @param {string} event - イベント名 ('move', 'connect', 'disconnect', 'error', 'resign', 'sync',
+   *                         'reconnecting', 'reconnect', 'forfeit', 'spectators', 'chat')
    * @param {Function} callback - コールバック関数
    */
   on(event, callback) {
@@ -134,27 +1017,30 @@ class NetworkGame {
       case 'error':
         this.callbacks.onError = callback;
         break;
+      case 'resign':
+        this.callbacks.onResign = callback;
+        break;
+      case 'sync':
+        this.callbacks.onSync = callback;
+        break;
+      case 'reconnecting':
+        this.callbacks.onReconnecting = callback;
+        break;
+      case 'reconnect':
+        this.callbacks.onReconnect = callback;
+        break;
+      case 'forfeit':
+        this.callbacks.onForfeit = callback;
+        break;
+      case 'spectators':
+        this.callbacks.onSpectators = callback;
+        break;
+      case 'chat':
+        this.callbacks.onChat = callback;
+        break;
     }
   }
 
-  /**
-   * ダミー手を受信するシミュレーション（デモ用）
-   * 実際のP2P実装では不要
-   */
-  simulateReceiveMove() {
-    if (!this.isConnected || !this.callbacks.onMove) {
-      return;
-    }
-    
-    // ランダムな手を生成してコールバックを呼び出す
-    const row = Math.floor(Math.random() * 5);
-    const col = Math.floor(Math.random() * 5);
-    
-    setTimeout(() => {
-      this.callbacks.onMove({ row, col });
-    }, 500 + Math.random() * 1000);
-  }
-
   /**
    * 現在の接続状態を取得
    * @returns {Object} 接続状態
@@ -163,7 +1049,12 @@ class NetworkGame {
     return {
       isConnected: this.isConnected,
       isHost: this.isHost,
-      gameId: this.gameId
+      gameId: this.gameId,
+      marker: this.marker,
+      port: this.port,
+      isReconnecting: this.isReconnecting,
+      isSpectator: this.isSpectator,
+      spectators: this.spectatorCount
     };
   }
 }
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 同梱の定石ファイルのパス
+ */
+const DEFAULT_BOOK_PATH = path.join(__dirname, '..', 'data', 'opening-book.json');
+
+/**
+ * 定石ファイルの形式のバージョン
+ */
+const BOOK_VERSION = 1;
+
+/**
+ * 盤面の対称変換（回転と反転の8通り）。マスの (row, col) を変換後の (row, col) に写す
+ */
+const SYMMETRIES = [
+  (row, col) => [row, col],
+  (row, col, n) => [col, n - 1 - row],
+  (row, col, n) => [n - 1 - row, n - 1 - col],
+  (row, col, n) => [n - 1 - col, row],
+  (row, col, n) => [row, n - 1 - col],
+  (row, col, n) => [n - 1 - row, col],
+  (row, col, n) => [col, row],
+  (row, col, n) => [n - 1 - col, n - 1 - row]
+];
+
+/**
+ * 読み切った局面の値を記録した定石
+ *
+ * ボードサイズと勝利条件の組ごとに、局面（手番を含む）から理論値（手番のプレイヤーから見た値）を引く。
+ * 回転・反転で一致する局面は同じキーになるため、1つだけ記録すればよい。
+ */
+class OpeningBook {
+  /**
+   * 定石を初期化
+   * @param {Object} data - 定石ファイルの内容 {version, books}（省略時は空の定石）
+   */
+  constructor(data = {}) {
+    this.books = data.books || {};
+  }
+
+  /**
+   * 定石ファイルを読み込む
+   * @param {string} filePath - 定石ファイルのパス（省略時は同梱の定石ファイル）
+   * @returns {OpeningBook} 読み込んだ定石（ファイルがない場合は空の定石）
+   */
+  static load(filePath = DEFAULT_BOOK_PATH) {
+    if (!fs.existsSync(filePath)) {
+      return new OpeningBook();
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.version !== BOOK_VERSION) {
+      throw new Error(`対応していない定石ファイルのバージョンです: ${data.version}`);
+    }
+    return new OpeningBook(data);
+  }
+
+  /**
+   * ボードサイズと勝利条件の組のキーを取得する
+   * @param {Board} board - 対象のボード
+   * @returns {string} キー（例: '4x4/3'）
+   */
+  static getBookKey(board) {
+    return `${board.size}x${board.size}/${board.winLength}`;
+  }
+
+  /**
+   * 局面のキーを取得する（対称な局面のうち、辞書順で最小の並びを使う）
+   * @param {Board} board - 現在のボード状態
+   * @param {string} player - 手番のプレイヤー ('O' または 'X')
+   * @returns {string} 局面のキー（マスを行ごとに並べた文字列（空きマスは '-'）と手番）
+   */
+  static getPositionKey(board, player) {
+    const n = board.size;
+    let best = null;
+
+    for (const transform of SYMMETRIES) {
+      const cells = Array(n * n);
+      for (let row = 0; row < n; row++) {
+        for (let col = 0; col < n; col++) {
+          const [r, c] = transform(row, col, n);
+          const cell = board.board[row][col];
+          cells[r * n + c] = cell === ' ' ? '-' : cell;
+        }
+      }
+
+      const text = cells.join('');
+      if (best === null || text < best) {
+        best = text;
+      }
+    }
+
+    return `${best}/${player}`;
+  }
+
+  /**
+   * 局面の値を引く
+   * @param {Board} board - 現在のボード状態
+   * @param {string} player - 手番のプレイヤー ('O' または 'X')
+   * @returns {number|undefined} 手番のプレイヤーから見た値、記録がない場合はundefined
+   */
+  get(board, player) {
+    const book = this.books[OpeningBook.getBookKey(board)];
+    if (!book || board.moveHistory.length > book.maxStones) {
+      return undefined;
+    }
+    return book.positions[OpeningBook.getPositionKey(board, player)];
+  }
+
+  /**
+   * 局面の値を記録する
+   * @param {Board} board - 現在のボード状態
+   * @param {string} player - 手番のプレイヤー ('O' または 'X')
+   * @param {number} value - 手番のプレイヤーから見た値
+   */
+  set(board, player, value) {
+    const bookKey = OpeningBook.getBookKey(board);
+    if (!this.books[bookKey]) {
+      this.books[bookKey] = { maxStones: 0, positions: {} };
+    }
+
+    const book = this.books[bookKey];
+    book.maxStones = Math.max(book.maxStones, board.moveHistory.length);
+    book.positions[OpeningBook.getPositionKey(board, player)] = value;
+  }
+
+  /**
+   * 記録されている局面の数
+   * @returns {number} 局面の数
+   */
+  get size() {
+    return Object.values(this.books).reduce((total, book) => total + Object.keys(book.positions).length, 0);
+  }
+
+  /**
+   * 定石ファイルに書き出す
+   * @param {string} filePath - 定石ファイルのパス（省略時は同梱の定石ファイル）
+   */
+  save(filePath = DEFAULT_BOOK_PATH) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ version: BOOK_VERSION, books: this.books }));
+  }
+}
+
+module.exports = OpeningBook;
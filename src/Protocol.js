@@ -0,0 +1,276 @@
+/**
+ * オンライン対戦で使用する通信プロトコル
+ * 1メッセージを1行のJSONとして送受信する（改行区切りJSON）
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * プロトコルのバージョン（互換性のない変更を行う場合に上げる）
+ */
+const PROTOCOL_VERSION = 6;
+
+/**
+ * 接続先が指定されない場合のポート番号
+ */
+const DEFAULT_PORT = 5050;
+
+/**
+ * メッセージの種類
+ */
+const MESSAGE_TYPES = {
+  HELLO: 'hello',           // 接続時のあいさつ（バージョンとゲームIDの確認、role: 'spectator' で観戦）
+  MOVE: 'move',             // 手の送信
+  RESIGN: 'resign',         // 投了（marker の負け、時間切れの申告にも使用）
+  SYNC: 'sync',             // 盤面の同期（request: true の場合はホストへの同期要求）
+  BYE: 'bye',               // 切断の通知
+  ERROR: 'error',           // 受信したメッセージを拒否したことの通知
+  SPECTATORS: 'spectators', // 観戦者数の通知
+  CHAT: 'chat',             // チャットのメッセージまたはエモート
+  LIST: 'list',             // ロビー: ゲーム一覧の要求
+  GAMES: 'games',           // ロビー: ゲーム一覧の応答
+  CREATE: 'create',         // ロビー: ゲーム作成の要求
+  CREATED: 'created'        // ロビー: ゲーム作成の応答
+};
+
+/**
+ * 手や要求を拒否した理由を表すエラーコード
+ */
+const ERROR_CODES = {
+  OUT_OF_RANGE: 'out-of-range',       // ボードの範囲外
+  OCCUPIED: 'occupied',               // すでに駒が置かれている
+  OUT_OF_TURN: 'out-of-turn',         // 手番ではない
+  INVALID_REQUEST: 'invalid-request'  // 要求の内容が不正
+};
+
+/**
+ * チャットで送信できるエモート（名前と表示内容）
+ */
+const EMOTES = {
+  hello: '👋 よろしくお願いします',
+  nice: '👍 ナイス！',
+  hmm: '🤔 うーん…',
+  wow: '😮 おお！',
+  oops: '😅 しまった',
+  gg: '🤝 良い対局でした'
+};
+
+/**
+ * チャットのメッセージの最大文字数
+ */
+const MAX_CHAT_LENGTH = 100;
+
+/**
+ * 1メッセージ（1行）の最大文字数
+ */
+const MAX_MESSAGE_LENGTH = 64 * 1024;
+
+/**
+ * メッセージを送信用の文字列に変換する
+ * @param {string} type - メッセージの種類
+ * @param {Object} payload - メッセージの内容
+ * @returns {string} 改行で終わるJSON文字列
+ */
+function encodeMessage(type, payload = {}) {
+  return JSON.stringify({ ...payload, type }) + '\n';
+}
+
+/**
+ * 受信した1行をメッセージに変換する
+ * @param {string} line - 受信した1行
+ * @returns {Object} メッセージ
+ * @throws {Error} JSONとして不正、または種類が不明な場合
+ */
+function decodeMessage(line) {
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (error) {
+    throw new Error(`不正なメッセージを受信しました: ${line}`);
+  }
+
+  if (!message || !Object.values(MESSAGE_TYPES).includes(message.type)) {
+    throw new Error(`不明な種類のメッセージを受信しました: ${line}`);
+  }
+
+  return message;
+}
+
+/**
+ * 次に手を打つプレイヤーを取得する（先攻はO）
+ * @param {Board} board - 対象のボード
+ * @returns {string} 次に手を打つプレイヤー ('O' または 'X')
+ */
+function getPlayerToMove(board) {
+  return board.moveHistory.length % 2 === 0 ? 'O' : 'X';
+}
+
+/**
+ * 受信した手がボード上で有効かどうかを検証する
+ * @param {Board} board - 検証に使用するボード
+ * @param {Object} move - 検証する手 {row, col}
+ * @param {string} player - 手を打つプレイヤー ('O' または 'X')
+ * @returns {Object|null} 無効な場合はエラー {code, message}、有効な場合はnull
+ */
+function validateMove(board, move, player) {
+  const { row, col } = move;
+
+  if (!Number.isInteger(row) || !Number.isInteger(col) ||
+      row < 0 || row >= board.size || col < 0 || col >= board.size) {
+    return { code: ERROR_CODES.OUT_OF_RANGE, message: `範囲外の位置です（行=${row}, 列=${col}）` };
+  }
+
+  if (getPlayerToMove(board) !== player) {
+    return { code: ERROR_CODES.OUT_OF_TURN, message: `${player} の手番ではありません` };
+  }
+
+  if (board.board[row][col] !== ' ') {
+    return { code: ERROR_CODES.OCCUPIED, message: `すでに駒が置かれています（行=${row}, 列=${col}）` };
+  }
+
+  return null;
+}
+
+/**
+ * チャットの内容が有効かどうかを検証する
+ * @param {Object} chat - チャットの内容 {text} または {emote}
+ * @returns {Object|null} 無効な場合はエラー {code, message}、有効な場合はnull
+ */
+function validateChat(chat) {
+  if (chat.emote !== undefined) {
+    return Object.prototype.hasOwnProperty.call(EMOTES, chat.emote)
+      ? null
+      : { code: ERROR_CODES.INVALID_REQUEST, message: `不明なエモートです: ${chat.emote}` };
+  }
+
+  if (typeof chat.text !== 'string' || chat.text.trim() === '') {
+    return { code: ERROR_CODES.INVALID_REQUEST, message: 'メッセージが空です' };
+  }
+
+  if (chat.text.length > MAX_CHAT_LENGTH) {
+    return { code: ERROR_CODES.INVALID_REQUEST, message: `メッセージは${MAX_CHAT_LENGTH}文字以内で入力してください` };
+  }
+
+  return null;
+}
+
+/**
+ * 送信者を付けたチャットのエントリーを作成する
+ * @param {Object} chat - 検証済みのチャットの内容 {text} または {emote}
+ * @param {string} from - 送信者 ('O', 'X' または 'spectator')
+ * @returns {Object} チャットのエントリー {from, text} または {from, emote}
+ */
+function createChatEntry(chat, from) {
+  return chat.emote !== undefined
+    ? { from, emote: chat.emote }
+    : { from, text: chat.text.trim() };
+}
+
+/**
+ * サーバーの接続先の文字列を解析する
+ * @param {string} address - 接続先 ("host:port" の形式、portは省略可)
+ * @returns {Object} 接続先 {host, port}
+ */
+function parseServerAddress(address) {
+  const [host, port] = address.trim().split(':');
+
+  return {
+    host: host || 'localhost',
+    port: port ? parseInt(port, 10) : DEFAULT_PORT
+  };
+}
+
+/**
+ * 接続先の文字列を解析する
+ * @param {string} address - 接続先 ("host:port/gameId" の形式、hostとportは省略可)
+ * @returns {Object} 接続先 {host, port, gameId}
+ * @throws {Error} ゲームIDが含まれていない場合
+ */
+function parseAddress(address) {
+  const slashIndex = address.lastIndexOf('/');
+  const hostPart = slashIndex === -1 ? '' : address.slice(0, slashIndex);
+  const gameId = address.slice(slashIndex + 1).trim();
+
+  if (!gameId) {
+    throw new Error(`接続先にゲームIDが含まれていません: ${address}`);
+  }
+
+  const [host, port] = hostPart.split(':');
+
+  return {
+    host: host || 'localhost',
+    port: port ? parseInt(port, 10) : DEFAULT_PORT,
+    gameId
+  };
+}
+
+/**
+ * ソケットから受信したデータを行単位のメッセージに分割するクラス
+ * 複数バイトの文字がデータの区切りをまたいでも正しく復元し、
+ * 不正な行はエラーとして通知したうえで残りの行の解析を続ける
+ */
+class MessageParser {
+  /**
+   * パーサーを初期化
+   * @param {Object} options - オプション {onError, maxLength}
+   *   （onError は不正な行ごとに呼び出す関数、maxLength は1行の最大文字数）
+   */
+  constructor(options = {}) {
+    this.buffer = '';
+    this.decoder = new StringDecoder('utf8');
+    this.onError = options.onError || (() => {});
+    this.maxLength = options.maxLength || MAX_MESSAGE_LENGTH;
+  }
+
+  /**
+   * 受信したデータを追加し、完成したメッセージを取り出す
+   * @param {Buffer|string} chunk - 受信したデータ
+   * @returns {Array} 完成したメッセージのリスト（不正な行は onError に渡し、含めない）
+   * @throws {Error} 改行のないまま最大文字数を超えるデータを受信した場合
+   */
+  push(chunk) {
+    this.buffer += typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+
+    const lines = this.buffer.split('\n');
+    // 最後の要素は改行で終わっていない途中のデータ
+    this.buffer = lines.pop();
+    if (this.buffer.length > this.maxLength) {
+      this.buffer = '';
+      throw new Error(`受信したメッセージが長すぎます（${this.maxLength}文字まで）`);
+    }
+
+    const messages = [];
+    for (const line of lines) {
+      if (line.trim() === '') continue;
+
+      try {
+        if (line.length > this.maxLength) {
+          throw new Error(`受信したメッセージが長すぎます（${this.maxLength}文字まで）`);
+        }
+        messages.push(decodeMessage(line));
+      } catch (error) {
+        this.onError(error);
+      }
+    }
+    return messages;
+  }
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  DEFAULT_PORT,
+  MESSAGE_TYPES,
+  ERROR_CODES,
+  EMOTES,
+  MAX_CHAT_LENGTH,
+  MAX_MESSAGE_LENGTH,
+  encodeMessage,
+  decodeMessage,
+  parseAddress,
+  parseServerAddress,
+  getPlayerToMove,
+  validateMove,
+  validateChat,
+  createChatEntry,
+  MessageParser
+};
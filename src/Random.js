@@ -0,0 +1,93 @@
+/**
+ * シード値を指定できる疑似乱数生成器（mulberry32）
+ *
+ * 同じシード値からは常に同じ乱数列が得られるため、AIの手やテストを再現できる。
+ */
+class Random {
+  /**
+   * シード値を指定して乱数生成器を初期化
+   * @param {number} seed - シード値（省略時は現在時刻とMath.randomから決める）
+   */
+  constructor(seed = Random.createSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * シード値を新しく作る
+   * @returns {number} 32ビットの符号なし整数のシード値
+   */
+  static createSeed() {
+    return (Date.now() ^ Math.floor(Math.random() * 0x100000000)) >>> 0;
+  }
+
+  /**
+   * 32ビットの符号なし整数の乱数を生成する
+   * @returns {number} 0以上2^32未満の整数
+   */
+  nextUint32() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  }
+
+  /**
+   * 0以上1未満の乱数を生成する（Math.random の代わり）
+   * @returns {number} 0以上1未満の数
+   */
+  next() {
+    return this.nextUint32() / 0x100000000;
+  }
+
+  /**
+   * 0以上max未満の整数の乱数を生成する
+   * @param {number} max - 上限（この値は含まない）
+   * @returns {number} 0以上max未満の整数
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * 標準正規分布に従う乱数を生成する（ボックス＝ミュラー法）
+   * @returns {number} 平均0、標準偏差1の乱数
+   */
+  nextGaussian() {
+    const u = 1 - this.next(); // log(0) にならないように (0, 1] にする
+    const v = this.next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * 配列から要素を1つ選ぶ
+   * @param {Array} items - 選ぶ対象の配列
+   * @returns {*} 選ばれた要素（配列が空の場合はundefined）
+   */
+  pick(items) {
+    return items[this.nextInt(items.length)];
+  }
+
+  /**
+   * 乱数生成器の状態をシリアライズ（保存用）
+   * @returns {Object} シード値と現在の状態 {seed, state}
+   */
+  serialize() {
+    return {
+      seed: this.seed,
+      state: this.state
+    };
+  }
+
+  /**
+   * シリアライズされた状態から復元（復元後は保存した時点の続きの乱数列になる）
+   * @param {Object} data - シリアライズされた状態 {seed, state}
+   */
+  deserialize(data) {
+    this.seed = data.seed >>> 0;
+    this.state = data.state >>> 0;
+  }
+}
+
+module.exports = Random;
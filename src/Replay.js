@@ -0,0 +1,169 @@
+const Board = require('./Board');
+
+/**
+ * 自動再生の速さ（1手あたりの間隔、ミリ秒）
+ */
+const SPEEDS = [2000, 1000, 500, 250, 100];
+
+/**
+ * 自動再生の最初の速さ（SPEEDS の添字）
+ */
+const DEFAULT_SPEED = 1;
+
+/**
+ * 記録した手順を1手ずつ再生するクラス
+ *
+ * 手順 [{row, col, player}] と再生位置（打ち終えた手の数、0は初期局面）を持ち、
+ * 位置を動かすたびに初期局面から手順を打ち直した Board を作る。
+ */
+class Replay {
+  /**
+   * 再生する手順を指定して初期化
+   * @param {number} size - ボードのサイズ
+   * @param {number} winLength - 勝利条件の長さ
+   * @param {Array} moves - 手順 [{row, col, player}]
+   * @throws {Error} 手順に打てない手がある場合
+   */
+  constructor(size, winLength, moves) {
+    this.size = size;
+    this.winLength = winLength;
+    this.moves = moves.map(({ row, col, player }) => ({ row, col, player }));
+    this.ply = 0;
+    this.speed = DEFAULT_SPEED;
+
+    // 手順を最後まで打てることを確かめる
+    const board = new Board(size, winLength);
+    this.moves.forEach(({ row, col, player }, index) => {
+      if (!board.placeMarker(row, col, player)) {
+        throw new Error(`${index + 1}手目 (${row},${col}) に打てません`);
+      }
+    });
+  }
+
+  /**
+   * ボードの手順から作成する
+   * @param {Board} board - 再生するボード（moveHistory の手順を再生する）
+   * @returns {Replay} 再生
+   */
+  static fromBoard(board) {
+    return new Replay(board.size, board.winLength, board.moveHistory);
+  }
+
+  /**
+   * 手順の長さ（手数）を取得する
+   * @returns {number} 手数
+   */
+  get length() {
+    return this.moves.length;
+  }
+
+  /**
+   * 1手進める
+   * @returns {boolean} 進めたかどうか（最後の手の後では進めない）
+   */
+  next() {
+    if (this.isAtEnd()) return false;
+    this.ply++;
+    return true;
+  }
+
+  /**
+   * 1手戻す
+   * @returns {boolean} 戻したかどうか（初期局面では戻せない）
+   */
+  prev() {
+    if (this.isAtStart()) return false;
+    this.ply--;
+    return true;
+  }
+
+  /**
+   * 指定した手数の局面に移動する（範囲外の場合は最初か最後に移動する）
+   * @param {number} ply - 打ち終えた手の数（0は初期局面）
+   */
+  jumpTo(ply) {
+    this.ply = Math.min(Math.max(Math.floor(ply), 0), this.length);
+  }
+
+  /**
+   * 初期局面かどうかを判定
+   * @returns {boolean} 初期局面かどうか
+   */
+  isAtStart() {
+    return this.ply === 0;
+  }
+
+  /**
+   * 最後の手の後の局面かどうかを判定
+   * @returns {boolean} 最後の手の後かどうか
+   */
+  isAtEnd() {
+    return this.ply === this.length;
+  }
+
+  /**
+   * 現在の局面のボードを作成する
+   * @returns {Board} 現在の局面まで手を打ったボード（currentPlayer は次の手番）
+   */
+  getBoard() {
+    const board = new Board(this.size, this.winLength);
+    for (let index = 0; index < this.ply; index++) {
+      const { row, col, player } = this.moves[index];
+      board.placeMarker(row, col, player);
+    }
+    board.currentPlayer = this.getNextPlayer();
+    return board;
+  }
+
+  /**
+   * 現在の局面の直前に打たれた手を取得する
+   * @returns {Object|null} 直前の手 {row, col, player}、初期局面の場合はnull
+   */
+  getLastMove() {
+    return this.ply > 0 ? this.moves[this.ply - 1] : null;
+  }
+
+  /**
+   * 現在の局面の次の手番のプレイヤーを取得する
+   * @returns {string} プレイヤー ('O' または 'X')
+   */
+  getNextPlayer() {
+    const lastMove = this.getLastMove();
+    if (lastMove) {
+      return lastMove.player === 'O' ? 'X' : 'O';
+    }
+    return this.length > 0 ? this.moves[0].player : 'O';
+  }
+
+  /**
+   * 自動再生を速くする
+   * @returns {boolean} 速くしたかどうか（最も速い場合は変えない）
+   */
+  faster() {
+    if (this.speed >= SPEEDS.length - 1) return false;
+    this.speed++;
+    return true;
+  }
+
+  /**
+   * 自動再生を遅くする
+   * @returns {boolean} 遅くしたかどうか（最も遅い場合は変えない）
+   */
+  slower() {
+    if (this.speed <= 0) return false;
+    this.speed--;
+    return true;
+  }
+
+  /**
+   * 自動再生の1手あたりの間隔を取得する
+   * @returns {number} 間隔（ミリ秒）
+   */
+  getDelay() {
+    return SPEEDS[this.speed];
+  }
+}
+
+Replay.SPEEDS = SPEEDS;
+
+module.exports = Replay;
@@ -0,0 +1,126 @@
+const AI = require('./AI');
+const Board = require('./Board');
+const Random = require('./Random');
+
+/**
+ * 1局ごとに、最初にランダムに打つ手の数（同じ対局ばかりにならないようにする）
+ */
+const DEFAULT_OPENING_MOVES = 2;
+
+/**
+ * 学習AIを自己対局で鍛えるクラス
+ *
+ * 画面に表示せずに、重みに揺らぎを加えた学習AIと逆向きの揺らぎを加えた学習AIを対局させ、
+ * 勝った側の揺らぎの向きに重みを動かす。学習の前後で、決まった相手（中級AIなど）との勝率を測って効果を確かめられる。
+ */
+class SelfPlayTrainer {
+  /**
+   * 自己対局の設定を指定して初期化
+   * @param {Learner} learner - 学習結果（対局から学習して更新する）
+   * @param {Object} options - 自己対局の設定 {size, winLength, openingMoves, random}
+   */
+  constructor(learner, options = {}) {
+    this.learner = learner;
+    this.size = options.size || 5;
+    this.winLength = options.winLength || 4;
+    this.openingMoves = options.openingMoves !== undefined ? options.openingMoves : DEFAULT_OPENING_MOVES;
+    this.random = options.random || new Random();
+  }
+
+  /**
+   * 1局を最後まで対局する
+   * @param {Object} players - 駒ごとのAI {O, X}
+   * @returns {Object} 対局の結果 {winner, board}（引き分けの場合、winnerはnull）
+   */
+  playGame(players) {
+    const board = new Board(this.size, this.winLength);
+    let player = 'O';
+
+    while (!board.checkDraw()) {
+      const move = board.moveHistory.length < this.openingMoves
+        ? this.random.pick(board.getEmptyCells())
+        : players[player].makeMove(board);
+
+      board.placeMarker(move.row, move.col, player);
+      if (board.isWinningMove(move.row, move.col)) {
+        return { winner: player, board };
+      }
+      player = player === 'O' ? 'X' : 'O';
+    }
+
+    return { winner: null, board };
+  }
+
+  /**
+   * 自己対局で学習する（先手・後手を入れ替えながら、1局ごとに学習する）
+   * @param {number} games - 対局数
+   * @param {Function} onProgress - 1局ごとに呼ばれる関数 (終えた対局数, 対局数)
+   */
+  train(games, onProgress = () => {}) {
+    const board = new Board(this.size, this.winLength);
+
+    for (let game = 1; game <= games; game++) {
+      const noise = this.learner.createNoise(board, this.random);
+      const marker = game % 2 === 1 ? 'O' : 'X';
+      const opponentMarker = marker === 'O' ? 'X' : 'O';
+      const players = {
+        [marker]: new AI(marker, 'learning', { learner: this.learner.createVariant(board, noise, 1), random: this.random }),
+        [opponentMarker]: new AI(opponentMarker, 'learning', {
+          learner: this.learner.createVariant(board, noise, -1),
+          random: this.random
+        })
+      };
+
+      const { winner, board: finishedBoard } = this.playGame(players);
+      this.learner.learnFromResult(finishedBoard, noise, this.getScore(winner, marker));
+      onProgress(game, games);
+    }
+  }
+
+  /**
+   * 学習AIと決まった難易度のAIを、先手・後手を入れ替えながら対局させて勝率を測る（学習はしない）
+   * @param {number} games - 対局数
+   * @param {string} opponentDifficulty - 相手のAIの難易度
+   * @returns {Object} 学習AIから見た結果 {wins, draws, losses, winRate}（winRate は引き分けを0.5勝とした勝率）
+   */
+  evaluate(games, opponentDifficulty = 'medium') {
+    const result = { wins: 0, draws: 0, losses: 0, winRate: 0 };
+    let total = 0;
+
+    for (let game = 0; game < games; game++) {
+      const marker = game % 2 === 0 ? 'O' : 'X';
+      const opponentMarker = marker === 'O' ? 'X' : 'O';
+      const players = {
+        [marker]: new AI(marker, 'learning', { learner: this.learner, random: this.random }),
+        [opponentMarker]: new AI(opponentMarker, opponentDifficulty, { random: this.random })
+      };
+
+      const { winner } = this.playGame(players);
+      const score = this.getScore(winner, marker);
+      if (score === 1) {
+        result.wins++;
+      } else if (score === 0) {
+        result.losses++;
+      } else {
+        result.draws++;
+      }
+      total += score;
+    }
+
+    result.winRate = games > 0 ? total / games : 0;
+    return result;
+  }
+
+  /**
+   * 対局の結果を点数にする
+   * @param {string|null} winner - 勝者 ('O' または 'X')、引き分けの場合はnull
+   * @param {string} marker - 点数を求めるプレイヤー ('O' または 'X')
+   * @returns {number} 勝ち 1、引き分け 0.5、負け 0
+   */
+  getScore(winner, marker) {
+    if (winner === null) return 0.5;
+    return winner === marker ? 1 : 0;
+  }
+}
+
+module.exports = SelfPlayTrainer;
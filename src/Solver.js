@@ -0,0 +1,216 @@
+const BitBoard = require('./BitBoard');
+const TranspositionTable = require('./TranspositionTable');
+
+/**
+ * 完全に読み切る対象とするボードのマス数の上限（4×4まで）
+ */
+const MAX_CELLS = 16;
+
+/**
+ * 局面の値（手番のプレイヤーから見た値）
+ */
+const WIN = 1;
+const DRAW = 0;
+const LOSS = -1;
+
+/**
+ * 小さなボードを終局まで読み切り、局面の理論値を求めるクラス
+ *
+ * 値は手番のプレイヤーから見て、勝ち（1）・引き分け（0）・負け（-1）の3通り。
+ * 値の範囲が狭いため、ネガマックス法とアルファベータ枝刈りに置換表を組み合わせるだけで4×4まで読み切れる。
+ * 定石ファイル（OpeningBook）を渡すと、記録済みの局面は探索せずに値を返す。
+ */
+class Solver {
+  /**
+   * ソルバーを初期化
+   * @param {Object} options - 設定 {book}（book は記録済みの局面の値を引く定石、省略時は使わない）
+   */
+  constructor(options = {}) {
+    this.book = options.book || null;
+    this.table = new TranspositionTable();
+    this.tableSettings = null;
+    this.nodes = 0;
+  }
+
+  /**
+   * ボードを読み切れるかどうか（マス数が MAX_CELLS 以下か）
+   * @param {Board} board - 対象のボード
+   * @returns {boolean} 読み切れるかどうか
+   */
+  static canSolve(board) {
+    return board.size * board.size <= MAX_CELLS;
+  }
+
+  /**
+   * 局面の理論値を求める
+   * @param {Board} board - 現在のボード状態
+   * @param {string} player - 手番のプレイヤー ('O' または 'X')
+   * @returns {number} 手番のプレイヤーから見た値（勝ち 1、引き分け 0、負け -1）
+   */
+  solve(board, player) {
+    if (!Solver.canSolve(board)) {
+      throw new Error(`${board.size}×${board.size}のボードは読み切れません`);
+    }
+
+    if (board.getLastMoveWinner()) {
+      return board.getLastMoveWinner() === player ? WIN : LOSS;
+    }
+
+    if (this.book) {
+      const value = this.book.get(board, player);
+      if (value !== undefined) {
+        return value;
+      }
+    }
+
+    // ゾブリストハッシュは勝利条件を含まないため、ボードの設定が変わったら置換表を空にする
+    const settings = `${board.size}/${board.winLength}`;
+    if (this.tableSettings !== settings) {
+      this.table.clear();
+      this.tableSettings = settings;
+    }
+
+    return this.negamax(BitBoard.fromBoard(board), player, LOSS, WIN);
+  }
+
+  /**
+   * 手番のプレイヤーが打てるすべての手について、打った後の理論値を求める
+   * @param {Board} board - 現在のボード状態
+   * @param {string} player - 手番のプレイヤー ('O' または 'X')
+   * @returns {Array} 手と値のリスト [{row, col, value}]（value は手番のプレイヤーから見た値）
+   */
+  solveMoves(board, player) {
+    const searchBoard = BitBoard.fromBoard(board);
+    const opponent = this.getOpponent(player);
+
+    return searchBoard.getEmptyCells().map(({ row, col }) => {
+      searchBoard.placeMarker(row, col, player);
+      const value = searchBoard.isWinningMove(row, col) ? WIN : this.negate(this.solve(searchBoard, opponent));
+      searchBoard.undoMove();
+      return { row, col, value };
+    });
+  }
+
+  /**
+   * ネガマックス法とアルファベータ枝刈りで局面の値を求める
+   * @param {BitBoard} board - 探索中のボード（直前の手で勝敗は決まっていない）
+   * @param {string} player - 手番のプレイヤー ('O' または 'X')
+   * @param {number} alpha - 手番のプレイヤーが確保している値の下限
+   * @param {number} beta - 相手が確保している値の上限
+   * @returns {number} 手番のプレイヤーから見た値
+   */
+  negamax(board, player, alpha, beta) {
+    this.nodes++;
+
+    if (board.checkDraw()) {
+      return DRAW;
+    }
+
+    const key = board.getZobristKey();
+    const entry = this.table.get(key);
+    if (entry) {
+      if (entry.bound === TranspositionTable.EXACT) return entry.score;
+      if (entry.bound === TranspositionTable.LOWER_BOUND && entry.score >= beta) return entry.score;
+      if (entry.bound === TranspositionTable.UPPER_BOUND && entry.score <= alpha) return entry.score;
+    }
+
+    const moves = this.generateMoves(board, player);
+    if (moves === WIN || moves === LOSS) {
+      return moves;
+    }
+
+    const originalAlpha = alpha;
+    const opponent = this.getOpponent(player);
+    let best = LOSS;
+
+    for (const { row, col } of moves) {
+      board.placeMarker(row, col, player);
+      const value = this.negate(this.negamax(board, opponent, -beta, -alpha));
+      board.undoMove();
+
+      if (value > best) best = value;
+      if (best > alpha) alpha = best;
+      if (alpha >= beta) break;
+    }
+
+    let bound = TranspositionTable.EXACT;
+    if (best <= originalAlpha) {
+      bound = TranspositionTable.UPPER_BOUND;
+    } else if (best >= beta) {
+      bound = TranspositionTable.LOWER_BOUND;
+    }
+    this.table.store(key, 0, best, bound);
+
+    return best;
+  }
+
+  /**
+   * 探索する手を取得する
+   * すぐに勝てる手があれば WIN、相手の勝ちを2か所以上で防げなければ LOSS を返し、
+   * 1か所だけ防ぐ必要があればその手だけを返す
+   * @param {BitBoard} board - 探索中のボード
+   * @param {string} player - 手番のプレイヤー ('O' または 'X')
+   * @returns {Array|number} 探索する手 [{row, col}]、または決まった値
+   */
+  generateMoves(board, player) {
+    const isO = player === 'O';
+    const threatLength = board.winLength - 1;
+    const center = (board.size - 1) / 2;
+    const moves = [];
+    const blocks = [];
+
+    for (const cell of board.getEmptyCells()) {
+      let isWin = false;
+      let isBlock = false;
+      board.forEachLineCountAt(cell.row, cell.col, (oCount, xCount) => {
+        const own = isO ? oCount : xCount;
+        const opponent = isO ? xCount : oCount;
+        if (opponent === 0 && own === threatLength) isWin = true;
+        if (own === 0 && opponent === threatLength) isBlock = true;
+      });
+
+      if (isWin) {
+        return WIN;
+      }
+      if (isBlock) {
+        blocks.push(cell);
+      }
+      moves.push(cell);
+    }
+
+    if (blocks.length > 1) {
+      return LOSS;
+    }
+    if (blocks.length === 1) {
+      return blocks;
+    }
+
+    // 中央に近いマスから探索すると、早く枝刈りできる
+    const distance = cell => Math.abs(cell.row - center) + Math.abs(cell.col - center);
+    return moves.sort((a, b) => distance(a) - distance(b));
+  }
+
+  /**
+   * 相手から見た値を手番のプレイヤーから見た値にする（引き分けが -0 にならないようにする）
+   * @param {number} value - 相手から見た値
+   * @returns {number} 手番のプレイヤーから見た値
+   */
+  negate(value) {
+    return value === DRAW ? DRAW : -value;
+  }
+
+  /**
+   * 相手のプレイヤーを取得する
+   * @param {string} player - プレイヤー ('O' または 'X')
+   * @returns {string} 相手のプレイヤー
+   */
+  getOpponent(player) {
+    return player === 'O' ? 'X' : 'O';
+  }
+}
+
+Solver.WIN = WIN;
+Solver.DRAW = DRAW;
+Solver.LOSS = LOSS;
+
+module.exports = Solver;
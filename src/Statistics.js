@@ -0,0 +1,228 @@
+/**
+ * 統計情報の形式のバージョン
+ */
+const STATS_VERSION = 2;
+
+/**
+ * 内訳を並べるときのモードと難易度の順
+ */
+const MODE_ORDER = ['single', 'multi', 'online'];
+const DIFFICULTY_ORDER = ['easy', 'medium', 'hard', 'master', 'mcts', 'unbeatable', 'learning'];
+
+/**
+ * 集計の初期値を作成する
+ * @returns {Object} 集計 {games, oWins, xWins, draws, humanGames, wins, losses, totalMoves, streak, longestWinStreak, longestLossStreak}
+ *   （humanGames・wins・losses は人間のプレイヤーから見た対局・勝ち・負けの数、streak は続いている結果 {result, count}）
+ */
+const createTally = () => ({
+  games: 0,
+  humanGames: 0,
+  oWins: 0,
+  xWins: 0,
+  draws: 0,
+  wins: 0,
+  losses: 0,
+  totalMoves: 0,
+  streak: { result: null, count: 0 },
+  longestWinStreak: 0,
+  longestLossStreak: 0
+});
+
+/**
+ * 対局の結果をモード・AIの難易度・ボードサイズと勝利条件・人間が先手かどうかごとに集計するクラス
+ *
+ * 全体と内訳のそれぞれで、O・X の勝ち数と引き分け、人間のプレイヤーから見た勝ち・負け、合計の手数、
+ * 連続している結果と最長の連勝・連敗を記録する。O が常に先手のため、先手の勝率は O の勝ち数から求める。
+ * 2人プレイでは人間から見た勝ち負けと連続記録は数えない。
+ *
+ * 以前の形式（oWins, xWins, draws, totalGames だけの stats.json）は、全体の数を引き継ぎ、
+ * 内訳のない対局の数を migratedGames に記録して変換する。
+ */
+class Statistics {
+  /**
+   * 保存した統計情報を指定して初期化
+   * @param {Object} data - 保存した統計情報（以前の形式の場合は変換する）
+   */
+  constructor(data = {}) {
+    const isCurrent = data.version === STATS_VERSION;
+    this.data = isCurrent ? data : Statistics.migrate(data);
+    // 以前の形式の対局を引き継いだかどうか（変換した統計情報を保存し直すために使う）
+    this.migrated = !isCurrent && this.data.migratedGames > 0;
+  }
+
+  /**
+   * 以前の形式の統計情報を変換する
+   * @param {Object} data - 以前の形式の統計情報 {oWins, xWins, draws, totalGames}
+   * @returns {Object} 変換した統計情報
+   */
+  static migrate(data) {
+    const oWins = data.oWins || 0;
+    const xWins = data.xWins || 0;
+    const draws = data.draws || 0;
+    const games = data.totalGames || oWins + xWins + draws;
+
+    return {
+      version: STATS_VERSION,
+      overall: { ...createTally(), games, oWins, xWins, draws },
+      migratedGames: games,
+      groups: {}
+    };
+  }
+
+  /**
+   * 内訳のキーを作成する
+   * @param {Object} game - 対局の情報 {mode, difficulty, size, winLength, humanFirst}
+   * @returns {string} キー（例: 'single|master|6x4|first'）
+   */
+  static getKey(game) {
+    let order = 'both';
+    if (game.humanFirst === true) {
+      order = 'first';
+    } else if (game.humanFirst === false) {
+      order = 'second';
+    }
+    return [game.mode, game.difficulty || '-', `${game.size}x${game.winLength}`, order].join('|');
+  }
+
+  /**
+   * 決着した対局の結果を記録する
+   * @param {Object} game - 対局の情報 {mode, difficulty, size, winLength, playerMarker, winner, moves}
+   *   （playerMarker は人間の駒（2人プレイでは使わない）、winner は引き分けの場合null、moves は手数）
+   */
+  record(game) {
+    const hasHuman = game.mode === 'single' || game.mode === 'online';
+    const humanFirst = hasHuman ? game.playerMarker === 'O' : null;
+    const key = Statistics.getKey({ ...game, humanFirst });
+
+    if (!this.data.groups[key]) {
+      this.data.groups[key] = {
+        mode: game.mode,
+        difficulty: game.mode === 'single' ? game.difficulty : null,
+        size: game.size,
+        winLength: game.winLength,
+        humanFirst,
+        ...createTally()
+      };
+    }
+
+    let outcome = null;
+    if (!game.winner) {
+      outcome = 'draw';
+    } else if (hasHuman) {
+      outcome = game.winner === game.playerMarker ? 'win' : 'loss';
+    }
+
+    for (const tally of [this.data.overall, this.data.groups[key]]) {
+      tally.games++;
+      tally.totalMoves += game.moves;
+      if (game.winner === 'O') {
+        tally.oWins++;
+      } else if (game.winner === 'X') {
+        tally.xWins++;
+      } else {
+        tally.draws++;
+      }
+
+      if (hasHuman) {
+        tally.humanGames++;
+        if (outcome === 'win') tally.wins++;
+        if (outcome === 'loss') tally.losses++;
+        this.updateStreak(tally, outcome);
+      }
+    }
+  }
+
+  /**
+   * 連続記録を更新する
+   * @param {Object} tally - 集計
+   * @param {string} outcome - 人間のプレイヤーから見た結果 ('win'・'loss'・'draw')
+   */
+  updateStreak(tally, outcome) {
+    if (tally.streak.result === outcome) {
+      tally.streak.count++;
+    } else {
+      tally.streak = { result: outcome, count: 1 };
+    }
+
+    if (outcome === 'win') {
+      tally.longestWinStreak = Math.max(tally.longestWinStreak, tally.streak.count);
+    } else if (outcome === 'loss') {
+      tally.longestLossStreak = Math.max(tally.longestLossStreak, tally.streak.count);
+    }
+  }
+
+  /**
+   * 全体の集計を取得する
+   * @returns {Object} 全体の集計（summarize の結果と migratedGames）
+   */
+  getOverall() {
+    // 以前の形式から引き継いだ対局は手数がわからないため、平均手数に含めない
+    return {
+      ...Statistics.summarize(this.data.overall, this.data.migratedGames),
+      migratedGames: this.data.migratedGames
+    };
+  }
+
+  /**
+   * 内訳の集計をモード・難易度・ボードサイズ・勝利条件・先手後手の順に並べて取得する
+   * @returns {Array} 内訳の集計 [{mode, difficulty, size, winLength, humanFirst, ...summarize の結果}]
+   */
+  getGroups() {
+    const rank = (list, value) => (list.includes(value) ? list.indexOf(value) : list.length);
+    const orderRank = value => (value === true ? 0 : value === false ? 1 : 2);
+
+    return Object.values(this.data.groups)
+      .sort((a, b) => rank(MODE_ORDER, a.mode) - rank(MODE_ORDER, b.mode)
+        || rank(DIFFICULTY_ORDER, a.difficulty) - rank(DIFFICULTY_ORDER, b.difficulty)
+        || a.size - b.size
+        || a.winLength - b.winLength
+        || orderRank(a.humanFirst) - orderRank(b.humanFirst))
+      .map(group => ({
+        mode: group.mode,
+        difficulty: group.difficulty,
+        size: group.size,
+        winLength: group.winLength,
+        humanFirst: group.humanFirst,
+        ...Statistics.summarize(group)
+      }));
+  }
+
+  /**
+   * 集計から率と平均を求める
+   * @param {Object} tally - 集計
+   * @param {number} uncountedGames - 手数のわからない対局の数
+   * @returns {Object} {games, oWins, xWins, draws, humanGames, wins, losses, winRate, firstMoveWinRate, averageMoves,
+   *   streak, longestWinStreak, longestLossStreak}（率は 0〜1、対局がなければnull。
+   *   winRate は人間から見た勝率で、引き分けを0.5勝とする）
+   */
+  static summarize(tally, uncountedGames = 0) {
+    const humanDraws = tally.humanGames - tally.wins - tally.losses;
+    const countedGames = tally.games - uncountedGames;
+
+    return {
+      games: tally.games,
+      oWins: tally.oWins,
+      xWins: tally.xWins,
+      draws: tally.draws,
+      humanGames: tally.humanGames,
+      wins: tally.wins,
+      losses: tally.losses,
+      winRate: tally.humanGames > 0 ? (tally.wins + humanDraws / 2) / tally.humanGames : null,
+      firstMoveWinRate: tally.games > 0 ? tally.oWins / tally.games : null,
+      averageMoves: countedGames > 0 ? tally.totalMoves / countedGames : null,
+      streak: { ...tally.streak },
+      longestWinStreak: tally.longestWinStreak,
+      longestLossStreak: tally.longestLossStreak
+    };
+  }
+
+  /**
+   * 統計情報を保存用のオブジェクトにする
+   * @returns {Object} 保存する統計情報
+   */
+  serialize() {
+    return this.data;
+  }
+}
+
+module.exports = Statistics;
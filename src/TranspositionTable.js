@@ -0,0 +1,84 @@
+/**
+ * 置換表に保存できる局面の数の上限（超えた場合は表を空にする）
+ */
+const DEFAULT_MAX_ENTRIES = 500000;
+
+/**
+ * 探索済みの局面を記録する置換表
+ *
+ * 盤面のゾブリストハッシュをキーに、探索した深さ・スコア・スコアの種類（境界）を記録する。
+ * 別の手順で同じ局面に到達した場合は、記録した結果を使って探索を省略する。
+ */
+class TranspositionTable {
+  /**
+   * 置換表を初期化
+   * @param {number} maxEntries - 保存できる局面の数の上限
+   */
+  constructor(maxEntries = DEFAULT_MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.hits = 0;
+  }
+
+  /**
+   * 局面の記録を取得する
+   * @param {number} key - 盤面のゾブリストハッシュ
+   * @returns {Object|undefined} 記録 {depth, score, bound}、記録がない場合はundefined
+   */
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  /**
+   * 局面の探索結果を記録する（より浅い探索の結果で深い探索の結果を上書きしない）
+   * @param {number} key - 盤面のゾブリストハッシュ
+   * @param {number} depth - 探索した残りの深さ
+   * @param {number} score - 評価スコア
+   * @param {string} bound - スコアの種類 (EXACT, LOWER_BOUND, UPPER_BOUND)
+   */
+  store(key, depth, score, bound) {
+    const existing = this.entries.get(key);
+    if (existing && existing.depth > depth) {
+      return;
+    }
+
+    if (!existing && this.entries.size >= this.maxEntries) {
+      this.entries.clear();
+    }
+
+    this.entries.set(key, { depth, score, bound });
+  }
+
+  /**
+   * 記録をすべて削除する
+   */
+  clear() {
+    this.entries.clear();
+    this.hits = 0;
+  }
+
+  /**
+   * 記録されている局面の数
+   * @returns {number} 局面の数
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * スコアの種類: 正確な値
+ */
+TranspositionTable.EXACT = 'exact';
+
+/**
+ * スコアの種類: 下限（ベータカットで打ち切ったため、実際の値はこれ以上）
+ */
+TranspositionTable.LOWER_BOUND = 'lower';
+
+/**
+ * スコアの種類: 上限（どの手もアルファを超えなかったため、実際の値はこれ以下）
+ */
+TranspositionTable.UPPER_BOUND = 'upper';
+
+module.exports = TranspositionTable;
@@ -2,10 +2,62 @@ const chalk = require('chalk');
 const clear = require('clear');
 const figlet = require('figlet');
 const gradient = require('gradient-string');
+const readline = require('readline');
 const readlineSync = require('readline-sync');
 const boxen = require('boxen');
 const { createSpinner } = require('nanospinner');
 const Table = require('cli-table3');
+const Evaluator = require('./Evaluator');
+const GameHistory = require('./GameHistory');
+const { DEFAULT_PORT, EMOTES, parseServerAddress } = require('./Protocol');
+
+/**
+ * 設定メニューで選択できる持ち時間（秒）
+ */
+const TIME_CONTROL_PRESETS = [
+  null,
+  { mode: 'move', perMove: 10 },
+  { mode: 'move', perMove: 30 },
+  { mode: 'total', initial: 180, increment: 2 },
+  { mode: 'total', initial: 300, increment: 5 },
+  { mode: 'total', initial: 600, increment: 0 }
+];
+
+/**
+ * 残り時間を赤く表示し始める時間（ミリ秒）
+ */
+const LOW_TIME_WARNING = 10000;
+
+/**
+ * AIの難易度の表示名
+ */
+const DIFFICULTY_NAMES = {
+  easy: '初級',
+  medium: '中級',
+  hard: '上級',
+  master: '達人',
+  mcts: 'モンテカルロ木探索',
+  unbeatable: '完全読み',
+  learning: '学習AI'
+};
+
+/**
+ * ゲームモードの表示名
+ */
+const MODE_NAMES = {
+  single: '1人プレイ',
+  multi: '2人プレイ',
+  online: 'オンライン対戦'
+};
+
+/**
+ * 対局の結果（人間のプレイヤーから見た結果）の表示名
+ */
+const RESULT_NAMES = {
+  win: '勝ち',
+  loss: '負け',
+  draw: '引き分け'
+};
 
 /**
  * ゲームのUI管理クラス
@@ -17,6 +69,8 @@ class UI {
   constructor() {
     this.boardSize = 5;
     this.winLength = 4;
+    this.timeControl = null;
+    this.aiProfile = null;
     this.title = '〇×ゲーム';
     this.subtitle = '5×5 高度バージョン';
   }
@@ -52,6 +106,8 @@ class UI {
       '設定',
       '統計情報',
       'ゲームのロード',
+      'リプレイ',
+      '対局履歴',
       'ゲーム終了'
     ];
     
@@ -67,18 +123,27 @@ class UI {
     this.showTitle();
     console.log(chalk.cyanBright('【ゲームモード選択】'));
     
-    const modeOptions = ['1人プレイ（対CPU）', '2人プレイ'];
+    const modeOptions = ['1人プレイ（対CPU）', '2人プレイ', 'オンライン対戦'];
     const modeIndex = readlineSync.keyInSelect(modeOptions, 'プレイモードを選択してください:', { cancel: false });
     
     let difficulty = null;
     let startingPlayer = 'O';
     
+    if (modeIndex === 2) { // オンライン対戦の場合
+      return {
+        mode: 'online',
+        difficulty,
+        startingPlayer,
+        online: this.selectOnlineOptions()
+      };
+    }
+    
     if (modeIndex === 0) { // 1人プレイの場合
       clear();
       this.showTitle();
       console.log(chalk.cyanBright('【難易度選択】'));
       
-      const difficultyOptions = ['初級（簡単）', '中級（普通）', '上級（難しい）', '達人（最強）'];
+      const difficultyOptions = ['初級（簡単）', '中級（普通）', '上級（難しい）', '達人（最強）', 'モンテカルロ木探索（大きな盤向け）', '完全読み（3×3・4×4で負けない）', '学習AI（対局するほど強くなる）'];
       const difficultyIndex = readlineSync.keyInSelect(difficultyOptions, '難易度を選択してください:', { cancel: false });
       
       switch (difficultyIndex) {
@@ -86,6 +151,9 @@ class UI {
         case 1: difficulty = 'medium'; break;
         case 2: difficulty = 'hard'; break;
         case 3: difficulty = 'master'; break;
+        case 4: difficulty = 'mcts'; break;
+        case 5: difficulty = 'unbeatable'; break;
+        case 6: difficulty = 'learning'; break;
       }
       
       clear();
@@ -105,6 +173,92 @@ class UI {
     };
   }
 
+  /**
+   * オンライン対戦の接続方法を選択
+   * @returns {Object} 接続方法 {role: 'host', gameId, port}、{role: 'join', address}、
+   *                   {role: 'spectate', address} または {role: 'lobby', host, port}
+   */
+  selectOnlineOptions() {
+    clear();
+    this.showTitle();
+    console.log(chalk.cyanBright('【オンライン対戦】'));
+    
+    const roleOptions = ['ゲームをホストする（先攻 O）', 'ゲームに参加する（後攻 X）', 'サーバーのロビーに接続する', 'ゲームを観戦する'];
+    const roleIndex = readlineSync.keyInSelect(roleOptions, '接続方法を選択してください:', { cancel: false });
+    
+    if (roleIndex === 0) {
+      const defaultGameId = `game${Math.floor(1000 + Math.random() * 9000)}`;
+      const gameId = readlineSync.question(`ゲームID [${defaultGameId}]: `, { defaultInput: defaultGameId });
+      const port = readlineSync.questionInt(`待ち受けポート [${DEFAULT_PORT}]: `, { defaultInput: String(DEFAULT_PORT) });
+      
+      return { role: 'host', gameId: gameId.trim(), port };
+    }
+    
+    if (roleIndex === 2) {
+      const server = readlineSync.question(`サーバーを入力してください (ホスト:ポート) [localhost:${DEFAULT_PORT}]: `, {
+        defaultInput: `localhost:${DEFAULT_PORT}`
+      });
+      
+      return { role: 'lobby', ...parseServerAddress(server) };
+    }
+    
+    const address = readlineSync.question('接続先を入力してください (ホスト:ポート/ゲームID): ', {
+      limit: input => input.trim() !== '',
+      limitMessage: '接続先を入力してください。'
+    });
+    
+    return { role: roleIndex === 3 ? 'spectate' : 'join', address: address.trim() };
+  }
+
+  /**
+   * ゲームサーバーのロビーを表示し、参加するゲームを選択
+   * @param {Array} games - ゲームの一覧 [{gameId, boardSize, winLength, players, spectators, timeControl, status}]
+   * @returns {Object|null} 選択結果 {action: 'create'}、{action: 'join', gameId}
+   *                        または {action: 'spectate', gameId}、キャンセル時はnull
+   */
+  selectLobbyGame(games) {
+    clear();
+    this.showTitle();
+    console.log(chalk.cyanBright('【ロビー】'));
+    
+    const openGames = games.filter(game => game.status === 'waiting');
+    
+    const table = new Table({
+      head: [chalk.white('ゲームID'), chalk.white('ボード'), chalk.white('勝利条件'), chalk.white('持ち時間'), chalk.white('参加者'), chalk.white('観戦者'), chalk.white('状態')]
+    });
+    for (const game of games) {
+      table.push([
+        game.gameId,
+        `${game.boardSize}x${game.boardSize}`,
+        `${game.winLength}連続`,
+        this.formatTimeControl(game.timeControl),
+        `${game.players}/2`,
+        game.spectators,
+        game.status === 'waiting' ? chalk.green('募集中') : chalk.yellow('対局中')
+      ]);
+    }
+    console.log(games.length > 0 ? table.toString() : chalk.gray('現在ゲームはありません。'));
+    console.log('');
+    
+    const options = [
+      `新しいゲームを作成する（${this.boardSize}x${this.boardSize}, ${this.winLength}連続, 持ち時間: ${this.formatTimeControl(this.timeControl)}）`,
+      ...openGames.map(game => `${game.gameId} に参加する`),
+      ...games.map(game => `${game.gameId} を観戦する`)
+    ];
+    const index = readlineSync.keyInSelect(options, '操作を選択してください:');
+    
+    if (index === -1) {
+      return null;
+    }
+    if (index === 0) {
+      return { action: 'create' };
+    }
+    if (index <= openGames.length) {
+      return { action: 'join', gameId: openGames[index - 1].gameId };
+    }
+    return { action: 'spectate', gameId: games[index - 1 - openGames.length].gameId };
+  }
+
   /**
    * 設定メニューを表示
    * @returns {Object} 更新された設定
@@ -116,6 +270,8 @@ class UI {
     const options = [
       `ボードサイズ: ${this.boardSize}x${this.boardSize}`,
       `勝利条件: ${this.winLength}連続`,
+      `持ち時間: ${this.formatTimeControl(this.timeControl)}`,
+      `AIの性格: ${this.aiProfile || '難易度に合わせる'}`,
       '色設定',
       '戻る'
     ];
@@ -139,11 +295,26 @@ class UI {
         const winIndex = readlineSync.keyInSelect(winOptions, '勝利条件を選択してください:', { cancel: false });
         this.winLength = winIndex + 3; // 3, 4, ... maxWinLength
         break;
+        
+      case 2: // 持ち時間変更
+        const timeOptions = TIME_CONTROL_PRESETS.map(preset => this.formatTimeControl(preset));
+        const timeIndex = readlineSync.keyInSelect(timeOptions, '持ち時間を選択してください:', { cancel: false });
+        this.timeControl = TIME_CONTROL_PRESETS[timeIndex];
+        break;
+        
+      case 3: // AIの性格（評価プロファイル）変更
+        const profiles = Evaluator.listProfiles();
+        const profileOptions = ['難易度に合わせる', ...profiles.map(profile => `${profile.name}: ${profile.description}`)];
+        const profileIndex = readlineSync.keyInSelect(profileOptions, 'AIの性格を選択してください:', { cancel: false });
+        this.aiProfile = profileIndex === 0 ? null : profiles[profileIndex - 1].name;
+        break;
     }
     
     return {
       boardSize: this.boardSize,
-      winLength: this.winLength
+      winLength: this.winLength,
+      timeControl: this.timeControl,
+      aiProfile: this.aiProfile
     };
   }
 
@@ -151,12 +322,24 @@ class UI {
    * ボードを描画
    * @param {Board} board - 描画するボード
    * @param {string} currentPlayer - 現在のプレイヤー
+   * @param {Object} info - 対局の情報 {clock, winningLine, lastMove, seed, spectators, isSpectating, chat}
+   *                        （clockは残り時間 {O, X, active}、winningLineは強調表示する勝利ライン [{row, col}]、
+   *                        lastMoveは印を付ける直前の手 {row, col}、seedは対局を再現するための乱数のシード値）
    */
-  renderBoard(board, currentPlayer) {
+  renderBoard(board, currentPlayer, info = {}) {
     clear();
     this.showTitle();
     
     console.log(chalk.cyanBright(`現在のプレイヤー: ${currentPlayer === 'O' ? chalk.green('O') : chalk.red('X')}`));
+    if (info.clock) {
+      console.log(`残り時間: ${this.formatClock(info.clock, 'O')}  ${this.formatClock(info.clock, 'X')}`);
+    }
+    if (info.spectators !== undefined) {
+      console.log(chalk.gray(`観戦者: ${info.spectators}人`));
+    }
+    if (info.seed !== undefined) {
+      console.log(chalk.gray(`シード値: ${info.seed}`));
+    }
     console.log('');
     
     // ボード上部の座標表示
@@ -170,16 +353,33 @@ class UI {
     const dividerLine = '  ' + '+' + '---+'.repeat(board.size);
     console.log(chalk.yellow(dividerLine));
     
+    // 勝利ラインのマス（強調表示する）
+    const winningCells = new Set((info.winningLine || []).map(cell => `${cell.row},${cell.col}`));
+    
     // ボードの各行を描画
     for (let row = 0; row < board.size; row++) {
       let rowText = chalk.yellow(`${row} |`);
       
       for (let col = 0; col < board.size; col++) {
         const cell = board.board[row][col];
+        const isWinningCell = winningCells.has(`${row},${col}`);
+        const isLastMove = info.lastMove && info.lastMove.row === row && info.lastMove.col === col;
         if (cell === 'O') {
-          rowText += ` ${chalk.green('O')} ${chalk.yellow('|')}`;
+          if (isWinningCell) {
+            rowText += `${chalk.bgGreen.black.bold(' O ')}${chalk.yellow('|')}`;
+          } else if (isLastMove) {
+            rowText += `${chalk.cyan('[')}${chalk.green.bold('O')}${chalk.cyan(']')}${chalk.yellow('|')}`;
+          } else {
+            rowText += ` ${chalk.green('O')} ${chalk.yellow('|')}`;
+          }
         } else if (cell === 'X') {
-          rowText += ` ${chalk.red('X')} ${chalk.yellow('|')}`;
+          if (isWinningCell) {
+            rowText += `${chalk.bgRed.black.bold(' X ')}${chalk.yellow('|')}`;
+          } else if (isLastMove) {
+            rowText += `${chalk.cyan('[')}${chalk.red.bold('X')}${chalk.cyan(']')}${chalk.yellow('|')}`;
+          } else {
+            rowText += ` ${chalk.red('X')} ${chalk.yellow('|')}`;
+          }
         } else {
           rowText += `   ${chalk.yellow('|')}`;
         }
@@ -190,10 +390,141 @@ class UI {
     }
     
     console.log('');
-    console.log(chalk.cyanBright('コマンド: save (保存), load (読込), hint (ヒント), stats (統計), quit (終了)'));
+    
+    // 最近のチャットをボードの下に表示
+    if (info.chat && info.chat.length > 0) {
+      console.log(chalk.cyanBright('【チャット】'));
+      for (const entry of info.chat) {
+        console.log(this.formatChatEntry(entry));
+      }
+      console.log('');
+    }
+    
+    if (info.isSpectating) {
+      console.log(chalk.cyanBright('観戦中: c キーでチャット、q キーで観戦を終了'));
+    } else {
+      console.log(chalk.cyanBright('コマンド: save (保存), load (読込), hint (ヒント), solve (理論値), stats (統計), quit (終了)'));
+      if (info.chat) {
+        console.log(chalk.cyanBright(`チャット: say <メッセージ>, emote <${Object.keys(EMOTES).join('|')}>`));
+      }
+    }
     console.log('');
   }
 
+  /**
+   * 持ち時間の設定を表示用の文字列にする
+   * @param {Object|null} timeControl - 持ち時間の設定
+   * @returns {string} 表示用の文字列
+   */
+  formatTimeControl(timeControl) {
+    if (!timeControl) {
+      return 'なし';
+    }
+    
+    if (timeControl.mode === 'move') {
+      return `1手${timeControl.perMove}秒`;
+    }
+    
+    const initial = timeControl.initial % 60 === 0 ? `${timeControl.initial / 60}分` : `${timeControl.initial}秒`;
+    return timeControl.increment > 0 ? `${initial} + 1手${timeControl.increment}秒` : initial;
+  }
+
+  /**
+   * プレイヤーの残り時間を表示用の文字列にする（手番のプレイヤーを強調）
+   * @param {Object} clock - 残り時間 {O, X, active}
+   * @param {string} player - プレイヤー ('O' または 'X')
+   * @returns {string} 表示用の文字列
+   */
+  formatClock(clock, player) {
+    const seconds = Math.ceil(clock[player] / 1000);
+    const time = `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+    const name = player === 'O' ? chalk.green('O') : chalk.red('X');
+    const text = clock[player] < LOW_TIME_WARNING ? chalk.red(time) : time;
+    
+    return clock.active === player ? chalk.bold(`▶ ${name} ${text}`) : `  ${name} ${text}`;
+  }
+
+  /**
+   * チャットのエントリーを表示用の文字列にする
+   * @param {Object} entry - チャットのエントリー {from, text} または {from, emote}
+   * @returns {string} 表示用の文字列
+   */
+  formatChatEntry(entry) {
+    let name;
+    switch (entry.from) {
+      case 'O': name = chalk.green('O'); break;
+      case 'X': name = chalk.red('X'); break;
+      default: name = chalk.gray('観戦者'); break;
+    }
+    
+    const content = entry.emote !== undefined ? EMOTES[entry.emote] : entry.text;
+    return `  ${name}: ${content}`;
+  }
+
+  /**
+   * チャットのコマンド（say <メッセージ> または emote <名前>）を解析する
+   * @param {string} input - 入力された文字列
+   * @returns {Object|null} チャットの内容 {text} または {emote}、チャットのコマンドでない場合はnull
+   */
+  parseChatCommand(input) {
+    const say = input.match(/^say\s+(.+)$/);
+    if (say) {
+      return { text: say[1].trim() };
+    }
+    
+    const emote = input.match(/^emote\s+(\S+)$/);
+    if (emote) {
+      return { emote: emote[1] };
+    }
+    
+    return null;
+  }
+
+  /**
+   * 観戦中のチャットの入力を取得
+   * @returns {Object|null} チャットの内容 {text} または {emote}、入力がない場合はnull
+   */
+  promptChat() {
+    const input = readlineSync.question(`チャット (emote <${Object.keys(EMOTES).join('|')}> でエモート): `).trim();
+    if (!input) {
+      return null;
+    }
+    
+    return this.parseChatCommand(input) || this.parseChatCommand(`say ${input}`);
+  }
+
+  /**
+   * 1文字のキー入力を待ち受ける（Ctrl+C は q として扱う）
+   * 観戦中のように、入力を待たずに画面を更新し続ける場面で使用する
+   * @param {Object} handlers - キー名と押されたときに呼び出す関数の組 {q: Function, c: Function}
+   *                            （名前のないキーは '+' のように入力された文字で指定する）
+   * @returns {Function} 待ち受けを終了する関数
+   */
+  listenForKeys(handlers) {
+    const input = process.stdin;
+    const onKeypress = (str, key = {}) => {
+      const name = key.ctrl ? (key.name === 'c' ? 'q' : null) : key.name || str;
+      if (name && handlers[name]) {
+        handlers[name]();
+      }
+    };
+    
+    readline.emitKeypressEvents(input);
+    if (input.isTTY) {
+      input.setRawMode(true);
+    }
+    input.on('keypress', onKeypress);
+    input.resume();
+    
+    return () => {
+      input.removeListener('keypress', onKeypress);
+      if (input.isTTY) {
+        input.setRawMode(false);
+      }
+      input.pause();
+    };
+  }
+
   /**
    * プレイヤーの手の入力を取得
    * @param {Board} board - 現在のボード
@@ -204,10 +535,16 @@ class UI {
       const input = readlineSync.question('手を入力 (行,列) または コマンド: ');
       
       // コマンドチェック
-      if (input === 'save' || input === 'load' || input === 'hint' || input === 'stats' || input === 'quit') {
+      if (input === 'save' || input === 'load' || input === 'hint' || input === 'solve' || input === 'stats' || input === 'quit') {
         return input;
       }
       
+      // チャット（手番は消費しない）
+      const chat = this.parseChatCommand(input);
+      if (chat) {
+        return { command: 'chat', chat };
+      }
+      
       // 入力フォーマットチェック
       const coordinates = input.split(',').map(c => c.trim());
       
@@ -247,6 +584,9 @@ class UI {
       case 'medium': message = 'AIが考え中（普通）'; break;
       case 'hard': message = 'AIが考え中（難しい）'; break;
       case 'master': message = 'AIが考え中（達人）'; break;
+      case 'mcts': message = 'AIが考え中（モンテカルロ木探索）'; break;
+      case 'unbeatable': message = 'AIが考え中（完全読み）'; break;
+      case 'learning': message = 'AIが考え中（学習AI）'; break;
       default: message = 'AIが考え中'; break;
     }
     
@@ -254,11 +594,39 @@ class UI {
     return spinner;
   }
 
+  /**
+   * AIの探索の結果を表示用の文字列にする
+   * @param {Object} info - 探索の結果（ミニマックスは {depth, nodes, time}、モンテカルロ木探索は {iterations, time, winRate}、
+   *                        完全読みは {value, nodes, time}）
+   * @returns {string} 表示用の文字列
+   */
+  formatSearchInfo(info) {
+    if (info.value !== undefined) {
+      return `理論値: AIの${this.formatSolvedValue(info.value)}, ${info.nodes}ノード, ${info.time}ms`;
+    }
+    if (info.iterations !== undefined) {
+      const winRate = info.winRate !== null ? `, 勝率${Math.round(info.winRate * 100)}%` : '';
+      return `${info.iterations}回のプレイアウト${winRate}, ${info.time}ms`;
+    }
+    return `深さ${info.depth}, ${info.nodes}ノード, ${info.time}ms`;
+  }
+
+  /**
+   * 対戦相手の待機中表示
+   * @param {string} message - 表示するメッセージ
+   * @returns {Object} スピナーオブジェクト
+   */
+  showWaitingForOpponent(message = '相手の手番です。お待ちください') {
+    const spinner = createSpinner(chalk.cyan(message)).start();
+    return spinner;
+  }
+
   /**
    * ゲーム結果の表示
    * @param {string|null} winner - 勝者 ('O', 'X', または引き分けの場合はnull)
+   * @param {string|null} reason - 決着の理由（時間切れなど、省略可）
    */
-  showGameResult(winner) {
+  showGameResult(winner, reason = null) {
     console.log('');
     
     if (winner) {
@@ -285,42 +653,465 @@ class UI {
       console.log(drawBox);
     }
     
+    if (reason) {
+      console.log(chalk.yellow(`  ${reason}`));
+    }
     console.log('');
   }
 
   /**
-   * 統計情報の表示
-   * @param {Object} stats - 統計情報
+   * 統計情報を表示（全体の集計と、モード・難易度・ボード・先手後手ごとの内訳の表）
+   * @param {Statistics} stats - 統計情報
    */
   showStats(stats) {
     clear();
     this.showTitle();
     console.log(chalk.cyanBright('【統計情報】'));
     
-    const table = new Table({
-      head: [chalk.white('項目'), chalk.white('回数')],
-      colWidths: [20, 10]
+    const overall = stats.getOverall();
+    const summary = new Table({
+      head: [chalk.white('項目'), chalk.white('値')],
+      colWidths: [24, 24]
     });
     
-    table.push(
-      [chalk.green('Oの勝利'), stats.oWins],
-      [chalk.red('Xの勝利'), stats.xWins],
-      [chalk.yellow('引き分け'), stats.draws],
-      [chalk.blue('総ゲーム数'), stats.totalGames]
+    summary.push(
+      [chalk.green('Oの勝利'), overall.oWins],
+      [chalk.red('Xの勝利'), overall.xWins],
+      [chalk.yellow('引き分け'), overall.draws],
+      [chalk.blue('総ゲーム数'), overall.games],
+      ['先手（O）の勝率', this.formatRate(overall.firstMoveWinRate)],
+      ['平均手数', this.formatAverageMoves(overall.averageMoves)],
+      ['あなたの勝率', this.formatRate(overall.winRate)],
+      ['現在の連続記録', this.formatStreak(overall.streak)],
+      ['最長連勝 / 最長連敗', `${overall.longestWinStreak} / ${overall.longestLossStreak}`]
     );
     
-    console.log(table.toString());
+    console.log(summary.toString());
+    if (overall.migratedGames > 0) {
+      console.log(chalk.gray(`以前の形式の統計から引き継いだ ${overall.migratedGames}局 は、内訳と平均手数に含まれません。`));
+    }
     console.log('');
     
+    const groups = stats.getGroups();
+    if (groups.length > 0) {
+      console.log(chalk.cyanBright('【内訳】'));
+      const table = new Table({
+        head: ['モード', '難易度', 'ボード', '先手', '対局数', '勝-分-敗', '勝率', '先手の勝率', '平均手数', '連続記録', '最長連勝']
+          .map(title => chalk.white(title))
+      });
+      
+      for (const group of groups) {
+        let order = '-';
+        if (group.humanFirst === true) {
+          order = 'あなた';
+        } else if (group.humanFirst === false) {
+          order = '相手';
+        }
+        const hasHuman = group.humanFirst !== null;
+        
+        table.push([
+          MODE_NAMES[group.mode] || group.mode,
+          group.difficulty ? DIFFICULTY_NAMES[group.difficulty] || group.difficulty : '-',
+          `${group.size}×${group.size}・${group.winLength}連`,
+          order,
+          group.games,
+          // 2人プレイは O と X の勝ち数
+          hasHuman ? `${group.wins}-${group.draws}-${group.losses}` : `O ${group.oWins}・X ${group.xWins}・分 ${group.draws}`,
+          this.formatRate(group.winRate),
+          this.formatRate(group.firstMoveWinRate),
+          this.formatAverageMoves(group.averageMoves),
+          hasHuman ? this.formatStreak(group.streak) : '-',
+          hasHuman ? group.longestWinStreak : '-'
+        ]);
+      }
+      
+      console.log(table.toString());
+      console.log('');
+    }
+    
     readlineSync.keyInPause('続けるにはキーを押してください...');
   }
 
   /**
-   * ヒントの表示
-   * @param {Object} move - 推奨される手 {row, col}
+   * 率を表示用の文字列にする
+   * @param {number|null} rate - 率（0〜1）、対局がない場合はnull
+   * @returns {string} 表示用の文字列（例: 62.5%）
+   */
+  formatRate(rate) {
+    return rate === null ? '-' : `${(rate * 100).toFixed(1)}%`;
+  }
+
+  /**
+   * 平均手数を表示用の文字列にする
+   * @param {number|null} averageMoves - 平均手数、対局がない場合はnull
+   * @returns {string} 表示用の文字列（例: 12.3手）
+   */
+  formatAverageMoves(averageMoves) {
+    return averageMoves === null ? '-' : `${averageMoves.toFixed(1)}手`;
+  }
+
+  /**
+   * 連続記録を表示用の文字列にする
+   * @param {Object} streak - 続いている結果 {result, count}
+   * @returns {string} 表示用の文字列（例: 3連勝）
+   */
+  formatStreak(streak) {
+    if (!streak.result) return '-';
+    const labels = { win: '連勝', loss: '連敗', draw: '回連続の引き分け' };
+    return `${streak.count}${labels[streak.result]}`;
+  }
+
+  /**
+   * ヒントの表示（最善の候補手とその狙い、候補手の上位の表）
+   * @param {string} player - ヒントを求めたプレイヤー ('O' または 'X')
+   * @param {Array} moves - 評価の高い順の候補手 [{row, col, score, outcome, reasons}]
+   * @param {Object|null} searchInfo - 候補手を求めた探索の結果 {depth, nodes, time}
+   */
+  showHint(player, moves, searchInfo = null) {
+    if (moves.length === 0) {
+      console.log(chalk.yellow('ヒントを出せる手がありません。'));
+      return;
+    }
+    
+    const [best] = moves;
+    console.log(chalk.magenta(`ヒント: 行=${best.row}, 列=${best.col} — ${best.reasons.map(reason => this.formatHintReason(reason)).join('、')}`));
+    
+    const table = new Table({
+      head: ['順位', '手', '評価', '狙い'].map(title => chalk.white(title))
+    });
+    moves.forEach((move, index) => {
+      table.push([
+        index + 1,
+        `(${move.row}, ${move.col})`,
+        this.formatHintScore(move),
+        move.reasons.map(reason => this.formatHintReason(reason)).join('、')
+      ]);
+    });
+    console.log(table.toString());
+    
+    if (searchInfo) {
+      console.log(chalk.gray(`${player} から見た評価（${this.formatSearchInfo(searchInfo)}）`));
+    }
+  }
+
+  /**
+   * ヒントの候補手の評価を表示用の文字列にする
+   * @param {Object} move - 候補手 {score, outcome, plies}
+   * @returns {string} 表示用の文字列
+   */
+  formatHintScore(move) {
+    if (move.outcome === 'win') return chalk.green(`${move.plies}手で勝ち`);
+    if (move.outcome === 'loss') return chalk.red(`${move.plies}手で負け`);
+    
+    const score = Math.round(move.score);
+    return score > 0 ? `+${score}` : `${score}`;
+  }
+
+  /**
+   * ヒントの手の狙いを表示用の文字列にする
+   * @param {Object} reason - 狙い {type, player, length}（MoveExplainer の explain の結果）
+   * @returns {string} 表示用の文字列
+   */
+  formatHintReason(reason) {
+    switch (reason.type) {
+      case 'win': return 'すぐに勝てる';
+      case 'block': return `${reason.player} の${reason.length}連を止める`;
+      case 'doubleThreat': return '二重の脅威を作る（相手は両方を防げない）';
+      case 'preventDoubleThreat': return `${reason.player} の二重の脅威を防ぐ`;
+      case 'threat': return `${reason.length}連を作り、次に勝てる形にする`;
+      case 'extend': return `自分のラインを${reason.length}つに伸ばす`;
+      case 'obstruct': return `${reason.player} の${reason.length}つ並んだラインをふさぐ`;
+      default: return '形勢が良くなる';
+    }
+  }
+
+  /**
+   * 局面の理論値を表示
+   * @param {string} player - 手番のプレイヤー ('O' または 'X')
+   * @param {number|null} value - 手番のプレイヤーから見た値（勝ち 1、引き分け 0、負け -1）、読み切れない場合はnull
+   * @param {Array} bestMoves - 理論値を保つ手 [{row, col}]
+   */
+  showSolvedValue(player, value, bestMoves = []) {
+    if (value === null) {
+      console.log(chalk.yellow('理論値を求められるのは3×3と4×4のボードだけです。'));
+      return;
+    }
+    
+    const playerText = player === 'O' ? chalk.green('O') : chalk.red('X');
+    const result = value === 0 ? '引き分け' : `${playerText} の${this.formatSolvedValue(value)}`;
+    console.log(chalk.magenta(`理論値: ${playerText} の手番で、お互いに最善を尽くすと${result}です。`));
+    if (bestMoves.length > 0) {
+      console.log(chalk.magenta(`最善手: ${bestMoves.map(move => `(${move.row}, ${move.col})`).join(', ')}`));
+    }
+  }
+
+  /**
+   * 理論値を表示用の文字列にする
+   * @param {number} value - 理論値（勝ち 1、引き分け 0、負け -1）
+   * @returns {string} 表示用の文字列
+   */
+  formatSolvedValue(value) {
+    if (value > 0) return '勝ち';
+    if (value < 0) return '負け';
+    return '引き分け';
+  }
+
+  /**
+   * リプレイの再生位置と操作方法を表示
+   * @param {Replay} replay - 再生中のリプレイ
+   * @param {Board} board - 表示中の局面のボード
+   * @param {boolean} autoPlay - 自動再生中かどうか
+   */
+  showReplayStatus(replay, board, autoPlay) {
+    const lastMove = replay.getLastMove();
+    let status = `手数: ${replay.ply} / ${replay.length}`;
+    if (lastMove) {
+      const playerText = lastMove.player === 'O' ? chalk.green('O') : chalk.red('X');
+      status += `  直前の手: ${playerText} (${lastMove.row}, ${lastMove.col})`;
+    }
+    console.log(chalk.cyanBright(status));
+    
+    const speed = `${(replay.getDelay() / 1000).toFixed(1)}秒ごと`;
+    console.log(chalk.gray(`自動再生: ${autoPlay ? chalk.green(`再生中（${speed}）`) : `停止中（${speed}）`}`));
+    
+    if (replay.isAtEnd()) {
+      const winner = board.getLastMoveWinner();
+      if (winner) {
+        console.log(chalk.magenta(`${winner === 'O' ? chalk.green('O') : chalk.red('X')} の勝ちで終局しました`));
+      } else if (board.checkDraw()) {
+        console.log(chalk.magenta('引き分けで終局しました'));
+      } else {
+        console.log(chalk.magenta('対局はここで中断されています'));
+      }
+    }
+    
+    console.log('');
+    console.log(chalk.gray('→/n: 次の手  ←/p: 前の手  Home/End: 最初/最後  j: 手数を指定'));
+    console.log(chalk.gray('a/スペース: 自動再生  +/-: 再生速度  q: 終了'));
+  }
+
+  /**
+   * リプレイで移動する手数を入力
+   * @param {number} length - 手順の長さ（手数）
+   * @returns {number|null} 移動する手数（0は初期局面）、キャンセルした場合はnull
+   */
+  promptReplayJump(length) {
+    const input = readlineSync.question(`移動する手数 (0-${length}): `).trim();
+    const ply = parseInt(input, 10);
+    if (isNaN(ply) || ply < 0 || ply > length) {
+      return null;
+    }
+    
+    return ply;
+  }
+
+  /**
+   * 記録した対局の一覧を表示
+   * @param {Array} records - 表示する対局の記録（GameHistory の形式）
+   * @param {Object} filter - 絞り込みの条件 {result, difficulty, from, to}
+   */
+  showHistory(records, filter = {}) {
+    clear();
+    this.showTitle();
+    console.log(chalk.cyanBright('【対局履歴】'));
+    
+    const conditions = [];
+    if (filter.result) conditions.push(`結果: ${RESULT_NAMES[filter.result]}`);
+    if (filter.difficulty) conditions.push(`難易度: ${DIFFICULTY_NAMES[filter.difficulty]}`);
+    if (filter.from || filter.to) conditions.push(`日付: ${filter.from || ''}〜${filter.to || ''}`);
+    if (conditions.length > 0) {
+      console.log(chalk.gray(`絞り込み: ${conditions.join('、')}`));
+    }
+    
+    if (records.length === 0) {
+      console.log(chalk.yellow('条件に合う対局がありません。'));
+      console.log('');
+      return;
+    }
+    
+    const table = new Table({
+      head: ['番号', '日時', 'モード', 'ボード', '結果', '手数', '対局時間'].map(title => chalk.white(title))
+    });
+    
+    records.forEach((record, index) => {
+      const date = new Date(record.date);
+      const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+      const mode = record.difficulty
+        ? `${MODE_NAMES[record.mode]}（${DIFFICULTY_NAMES[record.difficulty] || record.difficulty}）`
+        : MODE_NAMES[record.mode] || record.mode;
+      
+      table.push([
+        index + 1,
+        `${GameHistory.formatDate(date)} ${time}`,
+        mode,
+        `${record.size}×${record.size}・${record.winLength}連`,
+        this.formatHistoryResult(record),
+        record.moves.length,
+        this.formatDuration(record.duration)
+      ]);
+    });
+    
+    console.log(table.toString());
+    console.log('');
+  }
+
+  /**
+   * 記録した対局の結果を表示用の文字列にする
+   * @param {Object} record - 対局の記録
+   * @returns {string} 表示用の文字列（自分の駒がある対局は自分から見た結果、2人プレイは勝った駒）
+   */
+  formatHistoryResult(record) {
+    const outcome = GameHistory.getOutcome(record);
+    let text;
+    if (outcome === 'win') {
+      text = chalk.green(RESULT_NAMES.win);
+    } else if (outcome === 'loss') {
+      text = chalk.red(RESULT_NAMES.loss);
+    } else if (outcome === 'draw') {
+      text = chalk.yellow(RESULT_NAMES.draw);
+    } else {
+      text = `${record.winner === 'O' ? chalk.green('O') : chalk.red('X')} の勝ち`;
+    }
+    
+    return record.reason ? `${text}（${record.reason}）` : text;
+  }
+
+  /**
+   * 対局時間を表示用の文字列にする
+   * @param {number} duration - 対局時間（ミリ秒）
+   * @returns {string} 表示用の文字列（例: 3分05秒）
+   */
+  formatDuration(duration) {
+    const seconds = Math.round(duration / 1000);
+    return `${Math.floor(seconds / 60)}分${String(seconds % 60).padStart(2, '0')}秒`;
+  }
+
+  /**
+   * 対局履歴で行う操作を選択
+   * @param {number} count - 一覧に表示している対局の数
+   * @returns {Object} 操作 {type: 'replay', index}、{type: 'filter', key}（key は 'result'・'difficulty'・'date'）、
+   *   {type: 'clear'}、{type: 'back'}、または何もしない場合 {type: 'none'}
+   */
+  selectHistoryAction(count) {
+    const options = ['対局を再生する', '結果で絞り込む', '難易度で絞り込む', '日付で絞り込む', '絞り込みを解除'];
+    const index = readlineSync.keyInSelect(options, '操作を選択してください:', { cancel: '戻る' });
+    
+    switch (index) {
+      case 0: {
+        if (count === 0) {
+          return { type: 'none' };
+        }
+        const number = parseInt(readlineSync.question(`再生する対局の番号 (1-${count}): `), 10);
+        if (isNaN(number) || number < 1 || number > count) {
+          return { type: 'none' };
+        }
+        return { type: 'replay', index: number - 1 };
+      }
+      case 1: return { type: 'filter', key: 'result' };
+      case 2: return { type: 'filter', key: 'difficulty' };
+      case 3: return { type: 'filter', key: 'date' };
+      case 4: return { type: 'clear' };
+      default: return { type: 'back' };
+    }
+  }
+
+  /**
+   * 対局履歴の絞り込みの条件を入力
+   * @param {string} key - 絞り込む項目 ('result'・'difficulty'・'date')
+   * @returns {Object} 変更する条件 {result}、{difficulty} または {from, to}（キャンセルした項目は undefined で解除）
+   */
+  selectHistoryFilter(key) {
+    if (key === 'result') {
+      const index = readlineSync.keyInSelect(GameHistory.RESULTS.map(result => RESULT_NAMES[result]), '結果を選択してください:');
+      return { result: index === -1 ? undefined : GameHistory.RESULTS[index] };
+    }
+    
+    if (key === 'difficulty') {
+      const difficulties = Object.keys(DIFFICULTY_NAMES);
+      const index = readlineSync.keyInSelect(difficulties.map(name => DIFFICULTY_NAMES[name]), '難易度を選択してください:');
+      return { difficulty: index === -1 ? undefined : difficulties[index] };
+    }
+    
+    const askDate = (message) => {
+      while (true) {
+        const input = readlineSync.question(message).trim();
+        if (!input || GameHistory.isValidDate(input)) {
+          return input || undefined;
+        }
+        console.log(chalk.red('日付は YYYY-MM-DD の形式で入力してください。'));
+      }
+    };
+    return {
+      from: askDate('開始日 (YYYY-MM-DD、空欄で指定なし): '),
+      to: askDate('終了日 (YYYY-MM-DD、空欄で指定なし): ')
+    };
+  }
+
+  /**
+   * 対局の分析の進み具合を表示
+   * @param {number} done - 分析した局面の数
+   * @param {number} total - 局面の数
+   */
+  showAnalysisProgress(done, total) {
+    process.stdout.write(`\r${chalk.cyan('対局を分析しています...')} ${done}/${total}`);
+    if (done === total) {
+      process.stdout.write('\n');
+    }
+  }
+
+  /**
+   * 対局の分析結果を表示（1手ごとの表と、悪手・勝ち逃し・敗着のまとめ）
+   * @param {Object} analysis - 分析結果（GameAnalyzer の analyze の結果）
+   */
+  showAnalysis(analysis) {
+    const labels = {
+      blunder: chalk.red('悪手'),
+      missedWin: chalk.yellow('勝ち逃し')
+    };
+    const table = new Table({
+      head: ['手数', '駒', '手', '最善手', '評価（打つ前 → 打った後）', '判定'].map(title => chalk.white(title))
+    });
+    
+    for (const move of analysis.moves) {
+      const isBest = move.bestMove && move.bestMove.row === move.row && move.bestMove.col === move.col;
+      const score = move.score !== null && move.after === 0 ? `（${move.score > 0 ? '+' : ''}${move.score}）` : '';
+      let label = labels[move.classification] || '';
+      if (move.ply === analysis.decisiveMistake) {
+        label = chalk.red.bold('敗着');
+      }
+      
+      table.push([
+        move.ply,
+        move.player === 'O' ? chalk.green('O') : chalk.red('X'),
+        `(${move.row}, ${move.col})`,
+        // 完全読みでは、値を下げた手にだけ最善手を示す（同じ値の手はどれも最善）
+        move.bestMove && !isBest && (!analysis.exact || move.after < move.before) ? `(${move.bestMove.row}, ${move.bestMove.col})` : '',
+        `${this.formatAnalysisValue(move.before, analysis.exact)} → ${this.formatAnalysisValue(move.after, analysis.exact)}${score}`,
+        label
+      ]);
+    }
+    
+    console.log(chalk.cyanBright(`【対局の分析】${analysis.exact ? '完全読みによる理論値' : 'AIの探索による評価（読み切れた勝敗のみ）'}`));
+    console.log(table.toString());
+    
+    const formatPlies = plies => (plies.length > 0 ? plies.map(ply => `${ply}手目`).join(', ') : 'なし');
+    console.log(`悪手: ${formatPlies(analysis.blunders)}`);
+    console.log(`勝ち逃し: ${formatPlies(analysis.missedWins)}`);
+    if (analysis.decisiveMistake !== null) {
+      const move = analysis.moves[analysis.decisiveMistake - 1];
+      console.log(chalk.red(`敗着: ${move.ply}手目の ${move.player} (${move.row}, ${move.col})`));
+    }
+  }
+
+  /**
+   * 分析した局面の値を表示用の文字列にする
+   * @param {number} value - 手を打つプレイヤーから見た値（勝ち 1、引き分け 0、負け -1）
+   * @param {boolean} exact - 完全読みの値かどうか（探索の値の 0 は勝敗を読み切れなかったことを表す）
+   * @returns {string} 表示用の文字列
    */
-  showHint(move) {
-    console.log(chalk.magenta(`ヒント: 行=${move.row}, 列=${move.col} が良い手かもしれません。`));
+  formatAnalysisValue(value, exact) {
+    if (value === 0 && !exact) return '互角';
+    return this.formatSolvedValue(value);
   }
 
   /**
@@ -0,0 +1,92 @@
+const Random = require('./Random');
+
+/**
+ * ゾブリストハッシュの乱数表の初期値（同じボードサイズなら常に同じ乱数表になるようにする）
+ */
+const ZOBRIST_SEED = 0x9e3779b9;
+
+/**
+ * ハッシュ値の上位部分のビット数（上位と下位を合わせて安全な整数の範囲に収める）
+ */
+const HIGH_BITS = 21;
+
+/**
+ * 作成済みの乱数表（ボードサイズごと）
+ */
+const tables = new Map();
+
+/**
+ * ゾブリストハッシュの乱数表を管理するクラス
+ *
+ * マスと駒の組ごとに乱数を割り当て、盤面のハッシュ値を置かれている駒の乱数のXORで表す。
+ * 駒を置く・取り除くときは同じ乱数をXORするだけでハッシュ値を更新できる。
+ * ハッシュ値は上位21ビットと下位32ビットに分けて持ち、合わせて53ビットの整数として使う。
+ */
+class Zobrist {
+  /**
+   * ボードサイズを指定して乱数表を作成
+   * @param {number} size - ボードのサイズ
+   */
+  constructor(size) {
+    const random = new Random(ZOBRIST_SEED ^ size);
+    const highMask = (1 << HIGH_BITS) - 1;
+
+    this.size = size;
+    this.high = { O: [], X: [] };
+    this.low = { O: [], X: [] };
+
+    for (const player of ['O', 'X']) {
+      for (let i = 0; i < size * size; i++) {
+        this.high[player].push(random.nextUint32() & highMask);
+        this.low[player].push(random.nextUint32());
+      }
+    }
+  }
+
+  /**
+   * ボードサイズに対応する乱数表を取得する（同じサイズの乱数表は使い回す）
+   * @param {number} size - ボードのサイズ
+   * @returns {Zobrist} 乱数表
+   */
+  static forSize(size) {
+    if (!tables.has(size)) {
+      tables.set(size, new Zobrist(size));
+    }
+    return tables.get(size);
+  }
+
+  /**
+   * ハッシュ値の上位部分と下位部分から1つの整数を作る
+   * @param {number} high - 上位21ビット
+   * @param {number} low - 下位32ビット
+   * @returns {number} 53ビットのハッシュ値
+   */
+  static combine(high, low) {
+    return high * 0x100000000 + (low >>> 0);
+  }
+
+  /**
+   * 盤面全体からハッシュ値を計算する
+   * @param {Array} cells - 盤面（2次元配列）
+   * @returns {Object} ハッシュ値 {high, low}
+   */
+  hash(cells) {
+    let high = 0;
+    let low = 0;
+
+    for (let row = 0; row < this.size; row++) {
+      for (let col = 0; col < this.size; col++) {
+        const player = cells[row][col];
+        if (player === 'O' || player === 'X') {
+          const index = row * this.size + col;
+          high ^= this.high[player][index];
+          low = (low ^ this.low[player][index]) >>> 0;
+        }
+      }
+    }
+
+    return { high, low };
+  }
+}
+
+module.exports = Zobrist;